@@ -0,0 +1,38 @@
+// One-off backfill: render text and PDF posts created before renders were stored on the post.
+// Safe to re-run; posts are marked with renderedAt once handled. Pass --dry-run to only count.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Post = require('./models/Post');
+const storage = require('./utils/storage');
+const { renderExistingPost } = require('./utils/postRenderer');
+
+const dryRun = process.argv.includes('--dry-run');
+
+mongoose.connect(process.env.MONGO_URI)
+  .then(async () => {
+    storage.initStorage();
+    const query = { contentType: { $in: ['text', 'raw'] }, renderedAt: { $exists: false } };
+    const total = await Post.countDocuments(query);
+    console.log(`${total} posts to check${dryRun ? ' (dry run)' : ''}`);
+    if (dryRun) process.exit(0);
+
+    let rendered = 0;
+    let failed = 0;
+    // One at a time: rendering is CPU-bound and each post uploads its images
+    for await (const post of Post.find(query).select('contentType content').lean().cursor()) {
+      try {
+        const update = await renderExistingPost(post);
+        await Post.updateOne({ _id: post._id }, { $set: update });
+        if (update.content) rendered += 1;
+      } catch (err) {
+        failed += 1;
+        console.error(`Post ${post._id}: ${err.message}`);
+      }
+    }
+    console.log(`Rendered ${rendered} posts, ${total - rendered - failed} already up to date, ${failed} failed`);
+    process.exit(failed ? 1 : 0);
+  })
+  .catch((err) => {
+    console.error(err);
+    process.exit(1);
+  });
@@ -0,0 +1,27 @@
+// Grants or revokes moderator access: node makeAdmin.js <email> [--revoke]
+// Admin rights are never set through the API, so the first admin has to be made here.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('./models/User');
+
+const [email, flag] = process.argv.slice(2);
+if (!email || (flag && flag !== '--revoke')) {
+  console.error('Usage: node makeAdmin.js <email> [--revoke]');
+  process.exit(1);
+}
+
+mongoose.connect(process.env.MONGO_URI)
+  .then(async () => {
+    const isAdmin = flag !== '--revoke';
+    const user = await User.findOneAndUpdate({ email: email.toLowerCase() }, { $set: { isAdmin } }, { new: true }).select('username').lean();
+    if (!user) {
+      console.error(`No account with email ${email}`);
+      process.exit(1);
+    }
+    console.log(`${user.username} is ${isAdmin ? 'now' : 'no longer'} an admin`);
+    process.exit(0);
+  })
+  .catch((err) => {
+    console.error(err);
+    process.exit(1);
+  });
@@ -0,0 +1,20 @@
+// One-off migration: replace the fixed 30-day TTL on messages.createdAt with per-message expiresAt
+require('dotenv').config();
+const mongoose = require('mongoose');
+mongoose.connect(process.env.MONGO_URI)
+  .then(async () => {
+    const messages = mongoose.connection.collection('messages');
+    const indexes = await messages.indexes();
+    const ttlIndex = indexes.find((index) => index.key.createdAt === 1 && Object.keys(index.key).length === 1 && index.expireAfterSeconds !== undefined);
+    if (ttlIndex) {
+      await messages.dropIndex(ttlIndex.name);
+      await messages.createIndex({ createdAt: 1 });
+    }
+    await messages.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    console.log(`createdAt TTL index ${ttlIndex ? 'removed' : 'not found'}; existing messages are now kept until their conversation's retention applies to new ones`);
+    process.exit(0);
+  })
+  .catch((err) => {
+    console.error(err);
+    process.exit(1);
+  });
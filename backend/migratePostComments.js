@@ -0,0 +1,45 @@
+// One-off migration: move comments embedded in posts.comments into the comments collection
+// and record each post's commentCount. Safe to re-run; migrated posts no longer have the array.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Comment = require('./models/Comment');
+
+mongoose.connect(process.env.MONGO_URI)
+  .then(async () => {
+    const posts = mongoose.connection.collection('posts');
+    let migratedPosts = 0;
+    let migratedComments = 0;
+    for await (const post of posts.find({ comments: { $exists: true } }, { projection: { comments: 1 } })) {
+      const comments = (post.comments || []).filter((comment) => comment.userId && comment.comment);
+      // Keyed on the embedded comment's _id so a re-run after a partial failure does not duplicate
+      if (comments.length) {
+        await Comment.bulkWrite(comments.map((comment) => ({
+          updateOne: {
+            filter: { _id: comment._id || new mongoose.Types.ObjectId() },
+            update: {
+              $setOnInsert: {
+                postId: post._id,
+                parentId: null,
+                userId: comment.userId,
+                username: comment.username || 'Unknown',
+                photo: comment.photo,
+                comment: comment.comment,
+                createdAt: comment.createdAt || post._id.getTimestamp(),
+              },
+            },
+            upsert: true,
+          },
+        })));
+      }
+      await posts.updateOne({ _id: post._id }, { $set: { commentCount: comments.length }, $unset: { comments: '' } });
+      migratedPosts += 1;
+      migratedComments += comments.length;
+    }
+    await posts.updateMany({ commentCount: { $exists: false } }, { $set: { commentCount: 0 } });
+    console.log(`Moved ${migratedComments} comments from ${migratedPosts} posts into the comments collection`);
+    process.exit(0);
+  })
+  .catch((err) => {
+    console.error(err);
+    process.exit(1);
+  });
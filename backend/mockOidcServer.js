@@ -0,0 +1,174 @@
+// Minimal OpenID Connect provider for trying "Sign in with..." locally: node mockOidcServer.js
+// Then start the API with OIDC_PROVIDERS=mock, OIDC_MOCK_ISSUER=http://localhost:9400 and
+// OIDC_MOCK_CLIENT_ID=gapp (any client ID and secret are accepted). The sign-in page lets you pick
+// the email, name and whether the email counts as verified, so linking and first-login onboarding
+// can both be exercised, and can issue an ID token with the wrong issuer, audience or nonce to check
+// that the API rejects it. Not for production: it signs in anyone as anyone.
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const PORT = Number(process.env.MOCK_OIDC_PORT) || 9400;
+const ISSUER = (process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`).replace(/\/+$/, '');
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KEY_ID = crypto.randomBytes(8).toString('hex');
+const jwk = { ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' };
+
+// Authorization codes and access tokens live in memory for a few minutes
+const codes = new Map();
+const accessTokens = new Map();
+
+const TAMPER_OPTIONS = {
+  '': 'Valid',
+  issuer: 'Wrong issuer',
+  audience: 'Wrong audience',
+  nonce: 'Wrong nonce',
+};
+
+const escapeHtml = (value) =>
+  String(value ?? '').replace(/[&<>"']/g, (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+
+// The subject stays the same for an email, like a real provider's account ID would
+const subjectFor = (email) => crypto.createHash('sha256').update(email.toLowerCase()).digest('hex').slice(0, 24);
+
+// Takes the issuer so the tests can serve the provider on whatever port they get
+const createMockOidcApp = ({ issuer = ISSUER } = {}) => {
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      userinfo_endpoint: `${issuer}/userinfo`,
+      jwks_uri: `${issuer}/jwks`,
+      response_types_supported: ['code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      scopes_supported: ['openid', 'email', 'profile'],
+      token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post'],
+      code_challenge_methods_supported: ['S256'],
+    });
+  });
+
+  app.get('/jwks', (req, res) => {
+    res.json({ keys: [jwk] });
+  });
+
+  app.get('/authorize', (req, res) => {
+    const { client_id: clientId, redirect_uri: redirectUri, response_type: responseType, code_challenge_method: method } = req.query;
+    if (!clientId || !redirectUri || responseType !== 'code') {
+      return res.status(400).send('client_id, redirect_uri and response_type=code are required');
+    }
+    if (req.query.code_challenge && method !== 'S256') {
+      return res.status(400).send('Only S256 code challenges are supported');
+    }
+    const hidden = ['client_id', 'redirect_uri', 'state', 'nonce', 'code_challenge', 'scope']
+      .map((name) => `<input type="hidden" name="${name}" value="${escapeHtml(req.query[name])}">`)
+      .join('');
+    res.send(`<!doctype html>
+<html><head><title>Mock OIDC sign-in</title></head>
+<body style="font-family: sans-serif; max-width: 24rem; margin: 3rem auto;">
+  <h1>Mock OIDC sign-in</h1>
+  <p>Signing in to <strong>${escapeHtml(clientId)}</strong></p>
+  <form method="post" action="/authorize">
+    ${hidden}
+    <p><label>Email<br><input name="email" type="email" required value="${escapeHtml(req.query.login_hint || 'test@example.com')}"></label></p>
+    <p><label>Name<br><input name="name" value="Test User"></label></p>
+    <p><label><input name="email_verified" type="checkbox" value="true" checked> Email is verified</label></p>
+    <p><label>ID token<br><select name="tamper">${Object.entries(TAMPER_OPTIONS)
+      .map(([value, label]) => `<option value="${value}">${label}</option>`)
+      .join('')}</select></label></p>
+    <button type="submit">Sign in</button>
+    <button type="submit" name="deny" value="true">Deny</button>
+  </form>
+</body></html>`);
+  });
+
+  app.post('/authorize', (req, res) => {
+    const { redirect_uri: redirectUri, state, deny } = req.body;
+    const target = new URL(redirectUri);
+    if (state) target.searchParams.set('state', state);
+    if (deny) {
+      target.searchParams.set('error', 'access_denied');
+      return res.redirect(target.toString());
+    }
+    const code = crypto.randomBytes(24).toString('base64url');
+    codes.set(code, {
+      clientId: req.body.client_id,
+      redirectUri,
+      nonce: req.body.nonce || undefined,
+      codeChallenge: req.body.code_challenge || null,
+      email: req.body.email.trim().toLowerCase(),
+      name: req.body.name || undefined,
+      emailVerified: req.body.email_verified === 'true',
+      tamper: req.body.tamper in TAMPER_OPTIONS ? req.body.tamper : '',
+      expiresAt: Date.now() + 60 * 1000,
+    });
+    target.searchParams.set('code', code);
+    res.redirect(target.toString());
+  });
+
+  app.post('/token', (req, res) => {
+    let clientId = req.body.client_id;
+    const basic = (req.get('authorization') || '').match(/^Basic (.+)$/);
+    if (basic) {
+      clientId = decodeURIComponent(Buffer.from(basic[1], 'base64').toString().split(':')[0]);
+    }
+    const grant = codes.get(req.body.code);
+    codes.delete(req.body.code);
+    if (req.body.grant_type !== 'authorization_code' || !grant || grant.expiresAt < Date.now()) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+    if (grant.clientId !== clientId || grant.redirectUri !== req.body.redirect_uri) {
+      return res.status(400).json({ error: 'invalid_grant', error_description: 'client_id or redirect_uri does not match' });
+    }
+    if (grant.codeChallenge) {
+      const challenge = crypto.createHash('sha256').update(req.body.code_verifier || '').digest('base64url');
+      if (challenge !== grant.codeChallenge) {
+        return res.status(400).json({ error: 'invalid_grant', error_description: 'code_verifier does not match' });
+      }
+    }
+
+    const claims = {
+      sub: subjectFor(grant.email),
+      email: grant.email,
+      email_verified: grant.emailVerified,
+      name: grant.name,
+      preferred_username: grant.email.split('@')[0],
+      nonce: grant.tamper === 'nonce' ? crypto.randomBytes(16).toString('base64url') : grant.nonce,
+    };
+    const idToken = jwt.sign(claims, privateKey.export({ type: 'pkcs8', format: 'pem' }), {
+      algorithm: 'RS256',
+      keyid: KEY_ID,
+      issuer: grant.tamper === 'issuer' ? `${issuer}/other` : issuer,
+      audience: grant.tamper === 'audience' ? `${clientId}-other` : clientId,
+      expiresIn: 300,
+    });
+    const accessToken = crypto.randomBytes(24).toString('base64url');
+    accessTokens.set(accessToken, { claims, expiresAt: Date.now() + 5 * 60 * 1000 });
+    res.json({ access_token: accessToken, token_type: 'Bearer', expires_in: 300, id_token: idToken });
+  });
+
+  app.get('/userinfo', (req, res) => {
+    const token = (req.get('authorization') || '').replace(/^Bearer /, '');
+    const entry = accessTokens.get(token);
+    if (!entry || entry.expiresAt < Date.now()) {
+      return res.status(401).json({ error: 'invalid_token' });
+    }
+    const { nonce, ...claims } = entry.claims;
+    res.json(claims);
+  });
+
+  return app;
+};
+
+if (require.main === module) {
+  createMockOidcApp().listen(PORT, () => {
+    console.log(`Mock OIDC provider at ${ISSUER}`);
+  });
+}
+
+module.exports = { createMockOidcApp };
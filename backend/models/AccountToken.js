@@ -0,0 +1,69 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const PURPOSES = ['verify_email', 'reset_password', 'two_factor_login'];
+
+// Single-use token sent by email to verify an address or reset a password, or handed to the
+// client between the password and second-factor steps of a 2FA login. Only a hash is stored.
+const accountTokenSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  purpose: { type: String, required: true, enum: PURPOSES },
+  tokenHash: { type: String, required: true },
+  // The address the email went to; verification fails if the user's email has changed since
+  email: { type: String, required: true, lowercase: true, trim: true },
+  // Wrong answers so far, for tokens that are checked before they are used
+  attempts: { type: Number, default: 0 },
+  createdAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+}, {
+  timestamps: false,
+});
+
+accountTokenSchema.index({ tokenHash: 1 }, { unique: true });
+accountTokenSchema.index({ userId: 1, purpose: 1 });
+accountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Replaces any outstanding token for the same purpose, so only the latest email's link works
+accountTokenSchema.statics.issue = async function (user, purpose, ttlMs) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  await this.deleteMany({ userId: user._id, purpose });
+  await this.create({
+    userId: user._id,
+    purpose,
+    tokenHash: hashToken(token),
+    email: user.email,
+    expiresAt: new Date(Date.now() + ttlMs),
+  });
+  return token;
+};
+
+// Deletes the token as it is read, so a second request with the same link finds nothing
+accountTokenSchema.statics.consume = async function (token, purpose) {
+  if (typeof token !== 'string' || !token) return null;
+  return this.findOneAndDelete({ tokenHash: hashToken(token), purpose, expiresAt: { $gt: new Date() } }).lean();
+};
+
+// Reads a token without using it up, for steps that allow a few wrong answers first
+accountTokenSchema.statics.peek = async function (token, purpose) {
+  if (typeof token !== 'string' || !token) return null;
+  return this.findOne({ tokenHash: hashToken(token), purpose, expiresAt: { $gt: new Date() } }).lean();
+};
+
+// Counts a wrong answer and deletes the token once `maxAttempts` is reached. Resolves to the
+// attempts left.
+accountTokenSchema.statics.recordFailure = async function (id, maxAttempts) {
+  const doc = await this.findOneAndUpdate({ _id: id }, { $inc: { attempts: 1 } }, { new: true }).lean();
+  if (!doc) return 0;
+  if (doc.attempts >= maxAttempts) {
+    await this.deleteOne({ _id: id });
+    return 0;
+  }
+  return maxAttempts - doc.attempts;
+};
+
+accountTokenSchema.statics.PURPOSES = PURPOSES;
+
+const AccountToken = mongoose.model('AccountToken', accountTokenSchema);
+module.exports = AccountToken;
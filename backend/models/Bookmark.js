@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// A post a user saved, filed under one of their named collections. Collections exist only as the
+// names used here, so one disappears when its last bookmark is removed.
+const bookmarkSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  postId: { type: mongoose.Schema.Types.ObjectId, ref: 'Post', required: true },
+  collectionName: { type: String, required: true, trim: true, maxlength: 50, default: 'Saved' },
+  createdAt: { type: Date, default: Date.now },
+}, {
+  timestamps: false,
+});
+
+// One bookmark per user and post; saving again moves it to another collection
+bookmarkSchema.index({ userId: 1, postId: 1 }, { unique: true });
+// Saved lists, newest first and paged by (createdAt, _id), overall or per collection
+bookmarkSchema.index({ userId: 1, createdAt: -1, _id: -1 });
+bookmarkSchema.index({ userId: 1, collectionName: 1, createdAt: -1, _id: -1 });
+bookmarkSchema.index({ postId: 1 });
+
+bookmarkSchema.statics.DEFAULT_COLLECTION = 'Saved';
+
+const Bookmark = mongoose.model('Bookmark', bookmarkSchema);
+module.exports = Bookmark;
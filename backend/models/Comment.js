@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// Comments on feed posts. Threads are one level deep: a reply always points at a top-level
+// comment, and replying to a reply attaches to that reply's parent.
+const commentSchema = new mongoose.Schema({
+  postId: { type: mongoose.Schema.Types.ObjectId, ref: 'Post', required: true },
+  parentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Comment', default: null },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  username: { type: String, required: true, trim: true },
+  photo: { type: String },
+  comment: { type: String, required: true, trim: true, maxlength: 500 },
+  hashtags: [{ type: String }], // Parsed from the text by utils/textEntities
+  mentions: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  likes: { type: Number, default: 0, min: 0 },
+  likedBy: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  replyCount: { type: Number, default: 0, min: 0 }, // Only kept on top-level comments
+  edited: { type: Boolean, default: false },
+  editedAt: { type: Date },
+  createdAt: { type: Date, default: Date.now },
+}, {
+  timestamps: false,
+});
+
+// Top-level comments newest first, replies oldest first; both paged by (createdAt, _id)
+commentSchema.index({ postId: 1, parentId: 1, createdAt: -1, _id: -1 });
+commentSchema.index({ parentId: 1, createdAt: 1, _id: 1 });
+commentSchema.index({ hashtags: 1 });
+commentSchema.index({ mentions: 1 });
+
+/**
+ * Deletes a comment, with its replies when it is top-level, and updates the post's commentCount
+ * and the parent's replyCount.
+ * @param {Object} comment - lean comment with _id, postId and parentId
+ * @returns {Promise<{removed: number, commentCount: number|undefined}>}
+ */
+commentSchema.statics.removeWithReplies = async function (comment) {
+  const result = await this.deleteMany(comment.parentId ? { _id: comment._id } : { $or: [{ _id: comment._id }, { parentId: comment._id }] });
+  const removed = result.deletedCount || 0;
+  const [updatedPost] = await Promise.all([
+    mongoose.model('Post').findOneAndUpdate(
+      { _id: comment.postId },
+      [{ $set: { commentCount: { $max: [0, { $subtract: ['$commentCount', removed] }] } } }],
+      { new: true }
+    ).select('commentCount').lean(),
+    comment.parentId && removed
+      ? this.updateOne({ _id: comment.parentId, replyCount: { $gt: 0 } }, { $inc: { replyCount: -1 } })
+      : null,
+  ]);
+  return { removed, commentCount: updatedPost?.commentCount };
+};
+
+const Comment = mongoose.model('Comment', commentSchema);
+module.exports = Comment;
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const winston = require('winston');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(winston.format.timestamp(), winston.format.json()),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/conversation-error.log', level: 'error' }),
+    new winston.transports.File({ filename: 'logs/conversation-combined.log' }),
+  ],
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Retention choices and how long a message sent under each one is kept; null keeps it forever
+const RETENTION_OPTIONS = {
+  forever: null,
+  '1y': 365 * DAY_MS,
+  '90d': 90 * DAY_MS,
+  '7d': 7 * DAY_MS,
+  '24h': DAY_MS,
+};
+const DEFAULT_RETENTION = 'forever';
+
+// Per-conversation settings shared by both sides of a chat (or every member of a group)
+const conversationSchema = new mongoose.Schema({
+  // Group ID for groups, or both user IDs sorted and joined with ':' for one-to-one chats
+  key: { type: String, required: true, unique: true },
+  retention: {
+    type: String,
+    enum: { values: Object.keys(RETENTION_OPTIONS), message: 'Invalid retention setting' },
+    default: DEFAULT_RETENTION,
+  },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  updatedAt: { type: Date },
+}, {
+  timestamps: { createdAt: false, updatedAt: 'updatedAt' },
+});
+
+conversationSchema.statics.keyFor = function ({ userId, recipientId, groupId }) {
+  if (groupId) return groupId.toString();
+  return [userId.toString(), recipientId.toString()].sort().join(':');
+};
+
+conversationSchema.statics.getRetentions = async function (keys) {
+  try {
+    const conversations = await this.find({ key: { $in: keys } }).select('key retention').lean();
+    return keys.reduce((acc, key) => {
+      acc[key] = conversations.find((conversation) => conversation.key === key)?.retention || DEFAULT_RETENTION;
+      return acc;
+    }, {});
+  } catch (error) {
+    logger.error('Retention lookup failed', { error: error.message, stack: error.stack });
+    throw error;
+  }
+};
+
+conversationSchema.statics.getRetention = async function (key) {
+  return (await this.getRetentions([key]))[key];
+};
+
+conversationSchema.statics.expiresAtFor = function (retention, from = new Date()) {
+  const ttl = RETENTION_OPTIONS[retention];
+  return ttl ? new Date(new Date(from).getTime() + ttl) : null;
+};
+
+conversationSchema.statics.RETENTION_OPTIONS = RETENTION_OPTIONS;
+conversationSchema.statics.DEFAULT_RETENTION = DEFAULT_RETENTION;
+
+module.exports = mongoose.model('Conversation', conversationSchema);
@@ -1,9 +1,71 @@
 const mongoose = require('mongoose');
+const winston = require('winston');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(winston.format.timestamp(), winston.format.json()),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/group-error.log', level: 'error' }),
+    new winston.transports.File({ filename: 'logs/group-combined.log' }),
+  ],
+});
+
+const MAX_GROUP_MEMBERS = 256;
 
 const groupSchema = new mongoose.Schema({
-  name: { type: String, required: true },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    minlength: [1, 'Group name is required'],
+    maxlength: [50, 'Group name cannot exceed 50 characters'],
+  },
+  photo: { type: String, default: 'https://placehold.co/40x40' },
   createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  members: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    validate: {
+      validator: (members) => members.length >= 1 && members.length <= MAX_GROUP_MEMBERS,
+      message: `A group must have between 1 and ${MAX_GROUP_MEMBERS} members`,
+    },
+  },
+  admins: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
   createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date },
+}, {
+  timestamps: { updatedAt: 'updatedAt' },
 });
 
-module.exports = mongoose.model('Group', groupSchema);
\ No newline at end of file
+groupSchema.index({ members: 1 });
+
+// Keep members/admins unique and admins a subset of members
+groupSchema.pre('save', function (next) {
+  try {
+    const members = [...new Set(this.members.map((id) => id.toString()))];
+    if (!members.includes(this.createdBy.toString()) && this.isNew) {
+      members.unshift(this.createdBy.toString());
+    }
+    this.members = members;
+    this.admins = [...new Set(this.admins.map((id) => id.toString()))].filter((id) => members.includes(id));
+    if (!this.admins.length && members.length) {
+      this.admins = [members[0]];
+    }
+    next();
+  } catch (error) {
+    logger.error('Group pre-save failed', { error: error.message, groupId: this._id, stack: error.stack });
+    next(error);
+  }
+});
+
+groupSchema.methods.isMember = function (userId) {
+  return this.members.some((id) => id.toString() === userId.toString());
+};
+
+groupSchema.methods.isAdmin = function (userId) {
+  return this.admins.some((id) => id.toString() === userId.toString());
+};
+
+groupSchema.statics.MAX_GROUP_MEMBERS = MAX_GROUP_MEMBERS;
+
+module.exports = mongoose.model('Group', groupSchema);
@@ -1,6 +1,8 @@
 
 const mongoose = require('mongoose');
 const User = require('./User');
+const Group = require('./Group');
+const Conversation = require('./Conversation');
 const winston = require('winston');
 
 const logger = winston.createLogger({
@@ -13,17 +15,41 @@ const logger = winston.createLogger({
   ],
 });
 
-// TTL index for 30 days
-const MESSAGE_TTL_SECONDS = 30 * 24 * 60 * 60; // 30 days
+// Derived by the upload media pipeline so clients can show a preview before the full file loads
+const mediaSchema = new mongoose.Schema({
+  width: { type: Number, min: 0 },
+  height: { type: Number, min: 0 },
+  blurhash: { type: String, maxLength: 100 },
+  thumbnailUrl: { type: String },
+  posterUrl: { type: String },
+}, { _id: false });
+
+// One reaction per user; reacting again replaces the previous emoji
+const reactionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  emoji: { type: String, required: true, maxLength: 16 },
+  createdAt: { type: Date, default: Date.now },
+}, { _id: false });
 
 const messageSchema = new mongoose.Schema({
   senderId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  recipientId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  recipientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: function () {
+      return !this.groupId; // Group messages target the group instead of a single user
+    },
+    default: null,
+  },
+  groupId: { type: mongoose.Schema.Types.ObjectId, ref: 'Group', default: null },
   content: {
     type: String,
     required: true,
     validate: {
       validator: function (v) {
+        if (this.contentType === 'system') {
+          return v.length > 0 && v.length <= 200; // Server-generated notices, stored in clear
+        }
         if (this.contentType === 'text') {
           return v === '' || /^[A-Za-z0-9+/=]+\|[A-Za-z0-9+/=]+\|[A-Za-z0-9+/=]+$/.test(v);
         }
@@ -35,8 +61,7 @@ const messageSchema = new mongoose.Schema({
           : 'Media content must be empty or a valid URL',
     },
   },
-  contentType: { type: String, enum: ['text', 'image', 'video', 'audio', 'document'], required: true },
-  plaintextContent: { type: String, default: '' },
+  contentType: { type: String, enum: ['text', 'image', 'video', 'audio', 'document', 'system'], required: true },
   status: {
     type: String,
     enum: ['pending', 'sent', 'delivered', 'read', 'failed'],
@@ -44,12 +69,26 @@ const messageSchema = new mongoose.Schema({
   },
   caption: { type: String, default: null, maxLength: 500 },
   replyTo: { type: mongoose.Schema.Types.ObjectId, ref: 'Message', default: null },
+  reactions: { type: [reactionSchema], default: [] },
   originalFilename: { type: String, default: null, maxLength: 255 },
+  // Playback length in seconds (voice notes and videos) and a 0-100 amplitude envelope for voice notes
+  duration: { type: Number, default: null, min: 0, max: 3600 },
+  waveform: {
+    type: [{ type: Number, min: 0, max: 100 }],
+    default: undefined,
+    validate: {
+      validator: (value) => !value || value.length <= 64,
+      message: 'Waveform cannot exceed 64 samples',
+    },
+  },
+  media: { type: mediaSchema, default: undefined },
   clientMessageId: { type: String, required: true, unique: true, sparse: true },
   senderVirtualNumber: { type: String, default: null },
   senderUsername: { type: String, default: null, maxLength: 50 },
   senderPhoto: { type: String, default: null },
-  createdAt: { type: Date, default: Date.now, expires: MESSAGE_TTL_SECONDS },
+  createdAt: { type: Date, default: Date.now },
+  // Set from the conversation's retention when the message is created; null keeps it forever
+  expiresAt: { type: Date },
   updatedAt: { type: Date },
 }, {
   timestamps: { updatedAt: 'updatedAt' },
@@ -59,7 +98,9 @@ const messageSchema = new mongoose.Schema({
 messageSchema.index({ clientMessageId: 1 }, { unique: true, sparse: true });
 messageSchema.index({ senderId: 1, recipientId: 1, createdAt: -1 });
 messageSchema.index({ recipientId: 1, status: 1 });
+messageSchema.index({ groupId: 1, createdAt: -1 });
 messageSchema.index({ createdAt: 1 });
+messageSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 
 // Bounded LRU cache
 class LRUCache {
@@ -108,6 +149,9 @@ const retryOperation = async (operation, maxRetries = 3) => {
 
 // Message.js
 messageSchema.pre('save', async function (next) {
+  // Set when the message must not be saved at all: a missing sender, group or recipient, or a
+  // sender outside the group. Failed lookups are retried and then fall through to the catch below
+  let rejection = null;
   try {
     await retryOperation(async () => {
       const cacheKey = this.senderId.toString();
@@ -115,23 +159,46 @@ messageSchema.pre('save', async function (next) {
       if (!sender) {
         sender = await User.findById(this.senderId).select('virtualNumber username photo').lean();
         if (!sender) {
-          throw new Error('Sender does not exist');
+          rejection = new Error('Sender does not exist');
+          return;
         }
         senderCache.set(cacheKey, sender);
       }
 
-      const recipient = await User.findById(this.recipientId).select('_id status').lean();
-      if (!recipient) {
-        throw new Error('Recipient does not exist');
+      let recipient = null;
+      if (this.groupId) {
+        const group = await Group.findById(this.groupId).select('members').lean();
+        if (!group) {
+          rejection = new Error('Group does not exist');
+          return;
+        }
+        if (!group.members.some((id) => id.toString() === this.senderId.toString())) {
+          rejection = new Error('Sender is not a group member');
+          return;
+        }
+      } else {
+        recipient = await User.findById(this.recipientId).select('_id status').lean();
+        if (!recipient) {
+          rejection = new Error('Recipient does not exist');
+          return;
+        }
       }
 
       this.senderVirtualNumber = this.senderVirtualNumber || sender.virtualNumber || '';
       this.senderUsername = this.senderUsername || sender.username || 'Unknown';
       this.senderPhoto = this.senderPhoto || sender.photo || 'https://placehold.co/40x40';
 
+      if (this.isNew && this.expiresAt === undefined) {
+        const retention = await Conversation.getRetention(
+          Conversation.keyFor({ userId: this.senderId, recipientId: this.recipientId, groupId: this.groupId })
+        );
+        this.expiresAt = Conversation.expiresAtFor(retention, this.createdAt);
+      }
+
       if (this.isNew) {
-        this.status = recipient.status === 'online' ? 'delivered' : 'sent'; // Default to sent if offline
-      } else if (this.isModified('content') || this.isModified('plaintextContent')) {
+        // Group messages stay 'sent'; per-member delivery is not tracked
+        this.status = recipient && recipient.status === 'online' ? 'delivered' : 'sent'; // Default to sent if offline
+      } else if (this.isModified('content')) {
         this.updatedAt = new Date();
       }
 
@@ -141,19 +208,24 @@ messageSchema.pre('save', async function (next) {
           this.replyTo = null; // Clear invalid replyTo
         }
       }
-
-      if (this.plaintextContent === undefined || this.plaintextContent === null) {
-        this.plaintextContent = '';
-      }
     });
+    if (rejection) {
+      logger.error('Message pre-save rejected', { error: rejection.message, senderId: this.senderId, recipientId: this.recipientId, groupId: this.groupId });
+      return next(rejection);
+    }
     next();
   } catch (error) {
     logger.error('Message pre-save validation failed', {
       error: error.message,
       senderId: this.senderId,
       recipientId: this.recipientId,
+      groupId: this.groupId,
       stack: error.stack,
     });
+    // Saving without expiresAt would keep the message forever whatever the chat's retention says
+    if (this.isNew && this.expiresAt === undefined) {
+      return next(error);
+    }
     next(); // Proceed to save even if validation fails to prevent message loss
   }
 });
@@ -171,7 +243,7 @@ messageSchema.statics.cleanupOrphanedMessages = async function () {
       this.distinct('senderId').lean(),
       this.distinct('recipientId').lean(),
     ]);
-    const messageUsers = [...new Set([...senderIds, ...recipientIds].map(id => id.toString()))];
+    const messageUsers = [...new Set([...senderIds, ...recipientIds].filter(Boolean).map(id => id.toString()))];
 
     if (!messageUsers.length) {
      // logger.info('No messages found for cleanup');
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+const ACTIONS = ['hide_post', 'unhide_post', 'remove_comment', 'suspend_user', 'unsuspend_user', 'dismiss_report'];
+
+// Audit trail of admin actions. Entries are only ever appended; `snapshot` keeps enough of the
+// target to review the decision after the content is gone.
+const moderationLogSchema = new mongoose.Schema({
+  adminId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  action: { type: String, required: true, enum: ACTIONS },
+  targetType: { type: String, required: true, enum: ['post', 'comment', 'message', 'user', 'report'] },
+  targetId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  targetUserId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  reason: { type: String, trim: true, maxlength: 500 },
+  reportIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Report' }], // Reports this action closed
+  snapshot: { type: mongoose.Schema.Types.Mixed },
+  createdAt: { type: Date, default: Date.now },
+}, {
+  timestamps: false,
+});
+
+// Newest first and paged by (createdAt, _id), overall, per admin or per target
+moderationLogSchema.index({ createdAt: -1, _id: -1 });
+moderationLogSchema.index({ adminId: 1, createdAt: -1, _id: -1 });
+moderationLogSchema.index({ targetUserId: 1, createdAt: -1, _id: -1 });
+moderationLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+
+moderationLogSchema.statics.ACTIONS = ACTIONS;
+
+const ModerationLog = mongoose.model('ModerationLog', moderationLogSchema);
+module.exports = ModerationLog;
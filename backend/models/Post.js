@@ -11,38 +11,84 @@ const logger = winston.createLogger({
   ],
 });
 
+// Preview data for one entry of `content`, produced by the upload media pipeline
+const mediaSchema = new mongoose.Schema({
+  width: { type: Number, min: 0 },
+  height: { type: Number, min: 0 },
+  duration: { type: Number, min: 0 },
+  blurhash: { type: String, maxLength: 100 },
+  thumbnailUrl: { type: String },
+  posterUrl: { type: String },
+}, { _id: false });
+
+const STORY_TTL_MS = 24 * 60 * 60 * 1000;
+
 const postSchema = new mongoose.Schema(
   {
     userId: { type: mongoose.Schema.Types.ObjectId, required: true, ref: 'User' },
-    contentType: { type: String, required: true, enum: ['text', 'image', 'video', 'audio', 'raw', 'video+audio'] },
+    // 'repost' posts have no content of their own and show the post in repostOf
+    contentType: { type: String, required: true, enum: ['text', 'image', 'video', 'audio', 'raw', 'video+audio', 'repost'] },
     content: [{ type: String, required: true }], // Changed to array to support multiple URLs (e.g., PDF pages)
     audioContent: { type: String }, // For audio in video+audio posts
-    caption: { type: String, trim: true, maxlength: 500 },
+    media: { type: [mediaSchema], default: undefined }, // Same order as content
+    // Inputs the content images were rendered from: the text of text posts, the original PDF of raw posts
+    sourceText: { type: String, maxlength: 500 },
+    sourceUrl: { type: String },
+    renderedAt: { type: Date },
+    caption: { type: String, trim: true, maxlength: 500 }, // The quote text on reposts
+    edited: { type: Boolean, default: false },
+    editedAt: { type: Date },
+    // Parsed from the caption (or sourceText for text posts) by utils/textEntities
+    hashtags: [{ type: String }],
+    mentions: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    repostOf: { type: mongoose.Schema.Types.ObjectId, ref: 'Post' },
+    repostCount: { type: Number, default: 0, min: 0 },
     username: { type: String, required: true, trim: true },
     photo: { type: String },
     likes: { type: Number, default: 0, min: 0 },
     likedBy: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
-    comments: [{
-      userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-      comment: { type: String, required: true, trim: true, maxlength: 500 },
-      username: { type: String, required: true, trim: true },
-      photo: { type: String },
-      createdAt: { type: Date, default: Date.now },
-    }],
+    // Comments live in their own collection (models/Comment.js); this counts them and their replies
+    commentCount: { type: Number, default: 0, min: 0 },
     isStory: { type: Boolean, default: false },
+    // Hidden by a moderator: left out of every feed, search and embed but kept for the audit trail
+    hidden: { type: Boolean, default: false },
+    moderation: {
+      type: {
+        _id: false,
+        hiddenAt: { type: Date },
+        hiddenBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        reason: { type: String, trim: true, maxlength: 500 },
+      },
+      default: undefined,
+    },
+    // Who has opened a story; only returned to its author
+    viewers: {
+      type: [{
+        _id: false,
+        userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+        viewedAt: { type: Date, default: Date.now },
+      }],
+      default: undefined,
+    },
     expiresAt: { type: Date },
     createdAt: { type: Date, default: Date.now },
   },
   {
     timestamps: false,
-    indexes: [
-      { key: { isStory: 1, createdAt: -1 } },
-      { key: { userId: 1, createdAt: -1 } },
-      { key: { expiresAt: 1 }, expireAfterSeconds: 0 },
-    ],
   }
 );
 
+postSchema.index({ isStory: 1, createdAt: -1 });
+postSchema.index({ userId: 1, createdAt: -1 });
+postSchema.index({ isStory: 1, expiresAt: 1 });
+postSchema.index({ hashtags: 1, createdAt: -1 });
+postSchema.index({ mentions: 1, createdAt: -1 });
+// Backs caption search in GET /feed/search
+postSchema.index({ caption: 'text', sourceText: 'text' }, { name: 'post_text_search' });
+postSchema.index({ repostOf: 1, userId: 1 }, { partialFilterExpression: { repostOf: { $exists: true } } });
+// Stories are removed by MongoDB once expiresAt passes
+postSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
 postSchema.pre('save', async function (next) {
   try {
     // Ensure unique likedBy entries and sync likes count
@@ -57,6 +103,15 @@ postSchema.pre('save', async function (next) {
       this.likes = this.likedBy.length;
     }
 
+    if (this.contentType === 'repost') {
+      if (!this.repostOf || this.isStory) {
+        const error = new Error('Reposts must reference a post and cannot be stories');
+        logger.error('Invalid repost', { postId: this._id, repostOf: this.repostOf, isStory: this.isStory });
+        return next(error);
+      }
+      return next();
+    }
+
     // Validate content array
     if (!this.content || !Array.isArray(this.content) || this.content.length === 0) {
       const error = new Error('Content array cannot be empty');
@@ -77,13 +132,7 @@ postSchema.pre('save', async function (next) {
 
     // Ensure story expiration
     if (this.isStory && !this.expiresAt) {
-      this.expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000);
-    }
-
-    // Limit comments to 100
-    if (this.comments.length > 100) {
-      this.comments = this.comments.slice(-100);
-      logger.info('Truncated comments to 100', { postId: this._id });
+      this.expiresAt = new Date(Date.now() + STORY_TTL_MS);
     }
 
     // Validate contentType-specific requirements
@@ -121,6 +170,8 @@ postSchema.statics.cleanupOrphanedPosts = async function () {
   }
 };
 
+postSchema.statics.STORY_TTL_MS = STORY_TTL_MS;
+
 const Post = mongoose.model('Post', postSchema);
 Post.cleanupOrphanedPosts().catch((err) => {
   logger.error('Initial orphaned posts cleanup failed', { error: err.message });
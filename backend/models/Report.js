@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+const TARGET_TYPES = ['post', 'comment', 'message', 'user'];
+const REASONS = ['spam', 'harassment', 'hate', 'violence', 'nudity', 'self_harm', 'misinformation', 'impersonation', 'other'];
+
+// A user's report about a post, comment, message or profile. Reports stay open until an admin
+// acts on the target or dismisses them; acting on a target closes every open report about it.
+const reportSchema = new mongoose.Schema({
+  reporterId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  targetType: { type: String, required: true, enum: TARGET_TYPES },
+  targetId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  // Author of the reported content (the profile itself for user reports), for suspensions
+  targetUserId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  reason: { type: String, required: true, enum: REASONS },
+  // Free text from the reporter. Message content is end-to-end encrypted, so for message reports
+  // this is the only copy of what was said that a moderator can read
+  details: { type: String, trim: true, maxlength: 1000 },
+  status: { type: String, enum: ['open', 'actioned', 'dismissed'], default: 'open' },
+  resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  resolvedAt: { type: Date },
+  resolution: { type: String, trim: true, maxlength: 500 },
+  createdAt: { type: Date, default: Date.now },
+}, {
+  timestamps: false,
+});
+
+// One report per reporter and target; reporting again updates the reason while it is open
+reportSchema.index({ reporterId: 1, targetType: 1, targetId: 1 }, { unique: true });
+// Moderation queue by status, newest first and paged by (createdAt, _id)
+reportSchema.index({ status: 1, createdAt: -1, _id: -1 });
+reportSchema.index({ status: 1, targetType: 1, createdAt: -1, _id: -1 });
+reportSchema.index({ targetType: 1, targetId: 1, status: 1 });
+
+reportSchema.statics.TARGET_TYPES = TARGET_TYPES;
+reportSchema.statics.REASONS = REASONS;
+
+const Report = mongoose.model('Report', reportSchema);
+module.exports = Report;
@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const TokenBlacklist = require('./TokenBlacklist');
+
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+// Two tabs share the refresh cookie and may both refresh with it at once. The one that loses the
+// race within this window gets a new access token instead of tripping reuse detection.
+const REFRESH_REUSE_GRACE_MS = 30 * 1000;
+const MAX_PREVIOUS_HASHES = 20;
+const REVOKE_REASONS = ['logout', 'reuse', 'device_removed', 'revoked', 'password_changed', 'password_reset'];
+
+// One login on one browser. The refresh token is `<sessionId>.<secret>`; only a hash of the
+// current secret is stored, plus hashes of recently rotated ones so a replayed token is spotted
+// and the whole session revoked.
+const sessionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  // Set once the browser registers its device keys via POST /auth/devices
+  deviceId: { type: String, default: null },
+  deviceName: { type: String, trim: true, maxlength: 50 },
+  userAgent: { type: String, maxlength: 512 },
+  ip: { type: String, maxlength: 64 },
+  tokenHash: { type: String, required: true },
+  previousTokenHashes: { type: [String], default: [] },
+  rotatedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now },
+  lastUsedAt: { type: Date, default: Date.now },
+  // Slides forward on every refresh, so a session ends after 30 days without use
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date, default: null },
+  revokedReason: { type: String, enum: REVOKE_REASONS, default: null },
+}, {
+  timestamps: false,
+});
+
+sessionSchema.index({ userId: 1, revokedAt: 1, lastUsedAt: -1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const newSecret = () => crypto.randomBytes(32).toString('base64url');
+
+const parseRefreshToken = (refreshToken) => {
+  if (typeof refreshToken !== 'string') return null;
+  const [sessionId, secret, ...rest] = refreshToken.split('.');
+  if (rest.length || !secret || !mongoose.isValidObjectId(sessionId)) return null;
+  return { sessionId, secret };
+};
+
+sessionSchema.statics.start = async function ({ userId, deviceId = null, deviceName, userAgent, ip }) {
+  const secret = newSecret();
+  const session = await this.create({
+    userId,
+    deviceId,
+    deviceName,
+    userAgent: userAgent ? userAgent.slice(0, 512) : undefined,
+    ip,
+    tokenHash: hashToken(secret),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+  });
+  return { session, refreshToken: `${session._id}.${secret}` };
+};
+
+/**
+ * Exchanges a refresh token for a new one. Resolves to { status, session, refreshToken }:
+ * - 'rotated': the token was current; `refreshToken` replaces it
+ * - 'grace': the token was rotated moments ago by a concurrent request; no new refresh token
+ * - 'reused': an older token was replayed; the session has been revoked
+ * - 'invalid': unknown, expired or revoked
+ */
+sessionSchema.statics.rotate = async function (refreshToken, { ip, userAgent } = {}) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return { status: 'invalid' };
+  const presentedHash = hashToken(parsed.secret);
+  const now = new Date();
+  const secret = newSecret();
+
+  const session = await this.findOneAndUpdate(
+    { _id: parsed.sessionId, tokenHash: presentedHash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: {
+        tokenHash: hashToken(secret),
+        rotatedAt: now,
+        lastUsedAt: now,
+        expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS),
+        ...(ip ? { ip } : {}),
+        ...(userAgent ? { userAgent: userAgent.slice(0, 512) } : {}),
+      },
+      $push: { previousTokenHashes: { $each: [presentedHash], $slice: -MAX_PREVIOUS_HASHES } },
+    },
+    { new: true }
+  ).lean();
+  if (session) {
+    return { status: 'rotated', session, refreshToken: `${session._id}.${secret}` };
+  }
+
+  const existing = await this.findById(parsed.sessionId).lean();
+  if (!existing || existing.revokedAt || existing.expiresAt <= now) {
+    return { status: 'invalid' };
+  }
+  const previous = existing.previousTokenHashes || [];
+  if (!previous.includes(presentedHash)) {
+    return { status: 'invalid' };
+  }
+  if (
+    previous[previous.length - 1] === presentedHash &&
+    existing.rotatedAt &&
+    now - existing.rotatedAt < REFRESH_REUSE_GRACE_MS
+  ) {
+    return { status: 'grace', session: existing };
+  }
+  await this.revoke({ _id: existing._id }, 'reuse');
+  return { status: 'reused', session: existing };
+};
+
+// Revokes every active session matching `filter` and blocks the access tokens already issued for
+// them. Resolves to the revoked session IDs.
+sessionSchema.statics.revoke = async function (filter, reason = 'revoked') {
+  const sessions = await this.find({ ...filter, revokedAt: null }).select('_id userId').lean();
+  if (!sessions.length) return [];
+  const ids = sessions.map((session) => session._id);
+  await this.updateMany({ _id: { $in: ids }, revokedAt: null }, { $set: { revokedAt: new Date(), revokedReason: reason } });
+  await TokenBlacklist.revokeSessions(sessions, reason, ACCESS_TOKEN_TTL_SECONDS);
+  return ids.map((id) => id.toString());
+};
+
+sessionSchema.statics.parseRefreshToken = parseRefreshToken;
+sessionSchema.statics.hashToken = hashToken;
+sessionSchema.statics.ACCESS_TOKEN_TTL_SECONDS = ACCESS_TOKEN_TTL_SECONDS;
+sessionSchema.statics.REFRESH_TOKEN_TTL_MS = REFRESH_TOKEN_TTL_MS;
+
+const Session = mongoose.model('Session', sessionSchema);
+module.exports = Session;
@@ -12,7 +12,7 @@ const logger = winston.createLogger({
     winston.format.timestamp(),
     winston.format.json(),
     winston.format((info) => {
-      const errorKey = `${info.error}:${info.token || 'unknown'}`;
+      const errorKey = `${info.error}:${info.sessionId || 'unknown'}`;
       info.errorCount = errorCounts.get(errorKey) || 0;
       if (info.level === 'error' && info.errorCount >= 2) return false;
       errorCounts.set(errorKey, info.errorCount + 1);
@@ -30,18 +30,29 @@ const logger = winston.createLogger({
 
 
 
+// Sessions whose access tokens must stop working before they expire. Refresh tokens are checked
+// against the Session itself; entries here only need to outlive the access tokens already issued.
 const tokenBlacklistSchema = new mongoose.Schema(
   {
-    token: {
-      type: String,
+    sessionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Session',
       required: true,
-      unique: true,
-      index: true, // Explicit index for faster lookups
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    reason: {
+      type: String,
     },
     createdAt: {
       type: Date,
       default: Date.now,
-      expires: 24 * 60 * 60, // 24 hours (matches JWT expiration)
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
     },
   },
   {
@@ -49,8 +60,8 @@ const tokenBlacklistSchema = new mongoose.Schema(
   }
 );
 
-// Explicit index for token lookups
-tokenBlacklistSchema.index({ token: 1 }, { unique: true, name: 'token_unique_idx' });
+// Explicit index for session lookups
+tokenBlacklistSchema.index({ sessionId: 1 }, { unique: true, name: 'session_unique_idx' });
 
 // Retry logic for MongoDB operations
 const retryOperation = async (operation, maxRetries = 3, baseDelay = 2000) => {
@@ -69,47 +80,44 @@ const retryOperation = async (operation, maxRetries = 3, baseDelay = 2000) => {
   }
 };
 
-// Pre-save hook with retry and optimized token truncation
-tokenBlacklistSchema.pre('save', async function (next) {
-  try {
-    const existing = await retryOperation(() =>
-      this.constructor.findOne({ token: this.token }).lean()
-    );
-    if (existing) {
-      logger.warn('Attempted to blacklist already blacklisted token', {
-        token: this.token.slice(0, 20) + '...',
-      });
-      return next(new Error('Token already blacklisted'));
-    }
-    next();
-  } catch (error) {
-    logger.error('Token blacklist pre-save failed', {
-      error: error.message,
-      stack: error.stack,
-      token: this.token.slice(0, 20) + '...',
-    });
-    next(error);
-  }
-});
+// Upserts one entry per session, so revoking an already revoked session is harmless
+tokenBlacklistSchema.statics.revokeSessions = async function (sessions, reason, ttlSeconds) {
+  const expiresAt = new Date(Date.now() + ttlSeconds * 1000);
+  await retryOperation(() =>
+    this.bulkWrite(
+      sessions.map((session) => ({
+        updateOne: {
+          filter: { sessionId: session._id },
+          update: { $set: { userId: session.userId, reason, expiresAt }, $setOnInsert: { createdAt: new Date() } },
+          upsert: true,
+        },
+      }))
+    )
+  );
+  sessions.forEach((session) => {
+    tokenCache.set(`blacklist:${session._id}`, { isBlacklisted: true, timestamp: Date.now() });
+  });
+  logger.info('Sessions blacklisted', { count: sessions.length, reason });
+};
 
 // Optimized isBlacklisted with retry and caching
 const TOKEN_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
 const tokenCache = new Map();
 
-tokenBlacklistSchema.statics.isBlacklisted = async function (token) {
+tokenBlacklistSchema.statics.isBlacklisted = async function (sessionId) {
   try {
-    const cacheKey = `blacklist:${token}`;
+    const cacheKey = `blacklist:${sessionId}`;
     const cached = tokenCache.get(cacheKey);
     if (cached && cached.timestamp > Date.now() - TOKEN_CACHE_TTL) {
-      /*logger.info('Served blacklisted token check from cache', {
-        token: token.slice(0, 20) + '...',
+      /*logger.info('Served blacklisted session check from cache', {
+        sessionId,
         isBlacklisted: cached.isBlacklisted,
       });*/
       return cached.isBlacklisted;
     }
 
     const blacklisted = await retryOperation(() =>
-      this.findOne({ token }).lean()
+      this.findOne({ sessionId }).lean()
     );
     const isBlacklisted = !!blacklisted;
 
@@ -119,8 +127,8 @@ tokenBlacklistSchema.statics.isBlacklisted = async function (token) {
       tokenCache.delete(oldestKey);
     }
 
-    /*logger.info('Checked token blacklist status', {
-      token: token.slice(0, 20) + '...',
+    /*logger.info('Checked session blacklist status', {
+      sessionId,
       isBlacklisted,
     });*/
     return isBlacklisted;
@@ -128,7 +136,7 @@ tokenBlacklistSchema.statics.isBlacklisted = async function (token) {
     logger.error('Token blacklist check failed', {
       error: error.message,
       stack: error.stack,
-      token: token.slice(0, 20) + '...',
+      sessionId,
     });
     return false; // Fail-safe: assume not blacklisted on error
   }
@@ -138,7 +146,7 @@ tokenBlacklistSchema.statics.isBlacklisted = async function (token) {
 tokenBlacklistSchema.statics.cleanupExpiredTokens = async function () {
   try {
     const result = await retryOperation(() =>
-      this.deleteMany({ createdAt: { $lt: new Date(Date.now() - 24 * 60 * 60 * 1000) } })
+      this.deleteMany({ expiresAt: { $lt: new Date() } })
     );
     //logger.info('Expired tokens cleanup completed', { deletedCount: result.deletedCount });
     tokenCache.clear(); // Clear cache after cleanup
@@ -154,16 +162,29 @@ tokenBlacklistSchema.statics.cleanupExpiredTokens = async function () {
 
 // TTL index for automatic cleanup
 tokenBlacklistSchema.index(
-  { createdAt: 1 },
-  { expireAfterSeconds: 24 * 60 * 60, name: 'createdAt_ttl_idx' }
+  { expiresAt: 1 },
+  { expireAfterSeconds: 0, name: 'expiresAt_ttl_idx' }
 );
 
+// Entries used to hold raw 24h tokens under a unique `token` index. Those tokens no longer pass
+// authMiddleware (they carry no session ID), so drop them along with the old indexes.
+tokenBlacklistSchema.statics.dropLegacyEntries = async function () {
+  const result = await retryOperation(() => this.deleteMany({ sessionId: { $exists: false } }));
+  await retryOperation(() => this.syncIndexes());
+  if (result.deletedCount) {
+    logger.info('Removed legacy token blacklist entries', { deletedCount: result.deletedCount });
+  }
+  return result;
+};
+
 const TokenBlacklist = mongoose.model('TokenBlacklist', tokenBlacklistSchema);
 
 // Initial cleanup on startup
-TokenBlacklist.cleanupExpiredTokens().catch((err) => {
-  logger.error('Initial token blacklist cleanup failed', { error: err.message });
-});
+TokenBlacklist.dropLegacyEntries()
+  .then(() => TokenBlacklist.cleanupExpiredTokens())
+  .catch((err) => {
+    logger.error('Initial token blacklist cleanup failed', { error: err.message });
+  });
 
 // Periodic cleanup every 12 hours (reduced frequency)
 setInterval(() => {
@@ -26,6 +26,32 @@ const retryOperation = async (operation, maxRetries = 3) => {
   }
 };
 
+const MAX_DEVICES = 5;
+const MAX_FOLLOWING = 5000;
+const MAX_BLOCKED = 1000;
+
+// An account at an external identity provider (see utils/oidc.js) that can sign in as this user
+const oidcIdentitySchema = new mongoose.Schema({
+  provider: { type: String, required: true },
+  // The provider's stable user ID (`sub`); emails can change, this can't
+  subject: { type: String, required: true },
+  email: { type: String, lowercase: true, trim: true },
+  linkedAt: { type: Date, default: Date.now },
+}, { _id: false });
+
+// Each browser holds its own key pair; messages are encrypted once per registered device
+const deviceSchema = new mongoose.Schema({
+  deviceId: {
+    type: String,
+    required: true,
+    match: [/^[A-Za-z0-9_-]{8,64}$/, 'Invalid device ID'],
+  },
+  name: { type: String, trim: true, maxlength: 50, default: 'Unknown device' },
+  publicKey: { type: String, required: true },
+  createdAt: { type: Date, default: Date.now },
+  lastSeen: { type: Date, default: Date.now },
+}, { _id: false });
+
 const userSchema = new mongoose.Schema({
   email: {
     type: String,
@@ -40,6 +66,28 @@ const userSchema = new mongoose.Schema({
     required: true,
     minlength: [8, 'Password must be at least 8 characters'],
   },
+  // Set when the user follows the link from a verification or password-reset email
+  emailVerifiedAt: {
+    type: Date,
+    default: null,
+  },
+  passwordChangedAt: {
+    type: Date,
+    default: null,
+  },
+  // TOTP second factor. The secrets never leave the server once enrolment is confirmed, so they
+  // are left out of queries unless asked for with `+twoFactor.secret` etc.
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    enabledAt: { type: Date, default: null },
+    secret: { type: String, default: null, select: false },
+    // Set by /auth/2fa/setup and promoted to `secret` once the user proves their app has it
+    pendingSecret: { type: String, default: null, select: false },
+    // SHA-256 hashes of the unused recovery codes
+    recoveryCodes: { type: [String], default: [], select: false },
+    // Time step of the last accepted code, so a code can't be used twice
+    lastUsedStep: { type: Number, default: null, select: false },
+  },
   username: {
     type: String,
     required: true,
@@ -89,19 +137,81 @@ const userSchema = new mongoose.Schema({
       message: 'Contacts list cannot exceed 1000 entries.',
     },
   },
+  // Accounts whose posts appear in this user's Following feed; followers are found via the index below
+  following: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    default: [],
+    validate: {
+      validator: function (value) {
+        return value.length <= MAX_FOLLOWING;
+      },
+      message: `Cannot follow more than ${MAX_FOLLOWING} accounts.`,
+    },
+  },
+  // Blocking works both ways: neither side can message, type to or follow the other, and the
+  // blocker's posts leave the blocked user's feeds. Who blocked a user is found via the index below
+  blockedUsers: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    default: [],
+    validate: {
+      validator: function (value) {
+        return value.length <= MAX_BLOCKED;
+      },
+      message: `Cannot block more than ${MAX_BLOCKED} accounts.`,
+    },
+  },
+  // Muted accounts can still reach this user; their messages, mentions and follows just do not notify
+  mutedUsers: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    default: [],
+    validate: {
+      validator: function (value) {
+        return value.length <= MAX_BLOCKED;
+      },
+      message: `Cannot mute more than ${MAX_BLOCKED} accounts.`,
+    },
+  },
   role: {
     type: Number,
     enum: { values: [0, 1], message: 'Role must be 0 (Job Seeker) or 1 (Employer)' },
     default: 0,
   },
+  // Moderators: can work the report queue and hide posts, remove comments and suspend accounts.
+  // Independent of `role`, and only granted with makeAdmin.js
+  isAdmin: {
+    type: Boolean,
+    default: false,
+  },
+  // Set while the account is suspended; no suspendedUntil means until an admin lifts it
+  suspension: {
+    type: {
+      _id: false,
+      reason: { type: String, trim: true, maxlength: 500 },
+      suspendedAt: { type: Date, required: true },
+      suspendedUntil: { type: Date },
+      suspendedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    },
+    default: undefined,
+  },
+  // PEM public key generated in the browser; private keys never leave the client.
+  // Mirrors the most recently registered device key for accounts created before devices existed
   publicKey: {
     type: String,
     required: true,
   },
-  privateKey: {
-    type: String,
-    required: true,
-    select: false,
+  devices: {
+    type: [deviceSchema],
+    default: [],
+    validate: {
+      validator: function (value) {
+        return value.length <= MAX_DEVICES;
+      },
+      message: `Cannot register more than ${MAX_DEVICES} devices.`,
+    },
+  },
+  oidcIdentities: {
+    type: [oidcIdentitySchema],
+    default: [],
   },
   status: {
     type: String,
@@ -120,6 +230,13 @@ userSchema.index({ email: 1 }, { unique: true });
 userSchema.index({ username: 1 }, { unique: true });
 userSchema.index({ virtualNumber: 1 }, { unique: true, sparse: true });
 userSchema.index({ contacts: 1 });
+userSchema.index({ following: 1 });
+userSchema.index({ blockedUsers: 1 });
+// Partial so the many users without a linked provider don't all collide on a null key
+userSchema.index(
+  { 'oidcIdentities.provider': 1, 'oidcIdentities.subject': 1 },
+  { unique: true, partialFilterExpression: { 'oidcIdentities.subject': { $exists: true } } }
+);
 userSchema.index({ status: 1, lastSeen: 1 }); // Changed: Support status cleanup
 
 // Pre-save hook
@@ -154,6 +271,12 @@ userSchema.pre('save', async function (next) {
   }
 });
 
+// Whether a (lean) user is currently suspended; expired suspensions no longer count
+userSchema.statics.isSuspended = function (user, now = new Date()) {
+  const suspension = user?.suspension;
+  return Boolean(suspension?.suspendedAt && (!suspension.suspendedUntil || suspension.suspendedUntil > now));
+};
+
 // Static method to clean up invalid contacts
 userSchema.statics.cleanupInvalidContacts = async function () {
   try {
@@ -233,5 +356,32 @@ userSchema.statics.resetStaleStatuses = async function (thresholdMinutes = 30) {
   }
 };
 
+// Device keys for encryption; legacy accounts without devices expose their account key under the user ID
+userSchema.statics.getDeviceKeys = function (user) {
+  if (user.devices && user.devices.length) {
+    return user.devices.map((device) => ({ deviceId: device.deviceId, publicKey: device.publicKey }));
+  }
+  return user.publicKey ? [{ deviceId: user._id.toString(), publicKey: user.publicKey }] : [];
+};
+
+// Whether either user has blocked the other
+userSchema.statics.isBlockedBetween = async function (userId, otherId) {
+  const ids = [userId, otherId].map((id) => new mongoose.Types.ObjectId(id.toString()));
+  return Boolean(await this.exists({ _id: { $in: ids }, blockedUsers: { $in: ids } }));
+};
+
+// IDs of everyone the user blocked or was blocked by, as strings; their content is kept from each other
+userSchema.statics.blockedIdsFor = async function (userId) {
+  const [user, blockers] = await Promise.all([
+    this.findById(userId).select('blockedUsers').lean(),
+    this.find({ blockedUsers: userId }).select('_id').lean(),
+  ]);
+  return [...new Set([...(user?.blockedUsers || []), ...blockers.map((blocker) => blocker._id)].map((id) => id.toString()))];
+};
+
+userSchema.statics.MAX_DEVICES = MAX_DEVICES;
+userSchema.statics.MAX_FOLLOWING = MAX_FOLLOWING;
+userSchema.statics.MAX_BLOCKED = MAX_BLOCKED;
+
 const User = mongoose.model('User', userSchema);
 module.exports = User;
\ No newline at end of file
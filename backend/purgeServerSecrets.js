@@ -0,0 +1,20 @@
+// One-off migration: drop server-held private keys and stored plaintext left over from before client-side E2EE
+require('dotenv').config();
+const mongoose = require('mongoose');
+mongoose.connect(process.env.MONGO_URI)
+  .then(async () => {
+    const users = await mongoose.connection.collection('users').updateMany(
+      { privateKey: { $exists: true } },
+      { $unset: { privateKey: '' } }
+    );
+    const messages = await mongoose.connection.collection('messages').updateMany(
+      { plaintextContent: { $exists: true } },
+      { $unset: { plaintextContent: '' } }
+    );
+    console.log(`Private keys removed: ${users.modifiedCount}, plaintext removed: ${messages.modifiedCount}`);
+    process.exit(0);
+  })
+  .catch((err) => {
+    console.error(err);
+    process.exit(1);
+  });
@@ -1,9 +1,9 @@
+const crypto = require('crypto');
 const express = require('express');
 const jwt = require('jsonwebtoken');
 const forge = require('node-forge');
 const bcrypt = require('bcryptjs');
 const multer = require('multer');
-const cloudinary = require('cloudinary').v2;
 const { getCountryCallingCode, parsePhoneNumberFromString } = require('libphonenumber-js');
 const Joi = require('joi');
 const winston = require('winston');
@@ -12,6 +12,12 @@ const mongoose = require('mongoose');
 const NodeCache = require('node-cache');
 const User = require('../models/User');
 const TokenBlacklist = require('../models/TokenBlacklist');
+const Session = require('../models/Session');
+const AccountToken = require('../models/AccountToken');
+const storage = require('../utils/storage');
+const { sendMail } = require('../utils/mailer');
+const totp = require('../utils/totp');
+const oidc = require('../utils/oidc');
 
 const router = express.Router();
 
@@ -19,35 +25,34 @@ const router = express.Router();
 if (!process.env.JWT_SECRET) {
   throw new Error('JWT_SECRET is not defined');
 }
-if (!process.env.CLOUDINARY_URL && (!process.env.CLOUDINARY_CLOUD_NAME || !process.env.CLOUDINARY_API_KEY || !process.env.CLOUDINARY_API_SECRET)) {
-  throw new Error('Cloudinary environment variables or CLOUDINARY_URL must be set');
-}
-
-// Parse CLOUDINARY_URL or use individual variables
-let cloudinaryConfig = {};
-try {
-  if (process.env.CLOUDINARY_URL) {
-    const url = new URL(process.env.CLOUDINARY_URL);
-    cloudinaryConfig = {
-      cloud_name: url.hostname,
-      api_key: url.username,
-      api_secret: url.password,
-    };
-  } else {
-    cloudinaryConfig = {
-      cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-      api_key: process.env.CLOUDINARY_API_KEY,
-      api_secret: process.env.CLOUDINARY_API_SECRET,
-    };
-  }
-  cloudinary.config(cloudinaryConfig);
-} catch (err) {
-  throw new Error(`Invalid Cloudinary configuration: ${err.message}`);
-}
 
 // Initialize cache for public keys (TTL: 24 hours)
 const publicKeyCache = new NodeCache({ stdTTL: 24 * 60 * 60, checkperiod: 3600 });
 
+// Pending device-link requests keyed by pairing code (TTL: 10 minutes)
+const linkRequestCache = new NodeCache({ stdTTL: 10 * 60, checkperiod: 60 });
+
+// Addresses emailed a verification or reset link in the last minute, to stop the endpoints
+// being used to flood an inbox (TTL: 1 minute)
+const mailCooldownCache = new NodeCache({ stdTTL: 60, checkperiod: 30 });
+
+// Sign-ins with an external provider in flight, keyed by the `state` sent to it (TTL: 10 minutes)
+const oidcStateCache = new NodeCache({ stdTTL: 10 * 60, checkperiod: 60 });
+
+// First provider sign-ins waiting for the user to choose a username and country (TTL: 15 minutes)
+const oidcSignupCache = new NodeCache({ stdTTL: 15 * 60, checkperiod: 60 });
+
+const APP_URL = (process.env.APP_URL || 'https://gapp-6yc3.onrender.com').replace(/\/+$/, '');
+// Where providers send the browser back to; only differs from APP_URL when the API has its own origin
+const API_URL = (process.env.API_URL || APP_URL).replace(/\/+$/, '');
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000;
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000;
+// Time between the password and second-factor steps of a 2FA login, and wrong codes allowed in it
+const TWO_FACTOR_CHALLENGE_TTL_MS = 5 * 60 * 1000;
+const TWO_FACTOR_MAX_ATTEMPTS = 5;
+const RECOVERY_CODE_COUNT = 10;
+const TOTP_ISSUER = 'GaPP';
+
 const logger = winston.createLogger({
   level: 'info',
   format: winston.format.combine(winston.format.timestamp(), winston.format.json()),
@@ -115,6 +120,82 @@ const logError = async (message, metadata = {}) => {
   logger.error(message, { ...metadata, timestamp: new Date().toISOString() });
 };
 
+// Response body for requests from a suspended account
+const suspensionError = (suspension) => ({
+  error: 'Account suspended',
+  details: suspension.reason || undefined,
+  suspendedUntil: suspension.suspendedUntil ? new Date(suspension.suspendedUntil).toISOString() : null,
+});
+
+// The refresh token lives in an httpOnly cookie scoped to /auth, so page scripts never see it and
+// it is only sent to the refresh, logout and session routes
+const REFRESH_COOKIE = 'gapp_refresh';
+
+const refreshCookieOptions = () => ({
+  httpOnly: true,
+  secure: true,
+  sameSite: process.env.NODE_ENV === 'production' ? 'strict' : 'none',
+  path: '/auth',
+});
+
+const setRefreshCookie = (res, refreshToken) => {
+  res.cookie(REFRESH_COOKIE, refreshToken, { ...refreshCookieOptions(), maxAge: Session.REFRESH_TOKEN_TTL_MS });
+};
+
+const clearRefreshCookie = (res) => {
+  res.clearCookie(REFRESH_COOKIE, refreshCookieOptions());
+};
+
+const readCookie = (req, cookieName) => {
+  const header = req.headers.cookie;
+  if (!header) return null;
+  for (const part of header.split(';')) {
+    const [name, ...value] = part.trim().split('=');
+    if (name === cookieName) return decodeURIComponent(value.join('='));
+  }
+  return null;
+};
+
+const readRefreshCookie = (req) => readCookie(req, REFRESH_COOKIE);
+
+// Ties a provider sign-in to the browser that started it, so a callback link can't be used to log
+// someone else's browser in. Lax, because the provider sends the browser back with a cross-site
+// top-level navigation.
+const OIDC_STATE_COOKIE = 'gapp_oidc_state';
+
+const oidcStateCookieOptions = () => ({
+  httpOnly: true,
+  secure: true,
+  sameSite: 'lax',
+  path: '/auth/oidc',
+});
+
+// Short-lived access token; `sid` ties it to the Session that can revoke it
+const signAccessToken = (user, sessionId, deviceId) =>
+  jwt.sign(
+    {
+      id: user._id.toString(),
+      email: user.email,
+      virtualNumber: user.virtualNumber,
+      role: user.role,
+      sid: sessionId.toString(),
+      ...(deviceId ? { deviceId } : {}),
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: Session.ACCESS_TOKEN_TTL_SECONDS, algorithm: 'HS256' }
+  );
+
+// Sockets join `session:<id>` on connect, so ending a session also drops its live connections.
+// `sessionRevoked` goes out first so the client signs out instead of retrying the connection.
+const disconnectSessions = async (req, sessionIds, reason = 'revoked') => {
+  const io = req.app.get('io');
+  if (!io || !sessionIds.length) return;
+  const rooms = sessionIds.map((id) => `session:${id}`);
+  io.to(rooms).emit('sessionRevoked', { reason });
+  const sockets = await io.in(rooms).fetchSockets();
+  sockets.forEach((socket) => socket.disconnect(true));
+};
+
 const authMiddleware = async (req, res, next) => {
   const authHeader = req.headers.authorization;
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
@@ -124,27 +205,40 @@ const authMiddleware = async (req, res, next) => {
 
   const token = authHeader.split(' ')[1];
   try {
-    const blacklisted = await retryOperation(async () => {
-      return await TokenBlacklist.findOne({ token }).lean();
-    });
-    if (blacklisted) {
-      await logError('Blacklisted token used', { token: token.substring(0, 10) + '...', url: req.url, ip: req.ip });
-      return res.status(401).json({ error: 'Token is blacklisted' });
-    }
-
     const decoded = jwt.verify(token, process.env.JWT_SECRET, { algorithms: ['HS256'] });
     if (!decoded.id || !mongoose.isValidObjectId(decoded.id)) {
       await logError('Invalid or missing user ID in token', { userId: decoded.id, url: req.url, ip: req.ip });
       return res.status(401).json({ error: 'Invalid token: Invalid user ID' });
     }
+    // Tokens issued before sessions existed carry no `sid` and cannot be revoked
+    if (!decoded.sid || !mongoose.isValidObjectId(decoded.sid)) {
+      await logError('Invalid token without session', { userId: decoded.id, url: req.url, ip: req.ip });
+      return res.status(401).json({ error: 'Invalid token: Session required' });
+    }
+
+    const blacklisted = await retryOperation(async () => {
+      return await TokenBlacklist.findOne({ sessionId: decoded.sid }).lean();
+    });
+    if (blacklisted) {
+      await logError('Invalid token for revoked session', { userId: decoded.id, sessionId: decoded.sid, url: req.url, ip: req.ip });
+      return res.status(401).json({ error: 'Token is blacklisted' });
+    }
 
     const user = await retryOperation(async () => {
-      return await User.findById(decoded.id).select('_id email virtualNumber role').lean();
+      return await User.findById(decoded.id).select('_id email virtualNumber role isAdmin suspension devices.deviceId').lean();
     });
     if (!user) {
       await logError('User not found for token', { userId: decoded.id, url: req.url, ip: req.ip });
       return res.status(401).json({ error: 'Invalid token: User not found' });
     }
+    if (User.isSuspended(user)) {
+      await logError('Unauthorized request from suspended account', { userId: decoded.id, url: req.url, ip: req.ip });
+      return res.status(403).json(suspensionError(user.suspension));
+    }
+    if (decoded.deviceId && !(user.devices || []).some((device) => device.deviceId === decoded.deviceId)) {
+      await logError('Unauthorized token for removed device', { userId: decoded.id, deviceId: decoded.deviceId, url: req.url, ip: req.ip });
+      return res.status(401).json({ error: 'Invalid token: Device has been removed' });
+    }
 
     req.user = {
       _id: user._id.toString(),
@@ -152,6 +246,9 @@ const authMiddleware = async (req, res, next) => {
       email: user.email,
       virtualNumber: user.virtualNumber,
       role: user.role,
+      isAdmin: Boolean(user.isAdmin),
+      deviceId: decoded.deviceId || null,
+      sessionId: decoded.sid,
     };
     req.token = token;
     logger.info('Authentication successful', { userId: user._id, url: req.url, ip: req.ip });
@@ -168,12 +265,24 @@ const authMiddleware = async (req, res, next) => {
   }
 };
 
+// Runs after authMiddleware on moderation routes
+const adminMiddleware = async (req, res, next) => {
+  if (!req.user?.isAdmin) {
+    await logError('Unauthorized moderation request', { userId: req.user?.id, url: req.url, ip: req.ip });
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  next();
+};
+
 const registerSchema = Joi.object({
   email: Joi.string().email().required(),
   password: Joi.string().min(8).required(),
   username: Joi.string().min(3).max(20).required(),
   country: Joi.string().length(2).uppercase().required(),
   role: Joi.number().integer().min(0).max(1).optional().default(0),
+  publicKey: Joi.string().max(4096).required(),
+  deviceId: Joi.string().pattern(/^[A-Za-z0-9_-]{8,64}$/).required(),
+  deviceName: Joi.string().max(50).optional(),
 });
 
 const loginSchema = Joi.object({
@@ -181,6 +290,229 @@ const loginSchema = Joi.object({
   password: Joi.string().min(8).required(),
 });
 
+const deviceSchema = Joi.object({
+  deviceId: Joi.string().pattern(/^[A-Za-z0-9_-]{8,64}$/).required(),
+  name: Joi.string().max(50).optional(),
+  publicKey: Joi.string().max(4096).required(),
+});
+
+const linkApproveSchema = Joi.object({
+  payload: Joi.string().max(64 * 1024).required(),
+});
+
+const emailTokenSchema = Joi.object({
+  token: Joi.string().max(128).required(),
+});
+
+const passwordResetRequestSchema = Joi.object({
+  email: Joi.string().email().required(),
+});
+
+const passwordResetConfirmSchema = Joi.object({
+  token: Joi.string().max(128).required(),
+  password: Joi.string().min(8).required(),
+});
+
+const changePasswordSchema = Joi.object({
+  currentPassword: Joi.string().required(),
+  newPassword: Joi.string().min(8).required(),
+});
+
+const twoFactorLoginSchema = Joi.object({
+  challengeToken: Joi.string().max(128).required(),
+  code: Joi.string().max(32).required(),
+});
+
+const twoFactorCodeSchema = Joi.object({
+  code: Joi.string().max(32).required(),
+});
+
+const oidcSignupSchema = Joi.object({
+  signupToken: Joi.string().max(128).required(),
+  username: Joi.string().min(3).max(20).required(),
+  country: Joi.string().length(2).uppercase().required(),
+  publicKey: Joi.string().max(4096).required(),
+  deviceId: Joi.string().pattern(/^[A-Za-z0-9_-]{8,64}$/).required(),
+  deviceName: Joi.string().max(50).optional(),
+});
+
+// `code` is a current authenticator code or an unused recovery code
+const twoFactorReauthSchema = Joi.object({
+  password: Joi.string().required(),
+  code: Joi.string().max(32).required(),
+});
+
+// Security notices that are always sent, however recently the last one went out
+const NOTICE_PURPOSES = ['password_changed', 'two_factor_enabled', 'two_factor_disabled'];
+
+// Resolves to false without sending when a link of the same kind went to the address within the
+// last minute
+const sendAccountEmail = async (user, purpose) => {
+  const cooldownKey = `${purpose}:${user.email}`;
+  if (!NOTICE_PURPOSES.includes(purpose)) {
+    if (mailCooldownCache.has(cooldownKey)) return false;
+    mailCooldownCache.set(cooldownKey, true);
+  }
+  const greeting = `Hi ${user.username || 'there'},`;
+
+  if (purpose === 'verify_email') {
+    const token = await AccountToken.issue(user, 'verify_email', EMAIL_VERIFICATION_TTL_MS);
+    const link = `${APP_URL}/verify-email?token=${token}`;
+    await sendMail({
+      to: user.email,
+      subject: 'Confirm your GaPP email address',
+      text: `${greeting}\n\nConfirm this is your email address by opening the link below. It expires in 24 hours.\n\n${link}\n\nIf you didn't create a GaPP account, you can ignore this email.`,
+    });
+  } else if (purpose === 'reset_password') {
+    const token = await AccountToken.issue(user, 'reset_password', PASSWORD_RESET_TTL_MS);
+    const link = `${APP_URL}/reset-password?token=${token}`;
+    await sendMail({
+      to: user.email,
+      subject: 'Reset your GaPP password',
+      text: `${greeting}\n\nSomeone asked to reset the password for your GaPP account. Open the link below to choose a new one. It expires in 1 hour and works once.\n\n${link}\n\nIf this wasn't you, ignore this email; your password stays the same.`,
+    });
+  } else if (purpose === 'password_changed') {
+    await sendMail({
+      to: user.email,
+      subject: 'Your GaPP password was changed',
+      text: `${greeting}\n\nThe password for your GaPP account was just changed and your other sessions were signed out.\n\nIf this wasn't you, reset your password at ${APP_URL}/login straight away.`,
+    });
+  } else if (purpose === 'two_factor_enabled' || purpose === 'two_factor_disabled') {
+    const enabled = purpose === 'two_factor_enabled';
+    await sendMail({
+      to: user.email,
+      subject: `Two-factor authentication ${enabled ? 'turned on' : 'turned off'} for your GaPP account`,
+      text: enabled
+        ? `${greeting}\n\nTwo-factor authentication is now on. Logging in will ask for a code from your authenticator app as well as your password. Keep your recovery codes somewhere safe.\n\nIf this wasn't you, reset your password at ${APP_URL}/login straight away.`
+        : `${greeting}\n\nTwo-factor authentication was turned off, so logging in now needs only your password.\n\nIf this wasn't you, reset your password at ${APP_URL}/login and turn two-factor authentication back on.`,
+    });
+  }
+  return true;
+};
+
+const LINK_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+// 8 characters from a 32-symbol alphabet, shown as XXXX-XXXX for reading aloud or typing
+const generateLinkCode = () => {
+  const chars = Array.from(forge.random.getBytesSync(8), (byte) => LINK_CODE_ALPHABET[byte.charCodeAt(0) % LINK_CODE_ALPHABET.length]);
+  return `${chars.slice(0, 4).join('')}-${chars.slice(4).join('')}`;
+};
+
+// Case, spaces and dashes don't matter when a recovery code is typed back in
+const hashRecoveryCode = (code) =>
+  crypto.createHash('sha256').update(String(code).toUpperCase().replace(/[^A-Z0-9]/g, '')).digest('hex');
+
+// Recovery codes are 10 characters from the link-code alphabet, shown as XXXXX-XXXXX. Only their
+// hashes are stored, so the plain codes are returned to the user once.
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const chars = Array.from(forge.random.getBytesSync(10), (byte) => LINK_CODE_ALPHABET[byte.charCodeAt(0) % LINK_CODE_ALPHABET.length]);
+    return `${chars.slice(0, 5).join('')}-${chars.slice(5).join('')}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+// Checks a second factor for a user with 2FA on and uses it up: an authenticator code is only
+// accepted once and a recovery code is deleted. Resolves to 'totp', 'recovery' or null.
+const verifySecondFactor = async (userId, code) => {
+  const user = await User.findById(userId).select('twoFactor.enabled +twoFactor.secret +twoFactor.lastUsedStep').lean();
+  if (!user?.twoFactor?.enabled || !user.twoFactor.secret) return null;
+  const trimmed = String(code).trim();
+  if (/^[\d\s]+$/.test(trimmed)) {
+    const step = totp.verifyCode(user.twoFactor.secret, trimmed, { after: user.twoFactor.lastUsedStep ?? null });
+    if (step === null) return null;
+    // Conditional, so two requests racing with the same code can't both succeed
+    const result = await User.updateOne(
+      { _id: userId, $or: [{ 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: step } }] },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    return result.modifiedCount ? 'totp' : null;
+  }
+  const hash = hashRecoveryCode(trimmed);
+  const result = await User.updateOne(
+    { _id: userId, 'twoFactor.recoveryCodes': hash },
+    { $pull: { 'twoFactor.recoveryCodes': hash } }
+  );
+  return result.modifiedCount ? 'recovery' : null;
+};
+
+// Turning 2FA off or replacing the recovery codes needs the password and a second factor again,
+// so a stolen session alone can't weaken the account. Resolves to an error message, or null when
+// both check out.
+const checkReauthentication = async (userId, password, code) => {
+  const user = await User.findById(userId).select('+password twoFactor.enabled').lean();
+  if (!user) return 'User not found';
+  if (!user.twoFactor?.enabled) return 'Two-factor authentication is not on';
+  if (!(await bcrypt.compare(password, user.password))) return 'Password is incorrect';
+  if (!(await verifySecondFactor(userId, code))) return 'Invalid code';
+  return null;
+};
+
+// "Chrome on Android" style label from a User-Agent header, or null when nothing is recognised
+const describeUserAgent = (userAgent = '') => {
+  const browser = [
+    [/Edg\//, 'Edge'],
+    [/OPR\/|Opera/, 'Opera'],
+    [/Firefox\//, 'Firefox'],
+    [/Chrome\//, 'Chrome'],
+    [/Safari\//, 'Safari'],
+  ].find(([pattern]) => pattern.test(userAgent))?.[1];
+  const os = [
+    [/Android/, 'Android'],
+    [/iPhone|iPad|iPod/, 'iOS'],
+    [/Windows/, 'Windows'],
+    [/Mac OS X/, 'macOS'],
+    [/Linux/, 'Linux'],
+  ].find(([pattern]) => pattern.test(userAgent))?.[1];
+  if (browser && os) return `${browser} on ${os}`;
+  return browser || os || null;
+};
+
+// `lastUsedAt` moves on each refresh, so it is accurate to within one access-token lifetime
+const formatSessions = (sessions, currentSessionId) =>
+  sessions.map((session) => ({
+    sessionId: session._id.toString(),
+    name: session.deviceName || describeUserAgent(session.userAgent) || 'Unknown device',
+    client: describeUserAgent(session.userAgent),
+    deviceId: session.deviceId,
+    ip: session.ip,
+    createdAt: session.createdAt,
+    lastUsedAt: session.lastUsedAt,
+    current: session._id.toString() === currentSessionId,
+  }));
+
+const fetchActiveSessions = (userId) =>
+  Session.find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .select('deviceId deviceName userAgent ip createdAt lastUsedAt')
+    .sort({ lastUsedAt: -1 })
+    .lean();
+
+const formatDevices = (devices, currentDeviceId) =>
+  (devices || []).map((device) => ({
+    deviceId: device.deviceId,
+    name: device.name,
+    publicKey: device.publicKey,
+    createdAt: device.createdAt,
+    lastSeen: device.lastSeen,
+    current: device.deviceId === currentDeviceId,
+  }));
+
+// Drop cached keys and tell everyone who may hold a copy to refetch this user's device keys
+const notifyDeviceKeysChanged = async (req, userId, contacts = []) => {
+  publicKeyCache.del(`publicKey:${userId}`);
+  const io = req.app.get('io');
+  if (!io) return;
+  const reverseContacts = await User.find({ contacts: userId }).select('_id').lean();
+  const notifyIds = new Set([
+    userId,
+    ...contacts.map((id) => id.toString()),
+    ...reverseContacts.map((contact) => contact._id.toString()),
+  ]);
+  notifyIds.forEach((contactId) => {
+    io.to(contactId).emit('publicKeyChanged', { userId });
+  });
+};
+
 const generateVirtualNumber = async (countryCode, userId) => {
   try {
     const countryCallingCode = getCountryCallingCode(countryCode.toUpperCase());
@@ -210,6 +542,15 @@ const generateVirtualNumber = async (countryCode, userId) => {
   }
 };
 
+// Key pairs are generated in the browser; the server only accepts RSA public keys of at least 2048 bits
+const validatePublicKeyPem = (publicKeyPem) => {
+  const publicKey = forge.pki.publicKeyFromPem(publicKeyPem);
+  if (!publicKey.n || publicKey.n.bitLength() < 2048) {
+    throw new Error('Public key must be an RSA key of at least 2048 bits');
+  }
+  return forge.pki.publicKeyToPem(publicKey);
+};
+
 router.post('/register', authLimiter, upload.single('photo'), async (req, res) => {
   try {
     const { error } = registerSchema.validate(req.body);
@@ -218,7 +559,15 @@ router.post('/register', authLimiter, upload.single('photo'), async (req, res) =
       return res.status(400).json({ error: error.details[0].message });
     }
 
-    const { email, password, username, country, role = 0 } = req.body;
+    const { email, password, username, country, role = 0, publicKey, deviceId, deviceName } = req.body;
+
+    let publicKeyPem;
+    try {
+      publicKeyPem = validatePublicKeyPem(publicKey);
+    } catch (err) {
+      await logError('Invalid public key on register', { error: err.message, email, ip: req.ip });
+      return res.status(400).json({ error: 'Invalid public key', details: err.message });
+    }
 
     const existingUser = await retryOperation(async () => {
       return await User.findOne({ $or: [{ email }, { username }] }).lean();
@@ -229,19 +578,6 @@ router.post('/register', authLimiter, upload.single('photo'), async (req, res) =
       return res.status(400).json({ error: errorMsg });
     }
 
-    const { publicKey, privateKey } = forge.pki.rsa.generateKeyPair({ bits: 2048 });
-    const publicKeyPem = forge.pki.publicKeyToPem(publicKey);
-    const privateKeyPem = forge.pki.privateKeyToPem(privateKey);
-
-    // Validate generated keys
-    try {
-      forge.pki.publicKeyFromPem(publicKeyPem);
-      forge.pki.privateKeyFromPem(privateKeyPem);
-    } catch (err) {
-      await logError('Invalid RSA key pair generated', { error: err.message, userId: 'new_user', ip: req.ip });
-      return res.status(500).json({ error: 'Failed to generate encryption keys', details: err.message });
-    }
-
     const hashedPassword = await bcrypt.hash(password, 10);
 
     let virtualNumber;
@@ -259,32 +595,42 @@ router.post('/register', authLimiter, upload.single('photo'), async (req, res) =
       country,
       virtualNumber,
       publicKey: publicKeyPem,
-      privateKey: privateKeyPem,
+      devices: [{ deviceId, name: deviceName || 'Unknown device', publicKey: publicKeyPem }],
       photo: 'https://placehold.co/40x40',
       role: parseInt(role),
     });
 
     if (req.file) {
       const result = await retryOperation(async () => {
-        return await new Promise((resolve, reject) => {
-          cloudinary.uploader.upload_stream(
-            { resource_type: 'image', folder: 'gapp_profile_photos' },
-            (error, result) => (error ? reject(error) : resolve(result))
-          ).end(req.file.buffer);
+        return await storage.upload(req.file.buffer, {
+          kind: 'image',
+          folder: 'gapp_profile_photos',
+          mimetype: req.file.mimetype,
+          filename: req.file.originalname,
         });
       });
-      user.photo = result.secure_url;
+      user.photo = result.url;
     }
 
     await retryOperation(async () => {
       await user.save();
     });
 
-    const token = jwt.sign(
-      { id: user._id.toString(), email, virtualNumber, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h', algorithm: 'HS256' }
-    );
+    const { session, refreshToken } = await retryOperation(async () => {
+      return await Session.start({
+        userId: user._id,
+        deviceId,
+        deviceName: deviceName || 'Unknown device',
+        userAgent: req.get('user-agent'),
+        ip: req.ip,
+      });
+    });
+    setRefreshCookie(res, refreshToken);
+    const token = signAccessToken(user, session._id, deviceId);
+
+    sendAccountEmail(user, 'verify_email').catch((err) => {
+      logger.error('Failed to send verification email', { userId: user._id, error: err.message });
+    });
 
     logger.info('User registered successfully', { userId: user._id, email, ip: req.ip });
     res.status(201).json({
@@ -294,7 +640,10 @@ router.post('/register', authLimiter, upload.single('photo'), async (req, res) =
       photo: user.photo,
       virtualNumber: user.virtualNumber,
       username: user.username,
-      privateKey: privateKeyPem,
+      publicKey: user.publicKey,
+      deviceId,
+      devices: formatDevices(user.devices, deviceId),
+      emailVerified: false,
     });
   } catch (error) {
     await logError('Register error', {
@@ -323,6 +672,43 @@ router.post('/register', authLimiter, upload.single('photo'), async (req, res) =
   }
 });
 
+// Starts a session for a user who has passed every login step and sets the refresh cookie
+const beginSession = async (req, res, user) => {
+  // Sessions are bound to a device once the client registers it via POST /devices
+  const { session, refreshToken } = await retryOperation(async () => {
+    return await Session.start({ userId: user._id, userAgent: req.get('user-agent'), ip: req.ip });
+  });
+  setRefreshCookie(res, refreshToken);
+
+  await retryOperation(async () => {
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { status: 'online', lastSeen: new Date() } }
+    );
+  });
+
+  logger.info('Login successful', { userId: user._id, email: user.email, ip: req.ip });
+  return session;
+};
+
+// As beginSession, then sends the login response
+const completeLogin = async (req, res, user) => {
+  const session = await beginSession(req, res, user);
+  const token = signAccessToken(user, session._id);
+  res.json({
+    token,
+    userId: user._id.toString(),
+    role: user.role,
+    isAdmin: Boolean(user.isAdmin),
+    photo: user.photo || 'https://placehold.co/40x40',
+    virtualNumber: user.virtualNumber || '',
+    username: user.username || '',
+    publicKey: user.publicKey,
+    devices: formatDevices(user.devices),
+    emailVerified: Boolean(user.emailVerifiedAt),
+  });
+};
+
 router.post('/login', authLimiter, async (req, res) => {
   try {
     const { error } = loginSchema.validate(req.body);
@@ -333,7 +719,7 @@ router.post('/login', authLimiter, async (req, res) => {
 
     const { email, password } = req.body;
     const user = await retryOperation(async () => {
-      return await User.findOne({ email }).select('+password +privateKey').lean();
+      return await User.findOne({ email }).select('+password').lean();
     });
     if (!user) {
       await logError('Login attempt with unregistered email', { email, ip: req.ip });
@@ -343,178 +729,464 @@ router.post('/login', authLimiter, async (req, res) => {
       await logError('Login attempt with wrong password', { email, ip: req.ip });
       return res.status(401).json({ error: 'Wrong password' });
     }
+    if (User.isSuspended(user)) {
+      await logError('Unauthorized login to suspended account', { userId: user._id, ip: req.ip });
+      return res.status(403).json(suspensionError(user.suspension));
+    }
 
-    const token = jwt.sign(
-      { id: user._id.toString(), email, virtualNumber: user.virtualNumber, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h', algorithm: 'HS256' }
-    );
-
-    await retryOperation(async () => {
-      await User.updateOne(
-        { _id: user._id },
-        { $set: { status: 'online', lastSeen: new Date() } }
-      );
-    });
+    // The password alone isn't enough: hand out a short-lived challenge for POST /login/2fa
+    if (user.twoFactor?.enabled) {
+      const challengeToken = await retryOperation(async () => {
+        return await AccountToken.issue(user, 'two_factor_login', TWO_FACTOR_CHALLENGE_TTL_MS);
+      });
+      logger.info('Login awaiting second factor', { userId: user._id, ip: req.ip });
+      return res.json({ twoFactorRequired: true, challengeToken });
+    }
 
-    logger.info('Login successful', { userId: user._id, email, ip: req.ip });
-    res.json({
-      token,
-      userId: user._id.toString(),
-      role: user.role,
-      photo: user.photo || 'https://placehold.co/40x40',
-      virtualNumber: user.virtualNumber || '',
-      username: user.username || '',
-      privateKey: user.privateKey,
-    });
+    await completeLogin(req, res, user);
   } catch (error) {
     await logError('Login error', { error: error.message, stack: error.stack, body: req.body, ip: req.ip });
     res.status(500).json({ error: 'Failed to login', details: error.message });
   }
 });
 
-router.post('/logout', authMiddleware, async (req, res) => {
+router.post('/login/2fa', authLimiter, async (req, res) => {
   try {
-    const token = req.token;
-    if (!token) {
-      await logError('No token provided for logout', { userId: req.user.id, ip: req.ip });
-      return res.status(400).json({ error: 'No token provided' });
+    const { error } = twoFactorLoginSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
     }
-
-    await retryOperation(async () => {
-      await TokenBlacklist.create({ token });
+    const { challengeToken, code } = req.body;
+    const challenge = await retryOperation(async () => {
+      return await AccountToken.peek(challengeToken, 'two_factor_login');
     });
+    if (!challenge) {
+      return res.status(401).json({ error: 'Login expired', details: 'Please log in again' });
+    }
+    const user = await retryOperation(async () => {
+      return await User.findById(challenge.userId).lean();
+    });
+    if (!user) {
+      return res.status(401).json({ error: 'Login expired', details: 'Please log in again' });
+    }
+    if (User.isSuspended(user)) {
+      await logError('Unauthorized login to suspended account', { userId: user._id, ip: req.ip });
+      return res.status(403).json(suspensionError(user.suspension));
+    }
 
-    await retryOperation(async () => {
-      await User.updateOne(
-        { _id: req.user.id },
-        { $set: { status: 'offline', lastSeen: new Date() } }
-      );
+    const method = await retryOperation(async () => verifySecondFactor(user._id, code));
+    if (!method) {
+      const attemptsLeft = await retryOperation(async () => {
+        return await AccountToken.recordFailure(challenge._id, TWO_FACTOR_MAX_ATTEMPTS);
+      });
+      await logError('Invalid two-factor code at login', { userId: user._id, attemptsLeft, ip: req.ip });
+      return attemptsLeft
+        ? res.status(401).json({ error: 'Invalid code', attemptsLeft })
+        : res.status(401).json({ error: 'Login expired', details: 'Too many wrong codes. Please log in again' });
+    }
+    // A second request with the same challenge may have got here first
+    const consumed = await retryOperation(async () => {
+      return await AccountToken.consume(challengeToken, 'two_factor_login');
     });
+    if (!consumed) {
+      return res.status(401).json({ error: 'Login expired', details: 'Please log in again' });
+    }
 
-    logger.info('Logout successful', { userId: req.user.id, ip: req.ip });
-    res.status(200).json({ message: 'Logged out successfully' });
+    logger.info('Second factor accepted', { userId: user._id, method, ip: req.ip });
+    await completeLogin(req, res, user);
   } catch (error) {
-    await logError('Logout error', { error: error.message, userId: req.user?.id, stack: error.stack, ip: req.ip });
-    res.status(500).json({ error: 'Failed to logout', details: error.message });
+    await logError('Two-factor login error', { error: error.message, stack: error.stack, ip: req.ip });
+    res.status(500).json({ error: 'Failed to login', details: error.message });
   }
 });
 
-router.post('/update_country', authMiddleware, async (req, res) => {
-  try {
-    const updateCountrySchema = Joi.object({
-      userId: Joi.string().required(),
-      country: Joi.string().length(2).uppercase().required(),
-    });
-    const { error } = updateCountrySchema.validate(req.body);
-    if (error) {
-      await logError('Validation error', { error: error.details[0].message, body: req.body, ip: req.ip });
-      return res.status(400).json({ error: error.details[0].message });
-    }
-
-    const { userId, country } = req.body;
-    if (userId !== req.user.id) {
-      await logError('Unauthorized country update attempt', { userId, reqUserId: req.user.id, ip: req.ip });
-      return res.status(403).json({ error: 'Not authorized' });
-    }
+// Provider sign-in ends with a full-page redirect, so outcomes go back to the login page in the URL
+// fragment, which browsers never send to a server
+const redirectToLogin = (res, params) => {
+  res.redirect(`${APP_URL}/login#${new URLSearchParams(params).toString()}`);
+};
 
-    if (!mongoose.isValidObjectId(userId)) {
-      await logError('Invalid user ID', { userId, ip: req.ip });
-      return res.status(400).json({ error: 'Invalid user ID' });
-    }
+const oidcCallbackUrl = (providerId) => `${API_URL}/auth/oidc/${providerId}/callback`;
 
-    const user = await retryOperation(async () => {
-      return await User.findById(userId);
-    });
-    if (!user) {
-      await logError('User not found', { userId, ip: req.ip });
-      return res.status(404).json({ error: 'User not found' });
-    }
+// Starting point for the username field during onboarding; uniqueness is checked on submit
+const suggestUsername = (profile) =>
+  (profile.username || profile.email.split('@')[0] || '').replace(/[^A-Za-z0-9_.-]/g, '').slice(0, 20);
 
-    if (user.country !== country) {
-      user.country = country;
-      user.virtualNumber = await generateVirtualNumber(country, user._id.toString());
-      await retryOperation(async () => {
-        await user.save();
-      });
-    }
+router.get('/oidc/providers', (req, res) => {
+  res.json({ providers: oidc.listProviders() });
+});
 
-    logger.info('Country updated', { userId, country, virtualNumber: user.virtualNumber, ip: req.ip });
-    res.json({ virtualNumber: user.virtualNumber });
+router.get('/oidc/:provider/start', authLimiter, async (req, res) => {
+  const provider = oidc.getProvider(req.params.provider);
+  if (!provider) {
+    return res.status(404).json({ error: 'Unknown sign-in provider' });
+  }
+  try {
+    const { url, state, nonce, codeVerifier } = await oidc.createAuthorizationRequest(provider, oidcCallbackUrl(provider.id));
+    oidcStateCache.set(state, { provider: provider.id, nonce, codeVerifier });
+    res.cookie(OIDC_STATE_COOKIE, state, { ...oidcStateCookieOptions(), maxAge: 10 * 60 * 1000 });
+    res.redirect(url);
   } catch (error) {
-    await logError('Update country error', { error: error.message, stack: error.stack, userId: req.body.userId, ip: req.ip });
-    res.status(500).json({ error: 'Failed to update country', details: error.message });
+    await logError('OIDC start error', { provider: provider.id, error: error.message, ip: req.ip });
+    redirectToLogin(res, { oidc: 'error', message: `Could not reach ${provider.name}. Please try again.` });
   }
 });
 
-router.post('/update_photo', authMiddleware, upload.single('photo'), async (req, res) => {
+// Signs in the user linked to the provider account, links it to an existing user when both sides
+// have verified the same email, or sends a new user to onboarding
+router.get('/oidc/:provider/callback', authLimiter, async (req, res) => {
+  const { code, state, error: providerError } = req.query;
+  const expectedState = readCookie(req, OIDC_STATE_COOKIE);
+  res.clearCookie(OIDC_STATE_COOKIE, oidcStateCookieOptions());
+  const pending = typeof state === 'string' ? oidcStateCache.take(state) : undefined;
+  const provider = oidc.getProvider(req.params.provider);
   try {
-    const { userId } = req.body;
-    if (userId !== req.user.id) {
-      await logError('Unauthorized photo update attempt', { userId, reqUserId: req.user.id, ip: req.ip });
-      return res.status(403).json({ error: 'Not authorized' });
+    if (!provider || !pending || pending.provider !== provider.id || state !== expectedState) {
+      await logError('Invalid OIDC callback state', { provider: req.params.provider, ip: req.ip });
+      return redirectToLogin(res, { oidc: 'error', message: 'Sign-in expired. Please try again.' });
     }
-    if (!req.file) {
-      await logError('No photo provided', { userId, ip: req.ip });
-      return res.status(400).json({ error: 'No photo provided' });
+    if (providerError || typeof code !== 'string') {
+      return redirectToLogin(res, { oidc: 'error', message: `Sign-in with ${provider.name} was cancelled.` });
     }
 
-    if (!mongoose.isValidObjectId(userId)) {
-      await logError('Invalid user ID', { userId, ip: req.ip });
-      return res.status(400).json({ error: 'Invalid user ID' });
+    const profile = await oidc.completeAuthorization(provider, {
+      code,
+      redirectUri: oidcCallbackUrl(provider.id),
+      codeVerifier: pending.codeVerifier,
+      nonce: pending.nonce,
+    });
+    if (!profile.email) {
+      return redirectToLogin(res, { oidc: 'error', message: `${provider.name} did not share an email address with GaPP.` });
     }
+    const email = profile.email.toLowerCase();
 
-    const user = await retryOperation(async () => {
-      return await User.findById(userId);
+    let user = await retryOperation(async () => {
+      return await User.findOne({ oidcIdentities: { $elemMatch: { provider: provider.id, subject: profile.subject } } }).lean();
     });
     if (!user) {
-      await logError('User not found', { userId, ip: req.ip });
-      return res.status(404).json({ error: 'User not found' });
+      const existing = await retryOperation(async () => {
+        return await User.findOne({ email }).lean();
+      });
+      if (existing && !profile.emailVerified) {
+        // Anyone can claim an unverified address at some providers, so it proves nothing
+        await logError('Unauthorized OIDC link to existing account with unverified email', { provider: provider.id, userId: existing._id, ip: req.ip });
+        return redirectToLogin(res, { oidc: 'error', message: 'An account already uses this email. Log in with your password.' });
+      }
+      if (existing && !existing.emailVerifiedAt) {
+        // Whoever registered the address here never proved they own it. Linking would hand the
+        // provider account a user someone else may control, password and sessions included.
+        await logError('Unauthorized OIDC link to existing account before its email was verified', { provider: provider.id, userId: existing._id, ip: req.ip });
+        return redirectToLogin(res, {
+          oidc: 'error',
+          message: 'An account already uses this email. Log in with your password and verify your email first.',
+        });
+      }
+      if (!existing) {
+        const signupToken = crypto.randomBytes(32).toString('base64url');
+        oidcSignupCache.set(signupToken, { provider: provider.id, ...profile, email });
+        logger.info('OIDC sign-up started', { provider: provider.id, email, ip: req.ip });
+        return redirectToLogin(res, {
+          oidc: 'signup',
+          token: signupToken,
+          provider: provider.name,
+          email,
+          username: suggestUsername({ ...profile, email }),
+        });
+      }
+      await retryOperation(async () => {
+        await User.updateOne(
+          { _id: existing._id },
+          { $push: { oidcIdentities: { provider: provider.id, subject: profile.subject, email } } }
+        );
+      });
+      logger.info('OIDC identity linked by verified email', { provider: provider.id, userId: existing._id, ip: req.ip });
+      user = existing;
     }
 
-    const result = await retryOperation(async () => {
-      return await new Promise((resolve, reject) => {
-        cloudinary.uploader.upload_stream(
-          { resource_type: 'image', folder: 'gapp_profile_photos' },
-          (error, result) => (error ? reject(error) : resolve(result))
-        ).end(req.file.buffer);
+    if (User.isSuspended(user)) {
+      await logError('Unauthorized login to suspended account', { userId: user._id, ip: req.ip });
+      return redirectToLogin(res, { oidc: 'error', message: 'This account is suspended.' });
+    }
+    if (user.twoFactor?.enabled) {
+      const challengeToken = await retryOperation(async () => {
+        return await AccountToken.issue(user, 'two_factor_login', TWO_FACTOR_CHALLENGE_TTL_MS);
       });
-    });
-
-    user.photo = result.secure_url;
-    await retryOperation(async () => {
-      await user.save();
-    });
+      logger.info('Login awaiting second factor', { userId: user._id, provider: provider.id, ip: req.ip });
+      return redirectToLogin(res, { oidc: '2fa', challenge: challengeToken });
+    }
 
-    logger.info('Photo updated', { userId, photo: user.photo, ip: req.ip });
-    res.json({ photo: user.photo });
+    // The client picks up the session by calling /refresh with the cookie set here
+    await beginSession(req, res, user);
+    redirectToLogin(res, { oidc: 'success' });
   } catch (error) {
-    await logError('Update photo error', { error: error.message, stack: error.stack, userId: req.body.userId, ip: req.ip });
-    res.status(500).json({ error: 'Failed to update photo', details: error.message });
+    await logError('OIDC callback error', { provider: req.params.provider, error: error.message, stack: error.stack, ip: req.ip });
+    redirectToLogin(res, { oidc: 'error', message: 'Sign-in failed. Please try again.' });
   }
 });
 
-router.post('/update_username', authMiddleware, async (req, res) => {
+// Finishes a first provider sign-in: the same account setup as /register, minus the password
+router.post('/oidc/signup', authLimiter, async (req, res) => {
   try {
-    const updateUsernameSchema = Joi.object({
-      userId: Joi.string().required(),
-      username: Joi.string().min(3).max(20).required(),
-    });
-    const { error } = updateUsernameSchema.validate(req.body);
+    const { error } = oidcSignupSchema.validate(req.body);
     if (error) {
-      await logError('Validation error', { error: error.details[0].message, body: req.body, ip: req.ip });
       return res.status(400).json({ error: error.details[0].message });
     }
-
-    const { userId, username } = req.body;
-    if (userId !== req.user.id) {
-      await logError('Unauthorized username update attempt', { userId, reqUserId: req.user.id, ip: req.ip });
-      return res.status(403).json({ error: 'Not authorized' });
+    const { signupToken, username, country, publicKey, deviceId, deviceName } = req.body;
+    const pending = oidcSignupCache.get(signupToken);
+    if (!pending) {
+      return res.status(400).json({ error: 'Sign-up expired', details: 'Please sign in with your provider again' });
     }
 
-    if (!mongoose.isValidObjectId(userId)) {
-      await logError('Invalid user ID', { userId, ip: req.ip });
-      return res.status(400).json({ error: 'Invalid user ID' });
+    let publicKeyPem;
+    try {
+      publicKeyPem = validatePublicKeyPem(publicKey);
+    } catch (err) {
+      await logError('Invalid public key on OIDC sign-up', { error: err.message, email: pending.email, ip: req.ip });
+      return res.status(400).json({ error: 'Invalid public key', details: err.message });
+    }
+
+    const existingUser = await retryOperation(async () => {
+      return await User.findOne({ $or: [{ email: pending.email }, { username }] }).lean();
+    });
+    if (existingUser) {
+      return res.status(400).json({ error: existingUser.email === pending.email ? 'Email already exists' : 'Username already exists' });
+    }
+
+    let virtualNumber;
+    try {
+      virtualNumber = await generateVirtualNumber(country, forge.util.bytesToHex(forge.random.getBytesSync(16)));
+    } catch (err) {
+      await logError('Failed to generate virtual number', { error: err.message, country, ip: req.ip });
+      return res.status(400).json({ error: 'Failed to generate virtual number', details: err.message });
+    }
+
+    // Nobody knows this password; the user can set a real one through "Forgot password?"
+    const hashedPassword = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+    const user = new User({
+      email: pending.email,
+      password: hashedPassword,
+      emailVerifiedAt: pending.emailVerified ? new Date() : null,
+      username,
+      country,
+      virtualNumber,
+      publicKey: publicKeyPem,
+      devices: [{ deviceId, name: deviceName || 'Unknown device', publicKey: publicKeyPem }],
+      photo: pending.picture || 'https://placehold.co/40x40',
+      role: 0,
+      oidcIdentities: [{ provider: pending.provider, subject: pending.subject, email: pending.email }],
+    });
+    await retryOperation(async () => {
+      await user.save();
+    });
+    oidcSignupCache.del(signupToken);
+
+    const { session, refreshToken } = await retryOperation(async () => {
+      return await Session.start({
+        userId: user._id,
+        deviceId,
+        deviceName: deviceName || 'Unknown device',
+        userAgent: req.get('user-agent'),
+        ip: req.ip,
+      });
+    });
+    setRefreshCookie(res, refreshToken);
+    const token = signAccessToken(user, session._id, deviceId);
+
+    if (!pending.emailVerified) {
+      sendAccountEmail(user, 'verify_email').catch((err) => {
+        logger.error('Failed to send verification email', { userId: user._id, error: err.message });
+      });
+    }
+
+    logger.info('User registered through OIDC', { userId: user._id, provider: pending.provider, ip: req.ip });
+    res.status(201).json({
+      token,
+      userId: user._id.toString(),
+      role: user.role,
+      photo: user.photo,
+      virtualNumber: user.virtualNumber,
+      username: user.username,
+      publicKey: user.publicKey,
+      deviceId,
+      devices: formatDevices(user.devices, deviceId),
+      emailVerified: Boolean(user.emailVerifiedAt),
+    });
+  } catch (error) {
+    await logError('OIDC sign-up error', { error: error.message, stack: error.stack, ip: req.ip });
+    if (error.code === 11000) {
+      return res.status(400).json({ error: 'Email or username already exists' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: 'Invalid user data', details: error.message });
+    }
+    res.status(500).json({ error: 'Failed to register', details: error.message });
+  }
+});
+
+// Works with an expired access token too: the refresh cookie, or failing that the token's `sid`,
+// identifies the session to end
+router.post('/logout', async (req, res) => {
+  let userId = null;
+  try {
+    const filters = [];
+    const parsed = Session.parseRefreshToken(readRefreshCookie(req));
+    if (parsed) {
+      filters.push({ _id: parsed.sessionId, tokenHash: Session.hashToken(parsed.secret) });
+    }
+    const authHeader = req.headers.authorization;
+    if (authHeader && authHeader.startsWith('Bearer ')) {
+      try {
+        const decoded = jwt.verify(authHeader.split(' ')[1], process.env.JWT_SECRET, { algorithms: ['HS256'], ignoreExpiration: true });
+        if (mongoose.isValidObjectId(decoded.id) && mongoose.isValidObjectId(decoded.sid)) {
+          userId = decoded.id;
+          filters.push({ _id: decoded.sid, userId: decoded.id });
+        }
+      } catch (err) {
+        await logError('Invalid token on logout', { error: err.message, ip: req.ip });
+      }
+    }
+    clearRefreshCookie(res);
+    if (!filters.length) {
+      return res.status(200).json({ message: 'Logged out successfully' });
+    }
+
+    const revoked = await retryOperation(async () => {
+      return await Session.revoke({ $or: filters }, 'logout');
+    });
+    await disconnectSessions(req, revoked, 'logout');
+
+    if (userId) {
+      await retryOperation(async () => {
+        await User.updateOne(
+          { _id: userId },
+          { $set: { status: 'offline', lastSeen: new Date() } }
+        );
+      });
+    }
+
+    logger.info('Logout successful', { userId, sessions: revoked.length, ip: req.ip });
+    res.status(200).json({ message: 'Logged out successfully' });
+  } catch (error) {
+    await logError('Logout error', { error: error.message, userId, stack: error.stack, ip: req.ip });
+    res.status(500).json({ error: 'Failed to logout', details: error.message });
+  }
+});
+
+router.post('/update_country', authMiddleware, async (req, res) => {
+  try {
+    const updateCountrySchema = Joi.object({
+      userId: Joi.string().required(),
+      country: Joi.string().length(2).uppercase().required(),
+    });
+    const { error } = updateCountrySchema.validate(req.body);
+    if (error) {
+      await logError('Validation error', { error: error.details[0].message, body: req.body, ip: req.ip });
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const { userId, country } = req.body;
+    if (userId !== req.user.id) {
+      await logError('Unauthorized country update attempt', { userId, reqUserId: req.user.id, ip: req.ip });
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+
+    if (!mongoose.isValidObjectId(userId)) {
+      await logError('Invalid user ID', { userId, ip: req.ip });
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+
+    const user = await retryOperation(async () => {
+      return await User.findById(userId);
+    });
+    if (!user) {
+      await logError('User not found', { userId, ip: req.ip });
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (user.country !== country) {
+      user.country = country;
+      user.virtualNumber = await generateVirtualNumber(country, user._id.toString());
+      await retryOperation(async () => {
+        await user.save();
+      });
+    }
+
+    logger.info('Country updated', { userId, country, virtualNumber: user.virtualNumber, ip: req.ip });
+    res.json({ virtualNumber: user.virtualNumber });
+  } catch (error) {
+    await logError('Update country error', { error: error.message, stack: error.stack, userId: req.body.userId, ip: req.ip });
+    res.status(500).json({ error: 'Failed to update country', details: error.message });
+  }
+});
+
+router.post('/update_photo', authMiddleware, upload.single('photo'), async (req, res) => {
+  try {
+    const { userId } = req.body;
+    if (userId !== req.user.id) {
+      await logError('Unauthorized photo update attempt', { userId, reqUserId: req.user.id, ip: req.ip });
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+    if (!req.file) {
+      await logError('No photo provided', { userId, ip: req.ip });
+      return res.status(400).json({ error: 'No photo provided' });
+    }
+
+    if (!mongoose.isValidObjectId(userId)) {
+      await logError('Invalid user ID', { userId, ip: req.ip });
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+
+    const user = await retryOperation(async () => {
+      return await User.findById(userId);
+    });
+    if (!user) {
+      await logError('User not found', { userId, ip: req.ip });
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const result = await retryOperation(async () => {
+      return await storage.upload(req.file.buffer, {
+        kind: 'image',
+        folder: 'gapp_profile_photos',
+        mimetype: req.file.mimetype,
+        filename: req.file.originalname,
+      });
+    });
+
+    user.photo = result.url;
+    await retryOperation(async () => {
+      await user.save();
+    });
+
+    logger.info('Photo updated', { userId, photo: user.photo, ip: req.ip });
+    res.json({ photo: user.photo });
+  } catch (error) {
+    await logError('Update photo error', { error: error.message, stack: error.stack, userId: req.body.userId, ip: req.ip });
+    res.status(500).json({ error: 'Failed to update photo', details: error.message });
+  }
+});
+
+router.post('/update_username', authMiddleware, async (req, res) => {
+  try {
+    const updateUsernameSchema = Joi.object({
+      userId: Joi.string().required(),
+      username: Joi.string().min(3).max(20).required(),
+    });
+    const { error } = updateUsernameSchema.validate(req.body);
+    if (error) {
+      await logError('Validation error', { error: error.details[0].message, body: req.body, ip: req.ip });
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const { userId, username } = req.body;
+    if (userId !== req.user.id) {
+      await logError('Unauthorized username update attempt', { userId, reqUserId: req.user.id, ip: req.ip });
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+
+    if (!mongoose.isValidObjectId(userId)) {
+      await logError('Invalid user ID', { userId, ip: req.ip });
+      return res.status(400).json({ error: 'Invalid user ID' });
     }
 
     const user = await retryOperation(async () => {
@@ -602,83 +1274,737 @@ router.get('/public_key/:userId', authMiddleware, async (req, res) => {
     const cachedKey = publicKeyCache.get(cacheKey);
     if (cachedKey) {
       logger.info('Public key served from cache', { userId, ip: req.ip });
-      return res.json({ publicKey: cachedKey });
+      return res.json(cachedKey);
     }
 
     const user = await retryOperation(async () => {
-      return await User.findById(userId).select('publicKey').lean();
+      return await User.findById(userId).select('publicKey devices').lean();
     });
     if (!user || !user.publicKey) {
       await logError('User or public key not found', { userId, ip: req.ip });
       return res.status(404).json({ error: 'User or public key not found' });
     }
 
-    // Validate public key
+    const devices = User.getDeviceKeys(user);
+
+    // Validate public keys
     try {
-      forge.pki.publicKeyFromPem(user.publicKey);
+      devices.forEach((device) => forge.pki.publicKeyFromPem(device.publicKey));
     } catch (err) {
       await logError('Invalid public key format', { userId, error: err.message, ip: req.ip });
       return res.status(500).json({ error: 'Invalid public key format', details: err.message });
     }
 
-    publicKeyCache.set(cacheKey, user.publicKey);
-    logger.info('Public key fetched and cached', { userId, ip: req.ip });
-    res.json({ publicKey: user.publicKey });
+    const keys = { publicKey: user.publicKey, devices };
+    publicKeyCache.set(cacheKey, keys);
+    logger.info('Public key fetched and cached', { userId, devices: devices.length, ip: req.ip });
+    res.json(keys);
   } catch (error) {
     await logError('Fetch public key error', { error: error.message, userId: req.params.userId, stack: error.stack, ip: req.ip });
     res.status(500).json({ error: 'Failed to fetch public key', details: error.message });
   }
 });
 
-router.post('/refresh', authLimiter, authMiddleware, async (req, res) => {
+// Register this browser as a new device, or replace the key of the device this session is bound
+// to. A session can never touch another device's key: contacts encrypt to those keys, so that
+// would let any signed-in session take over a device. A session already bound to a device cannot
+// register another one; that device joins through its own session and the linking flow below.
+router.post('/devices', authLimiter, authMiddleware, async (req, res) => {
   try {
-    const { userId } = req.body;
-    if (userId && userId !== req.user.id) {
-      await logError('Unauthorized refresh attempt', { userId, reqUserId: req.user.id, ip: req.ip });
-      return res.status(403).json({ error: 'Not authorized' });
+    const { error } = deviceSchema.validate(req.body);
+    if (error) {
+      await logError('Validation error', { error: error.details[0].message, userId: req.user.id, ip: req.ip });
+      return res.status(400).json({ error: error.details[0].message });
     }
 
-    if (!mongoose.isValidObjectId(req.user.id)) {
-      await logError('Invalid user ID in token', { userId: req.user.id, ip: req.ip });
-      return res.status(401).json({ error: 'Invalid token' });
+    const { deviceId, name } = req.body;
+    let publicKeyPem;
+    try {
+      publicKeyPem = validatePublicKeyPem(req.body.publicKey);
+    } catch (err) {
+      await logError('Invalid public key for device', { error: err.message, userId: req.user.id, deviceId, ip: req.ip });
+      return res.status(400).json({ error: 'Invalid public key', details: err.message });
     }
 
     const user = await retryOperation(async () => {
-      return await User.findById(req.user.id).select('+privateKey').lean();
+      return await User.findById(req.user.id);
     });
     if (!user) {
-      await logError('User not found during token refresh', { userId: req.user.id, ip: req.ip });
-      return res.status(401).json({ error: 'User not found' });
+      await logError('User not found', { userId: req.user.id, ip: req.ip });
+      return res.status(404).json({ error: 'User not found' });
     }
 
-    const oldToken = req.token;
-    if (oldToken) {
-      await retryOperation(async () => {
-        await TokenBlacklist.create({ token: oldToken });
+    if (req.user.deviceId && req.user.deviceId !== deviceId) {
+      await logError('Unauthorized device registration from a session bound to another device', { userId: req.user.id, deviceId, sessionDeviceId: req.user.deviceId, ip: req.ip });
+      return res.status(403).json({ error: 'This session belongs to another device' });
+    }
+    const existing = user.devices.find((device) => device.deviceId === deviceId);
+    if (existing && req.user.deviceId !== deviceId) {
+      await logError('Unauthorized device registration for a device bound to other sessions', { userId: req.user.id, deviceId, ip: req.ip });
+      return res.status(409).json({ error: 'Device ID already registered. Register under a new device ID.' });
+    }
+    const keyChanged = !existing || existing.publicKey !== publicKeyPem;
+    // The account-wide key follows the device it came from; other devices' keys never replace it
+    if (!user.publicKey || (existing && user.publicKey === existing.publicKey)) {
+      user.publicKey = publicKeyPem;
+    }
+    if (existing) {
+      existing.publicKey = publicKeyPem;
+      existing.name = name || existing.name;
+      existing.lastSeen = new Date();
+    } else {
+      if (user.devices.length >= User.MAX_DEVICES) {
+        await logError('Device limit reached', { userId: req.user.id, deviceId, ip: req.ip });
+        return res.status(400).json({ error: `Device limit reached. Remove a device to add another (max ${User.MAX_DEVICES}).` });
+      }
+      user.devices.push({ deviceId, name: name || 'Unknown device', publicKey: publicKeyPem });
+    }
+    await retryOperation(async () => {
+      await user.save();
+    });
+
+    if (keyChanged) {
+      await notifyDeviceKeysChanged(req, req.user.id, user.contacts);
+    }
+
+    await retryOperation(async () => {
+      await Session.updateOne(
+        { _id: req.user.sessionId, userId: user._id },
+        { $set: { deviceId, deviceName: name || existing?.name || 'Unknown device' } }
+      );
+    });
+    const token = signAccessToken(user, req.user.sessionId, deviceId);
+
+    logger.info('Device registered', { userId: req.user.id, deviceId, replaced: !!existing, ip: req.ip });
+    res.status(existing ? 200 : 201).json({ token, deviceId, devices: formatDevices(user.devices, deviceId) });
+  } catch (error) {
+    await logError('Register device error', { error: error.message, stack: error.stack, userId: req.user?.id, ip: req.ip });
+    res.status(500).json({ error: 'Failed to register device', details: error.message });
+  }
+});
+
+router.get('/devices', authMiddleware, async (req, res) => {
+  try {
+    const user = await retryOperation(async () => {
+      return await User.findById(req.user.id).select('devices').lean();
+    });
+    if (!user) {
+      await logError('User not found', { userId: req.user.id, ip: req.ip });
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.json({ devices: formatDevices(user.devices, req.user.deviceId) });
+  } catch (error) {
+    await logError('Fetch devices error', { error: error.message, stack: error.stack, userId: req.user.id, ip: req.ip });
+    res.status(500).json({ error: 'Failed to fetch devices', details: error.message });
+  }
+});
+
+router.delete('/devices/:deviceId', authMiddleware, async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+    const user = await retryOperation(async () => {
+      return await User.findById(req.user.id);
+    });
+    if (!user) {
+      await logError('User not found', { userId: req.user.id, ip: req.ip });
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (!user.devices.some((device) => device.deviceId === deviceId)) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+    if (user.devices.length === 1) {
+      return res.status(400).json({ error: 'Cannot remove the only registered device' });
+    }
+
+    user.devices = user.devices.filter((device) => device.deviceId !== deviceId);
+    user.publicKey = user.devices[user.devices.length - 1].publicKey;
+    await retryOperation(async () => {
+      await user.save();
+    });
+
+    // Tokens bound to the device stop passing authMiddleware; its sessions can no longer refresh
+    // either, and its live sockets are dropped
+    const revoked = await retryOperation(async () => {
+      return await Session.revoke({ userId: user._id, deviceId }, 'device_removed');
+    });
+    await disconnectSessions(req, revoked, 'device_removed');
+    const io = req.app.get('io');
+    if (io) {
+      const sockets = await io.in(`device:${req.user.id}:${deviceId}`).fetchSockets();
+      sockets.forEach((socket) => socket.disconnect(true));
+    }
+    await notifyDeviceKeysChanged(req, req.user.id, user.contacts);
+
+    logger.info('Device removed', { userId: req.user.id, deviceId, ip: req.ip });
+    res.json({ devices: formatDevices(user.devices, req.user.deviceId) });
+  } catch (error) {
+    await logError('Remove device error', { error: error.message, stack: error.stack, userId: req.user.id, ip: req.ip });
+    res.status(500).json({ error: 'Failed to remove device', details: error.message });
+  }
+});
+
+// Device linking: the new device publishes a pairing code, an existing device approves it by
+// sending its private keys encrypted to the new device's public key. The server only relays ciphertext.
+router.post('/devices/link', authLimiter, authMiddleware, async (req, res) => {
+  try {
+    if (!req.user.deviceId) {
+      return res.status(400).json({ error: 'Register this device before linking' });
+    }
+    const user = await retryOperation(async () => {
+      return await User.findById(req.user.id).select('devices').lean();
+    });
+    const device = user && user.devices.find((entry) => entry.deviceId === req.user.deviceId);
+    if (!device) {
+      await logError('Device not found for link request', { userId: req.user.id, deviceId: req.user.deviceId, ip: req.ip });
+      return res.status(404).json({ error: 'Device not found' });
+    }
+
+    let code = generateLinkCode();
+    while (linkRequestCache.has(code)) {
+      code = generateLinkCode();
+    }
+    linkRequestCache.set(code, {
+      userId: req.user.id,
+      deviceId: device.deviceId,
+      name: device.name,
+      publicKey: device.publicKey,
+      payload: null,
+    });
+
+    logger.info('Device link requested', { userId: req.user.id, deviceId: device.deviceId, ip: req.ip });
+    res.status(201).json({ code, expiresAt: new Date(linkRequestCache.getTtl(code)) });
+  } catch (error) {
+    await logError('Device link request error', { error: error.message, stack: error.stack, userId: req.user.id, ip: req.ip });
+    res.status(500).json({ error: 'Failed to start device linking', details: error.message });
+  }
+});
+
+router.get('/devices/link/:code', authLimiter, authMiddleware, async (req, res) => {
+  try {
+    const code = req.params.code.toUpperCase();
+    const request = linkRequestCache.get(code);
+    if (!request || request.userId !== req.user.id || request.payload) {
+      await logError('Invalid device link code', { userId: req.user.id, ip: req.ip });
+      return res.status(404).json({ error: 'Link code not found or expired' });
+    }
+    if (request.deviceId === req.user.deviceId) {
+      return res.status(400).json({ error: 'Enter this code on another device' });
+    }
+    res.json({ deviceId: request.deviceId, name: request.name, publicKey: request.publicKey });
+  } catch (error) {
+    await logError('Fetch device link error', { error: error.message, stack: error.stack, userId: req.user.id, ip: req.ip });
+    res.status(500).json({ error: 'Failed to fetch link request', details: error.message });
+  }
+});
+
+router.post('/devices/link/:code/approve', authLimiter, authMiddleware, async (req, res) => {
+  try {
+    const { error } = linkApproveSchema.validate(req.body);
+    if (error) {
+      await logError('Validation error', { error: error.details[0].message, userId: req.user.id, ip: req.ip });
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    const code = req.params.code.toUpperCase();
+    const request = linkRequestCache.get(code);
+    if (!request || request.userId !== req.user.id || request.payload || request.deviceId === req.user.deviceId) {
+      await logError('Invalid device link approval', { userId: req.user.id, ip: req.ip });
+      return res.status(404).json({ error: 'Link code not found or expired' });
+    }
+
+    linkRequestCache.set(code, { ...request, payload: req.body.payload, approvedBy: req.user.deviceId });
+    const io = req.app.get('io');
+    if (io) {
+      io.to(req.user.id).emit('deviceLinkApproved', { code });
+    }
+
+    logger.info('Device link approved', { userId: req.user.id, deviceId: request.deviceId, approvedBy: req.user.deviceId, ip: req.ip });
+    res.json({ message: 'Device linked' });
+  } catch (error) {
+    await logError('Approve device link error', { error: error.message, stack: error.stack, userId: req.user.id, ip: req.ip });
+    res.status(500).json({ error: 'Failed to approve device link', details: error.message });
+  }
+});
+
+router.get('/devices/link/:code/result', authMiddleware, async (req, res) => {
+  try {
+    const code = req.params.code.toUpperCase();
+    const request = linkRequestCache.get(code);
+    if (!request || request.userId !== req.user.id || request.deviceId !== req.user.deviceId) {
+      return res.status(404).json({ error: 'Link code not found or expired' });
+    }
+    if (!request.payload) {
+      return res.json({ status: 'pending' });
+    }
+    linkRequestCache.del(code);
+    logger.info('Device link completed', { userId: req.user.id, deviceId: request.deviceId, ip: req.ip });
+    res.json({ status: 'approved', payload: request.payload, approvedBy: request.approvedBy });
+  } catch (error) {
+    await logError('Fetch device link result error', { error: error.message, stack: error.stack, userId: req.user.id, ip: req.ip });
+    res.status(500).json({ error: 'Failed to fetch link result', details: error.message });
+  }
+});
+
+router.get('/account', authMiddleware, async (req, res) => {
+  try {
+    const user = await retryOperation(async () => {
+      return await User.findById(req.user.id)
+        .select('email emailVerifiedAt passwordChangedAt twoFactor.enabled twoFactor.enabledAt +twoFactor.recoveryCodes oidcIdentities')
+        .lean();
+    });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const twoFactorEnabled = Boolean(user.twoFactor?.enabled);
+    res.json({
+      email: user.email,
+      emailVerified: Boolean(user.emailVerifiedAt),
+      passwordChangedAt: user.passwordChangedAt,
+      twoFactorEnabled,
+      twoFactorEnabledAt: twoFactorEnabled ? user.twoFactor.enabledAt : null,
+      recoveryCodesRemaining: twoFactorEnabled ? (user.twoFactor.recoveryCodes || []).length : 0,
+      linkedProviders: (user.oidcIdentities || []).map((identity) => ({
+        provider: identity.provider,
+        name: oidc.getProvider(identity.provider)?.name || identity.provider,
+        email: identity.email,
+        linkedAt: identity.linkedAt,
+      })),
+    });
+  } catch (error) {
+    await logError('Fetch account error', { error: error.message, stack: error.stack, userId: req.user.id, ip: req.ip });
+    res.status(500).json({ error: 'Failed to fetch account', details: error.message });
+  }
+});
+
+router.post('/verify-email/request', authLimiter, authMiddleware, async (req, res) => {
+  try {
+    const user = await retryOperation(async () => {
+      return await User.findById(req.user.id).select('email username emailVerifiedAt').lean();
+    });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (user.emailVerifiedAt) {
+      return res.status(400).json({ error: 'Email already verified' });
+    }
+    const sent = await sendAccountEmail(user, 'verify_email');
+    if (!sent) {
+      return res.status(429).json({ error: 'A verification email was just sent. Please wait a minute before asking again.' });
+    }
+    logger.info('Verification email sent', { userId: req.user.id, ip: req.ip });
+    res.json({ message: `Verification email sent to ${user.email}` });
+  } catch (error) {
+    await logError('Verification email request error', { error: error.message, stack: error.stack, userId: req.user.id, ip: req.ip });
+    res.status(500).json({ error: 'Failed to send verification email', details: error.message });
+  }
+});
+
+// No auth: the link may be opened on a device where the user isn't signed in
+router.post('/verify-email/confirm', authLimiter, async (req, res) => {
+  try {
+    const { error } = emailTokenSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    const record = await retryOperation(async () => AccountToken.consume(req.body.token, 'verify_email'));
+    if (!record) {
+      await logError('Invalid or expired email verification token', { ip: req.ip });
+      return res.status(400).json({ error: 'This verification link is invalid or has expired' });
+    }
+    const result = await retryOperation(async () => {
+      return await User.updateOne({ _id: record.userId, email: record.email }, { $set: { emailVerifiedAt: new Date() } });
+    });
+    if (!result.matchedCount) {
+      return res.status(400).json({ error: 'This link was sent to an email address no longer on the account' });
+    }
+    logger.info('Email verified', { userId: record.userId, ip: req.ip });
+    res.json({ message: 'Email verified', emailVerified: true });
+  } catch (error) {
+    await logError('Verify email error', { error: error.message, stack: error.stack, ip: req.ip });
+    res.status(500).json({ error: 'Failed to verify email', details: error.message });
+  }
+});
+
+// Always answers the same way so the endpoint can't be used to find registered addresses
+router.post('/password-reset/request', authLimiter, async (req, res) => {
+  try {
+    const { error } = passwordResetRequestSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    const email = req.body.email.toLowerCase().trim();
+    const user = await retryOperation(async () => {
+      return await User.findOne({ email }).select('email username').lean();
+    });
+    if (user) {
+      sendAccountEmail(user, 'reset_password').catch((err) => {
+        logger.error('Failed to send password reset email', { userId: user._id, error: err.message });
       });
-      logger.info('Old token blacklisted during refresh', { userId: req.user.id, ip: req.ip });
+      logger.info('Password reset requested', { userId: user._id, ip: req.ip });
     }
+    res.json({ message: 'If that email is registered, a reset link is on its way.' });
+  } catch (error) {
+    await logError('Password reset request error', { error: error.message, stack: error.stack, ip: req.ip });
+    res.status(500).json({ error: 'Failed to request password reset', details: error.message });
+  }
+});
 
-    const newToken = jwt.sign(
-      { id: user._id.toString(), email: user.email, virtualNumber: user.virtualNumber, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h', algorithm: 'HS256' }
-    );
+// Sets the new password and signs out every session, since whoever had the old one may be among them
+router.post('/password-reset/confirm', authLimiter, async (req, res) => {
+  try {
+    const { error } = passwordResetConfirmSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    const record = await retryOperation(async () => AccountToken.consume(req.body.token, 'reset_password'));
+    if (!record) {
+      await logError('Invalid or expired password reset token', { ip: req.ip });
+      return res.status(400).json({ error: 'This reset link is invalid or has expired' });
+    }
+    const user = await retryOperation(async () => {
+      return await User.findOne({ _id: record.userId, email: record.email }).select('email username emailVerifiedAt').lean();
+    });
+    if (!user) {
+      return res.status(400).json({ error: 'This reset link is invalid or has expired' });
+    }
+
+    const hashedPassword = await bcrypt.hash(req.body.password, 10);
+    const now = new Date();
+    await retryOperation(async () => {
+      await User.updateOne(
+        { _id: user._id },
+        // Following the emailed link proves the address, so it counts as verification too
+        { $set: { password: hashedPassword, passwordChangedAt: now, emailVerifiedAt: user.emailVerifiedAt || now } }
+      );
+    });
+    const revoked = await retryOperation(async () => {
+      return await Session.revoke({ userId: user._id }, 'password_reset');
+    });
+    await disconnectSessions(req, revoked, 'password_reset');
+    clearRefreshCookie(res);
+
+    logger.info('Password reset', { userId: user._id, sessions: revoked.length, ip: req.ip });
+    res.json({ message: 'Password updated. Please log in with your new password.' });
+  } catch (error) {
+    await logError('Password reset error', { error: error.message, stack: error.stack, ip: req.ip });
+    res.status(500).json({ error: 'Failed to reset password', details: error.message });
+  }
+});
+
+// Keeps the current session and signs out every other one
+router.post('/change-password', authLimiter, authMiddleware, async (req, res) => {
+  try {
+    const { error } = changePasswordSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    const { currentPassword, newPassword } = req.body;
+    const user = await retryOperation(async () => {
+      return await User.findById(req.user.id).select('+password email username').lean();
+    });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    // 400 rather than 401 so the client doesn't treat a typo as an expired session
+    if (!(await bcrypt.compare(currentPassword, user.password))) {
+      await logError('Unauthorized password change with wrong current password', { userId: req.user.id, ip: req.ip });
+      return res.status(400).json({ error: 'Current password is incorrect' });
+    }
+    if (currentPassword === newPassword) {
+      return res.status(400).json({ error: 'New password must be different from the current one' });
+    }
+
+    const hashedPassword = await bcrypt.hash(newPassword, 10);
+    await retryOperation(async () => {
+      await User.updateOne({ _id: user._id }, { $set: { password: hashedPassword, passwordChangedAt: new Date() } });
+    });
+    const revoked = await retryOperation(async () => {
+      return await Session.revoke({ userId: user._id, _id: { $ne: req.user.sessionId } }, 'password_changed');
+    });
+    await disconnectSessions(req, revoked, 'password_changed');
+    sendAccountEmail(user, 'password_changed').catch((err) => {
+      logger.error('Failed to send password changed email', { userId: user._id, error: err.message });
+    });
+
+    logger.info('Password changed', { userId: req.user.id, sessions: revoked.length, ip: req.ip });
+    res.json({ message: 'Password changed', revoked: revoked.length });
+  } catch (error) {
+    await logError('Change password error', { error: error.message, stack: error.stack, userId: req.user.id, ip: req.ip });
+    res.status(500).json({ error: 'Failed to change password', details: error.message });
+  }
+});
+
+// Starts enrolment: the secret is kept as pending until /2fa/enable proves the app has it
+router.post('/2fa/setup', authLimiter, authMiddleware, async (req, res) => {
+  try {
+    const user = await retryOperation(async () => {
+      return await User.findById(req.user.id).select('email twoFactor.enabled').lean();
+    });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (user.twoFactor?.enabled) {
+      return res.status(409).json({ error: 'Two-factor authentication is already on' });
+    }
+    const secret = totp.generateSecret();
+    await retryOperation(async () => {
+      await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.pendingSecret': secret } });
+    });
+    logger.info('Two-factor setup started', { userId: req.user.id, ip: req.ip });
+    res.json({ secret, otpauthUrl: totp.keyUri({ secret, account: user.email, issuer: TOTP_ISSUER }) });
+  } catch (error) {
+    await logError('Two-factor setup error', { error: error.message, stack: error.stack, userId: req.user.id, ip: req.ip });
+    res.status(500).json({ error: 'Failed to start two-factor setup', details: error.message });
+  }
+});
+
+// Wrong codes answer 400 rather than 401 here and below so the client doesn't treat a typo as an
+// expired session
+router.post('/2fa/enable', authLimiter, authMiddleware, async (req, res) => {
+  try {
+    const { error } = twoFactorCodeSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    const user = await retryOperation(async () => {
+      return await User.findById(req.user.id).select('email username twoFactor.enabled +twoFactor.pendingSecret').lean();
+    });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (user.twoFactor?.enabled) {
+      return res.status(409).json({ error: 'Two-factor authentication is already on' });
+    }
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).json({ error: 'Start two-factor setup first' });
+    }
+    const step = totp.verifyCode(user.twoFactor.pendingSecret, req.body.code);
+    if (step === null) {
+      await logError('Invalid two-factor code during setup', { userId: req.user.id, ip: req.ip });
+      return res.status(400).json({ error: 'Invalid code', details: 'Check the time on your phone is correct and try the latest code' });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await retryOperation(async () => {
+      await User.updateOne(
+        { _id: user._id },
+        {
+          $set: {
+            'twoFactor.enabled': true,
+            'twoFactor.enabledAt': new Date(),
+            'twoFactor.secret': user.twoFactor.pendingSecret,
+            'twoFactor.pendingSecret': null,
+            'twoFactor.recoveryCodes': hashes,
+            'twoFactor.lastUsedStep': step,
+          },
+        }
+      );
+    });
+    sendAccountEmail(user, 'two_factor_enabled').catch((err) => {
+      logger.error('Failed to send two-factor enabled email', { userId: user._id, error: err.message });
+    });
+
+    logger.info('Two-factor enabled', { userId: req.user.id, ip: req.ip });
+    res.json({ message: 'Two-factor authentication is on', recoveryCodes: codes });
+  } catch (error) {
+    await logError('Two-factor enable error', { error: error.message, stack: error.stack, userId: req.user.id, ip: req.ip });
+    res.status(500).json({ error: 'Failed to enable two-factor authentication', details: error.message });
+  }
+});
+
+router.post('/2fa/disable', authLimiter, authMiddleware, async (req, res) => {
+  try {
+    const { error } = twoFactorReauthSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    const reauthError = await retryOperation(async () => {
+      return await checkReauthentication(req.user.id, req.body.password, req.body.code);
+    });
+    if (reauthError) {
+      await logError('Unauthorized two-factor disable attempt', { userId: req.user.id, reason: reauthError, ip: req.ip });
+      return res.status(400).json({ error: reauthError });
+    }
+
+    const user = await retryOperation(async () => {
+      return await User.findOneAndUpdate(
+        { _id: req.user.id },
+        {
+          $set: {
+            'twoFactor.enabled': false,
+            'twoFactor.enabledAt': null,
+            'twoFactor.secret': null,
+            'twoFactor.pendingSecret': null,
+            'twoFactor.recoveryCodes': [],
+            'twoFactor.lastUsedStep': null,
+          },
+        },
+        { new: true }
+      ).select('email username').lean();
+    });
+    sendAccountEmail(user, 'two_factor_disabled').catch((err) => {
+      logger.error('Failed to send two-factor disabled email', { userId: req.user.id, error: err.message });
+    });
+
+    logger.info('Two-factor disabled', { userId: req.user.id, ip: req.ip });
+    res.json({ message: 'Two-factor authentication is off' });
+  } catch (error) {
+    await logError('Two-factor disable error', { error: error.message, stack: error.stack, userId: req.user.id, ip: req.ip });
+    res.status(500).json({ error: 'Failed to disable two-factor authentication', details: error.message });
+  }
+});
+
+// Replaces every recovery code, used or not
+router.post('/2fa/recovery-codes', authLimiter, authMiddleware, async (req, res) => {
+  try {
+    const { error } = twoFactorReauthSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    const reauthError = await retryOperation(async () => {
+      return await checkReauthentication(req.user.id, req.body.password, req.body.code);
+    });
+    if (reauthError) {
+      await logError('Unauthorized recovery code request', { userId: req.user.id, reason: reauthError, ip: req.ip });
+      return res.status(400).json({ error: reauthError });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await retryOperation(async () => {
+      await User.updateOne({ _id: req.user.id }, { $set: { 'twoFactor.recoveryCodes': hashes } });
+    });
+    logger.info('Recovery codes regenerated', { userId: req.user.id, ip: req.ip });
+    res.json({ recoveryCodes: codes });
+  } catch (error) {
+    await logError('Recovery code error', { error: error.message, stack: error.stack, userId: req.user.id, ip: req.ip });
+    res.status(500).json({ error: 'Failed to create recovery codes', details: error.message });
+  }
+});
+
+router.get('/sessions', authMiddleware, async (req, res) => {
+  try {
+    const sessions = await retryOperation(async () => fetchActiveSessions(req.user.id));
+    res.json({ sessions: formatSessions(sessions, req.user.sessionId) });
+  } catch (error) {
+    await logError('Fetch sessions error', { error: error.message, stack: error.stack, userId: req.user.id, ip: req.ip });
+    res.status(500).json({ error: 'Failed to fetch sessions', details: error.message });
+  }
+});
+
+// Signs out one session. Revoking the current one works like logout and clears the cookie.
+router.delete('/sessions/:sessionId', authMiddleware, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    if (!mongoose.isValidObjectId(sessionId)) {
+      return res.status(400).json({ error: 'Invalid session ID' });
+    }
+    const revoked = await retryOperation(async () => {
+      return await Session.revoke({ _id: sessionId, userId: req.user.id }, 'revoked');
+    });
+    if (!revoked.length) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    await disconnectSessions(req, revoked);
+    if (sessionId === req.user.sessionId) {
+      clearRefreshCookie(res);
+    }
+
+    const sessions = await retryOperation(async () => fetchActiveSessions(req.user.id));
+    logger.info('Session revoked', { userId: req.user.id, sessionId, ip: req.ip });
+    res.json({ sessions: formatSessions(sessions, req.user.sessionId) });
+  } catch (error) {
+    await logError('Revoke session error', { error: error.message, stack: error.stack, userId: req.user.id, ip: req.ip });
+    res.status(500).json({ error: 'Failed to revoke session', details: error.message });
+  }
+});
+
+// Signs out every session except the one making the request
+router.delete('/sessions', authMiddleware, async (req, res) => {
+  try {
+    const revoked = await retryOperation(async () => {
+      return await Session.revoke({ userId: req.user.id, _id: { $ne: req.user.sessionId } }, 'revoked');
+    });
+    await disconnectSessions(req, revoked);
+
+    const sessions = await retryOperation(async () => fetchActiveSessions(req.user.id));
+    logger.info('Other sessions revoked', { userId: req.user.id, count: revoked.length, ip: req.ip });
+    res.json({ revoked: revoked.length, sessions: formatSessions(sessions, req.user.sessionId) });
+  } catch (error) {
+    await logError('Revoke sessions error', { error: error.message, stack: error.stack, userId: req.user.id, ip: req.ip });
+    res.status(500).json({ error: 'Failed to revoke sessions', details: error.message });
+  }
+});
+
+// Rotates the refresh cookie and returns a new access token. Presenting an already rotated refresh
+// token revokes the session, since either it or the current one has been stolen.
+router.post('/refresh', authLimiter, async (req, res) => {
+  try {
+    const refreshToken = readRefreshCookie(req);
+    if (!refreshToken) {
+      return res.status(401).json({ error: 'No refresh token provided' });
+    }
+
+    // Not retried: a rotation that succeeded but then failed to respond would look like reuse on retry
+    const result = await Session.rotate(refreshToken, { ip: req.ip, userAgent: req.get('user-agent') });
+    if (result.status === 'reused') {
+      await logError('Unauthorized refresh token reuse, session revoked', { userId: result.session.userId, sessionId: result.session._id, ip: req.ip });
+      await disconnectSessions(req, [result.session._id.toString()], 'reuse');
+      clearRefreshCookie(res);
+      return res.status(401).json({ error: 'Session revoked', details: 'Refresh token was already used' });
+    }
+    if (result.status === 'invalid') {
+      await logError('Invalid refresh token', { ip: req.ip });
+      clearRefreshCookie(res);
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
+    const { session } = result;
+    const { userId } = req.body || {};
+    if (userId && userId !== session.userId.toString()) {
+      await logError('Unauthorized refresh attempt', { userId, sessionUserId: session.userId, ip: req.ip });
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+
+    const user = await retryOperation(async () => {
+      return await User.findById(session.userId).lean();
+    });
+    if (!user) {
+      await logError('User not found during token refresh', { userId: session.userId, ip: req.ip });
+      clearRefreshCookie(res);
+      return res.status(401).json({ error: 'User not found' });
+    }
+    if (User.isSuspended(user)) {
+      await logError('Unauthorized refresh for suspended account', { userId: user._id, ip: req.ip });
+      return res.status(403).json(suspensionError(user.suspension));
+    }
+    if (session.deviceId && !(user.devices || []).some((device) => device.deviceId === session.deviceId)) {
+      await logError('Unauthorized refresh for removed device', { userId: user._id, deviceId: session.deviceId, ip: req.ip });
+      await retryOperation(async () => Session.revoke({ _id: session._id }, 'device_removed'));
+      clearRefreshCookie(res);
+      return res.status(401).json({ error: 'Invalid token: Device has been removed' });
+    }
+
+    if (result.refreshToken) {
+      setRefreshCookie(res, result.refreshToken);
+    }
+    const newToken = signAccessToken(user, session._id, session.deviceId);
 
-    logger.info('Token refreshed successfully', { userId: user._id, ip: req.ip });
+    logger.info('Token refreshed successfully', { userId: user._id, sessionId: session._id, status: result.status, ip: req.ip });
     res.json({
       token: newToken,
       userId: user._id.toString(),
       role: user.role,
+      isAdmin: Boolean(user.isAdmin),
       photo: user.photo || 'https://placehold.co/40x40',
       virtualNumber: user.virtualNumber || '',
       username: user.username || '',
-      privateKey: user.privateKey,
+      publicKey: user.publicKey,
+      deviceId: session.deviceId || undefined,
+      emailVerified: Boolean(user.emailVerifiedAt),
     });
   } catch (error) {
-    await logError('Refresh token error', { error: error.message, stack: error.stack, userId: req.user?.id, ip: req.ip });
+    await logError('Refresh token error', { error: error.message, stack: error.stack, ip: req.ip });
     res.status(500).json({ error: 'Failed to refresh token', details: error.message });
   }
 });
 
-module.exports = { router, authMiddleware };
\ No newline at end of file
+module.exports = { router, authMiddleware, adminMiddleware, disconnectSessions };
\ No newline at end of file
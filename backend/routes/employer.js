@@ -1,5 +1,6 @@
 const express = require('express');
 const Job = require('../models/Job');
+const { decodeTimeCursor, timeCursorFilter, timeCursorSort, timeCursorPage } = require('../utils/cursor');
 const authMiddleware = require('./auth');
 const router = express.Router();
 
@@ -32,15 +33,22 @@ router.post('/post_job', authMiddleware, async (req, res) => {
 router.get('/jobs', authMiddleware, async (req, res) => {
   try {
     const { userId } = req.user;
-    const { page = 1, limit = 20 } = req.query;
-    const jobs = await Job.find({ userId, status: 'open' })
-      .skip((page - 1) * limit)
-      .limit(parseInt(limit))
-      .lean();
-    const totalJobs = await Job.countDocuments({ userId, status: 'open' });
+    const { cursor, limit = 20 } = req.query;
+    const parsedLimit = Math.max(1, Math.min(parseInt(limit) || 20, 50));
+    const position = cursor ? decodeTimeCursor(cursor) : null;
+    if (cursor && !position) return res.status(400).json({ error: 'Invalid cursor' });
+    const query = { userId, status: 'open' };
+    const { items, nextCursor, hasMore } = timeCursorPage(
+      await Job.find(position ? { $and: [query, timeCursorFilter(position)] } : query)
+        .sort(timeCursorSort())
+        .limit(parsedLimit + 1)
+        .lean(),
+      parsedLimit
+    );
     res.json({
-      jobs,
-      hasMore: (page * limit) < totalJobs,
+      jobs: items,
+      nextCursor,
+      hasMore,
     });
   } catch (error) {
     console.error('Fetch jobs error:', error);
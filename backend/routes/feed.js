@@ -2,14 +2,18 @@ const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
 const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Bookmark = require('../models/Bookmark');
 const User = require('../models/User');
-const cloudinary = require('cloudinary').v2;
 const multer = require('multer');
 const { authMiddleware } = require('./auth');
+const { processMedia } = require('../utils/mediaPipeline');
+const storage = require('../utils/storage');
+const { renderText, renderPdf } = require('../utils/postRenderer');
+const { encodeCursor, decodeCursor, decodeTimeCursor, timeCursorFilter, timeCursorSort, timeCursorPage } = require('../utils/cursor');
+const { buildViewerContext, rankPosts } = require('../utils/feedRanking');
+const { extractHashtags, extractMentions, normalizeHashtag } = require('../utils/textEntities');
 const winston = require('winston');
-const PDFDocument = require('pdfkit');
-const { createCanvas, loadImage } = require('canvas');
-const pdfjsLib = require('pdfjs-dist');
 
 // Configure logger
 const logger = winston.createLogger({
@@ -23,9 +27,8 @@ const logger = winston.createLogger({
 });
 
 // Configure multer for file uploads
-const storage = multer.memoryStorage();
 const upload = multer({
-  storage,
+  storage: multer.memoryStorage(),
   limits: { fileSize: 20 * 1024 * 1024 },
   fileFilter: (req, file, cb) => {
     const allowedTypes = {
@@ -68,122 +71,139 @@ const retryOperation = async (operation, maxRetries = 3, baseDelay = 1000) => {
   }
 };
 
-// Convert text to image for text posts
-const textToImage = async (text) => {
-  const canvas = createCanvas(1080, 1920);
-  const ctx = canvas.getContext('2d');
-  
-  // Gradient background
-  const gradient = ctx.createLinearGradient(0, 0, 1080, 1920);
-  gradient.addColorStop(0, '#4b6cb7');
-  gradient.addColorStop(1, '#182848');
-  ctx.fillStyle = gradient;
-  ctx.fillRect(0, 0, 1080, 1920);
-
-  // Text styling
-  ctx.fillStyle = '#ffffff';
-  ctx.font = '48px Arial';
-  ctx.textAlign = 'center';
-  ctx.textBaseline = 'middle';
-  const lines = text.match(/.{1,50}(\s|$)/g) || [text];
-  lines.forEach((line, index) => {
-    ctx.fillText(line, 540, 960 + index * 60 - (lines.length * 30));
-  });
+// Uploads the thumbnail/poster variants produced by the media pipeline and returns the post's media entry
+const storeMediaVariants = async ({ metadata, variants }) => {
+  const [thumbnail, poster] = await Promise.all([
+    variants.thumbnail ? retryOperation(() =>
+      storage.upload(variants.thumbnail.buffer, { kind: 'image', folder: 'feed/previews', mimetype: variants.thumbnail.mimetype, filename: 'thumbnail.webp', timeout: 30000 })
+    ) : null,
+    variants.poster ? retryOperation(() =>
+      storage.upload(variants.poster.buffer, { kind: 'image', folder: 'feed/previews', mimetype: variants.poster.mimetype, filename: 'poster.jpg', timeout: 30000 })
+    ) : null,
+  ]);
+  return {
+    width: metadata.width,
+    height: metadata.height,
+    duration: metadata.duration,
+    blurhash: metadata.blurhash,
+    thumbnailUrl: thumbnail?.url,
+    posterUrl: poster?.url,
+  };
+};
 
-  return new Promise((resolve) => {
-    canvas.toBuffer((err, buf) => {
-      if (err) throw err;
-      resolve(buf);
+const STORY_CONTENT_TYPES = ['text', 'image', 'video'];
+const FEED_POST_FIELDS = 'userId username photo contentType content audioContent media caption hashtags edited editedAt repostOf repostCount likes likedBy commentCount createdAt';
+// Posts a moderator hid are left out of every listing, and can no longer be liked, shared or commented on
+const NOT_HIDDEN = { hidden: { $ne: true } };
+const FOR_YOU_WINDOW_MS = 14 * 24 * 60 * 60 * 1000; // Older posts are not ranked
+const FOR_YOU_CANDIDATES = 500;
+
+// Resolves the @usernames in `text` to user IDs; names that match no account are ignored
+const resolveMentions = async (text) => {
+  const usernames = extractMentions(text);
+  if (!usernames.length) return [];
+  const users = await retryOperation(() => User.find({ username: { $in: usernames } }).select('_id').lean());
+  return users.map((user) => user._id);
+};
+
+// Parsed #hashtags and @mentions to store on a post or comment
+const parseTextEntities = async (text) => ({ hashtags: extractHashtags(text), mentions: await resolveMentions(text) });
+
+/**
+ * Sends `mention` to each mentioned user except the author and anyone who blocked or muted them.
+ * On edits, `previous` holds the mentions already notified so only people newly added to the text
+ * hear about it. Runs after the response is sent, so failures are only logged.
+ * @param {Object} target - { postId, commentId?, text }
+ */
+const notifyMentions = async (req, mentions, { authorId, authorUsername, previous = [] }, target) => {
+  const io = req.app.get('io');
+  if (!io || !mentions.length) return;
+  const skip = new Set([authorId.toString(), ...previous.map((id) => id.toString())]);
+  let recipients = [...new Set(mentions.map((id) => id.toString()))].filter((id) => !skip.has(id));
+  if (!recipients.length) return;
+  try {
+    const [silenced, blocked] = await Promise.all([
+      retryOperation(() =>
+        User.find({ _id: { $in: recipients }, $or: [{ blockedUsers: authorId }, { mutedUsers: authorId }] }).select('_id').lean()
+      ),
+      retryOperation(() => User.findById(authorId).select('blockedUsers').lean()),
+    ]);
+    const excluded = new Set([...silenced.map((user) => user._id), ...(blocked?.blockedUsers || [])].map((id) => id.toString()));
+    recipients = recipients.filter((id) => !excluded.has(id));
+  } catch (err) {
+    logger.error('Failed to check mention recipients', { error: err.message, authorId: authorId.toString() });
+    return;
+  }
+  recipients.forEach((id) => {
+    io.to(id).emit('mention', {
+      postId: target.postId.toString(),
+      commentId: target.commentId ? target.commentId.toString() : null,
+      fromUserId: authorId.toString(),
+      fromUsername: authorUsername,
+      excerpt: target.text.slice(0, 140),
     });
   });
+  if (recipients.length) logger.info('Emitted mention', { authorId: authorId.toString(), postId: target.postId.toString(), recipients: recipients.length });
+};
+
+// Lean post -> feed response shape. Text and PDF renders are stored at creation, so this is a plain read
+const serializeFeedPost = (post) => ({
+  ...post,
+  _id: post._id.toString(),
+  userId: post.userId.toString(),
+  likedBy: post.likedBy.map((id) => id.toString()),
+  commentCount: post.commentCount || 0,
+  repostCount: post.repostCount || 0,
+  ...(post.repostOf ? { repostOf: post.repostOf.toString() } : {}),
+  ...(post.editedAt ? { editedAt: post.editedAt.toISOString() } : {}),
+  createdAt: post.createdAt.toISOString(),
+});
+
+// Serializes a page of posts, embedding the shared post on reposts as `original` (null once it is deleted or hidden).
+// With `viewerId`, each post also says whether the viewer has bookmarked it
+const serializeFeedPosts = async (posts, viewerId = null) => {
+  const originalIds = [...new Set(posts.filter((post) => post.repostOf).map((post) => post.repostOf.toString()))];
+  const [originals, bookmarks] = await Promise.all([
+    originalIds.length
+      ? retryOperation(() => Post.find({ _id: { $in: originalIds }, ...NOT_HIDDEN }).select(FEED_POST_FIELDS).lean())
+      : [],
+    viewerId && posts.length
+      ? retryOperation(() => Bookmark.find({ userId: viewerId, postId: { $in: posts.map((post) => post._id) } }).select('postId').lean())
+      : null,
+  ]);
+  const originalsById = new Map(originals.map((original) => [original._id.toString(), serializeFeedPost(original)]));
+  const bookmarked = bookmarks && new Set(bookmarks.map((bookmark) => bookmark.postId.toString()));
+  return posts.map((post) => {
+    const postObject = serializeFeedPost(post);
+    if (bookmarked) postObject.bookmarked = bookmarked.has(postObject._id);
+    return post.repostOf ? { ...postObject, original: originalsById.get(postObject.repostOf) || null } : postObject;
+  });
 };
 
-// Split PDF into pages
-const splitPDF = async (pdfBuffer) => {
-  const pdf = await pdfjsLib.getDocument({ data: pdfBuffer }).promise;
-  const pages = [];
-  for (let i = 1; i <= pdf.numPages; i++) {
-    const page = await pdf.getPage(i);
-    const viewport = page.getViewport({ scale: 1.0 });
-    const canvas = createCanvas(viewport.width, viewport.height);
-    const ctx = canvas.getContext('2d');
-    await page.render({ canvasContext: ctx, viewport }).promise;
-    pages.push(canvas.toBuffer('image/png'));
-  }
-  return pages;
+// Reads one newest-first page of posts matching `query`, continuing after `cursor` when given
+const fetchPostPage = async (query, cursor, limit) => {
+  const posts = await retryOperation(() =>
+    Post.find({ $and: [query, NOT_HIDDEN, ...(cursor ? [timeCursorFilter(cursor)] : [])] })
+      .select(FEED_POST_FIELDS)
+      .sort(timeCursorSort())
+      .limit(limit + 1)
+      .lean()
+  );
+  return timeCursorPage(posts, limit);
 };
 
-// Public feed route (no auth required)
+// Public feed route (no auth required), newest first and paged by `cursor`
 router.get('/', async (req, res) => {
   try {
-    const page = Math.max(1, parseInt(req.query.page) || 1);
     const limit = Math.max(1, Math.min(20, parseInt(req.query.limit) || 10));
-    const skip = (page - 1) * limit;
-
-    const [posts, totalPosts] = await Promise.all([
-      retryOperation(() =>
-        Post.find({ isStory: false })
-          .select('userId username photo contentType content audioContent caption likes likedBy comments createdAt')
-          .sort({ createdAt: -1 })
-          .skip(skip)
-          .limit(limit)
-          .lean()
-      ),
-      retryOperation(() => Post.countDocuments({ isStory: false })),
-    ]);
-
-    const processedPosts = await Promise.all(posts.map(async (post) => {
-      let contentUrls = [post.content];
-      if (post.contentType === 'text') {
-        const imageBuffer = await textToImage(post.content);
-        const result = await retryOperation(() =>
-          new Promise((resolve, reject) => {
-            const uploadStream = cloudinary.uploader.upload_stream(
-              { resource_type: 'image', folder: 'feed', timeout: 30000 },
-              (error, result) => {
-                if (error) reject(error);
-                else resolve(result);
-              }
-            );
-            uploadStream.end(imageBuffer);
-          })
-        );
-        contentUrls = [result.secure_url];
-      } else if (post.contentType === 'raw' && post.content.endsWith('.pdf')) {
-        const pdfBuffer = await fetch(post.content).then(res => res.arrayBuffer());
-        contentUrls = await splitPDF(pdfBuffer).then(pages => 
-          Promise.all(pages.map(page => 
-            new Promise((resolve, reject) => {
-              const uploadStream = cloudinary.uploader.upload_stream(
-                { resource_type: 'image', folder: 'feed', timeout: 30000 },
-                (error, result) => {
-                  if (error) reject(error);
-                  else resolve(result.secure_url);
-                }
-              );
-              uploadStream.end(page);
-            })
-          ))
-        );
-      }
-      return {
-        ...post,
-        _id: post._id.toString(),
-        userId: post.userId.toString(),
-        content: contentUrls,
-        likedBy: post.likedBy.map((id) => id.toString()),
-        comments: post.comments.slice(-5).map((comment) => ({
-          ...comment,
-          userId: comment.userId.toString(),
-          createdAt: comment.createdAt.toISOString(),
-        })),
-        createdAt: post.createdAt.toISOString(),
-      };
-    }));
+    const cursor = req.query.cursor ? decodeTimeCursor(req.query.cursor) : null;
+    if (req.query.cursor && !cursor) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
 
-    const hasMore = skip + posts.length < totalPosts;
-    logger.info('Fetched public feed', { page, limit, postCount: processedPosts.length });
-    res.json({ posts: processedPosts, hasMore });
+    const { items, nextCursor, hasMore } = await fetchPostPage({ isStory: false }, cursor, limit);
+    logger.info('Fetched public feed', { limit, postCount: items.length });
+    res.json({ posts: await serializeFeedPosts(items), nextCursor, hasMore });
   } catch (err) {
     logger.error('Failed to fetch feed', { error: err.message });
     res.status(500).json({ error: 'Failed to fetch feed', details: err.message });
@@ -199,77 +219,427 @@ router.get('/user/:userId', authMiddleware, async (req, res) => {
       return res.status(400).json({ error: 'Invalid or unauthorized user ID' });
     }
 
-    const page = Math.max(1, parseInt(req.query.page) || 1);
     const limit = Math.max(1, Math.min(20, parseInt(req.query.limit) || 10));
-    const skip = (page - 1) * limit;
+    const cursor = req.query.cursor ? decodeTimeCursor(req.query.cursor) : null;
+    if (req.query.cursor && !cursor) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
 
-    const [posts, totalPosts] = await Promise.all([
-      retryOperation(() =>
-        Post.find({ userId: mongoose.Types.ObjectId(userId), isStory: false })
-          .select('userId username photo contentType content audioContent caption likes likedBy comments createdAt')
-          .sort({ createdAt: -1 })
-          .skip(skip)
-          .limit(limit)
-          .lean()
-      ),
-      retryOperation(() => Post.countDocuments({ userId: mongoose.Types.ObjectId(userId), isStory: false })),
+    const { items, nextCursor, hasMore } = await fetchPostPage(
+      { userId: new mongoose.Types.ObjectId(userId), isStory: false },
+      cursor,
+      limit
+    );
+    logger.info('Fetched user posts', { userId, limit, postCount: items.length });
+    res.json({ posts: await serializeFeedPosts(items, userId), nextCursor, hasMore });
+  } catch (err) {
+    logger.error('Failed to fetch user posts', { error: err.message, userId: req.params.userId });
+    res.status(500).json({ error: 'Failed to fetch user posts', details: err.message });
+  }
+});
+
+// Posts from accounts the caller follows, newest first and paged by `cursor`
+router.get('/following', authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const limit = Math.max(1, Math.min(20, parseInt(req.query.limit) || 10));
+    const cursor = req.query.cursor ? decodeTimeCursor(req.query.cursor) : null;
+    if (req.query.cursor && !cursor) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    const [user, blockedIds] = await Promise.all([
+      retryOperation(() => User.findById(userId).select('following').lean()),
+      retryOperation(() => User.blockedIdsFor(userId)),
     ]);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (!user.following?.length) {
+      return res.json({ posts: [], nextCursor: null, hasMore: false });
+    }
 
-    const processedPosts = await Promise.all(posts.map(async (post) => {
-      let contentUrls = [post.content];
-      if (post.contentType === 'text') {
-        const imageBuffer = await textToImage(post.content);
-        const result = await retryOperation(() =>
-          new Promise((resolve, reject) => {
-            const uploadStream = cloudinary.uploader.upload_stream(
-              { resource_type: 'image', folder: 'feed', timeout: 30000 },
-              (error, result) => {
-                if (error) reject(error);
-                else resolve(result);
-              }
-            );
-            uploadStream.end(imageBuffer);
-          })
-        );
-        contentUrls = [result.secure_url];
-      } else if (post.contentType === 'raw' && post.content.endsWith('.pdf')) {
-        const pdfBuffer = await fetch(post.content).then(res => res.arrayBuffer());
-        contentUrls = await splitPDF(pdfBuffer).then(pages => 
-          Promise.all(pages.map(page => 
-            new Promise((resolve, reject) => {
-              const uploadStream = cloudinary.uploader.upload_stream(
-                { resource_type: 'image', folder: 'feed', timeout: 30000 },
-                (error, result) => {
-                  if (error) reject(error);
-                  else resolve(result.secure_url);
-                }
-              );
-              uploadStream.end(page);
-            })
-          ))
-        );
+    const { items, nextCursor, hasMore } = await fetchPostPage(
+      { userId: { $in: user.following, $nin: blockedIds.map((id) => new mongoose.Types.ObjectId(id)) }, isStory: false },
+      cursor,
+      limit
+    );
+    logger.info('Fetched following feed', { userId, limit, postCount: items.length });
+    res.json({ posts: await serializeFeedPosts(items, userId), nextCursor, hasMore });
+  } catch (err) {
+    logger.error('Failed to fetch following feed', { error: err.message, userId: req.user?.id });
+    res.status(500).json({ error: 'Failed to fetch following feed', details: err.message });
+  }
+});
+
+// Ranked "For you" feed. The first page fixes the ranking time (asOf) and later pages reuse it,
+// so scores stay comparable and the cursor's (score, _id) position cuts the list cleanly
+router.get('/for-you', authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const limit = Math.max(1, Math.min(20, parseInt(req.query.limit) || 10));
+    const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+    if (req.query.cursor && (!cursor || !Number.isFinite(cursor.asOf) || !Number.isFinite(cursor.score) || typeof cursor.id !== 'string')) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    const [user, blockedIds] = await Promise.all([
+      retryOperation(() => User.findById(userId).select('following contacts country').lean()),
+      retryOperation(() => User.blockedIdsFor(userId)),
+    ]);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const asOf = cursor ? cursor.asOf : Date.now();
+    const candidates = await retryOperation(() =>
+      Post.find({
+        isStory: false,
+        ...NOT_HIDDEN,
+        ...(blockedIds.length ? { userId: { $nin: blockedIds.map((id) => new mongoose.Types.ObjectId(id)) } } : {}),
+        createdAt: { $gte: new Date(asOf - FOR_YOU_WINDOW_MS), $lte: new Date(asOf) },
+      })
+        .select(FEED_POST_FIELDS)
+        .sort({ createdAt: -1 })
+        .limit(FOR_YOU_CANDIDATES)
+        .lean()
+    );
+    const authorIds = [...new Set(candidates.map((post) => post.userId.toString()))];
+    const authors = await retryOperation(() => User.find({ _id: { $in: authorIds } }).select('country').lean());
+    const countries = new Map(authors.map((author) => [author._id.toString(), author.country]));
+
+    const ranked = rankPosts(
+      candidates.map((post) => ({ ...post, authorCountry: countries.get(post.userId.toString()) })),
+      buildViewerContext(user),
+      asOf,
+      cursor && { score: cursor.score, id: cursor.id }
+    );
+    const page = ranked.slice(0, limit);
+    const hasMore = ranked.length > limit;
+    const last = page[page.length - 1];
+    logger.info('Fetched for-you feed', { userId, limit, candidateCount: candidates.length, postCount: page.length });
+    res.json({
+      posts: await serializeFeedPosts(page.map(({ post }) => {
+        const { authorCountry, ...rest } = post;
+        return rest;
+      }), userId),
+      nextCursor: hasMore ? encodeCursor({ asOf, score: last.score, id: last.id }) : null,
+      hasMore,
+    });
+  } catch (err) {
+    logger.error('Failed to fetch for-you feed', { error: err.message, userId: req.user?.id });
+    res.status(500).json({ error: 'Failed to fetch for-you feed', details: err.message });
+  }
+});
+
+const TRENDING_WINDOW_HOURS = 24;
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Post search, newest first and paged by `cursor`. `q` searches captions, or acts as a hashtag or
+// author filter when it starts with # or @; `hashtag` and `author` filter explicitly. The first
+// page of a caption search also lists matching accounts. Blocked users are left out both ways
+router.get('/search', authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const limit = Math.max(1, Math.min(20, parseInt(req.query.limit) || 10));
+    const cursor = req.query.cursor ? decodeTimeCursor(req.query.cursor) : null;
+    if (req.query.cursor && !cursor) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    const q = typeof req.query.q === 'string' ? req.query.q.trim().slice(0, 100) : '';
+    const rawHashtag = q.startsWith('#') ? q : req.query.hashtag;
+    const author = (q.startsWith('@') ? q.slice(1) : typeof req.query.author === 'string' ? req.query.author : '').trim().replace(/^@/, '');
+    const text = q && !q.startsWith('#') && !q.startsWith('@') ? q : '';
+    const hashtag = rawHashtag ? normalizeHashtag(rawHashtag) : null;
+    if (rawHashtag && !hashtag) {
+      return res.status(400).json({ error: 'Invalid hashtag' });
+    }
+    if (!hashtag && !author && !text) {
+      return res.status(400).json({ error: 'Provide q, hashtag or author' });
+    }
+
+    const blockedIds = await retryOperation(() => User.blockedIdsFor(userId));
+    const blockedObjectIds = blockedIds.map((id) => new mongoose.Types.ObjectId(id));
+    const query = { isStory: false, userId: { $nin: blockedObjectIds } };
+    if (hashtag) query.hashtags = hashtag;
+    if (text) query.$text = { $search: text };
+    if (author) {
+      const authorUser = await retryOperation(() => User.findOne({ username: author }).select('_id').lean());
+      if (!authorUser || blockedIds.includes(authorUser._id.toString())) {
+        return res.json({ posts: [], users: [], nextCursor: null, hasMore: false });
       }
-      return {
-        ...post,
-        _id: post._id.toString(),
-        userId: post.userId.toString(),
-        content: contentUrls,
-        likedBy: post.likedBy.map((id) => id.toString()),
-        comments: post.comments.slice(-5).map((comment) => ({
-          ...comment,
-          userId: comment.userId.toString(),
-          createdAt: comment.createdAt.toISOString(),
-        })),
-        createdAt: post.createdAt.toISOString(),
-      };
-    }));
+      query.userId = authorUser._id;
+    }
 
-    const hasMore = skip + posts.length < totalPosts;
-    logger.info('Fetched user posts', { userId, page, limit, postCount: processedPosts.length });
-    res.json({ posts: processedPosts, hasMore });
+    const [{ items, nextCursor, hasMore }, users] = await Promise.all([
+      fetchPostPage(query, cursor, limit),
+      text && !cursor
+        ? retryOperation(() =>
+            User.find({ username: { $regex: `^${escapeRegex(text)}`, $options: 'i' }, _id: { $nin: blockedObjectIds } })
+              .select('username photo')
+              .limit(5)
+              .lean()
+          )
+        : [],
+    ]);
+    logger.info('Searched feed', { userId, hashtag, author: author || undefined, textLength: text.length, postCount: items.length });
+    res.json({
+      posts: await serializeFeedPosts(items, userId),
+      users: users.map((user) => ({ _id: user._id.toString(), username: user.username, photo: user.photo })),
+      nextCursor,
+      hasMore,
+    });
   } catch (err) {
-    logger.error('Failed to fetch user posts', { error: err.message, userId: req.params.userId });
-    res.status(500).json({ error: 'Failed to fetch user posts', details: err.message });
+    logger.error('Failed to search feed', { error: err.message, userId: req.user?.id });
+    res.status(500).json({ error: 'Failed to search feed', details: err.message });
+  }
+});
+
+// Hashtags used on the most posts over the last `hours` (default 24, at most a week)
+router.get('/hashtags/trending', async (req, res) => {
+  try {
+    const limit = Math.max(1, Math.min(50, parseInt(req.query.limit) || 10));
+    const hours = Math.max(1, Math.min(168, parseInt(req.query.hours) || TRENDING_WINDOW_HOURS));
+    const since = new Date(Date.now() - hours * 60 * 60 * 1000);
+    const trending = await retryOperation(() =>
+      Post.aggregate([
+        { $match: { isStory: false, ...NOT_HIDDEN, createdAt: { $gte: since }, 'hashtags.0': { $exists: true } } },
+        { $unwind: '$hashtags' },
+        { $group: { _id: '$hashtags', count: { $sum: 1 }, lastUsedAt: { $max: '$createdAt' } } },
+        { $sort: { count: -1, lastUsedAt: -1 } },
+        { $limit: limit },
+      ])
+    );
+    res.json({
+      hashtags: trending.map((entry) => ({ tag: entry._id, count: entry.count, lastUsedAt: entry.lastUsedAt.toISOString() })),
+      hours,
+    });
+  } catch (err) {
+    logger.error('Failed to fetch trending hashtags', { error: err.message });
+    res.status(500).json({ error: 'Failed to fetch trending hashtags', details: err.message });
+  }
+});
+
+// Who the caller follows, plus follower/following counts for the profile header
+router.get('/follows', authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const [user, followerCount] = await Promise.all([
+      retryOperation(() => User.findById(userId).select('following').lean()),
+      retryOperation(() => User.countDocuments({ following: new mongoose.Types.ObjectId(userId) })),
+    ]);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const following = (user.following || []).map((id) => id.toString());
+    res.json({ following, followingCount: following.length, followerCount });
+  } catch (err) {
+    logger.error('Failed to fetch follows', { error: err.message, userId: req.user?.id });
+    res.status(500).json({ error: 'Failed to fetch follows', details: err.message });
+  }
+});
+
+// Follow an account; following someone twice is a no-op
+router.post('/follow', authMiddleware, async (req, res) => {
+  try {
+    const { targetId } = req.body;
+    const userId = req.user.id;
+    if (!mongoose.Types.ObjectId.isValid(targetId) || targetId === userId) {
+      return res.status(400).json({ error: 'Invalid user to follow' });
+    }
+    const target = await retryOperation(() => User.findById(targetId).select('_id mutedUsers').lean());
+    if (!target) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (await retryOperation(() => User.isBlockedBetween(userId, targetId))) {
+      return res.status(403).json({ error: 'You cannot follow this account' });
+    }
+
+    // The index guard keeps $addToSet from growing the list past the schema limit
+    const result = await retryOperation(() =>
+      User.updateOne(
+        { _id: userId, [`following.${User.MAX_FOLLOWING - 1}`]: { $exists: false } },
+        { $addToSet: { following: new mongoose.Types.ObjectId(targetId) } }
+      )
+    );
+    if (!result.matchedCount) {
+      return res.status(400).json({ error: `Cannot follow more than ${User.MAX_FOLLOWING} accounts` });
+    }
+    if (result.modifiedCount) {
+      const io = req.app.get('io');
+      // Muting only silences the notification; the follow itself stands
+      const muted = (target.mutedUsers || []).some((id) => id.toString() === userId);
+      if (io && !muted) io.to(targetId).emit('newFollower', { userId });
+      logger.info('Followed user', { userId, targetId });
+    }
+    res.json({ targetId, following: true });
+  } catch (err) {
+    logger.error('Failed to follow user', { error: err.message, userId: req.user?.id, targetId: req.body.targetId });
+    res.status(500).json({ error: 'Failed to follow user', details: err.message });
+  }
+});
+
+// Unfollow an account
+router.post('/unfollow', authMiddleware, async (req, res) => {
+  try {
+    const { targetId } = req.body;
+    const userId = req.user.id;
+    if (!mongoose.Types.ObjectId.isValid(targetId)) {
+      return res.status(400).json({ error: 'Invalid user to unfollow' });
+    }
+    await retryOperation(() =>
+      User.updateOne({ _id: userId }, { $pull: { following: new mongoose.Types.ObjectId(targetId) } })
+    );
+    logger.info('Unfollowed user', { userId, targetId });
+    res.json({ targetId, following: false });
+  } catch (err) {
+    logger.error('Failed to unfollow user', { error: err.message, userId: req.user?.id, targetId: req.body.targetId });
+    res.status(500).json({ error: 'Failed to unfollow user', details: err.message });
+  }
+});
+
+// Active stories grouped by author: the caller's own first, then authors with unseen stories,
+// each group ordered oldest to newest so the viewer plays them in sequence
+router.get('/stories', authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const blockedIds = await retryOperation(() => User.blockedIdsFor(userId));
+    const stories = await retryOperation(() =>
+      Post.find({
+        isStory: true,
+        ...NOT_HIDDEN,
+        ...(blockedIds.length ? { userId: { $nin: blockedIds.map((id) => new mongoose.Types.ObjectId(id)) } } : {}),
+        expiresAt: { $gt: new Date() },
+      })
+        .select('userId username photo contentType content media caption viewers expiresAt createdAt')
+        .sort({ createdAt: -1 })
+        .limit(500)
+        .lean()
+    );
+
+    // The newest stories survive the limit; each author's stories still play oldest first
+    const groups = new Map();
+    [...stories].reverse().forEach((story) => {
+      const authorId = story.userId.toString();
+      const isOwn = authorId === userId;
+      const viewers = story.viewers || [];
+      if (!groups.has(authorId)) {
+        groups.set(authorId, { userId: authorId, username: story.username, photo: story.photo, stories: [], hasUnseen: false });
+      }
+      const group = groups.get(authorId);
+      const viewed = isOwn || viewers.some((viewer) => viewer.userId.toString() === userId);
+      group.username = story.username;
+      group.photo = story.photo;
+      group.hasUnseen = group.hasUnseen || !viewed;
+      group.stories.push({
+        _id: story._id.toString(),
+        userId: authorId,
+        contentType: story.contentType,
+        content: story.content,
+        media: story.media,
+        caption: story.caption,
+        viewed,
+        ...(isOwn ? { viewerCount: viewers.length } : {}),
+        expiresAt: story.expiresAt.toISOString(),
+        createdAt: story.createdAt.toISOString(),
+      });
+    });
+
+    const sorted = [...groups.values()].sort((a, b) => {
+      if (a.userId === userId) return -1;
+      if (b.userId === userId) return 1;
+      if (a.hasUnseen !== b.hasUnseen) return a.hasUnseen ? -1 : 1;
+      return new Date(b.stories[b.stories.length - 1].createdAt) - new Date(a.stories[a.stories.length - 1].createdAt);
+    });
+    logger.info('Fetched stories', { userId, authorCount: sorted.length, storyCount: stories.length });
+    res.json({ stories: sorted });
+  } catch (err) {
+    logger.error('Failed to fetch stories', { error: err.message, userId: req.user?.id });
+    res.status(500).json({ error: 'Failed to fetch stories', details: err.message });
+  }
+});
+
+// Record that the caller opened a story; authors viewing their own stories are not counted
+router.post('/stories/:storyId/view', authMiddleware, async (req, res) => {
+  try {
+    const { storyId } = req.params;
+    const userId = req.user.id;
+    if (!mongoose.Types.ObjectId.isValid(storyId)) {
+      return res.status(400).json({ error: 'Invalid story ID' });
+    }
+    const story = await retryOperation(() =>
+      Post.findOne({ _id: storyId, isStory: true, ...NOT_HIDDEN, expiresAt: { $gt: new Date() } }).select('userId').lean()
+    );
+    if (!story) {
+      return res.status(404).json({ error: 'Story not found or expired' });
+    }
+    if (story.userId.toString() === userId) {
+      return res.json({ storyId, viewed: true });
+    }
+
+    const viewerId = new mongoose.Types.ObjectId(userId);
+    const result = await retryOperation(() =>
+      Post.updateOne(
+        { _id: storyId, 'viewers.userId': { $ne: viewerId } },
+        { $push: { viewers: { userId: viewerId, viewedAt: new Date() } } }
+      )
+    );
+    if (result.modifiedCount) {
+      const updated = await retryOperation(() => Post.findById(storyId).select('viewers').lean());
+      const io = req.app.get('io');
+      if (io) {
+        io.to(story.userId.toString()).emit('storyViewed', { storyId, viewerCount: updated?.viewers?.length || 0 });
+      }
+      logger.info('Recorded story view', { userId, storyId });
+    }
+    res.json({ storyId, viewed: true });
+  } catch (err) {
+    logger.error('Failed to record story view', { error: err.message, userId: req.user?.id, storyId: req.params.storyId });
+    res.status(500).json({ error: 'Failed to record story view', details: err.message });
+  }
+});
+
+// Who has seen a story, newest first; only its author may ask
+router.get('/stories/:storyId/viewers', authMiddleware, async (req, res) => {
+  try {
+    const { storyId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(storyId)) {
+      return res.status(400).json({ error: 'Invalid story ID' });
+    }
+    const story = await retryOperation(() =>
+      Post.findOne({ _id: storyId, isStory: true }).select('userId viewers').lean()
+    );
+    if (!story) {
+      return res.status(404).json({ error: 'Story not found or expired' });
+    }
+    if (story.userId.toString() !== req.user.id) {
+      logger.warn('Unauthorized story viewers request', { userId: req.user.id, storyId });
+      return res.status(403).json({ error: 'Only the author can see who viewed this story' });
+    }
+
+    const viewers = story.viewers || [];
+    const users = await retryOperation(() =>
+      User.find({ _id: { $in: viewers.map((viewer) => viewer.userId) } }).select('username photo').lean()
+    );
+    const usersById = new Map(users.map((user) => [user._id.toString(), user]));
+    res.json({
+      viewers: viewers
+        .filter((viewer) => usersById.has(viewer.userId.toString()))
+        .sort((a, b) => new Date(b.viewedAt) - new Date(a.viewedAt))
+        .map((viewer) => {
+          const user = usersById.get(viewer.userId.toString());
+          return {
+            userId: viewer.userId.toString(),
+            username: user.username,
+            photo: user.photo,
+            viewedAt: viewer.viewedAt.toISOString(),
+          };
+        }),
+    });
+  } catch (err) {
+    logger.error('Failed to fetch story viewers', { error: err.message, userId: req.user?.id, storyId: req.params.storyId });
+    res.status(500).json({ error: 'Failed to fetch story viewers', details: err.message });
   }
 });
 
@@ -281,6 +651,12 @@ router.post('/', authMiddleware, upload, async (req, res) => {
       logger.warn('Invalid or unauthorized user ID', { userId, authUserId: req.user.id });
       return res.status(400).json({ error: 'Invalid or unauthorized user ID' });
     }
+    // Multipart fields arrive as strings
+    const isStory = req.body.isStory === 'true' || req.body.isStory === true;
+    if (isStory && !STORY_CONTENT_TYPES.includes(contentType)) {
+      logger.warn('Invalid story content type', { userId, contentType });
+      return res.status(400).json({ error: `Stories must be one of: ${STORY_CONTENT_TYPES.join(', ')}` });
+    }
 
     const user = await retryOperation(() =>
       User.findById(userId).select('username photo').lean()
@@ -292,26 +668,23 @@ router.post('/', authMiddleware, upload, async (req, res) => {
 
     let contentUrls = [];
     let audioUrl = '';
+    let media;
+    // Derived renders are produced once here and stored on the post; feed reads never re-render
+    let sourceText;
+    let sourceUrl;
+    let renderedAt;
     if (contentType === 'text' && caption?.trim()) {
-      const imageBuffer = await textToImage(caption.trim());
-      const result = await retryOperation(() =>
-        new Promise((resolve, reject) => {
-          const uploadStream = cloudinary.uploader.upload_stream(
-            { resource_type: 'image', folder: 'feed', timeout: 30000 },
-            (error, result) => {
-              if (error) reject(error);
-              else resolve(result);
-            }
-          );
-          uploadStream.end(imageBuffer);
-        })
-      );
-      contentUrls = [result.secure_url];
+      sourceText = caption.trim();
+      contentUrls = await retryOperation(() => renderText(sourceText));
+      renderedAt = new Date();
     } else if (contentType !== 'text' && req.files?.content?.[0]) {
       const uploadOptions = {
-        resource_type: contentType === 'video+audio' ? 'video' : contentType,
+        kind: contentType === 'video+audio' ? 'video' : contentType,
         folder: 'feed',
+        mimetype: req.files.content[0].mimetype,
+        filename: req.files.content[0].originalname,
         timeout: 30000,
+        // Applied by providers that transform on upload (Cloudinary); other drivers store the file as-is
         transformation: contentType === 'video' || contentType === 'video+audio' ? [
           { width: 720, height: 1280, crop: 'fill', quality: 'auto' },
           { format: 'mp4', video_codec: 'h264' }
@@ -321,35 +694,27 @@ router.post('/', authMiddleware, upload, async (req, res) => {
       };
 
       if (contentType === 'raw' && req.files.content[0].mimetype === 'application/pdf') {
-        const pages = await splitPDF(req.files.content[0].buffer);
-        contentUrls = await Promise.all(pages.map(page => 
-          retryOperation(() =>
-            new Promise((resolve, reject) => {
-              const uploadStream = cloudinary.uploader.upload_stream(
-                { resource_type: 'image', folder: 'feed', timeout: 30000 },
-                (error, result) => {
-                  if (error) reject(error);
-                  else resolve(result.secure_url);
-                }
-              );
-              uploadStream.end(page);
-            })
-          )
-        ));
+        // The original document is kept so pages can be re-rendered later without the upload
+        const [original, pages] = await Promise.all([
+          retryOperation(() => storage.upload(req.files.content[0].buffer, uploadOptions)),
+          retryOperation(() => renderPdf(req.files.content[0].buffer)),
+        ]);
+        if (!pages.length) {
+          return res.status(400).json({ error: 'PDF has no pages' });
+        }
+        sourceUrl = original.url;
+        contentUrls = pages;
+        renderedAt = new Date();
       } else {
+        // Strips location metadata, enforces dimension limits and derives previews for images and videos
+        const processed = await processMedia(req.files.content[0]);
         const result = await retryOperation(() =>
-          new Promise((resolve, reject) => {
-            const uploadStream = cloudinary.uploader.upload_stream(
-              uploadOptions,
-              (error, result) => {
-                if (error) reject(error);
-                else resolve(result);
-              }
-            );
-            uploadStream.end(req.files.content[0].buffer);
-          })
+          storage.upload(processed.buffer, { ...uploadOptions, mimetype: processed.mimetype })
         );
-        contentUrls = [result.secure_url];
+        contentUrls = [result.url];
+        if (Object.keys(processed.metadata).length) {
+          media = [await storeMediaVariants(processed)];
+        }
       }
     } else {
       logger.warn('Missing or invalid content', { userId, contentType });
@@ -358,55 +723,59 @@ router.post('/', authMiddleware, upload, async (req, res) => {
 
     if (contentType === 'video+audio' && req.files?.audio?.[0]) {
       const audioResult = await retryOperation(() =>
-        new Promise((resolve, reject) => {
-          const uploadStream = cloudinary.uploader.upload_stream(
-            { resource_type: 'video', folder: 'feed', timeout: 30000 },
-            (error, result) => {
-              if (error) reject(error);
-              else resolve(result);
-            }
-          );
-          uploadStream.end(req.files.audio[0].buffer);
+        storage.upload(req.files.audio[0].buffer, {
+          kind: 'audio',
+          folder: 'feed',
+          mimetype: req.files.audio[0].mimetype,
+          filename: req.files.audio[0].originalname,
+          timeout: 30000,
         })
       );
-      audioUrl = audioResult.secure_url;
+      audioUrl = audioResult.url;
     }
 
+    const postText = contentType === 'text' ? sourceText : caption?.trim() || '';
+    const { hashtags, mentions } = await parseTextEntities(postText);
     const post = new Post({
       userId: new mongoose.Types.ObjectId(userId),
       contentType,
       content: contentUrls,
       audioContent: audioUrl || undefined,
+      media,
+      sourceText,
+      sourceUrl,
+      renderedAt,
       caption: contentType !== 'text' ? caption?.trim() || '' : '',
+      hashtags,
+      mentions,
       username: user.username,
       photo: user.photo,
-      isStory: false,
+      isStory,
+      viewers: isStory ? [] : undefined,
+      expiresAt: isStory ? new Date(Date.now() + Post.STORY_TTL_MS) : undefined,
       createdAt: new Date(),
     });
 
     await retryOperation(() => post.save());
-    const postObject = {
-      ...post.toObject(),
-      _id: post._id.toString(),
-      userId: post.userId.toString(),
-      likedBy: post.likedBy.map((id) => id.toString()),
-      comments: post.comments.map((comment) => ({
-        ...comment,
-        userId: comment.userId.toString(),
-        createdAt: comment.createdAt.toISOString(),
-      })),
-      createdAt: post.createdAt.toISOString(),
-    };
+    const postObject = serializeFeedPost(post.toObject());
 
     const io = req.app.get('io');
-    if (io) {
+    if (io && isStory) {
+      // Every connected client refreshes its story bar, except users blocked either way; each
+      // user's sockets sit in a room named by their ID
+      const { viewers, ...storyObject } = postObject;
+      const blockedIds = await retryOperation(() => User.blockedIdsFor(userId));
+      io.except(blockedIds).emit('newStory', { ...storyObject, expiresAt: post.expiresAt.toISOString(), viewed: false });
+      logger.info('Emitted newStory', { userId, postId: post._id });
+    } else if (io) {
       io.to(userId).emit('newPost', postObject);
       logger.info('Emitted newPost', { userId, postId: post._id });
     } else {
       logger.warn('Socket.IO instance not found', { userId });
     }
-    logger.info('Created post', { userId, postId: post._id, contentType });
-    res.json(postObject);
+    notifyMentions(req, mentions, { authorId: userId, authorUsername: user.username }, { postId: post._id, text: postText });
+    logger.info(isStory ? 'Created story' : 'Created post', { userId, postId: post._id, contentType });
+    res.json(isStory ? { ...postObject, expiresAt: post.expiresAt.toISOString(), viewerCount: 0 } : postObject);
   } catch (err) {
     logger.error('Failed to create post', { error: err.message, userId: req.body.userId });
     res.status(400).json({ error: 'Failed to create post', details: err.message });
@@ -421,7 +790,7 @@ router.post('/like', authMiddleware, async (req, res) => {
       return res.status(400).json({ error: 'Invalid or unauthorized post/user ID' });
     }
 
-    const post = await retryOperation(() => Post.findById(postId));
+    const post = await retryOperation(() => Post.findOne({ _id: postId, ...NOT_HIDDEN }));
     if (!post) {
       return res.status(404).json({ error: 'Post not found' });
     }
@@ -434,18 +803,7 @@ router.post('/like', authMiddleware, async (req, res) => {
       : [...post.likedBy, userObjectId];
 
     await retryOperation(() => post.save());
-    const postObject = {
-      ...post.toObject(),
-      _id: post._id.toString(),
-      userId: post.userId.toString(),
-      likedBy: post.likedBy.map((id) => id.toString()),
-      comments: post.comments.map((comment) => ({
-        ...comment,
-        userId: comment.userId.toString(),
-        createdAt: comment.createdAt.toISOString(),
-      })),
-      createdAt: post.createdAt.toISOString(),
-    };
+    const postObject = serializeFeedPost(post.toObject());
 
     const io = req.app.get('io');
     if (io) {
@@ -468,7 +826,7 @@ router.post('/unlike', authMiddleware, async (req, res) => {
       return res.status(400).json({ error: 'Invalid or unauthorized post/user ID' });
     }
 
-    const post = await retryOperation(() => Post.findById(postId));
+    const post = await retryOperation(() => Post.findOne({ _id: postId, ...NOT_HIDDEN }));
     if (!post) {
       return res.status(404).json({ error: 'Post not found' });
     }
@@ -478,18 +836,7 @@ router.post('/unlike', authMiddleware, async (req, res) => {
     post.likedBy = post.likedBy.filter((id) => !id.equals(userObjectId));
 
     await retryOperation(() => post.save());
-    const postObject = {
-      ...post.toObject(),
-      _id: post._id.toString(),
-      userId: post.userId.toString(),
-      likedBy: post.likedBy.map((id) => id.toString()),
-      comments: post.comments.map((comment) => ({
-        ...comment,
-        userId: comment.userId.toString(),
-        createdAt: comment.createdAt.toISOString(),
-      })),
-      createdAt: post.createdAt.toISOString(),
-    };
+    const postObject = serializeFeedPost(post.toObject());
 
     const io = req.app.get('io');
     if (io) {
@@ -504,20 +851,447 @@ router.post('/unlike', authMiddleware, async (req, res) => {
   }
 });
 
-// Comment on post
+// Everything a post stored through the storage layer, with the kind it was uploaded as
+const postAssets = (post) => {
+  const contentKind = post.contentType === 'text' || (post.contentType === 'raw' && post.renderedAt)
+    ? 'image'
+    : post.contentType === 'video+audio' ? 'video' : post.contentType;
+  return [
+    ...(post.content || []).map((url) => ({ url, kind: contentKind })),
+    ...(post.audioContent ? [{ url: post.audioContent, kind: 'audio' }] : []),
+    ...(post.media || []).flatMap((entry) => [entry.thumbnailUrl, entry.posterUrl]).filter(Boolean).map((url) => ({ url, kind: 'image' })),
+    ...(post.sourceUrl ? [{ url: post.sourceUrl, kind: 'raw' }] : []),
+  ];
+};
+
+// Edit a post's caption (the quote text on reposts); only its author may. Text posts are rendered
+// from their text, so they are deleted and posted again instead
+router.patch('/:postId', authMiddleware, async (req, res) => {
+  try {
+    const { postId } = req.params;
+    const { caption } = req.body;
+    const userId = req.user.id;
+    if (!mongoose.Types.ObjectId.isValid(postId)) {
+      return res.status(400).json({ error: 'Invalid post ID' });
+    }
+    if (typeof caption !== 'string' || caption.length > 500) {
+      return res.status(400).json({ error: 'Caption must be a string of at most 500 characters' });
+    }
+
+    const post = await retryOperation(() => Post.findOne({ _id: postId, isStory: false }).select('userId username contentType mentions').lean());
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+    if (post.userId.toString() !== userId) {
+      logger.warn('Unauthorized post edit', { userId, postId });
+      return res.status(403).json({ error: 'Only the author can edit this post' });
+    }
+    if (post.contentType === 'text') {
+      return res.status(400).json({ error: 'Text posts cannot be edited' });
+    }
+
+    const { hashtags, mentions } = await parseTextEntities(caption.trim());
+    const updated = await retryOperation(() =>
+      Post.findByIdAndUpdate(
+        postId,
+        { $set: { caption: caption.trim(), hashtags, mentions, edited: true, editedAt: new Date() } },
+        { new: true, runValidators: true }
+      ).select('userId caption hashtags edited editedAt').lean()
+    );
+    const update = {
+      _id: updated._id.toString(),
+      userId: updated.userId.toString(),
+      caption: updated.caption,
+      hashtags: updated.hashtags,
+      edited: updated.edited,
+      editedAt: updated.editedAt.toISOString(),
+    };
+
+    const io = req.app.get('io');
+    if (io) io.emit('postUpdate', update);
+    notifyMentions(
+      req,
+      mentions,
+      { authorId: userId, authorUsername: post.username, previous: post.mentions || [] },
+      { postId, text: update.caption }
+    );
+    logger.info('Edited post', { userId, postId, captionLength: update.caption.length });
+    res.json(update);
+  } catch (err) {
+    logger.error('Failed to edit post', { error: err.message, userId: req.user?.id, postId: req.params.postId });
+    res.status(500).json({ error: 'Failed to edit post', details: err.message });
+  }
+});
+
+// Delete a post with its comments and stored files; only its author may. Plain reposts of it go too,
+// while quotes stay and show the original as deleted
+router.delete('/:postId', authMiddleware, async (req, res) => {
+  try {
+    const { postId } = req.params;
+    const userId = req.user.id;
+    if (!mongoose.Types.ObjectId.isValid(postId)) {
+      return res.status(400).json({ error: 'Invalid post ID' });
+    }
+
+    const post = await retryOperation(() =>
+      Post.findById(postId).select('userId contentType content audioContent media sourceUrl renderedAt repostOf isStory').lean()
+    );
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+    if (post.userId.toString() !== userId) {
+      logger.warn('Unauthorized post delete', { userId, postId });
+      return res.status(403).json({ error: 'Only the author can delete this post' });
+    }
+
+    const reposts = post.repostOf ? [] : await retryOperation(() =>
+      Post.find({ repostOf: post._id, contentType: 'repost', caption: { $in: [null, ''] } }).select('userId').lean()
+    );
+    const removedIds = [post._id, ...reposts.map((repost) => repost._id)];
+    const [, , , original] = await Promise.all([
+      retryOperation(() => Post.deleteMany({ _id: { $in: removedIds } })),
+      retryOperation(() => Comment.deleteMany({ postId: { $in: removedIds } })),
+      retryOperation(() => Bookmark.deleteMany({ postId: { $in: removedIds } })),
+      post.repostOf
+        ? retryOperation(() =>
+            Post.findOneAndUpdate(
+              { _id: post.repostOf, repostCount: { $gt: 0 } },
+              { $inc: { repostCount: -1 } },
+              { new: true }
+            ).select('userId repostCount').lean()
+          )
+        : null,
+    ]);
+
+    // Files are removed after the post is gone, so a storage outage leaves orphaned files rather than broken posts
+    const assets = postAssets(post);
+    const results = await Promise.allSettled(assets.map(({ url, kind }) => retryOperation(() => storage.removeByUrl(url, { kind }))));
+    const failed = results.filter((result) => result.status === 'rejected').length;
+    if (failed) {
+      logger.warn('Some post files could not be deleted', { postId, failed, total: assets.length });
+    }
+
+    const io = req.app.get('io');
+    if (io) {
+      io.emit('postDeleted', { _id: postId, userId, isStory: !!post.isStory });
+      reposts.forEach((repost) => io.emit('postDeleted', { _id: repost._id.toString(), userId: repost.userId.toString(), isStory: false }));
+      if (original) {
+        io.emit('postUpdate', { _id: original._id.toString(), userId: original.userId.toString(), repostCount: original.repostCount });
+      }
+    }
+    logger.info('Deleted post', { userId, postId, repostsRemoved: reposts.length, filesRemoved: assets.length - failed });
+    res.json({ success: true, postId, repostsRemoved: reposts.length });
+  } catch (err) {
+    logger.error('Failed to delete post', { error: err.message, userId: req.user?.id, postId: req.params.postId });
+    res.status(500).json({ error: 'Failed to delete post', details: err.message });
+  }
+});
+
+// Repost a post, or quote it when `caption` is given. Reposting a repost shares the post it points at,
+// and a plain repost of the same post twice returns the first one
+router.post('/:postId/repost', authMiddleware, async (req, res) => {
+  try {
+    const { postId } = req.params;
+    const caption = typeof req.body.caption === 'string' ? req.body.caption.trim() : '';
+    const userId = req.user.id;
+    if (!mongoose.Types.ObjectId.isValid(postId)) {
+      return res.status(400).json({ error: 'Invalid post ID' });
+    }
+    if (caption.length > 500) {
+      return res.status(400).json({ error: 'Quote must be at most 500 characters' });
+    }
+
+    const [user, target] = await Promise.all([
+      retryOperation(() => User.findById(userId).select('username photo').lean()),
+      retryOperation(() => Post.findOne({ _id: postId, isStory: false, ...NOT_HIDDEN }).select('repostOf').lean()),
+    ]);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (!target) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+    const originalId = target.repostOf || target._id;
+    if (target.repostOf && !(await retryOperation(() => Post.exists({ _id: originalId, ...NOT_HIDDEN })))) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    if (!caption) {
+      const existing = await retryOperation(() =>
+        Post.findOne({ repostOf: originalId, userId, contentType: 'repost', caption: { $in: [null, ''] } })
+          .select(FEED_POST_FIELDS)
+          .lean()
+      );
+      if (existing) {
+        const [postObject] = await serializeFeedPosts([existing], userId);
+        return res.json(postObject);
+      }
+    }
+
+    const { hashtags, mentions } = await parseTextEntities(caption);
+    const repost = new Post({
+      userId: new mongoose.Types.ObjectId(userId),
+      contentType: 'repost',
+      content: [],
+      repostOf: originalId,
+      caption,
+      hashtags,
+      mentions,
+      username: user.username,
+      photo: user.photo,
+      createdAt: new Date(),
+    });
+    await retryOperation(() => repost.save());
+    const original = await retryOperation(() =>
+      Post.findByIdAndUpdate(originalId, { $inc: { repostCount: 1 } }, { new: true }).select('userId repostCount').lean()
+    );
+    const [postObject] = await serializeFeedPosts([repost.toObject()], userId);
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(userId).emit('newPost', postObject);
+      if (original) {
+        io.emit('postUpdate', { _id: original._id.toString(), userId: original.userId.toString(), repostCount: original.repostCount });
+      }
+    }
+    notifyMentions(req, mentions, { authorId: userId, authorUsername: user.username }, { postId: repost._id, text: caption });
+    logger.info(caption ? 'Quoted post' : 'Reposted post', { userId, postId: repost._id, originalId });
+    res.json(postObject);
+  } catch (err) {
+    logger.error('Failed to repost', { error: err.message, userId: req.user?.id, postId: req.params.postId });
+    res.status(500).json({ error: 'Failed to repost', details: err.message });
+  }
+});
+
+// Collection names are trimmed with inner whitespace collapsed; null when invalid
+const normalizeCollectionName = (value) => {
+  if (value === undefined || value === null || value === '') return Bookmark.DEFAULT_COLLECTION;
+  if (typeof value !== 'string') return null;
+  const name = value.trim().replace(/\s+/g, ' ');
+  return name && name.length <= 50 ? name : null;
+};
+
+// Bookmarks are private, so changes only go to the owner's other devices
+const emitBookmarkUpdate = (req, userId, update) => {
+  const io = req.app.get('io');
+  if (io) io.to(userId).emit('bookmarkUpdate', update);
+};
+
+// Save a post to one of the caller's collections (default "Saved"); saving it again moves it
+router.post('/:postId/bookmark', authMiddleware, async (req, res) => {
+  try {
+    const { postId } = req.params;
+    const userId = req.user.id;
+    const collection = normalizeCollectionName(req.body.collection);
+    if (!mongoose.Types.ObjectId.isValid(postId)) {
+      return res.status(400).json({ error: 'Invalid post ID' });
+    }
+    if (!collection) {
+      return res.status(400).json({ error: 'Collection name must be 1-50 characters' });
+    }
+
+    const post = await retryOperation(() => Post.findOne({ _id: postId, isStory: false, ...NOT_HIDDEN }).select('_id').lean());
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+    const bookmark = await retryOperation(() =>
+      Bookmark.findOneAndUpdate(
+        { userId, postId },
+        { $set: { collectionName: collection }, $setOnInsert: { createdAt: new Date() } },
+        { upsert: true, new: true, runValidators: true }
+      ).lean()
+    );
+
+    const update = { postId, bookmarked: true, collection: bookmark.collectionName, savedAt: bookmark.createdAt.toISOString() };
+    emitBookmarkUpdate(req, userId, update);
+    logger.info('Bookmarked post', { userId, postId, collection });
+    res.json(update);
+  } catch (err) {
+    logger.error('Failed to bookmark post', { error: err.message, userId: req.user?.id, postId: req.params.postId });
+    res.status(500).json({ error: 'Failed to bookmark post', details: err.message });
+  }
+});
+
+// Remove a post from the caller's bookmarks; removing one that is not saved is a no-op
+router.delete('/:postId/bookmark', authMiddleware, async (req, res) => {
+  try {
+    const { postId } = req.params;
+    const userId = req.user.id;
+    if (!mongoose.Types.ObjectId.isValid(postId)) {
+      return res.status(400).json({ error: 'Invalid post ID' });
+    }
+    const result = await retryOperation(() => Bookmark.deleteOne({ userId, postId }));
+    if (result.deletedCount) {
+      emitBookmarkUpdate(req, userId, { postId, bookmarked: false });
+      logger.info('Removed bookmark', { userId, postId });
+    }
+    res.json({ postId, bookmarked: false });
+  } catch (err) {
+    logger.error('Failed to remove bookmark', { error: err.message, userId: req.user?.id, postId: req.params.postId });
+    res.status(500).json({ error: 'Failed to remove bookmark', details: err.message });
+  }
+});
+
+// The caller's saved posts, most recently saved first, optionally from one collection
+router.get('/bookmarks', authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const limit = Math.max(1, Math.min(50, parseInt(req.query.limit) || 20));
+    const cursor = req.query.cursor ? decodeTimeCursor(req.query.cursor) : null;
+    if (req.query.cursor && !cursor) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+    const collection = req.query.collection ? normalizeCollectionName(req.query.collection) : null;
+    if (req.query.collection && !collection) {
+      return res.status(400).json({ error: 'Invalid collection name' });
+    }
+
+    const query = { userId: new mongoose.Types.ObjectId(userId), ...(collection ? { collectionName: collection } : {}) };
+    const { items, nextCursor, hasMore } = timeCursorPage(
+      await retryOperation(() =>
+        Bookmark.find(cursor ? { $and: [query, timeCursorFilter(cursor)] } : query)
+          .sort(timeCursorSort())
+          .limit(limit + 1)
+          .lean()
+      ),
+      limit
+    );
+    const posts = await retryOperation(() =>
+      Post.find({ _id: { $in: items.map((bookmark) => bookmark.postId) }, ...NOT_HIDDEN }).select(FEED_POST_FIELDS).lean()
+    );
+    const postsById = new Map((await serializeFeedPosts(posts, userId)).map((post) => [post._id, post]));
+    res.json({
+      // Kept in bookmark order; bookmarks are removed with their post, so only hidden posts are missing
+      posts: items
+        .filter((bookmark) => postsById.has(bookmark.postId.toString()))
+        .map((bookmark) => ({
+          ...postsById.get(bookmark.postId.toString()),
+          collection: bookmark.collectionName,
+          savedAt: bookmark.createdAt.toISOString(),
+        })),
+      nextCursor,
+      hasMore,
+    });
+  } catch (err) {
+    logger.error('Failed to fetch bookmarks', { error: err.message, userId: req.user?.id });
+    res.status(500).json({ error: 'Failed to fetch bookmarks', details: err.message });
+  }
+});
+
+// The caller's collections with how many posts each holds, most recently used first
+router.get('/bookmarks/collections', authMiddleware, async (req, res) => {
+  try {
+    const collections = await retryOperation(() =>
+      Bookmark.aggregate([
+        { $match: { userId: new mongoose.Types.ObjectId(req.user.id) } },
+        { $group: { _id: '$collectionName', count: { $sum: 1 }, lastSavedAt: { $max: '$createdAt' } } },
+        { $sort: { lastSavedAt: -1 } },
+      ])
+    );
+    res.json({
+      collections: collections.map((entry) => ({ name: entry._id, count: entry.count, lastSavedAt: entry.lastSavedAt.toISOString() })),
+    });
+  } catch (err) {
+    logger.error('Failed to fetch bookmark collections', { error: err.message, userId: req.user?.id });
+    res.status(500).json({ error: 'Failed to fetch bookmark collections', details: err.message });
+  }
+});
+
+// Rename a collection; renaming onto an existing name merges the two
+router.patch('/bookmarks/collections/:name', authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const from = normalizeCollectionName(req.params.name);
+    const to = normalizeCollectionName(req.body.name);
+    if (!from || !to || !req.body.name) {
+      return res.status(400).json({ error: 'Collection names must be 1-50 characters' });
+    }
+    const result = await retryOperation(() =>
+      Bookmark.updateMany({ userId, collectionName: from }, { $set: { collectionName: to } })
+    );
+    if (!result.matchedCount) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+    emitBookmarkUpdate(req, userId, { collectionRenamed: { from, to } });
+    logger.info('Renamed bookmark collection', { userId, count: result.modifiedCount });
+    res.json({ name: to, count: result.matchedCount });
+  } catch (err) {
+    logger.error('Failed to rename bookmark collection', { error: err.message, userId: req.user?.id });
+    res.status(500).json({ error: 'Failed to rename bookmark collection', details: err.message });
+  }
+});
+
+const COMMENT_PAGE_LIMIT = 50;
+
+// Comment document -> response shape; `liked` is from the caller's point of view
+const serializeComment = (comment, viewerId) => ({
+  _id: comment._id.toString(),
+  postId: comment.postId.toString(),
+  parentId: comment.parentId ? comment.parentId.toString() : null,
+  userId: comment.userId.toString(),
+  username: comment.username,
+  photo: comment.photo,
+  comment: comment.comment,
+  likes: comment.likes || 0,
+  liked: !!viewerId && (comment.likedBy || []).some((id) => id.toString() === viewerId),
+  replyCount: comment.replyCount || 0,
+  edited: !!comment.edited,
+  editedAt: comment.editedAt ? comment.editedAt.toISOString() : null,
+  createdAt: comment.createdAt.toISOString(),
+});
+
+// Comments are readable only while their post is: it exists, is not hidden and its author has not
+// blocked the viewer or been blocked by them. Returns null otherwise, or the post with the viewer's
+// blocked IDs so comments by blocked users can be left out too
+const findCommentablePost = async (postId, viewerId) => {
+  const [post, blockedIds] = await Promise.all([
+    retryOperation(() => Post.findOne({ _id: postId, isStory: false, ...NOT_HIDDEN }).select('userId').lean()),
+    retryOperation(() => User.blockedIdsFor(viewerId)),
+  ]);
+  if (!post || blockedIds.includes(post.userId.toString())) return null;
+  return { post, blockedIds };
+};
+
+// Comment changes ride on postUpdate so open feeds can update counts and open comment sheets.
+// Every client gets them except users blocked either way by the post's author, like newStory
+// `commentCount` is left out for changes that do not alter it
+const emitCommentEvent = async (req, post, commentCount, commentEvent) => {
+  const io = req.app.get('io');
+  if (!io || !post) {
+    logger.warn('Comment event not emitted', { postId: post?._id, hasIo: !!io });
+    return;
+  }
+  try {
+    const blockedIds = await retryOperation(() => User.blockedIdsFor(post.userId));
+    io.except(blockedIds).emit('postUpdate', {
+      _id: post._id.toString(),
+      userId: post.userId.toString(),
+      ...(commentCount !== undefined ? { commentCount } : {}),
+      commentEvent,
+    });
+  } catch (err) {
+    logger.error('Failed to emit comment event', { error: err.message, postId: post._id });
+  }
+};
+
+// Comment on a post, or reply to a comment with `parentId`
 router.post('/comment', authMiddleware, async (req, res) => {
   try {
-    const { postId, userId, comment } = req.body;
+    const { postId, userId, comment, parentId } = req.body;
     if (!mongoose.Types.ObjectId.isValid(postId) || !mongoose.Types.ObjectId.isValid(userId) || userId !== req.user.id) {
       return res.status(400).json({ error: 'Invalid or unauthorized post/user ID' });
     }
+    if (parentId && !mongoose.Types.ObjectId.isValid(parentId)) {
+      return res.status(400).json({ error: 'Invalid parent comment ID' });
+    }
     if (!comment?.trim() || comment.length > 500) {
       return res.status(400).json({ error: 'Comment must be non-empty and under 500 characters' });
     }
 
-    const [user, post] = await Promise.all([
+    const [user, post, parent] = await Promise.all([
       retryOperation(() => User.findById(userId).select('username photo').lean()),
-      retryOperation(() => Post.findById(postId)),
+      retryOperation(() => Post.findOne({ _id: postId, isStory: false, ...NOT_HIDDEN }).select('userId').lean()),
+      parentId ? retryOperation(() => Comment.findOne({ _id: parentId, postId }).select('parentId').lean()) : null,
     ]);
 
     if (!user) {
@@ -526,48 +1300,213 @@ router.post('/comment', authMiddleware, async (req, res) => {
     if (!post) {
       return res.status(404).json({ error: 'Post not found' });
     }
+    if (parentId && !parent) {
+      return res.status(404).json({ error: 'Parent comment not found' });
+    }
+    if (post.userId.toString() !== userId && (await retryOperation(() => User.isBlockedBetween(userId, post.userId)))) {
+      return res.status(403).json({ error: 'You cannot comment on this post' });
+    }
 
-    const newComment = {
-      userId: mongoose.Types.ObjectId(userId),
-      comment: comment.trim(),
-      username: user.username,
-      photo: user.photo,
-      createdAt: new Date(),
-    };
-    post.comments.push(newComment);
-    if (post.comments.length > 100) {
-      post.comments.shift();
+    // Replies to replies join the top-level thread
+    const threadId = parent ? parent.parentId || parent._id : null;
+    const { hashtags, mentions } = await parseTextEntities(comment.trim());
+    const newComment = await retryOperation(() =>
+      Comment.create({
+        postId,
+        parentId: threadId,
+        userId,
+        username: user.username,
+        photo: user.photo,
+        comment: comment.trim(),
+        hashtags,
+        mentions,
+      })
+    );
+    const [updatedPost] = await Promise.all([
+      retryOperation(() => Post.findByIdAndUpdate(postId, { $inc: { commentCount: 1 } }, { new: true }).select('commentCount').lean()),
+      threadId ? retryOperation(() => Comment.updateOne({ _id: threadId }, { $inc: { replyCount: 1 } })) : null,
+    ]);
+
+    const commentObject = serializeComment(newComment.toObject(), userId);
+    emitCommentEvent(req, post, updatedPost?.commentCount, { action: 'created', comment: commentObject });
+    notifyMentions(
+      req,
+      mentions,
+      { authorId: userId, authorUsername: user.username },
+      { postId, commentId: newComment._id, text: commentObject.comment }
+    );
+    logger.info('Commented on post', { userId, postId, parentId: threadId, commentLength: comment.length });
+    res.json(commentObject);
+  } catch (err) {
+    logger.error('Failed to comment', { error: err.message, userId: req.body.userId, postId: req.body.postId });
+    res.status(400).json({ error: 'Failed to comment', details: err.message });
+  }
+});
+
+// Top-level comments newest first, or with `parentId` the replies to one comment oldest first
+router.get('/:postId/comments', authMiddleware, async (req, res) => {
+  try {
+    const { postId } = req.params;
+    const { parentId } = req.query;
+    if (!mongoose.Types.ObjectId.isValid(postId) || (parentId && !mongoose.Types.ObjectId.isValid(parentId))) {
+      return res.status(400).json({ error: 'Invalid post or comment ID' });
+    }
+    const limit = Math.max(1, Math.min(COMMENT_PAGE_LIMIT, parseInt(req.query.limit) || 20));
+    const cursor = req.query.cursor ? decodeTimeCursor(req.query.cursor) : null;
+    if (req.query.cursor && !cursor) {
+      return res.status(400).json({ error: 'Invalid cursor' });
     }
 
-    await retryOperation(() => post.save());
-    const postObject = {
-      ...post.toObject(),
-      _id: post._id.toString(),
-      userId: post.userId.toString(),
-      likedBy: post.likedBy.map((id) => id.toString()),
-      comments: post.comments.map((comment) => ({
-        ...comment,
-        userId: comment.userId.toString(),
-        createdAt: comment.createdAt.toISOString(),
-      })),
-      createdAt: post.createdAt.toISOString(),
+    const visible = await findCommentablePost(postId, req.user.id);
+    if (!visible) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    const direction = parentId ? 1 : -1;
+    const query = {
+      postId: new mongoose.Types.ObjectId(postId),
+      parentId: parentId ? new mongoose.Types.ObjectId(parentId) : null,
+      userId: { $nin: visible.blockedIds.map((id) => new mongoose.Types.ObjectId(id)) },
     };
+    const { items, nextCursor, hasMore } = timeCursorPage(
+      await retryOperation(() =>
+        Comment.find(cursor ? { $and: [query, timeCursorFilter(cursor, direction)] } : query)
+          .sort(timeCursorSort(direction))
+          .limit(limit + 1)
+          .lean()
+      ),
+      limit
+    );
+    res.json({ comments: items.map((comment) => serializeComment(comment, req.user.id)), nextCursor, hasMore });
+  } catch (err) {
+    logger.error('Failed to fetch comments', { error: err.message, userId: req.user?.id, postId: req.params.postId });
+    res.status(500).json({ error: 'Failed to fetch comments', details: err.message });
+  }
+});
 
-    const io = req.app.get('io');
-    if (io) {
-      io.to(post.userId.toString()).emit('postUpdate', postObject);
-      logger.info('Emitted postUpdate for comment', { userId, postId });
+// Edit a comment; only its author may
+router.patch('/comments/:commentId', authMiddleware, async (req, res) => {
+  try {
+    const { commentId } = req.params;
+    const { comment } = req.body;
+    const userId = req.user.id;
+    if (!mongoose.Types.ObjectId.isValid(commentId)) {
+      return res.status(400).json({ error: 'Invalid comment ID' });
     }
-    logger.info('Commented on post', { userId, postId, commentLength: comment.length });
-    res.json({
-      ...newComment,
-      userId: newComment.userId.toString(),
-      createdAt: newComment.createdAt.toISOString(),
+    if (!comment?.trim() || comment.length > 500) {
+      return res.status(400).json({ error: 'Comment must be non-empty and under 500 characters' });
+    }
+
+    const existing = await retryOperation(() => Comment.findById(commentId).select('userId username mentions').lean());
+    if (!existing) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+    if (existing.userId.toString() !== userId) {
+      logger.warn('Unauthorized comment edit', { userId, commentId });
+      return res.status(403).json({ error: 'Only the author can edit this comment' });
+    }
+
+    const { hashtags, mentions } = await parseTextEntities(comment.trim());
+    const updated = await retryOperation(() =>
+      Comment.findByIdAndUpdate(
+        commentId,
+        { $set: { comment: comment.trim(), hashtags, mentions, edited: true, editedAt: new Date() } },
+        { new: true, runValidators: true }
+      ).lean()
+    );
+    const commentObject = serializeComment(updated, userId);
+    const post = await retryOperation(() => Post.findById(updated.postId).select('userId').lean());
+    emitCommentEvent(req, post, undefined, { action: 'edited', comment: commentObject });
+    notifyMentions(
+      req,
+      mentions,
+      { authorId: userId, authorUsername: existing.username, previous: existing.mentions || [] },
+      { postId: updated.postId, commentId, text: commentObject.comment }
+    );
+    logger.info('Edited comment', { userId, commentId });
+    res.json(commentObject);
+  } catch (err) {
+    logger.error('Failed to edit comment', { error: err.message, userId: req.user?.id, commentId: req.params.commentId });
+    res.status(500).json({ error: 'Failed to edit comment', details: err.message });
+  }
+});
+
+// Delete a comment and, for top-level comments, its replies. Allowed for the author and the post's owner
+router.delete('/comments/:commentId', authMiddleware, async (req, res) => {
+  try {
+    const { commentId } = req.params;
+    const userId = req.user.id;
+    if (!mongoose.Types.ObjectId.isValid(commentId)) {
+      return res.status(400).json({ error: 'Invalid comment ID' });
+    }
+
+    const comment = await retryOperation(() => Comment.findById(commentId).select('postId parentId userId').lean());
+    if (!comment) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+    const post = await retryOperation(() => Post.findById(comment.postId).select('userId').lean());
+    const isAuthor = comment.userId.toString() === userId;
+    const isPostOwner = post?.userId.toString() === userId;
+    if (!isAuthor && !isPostOwner) {
+      logger.warn('Unauthorized comment delete', { userId, commentId });
+      return res.status(403).json({ error: 'Only the author or the post owner can delete this comment' });
+    }
+
+    const { removed, commentCount } = await retryOperation(() => Comment.removeWithReplies(comment));
+
+    emitCommentEvent(req, post, commentCount, {
+      action: 'deleted',
+      commentId,
+      parentId: comment.parentId ? comment.parentId.toString() : null,
     });
+    logger.info('Deleted comment', { userId, commentId, removed, byPostOwner: !isAuthor });
+    res.json({ commentId, deleted: removed });
   } catch (err) {
-    logger.error('Failed to comment', { error: err.message, userId: req.body.userId, postId: req.body.postId });
-    res.status(400).json({ error: 'Failed to comment', details: err.message });
+    logger.error('Failed to delete comment', { error: err.message, userId: req.user?.id, commentId: req.params.commentId });
+    res.status(500).json({ error: 'Failed to delete comment', details: err.message });
   }
 });
 
+// Like (POST) or unlike (DELETE) a comment; repeating either is a no-op
+const setCommentLike = (liked) => async (req, res) => {
+  const action = liked ? 'like' : 'unlike';
+  try {
+    const { commentId } = req.params;
+    const userId = req.user.id;
+    if (!mongoose.Types.ObjectId.isValid(commentId)) {
+      return res.status(400).json({ error: 'Invalid comment ID' });
+    }
+
+    const target = await retryOperation(() => Comment.findById(commentId).select('postId userId').lean());
+    const visible = target && (await findCommentablePost(target.postId, userId));
+    if (!visible || visible.blockedIds.includes(target.userId.toString())) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    const userObjectId = new mongoose.Types.ObjectId(userId);
+    await retryOperation(() =>
+      Comment.updateOne(
+        liked ? { _id: commentId, likedBy: { $ne: userObjectId } } : { _id: commentId, likedBy: userObjectId },
+        liked
+          ? { $push: { likedBy: userObjectId }, $inc: { likes: 1 } }
+          : { $pull: { likedBy: userObjectId }, $inc: { likes: -1 } }
+      )
+    );
+    const comment = await retryOperation(() => Comment.findById(commentId).select('likes').lean());
+    if (!comment) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    emitCommentEvent(req, visible.post, undefined, { action: 'liked', commentId, likes: comment.likes });
+    logger.info(liked ? 'Liked comment' : 'Unliked comment', { userId, commentId });
+    res.json({ commentId, likes: comment.likes, liked });
+  } catch (err) {
+    logger.error(`Failed to ${action} comment`, { error: err.message, userId: req.user?.id, commentId: req.params.commentId });
+    res.status(500).json({ error: `Failed to ${action} comment`, details: err.message });
+  }
+};
+
+router.post('/comments/:commentId/like', authMiddleware, setCommentLike(true));
+router.delete('/comments/:commentId/like', authMiddleware, setCommentLike(false));
+
 module.exports = router;
\ No newline at end of file
@@ -3,9 +3,10 @@ const router = express.Router();
 const User = require('../models/User');
 const Job = require('../models/Job');
 const Post = require('../models/Post');
-const cloudinary = require('cloudinary').v2;
 const multer = require('multer');
 const { jobMatcher } = require('../utils/jobMatcher');
+const { decodeTimeCursor, timeCursorFilter, timeCursorSort, timeCursorPage } = require('../utils/cursor');
+const storage = require('../utils/storage');
 const authMiddleware = require('./auth');
 const axios = require('axios');
 
@@ -17,17 +18,14 @@ router.post('/update_cv', authMiddleware, upload.single('cv_file'), async (req,
     if (!req.file) return res.status(400).json({ error: 'CV file is required' });
     if (req.file.mimetype !== 'application/pdf') return res.status(400).json({ error: 'Only PDF files are allowed' });
 
-    const result = await new Promise((resolve, reject) => {
-      cloudinary.uploader.upload_stream(
-        { resource_type: 'raw', public_id: `cv_${userId}_${Date.now()}`, folder: 'gapp_cv' },
-        (error, result) => {
-          if (error) reject(error);
-          else resolve(result);
-        }
-      ).end(req.file.buffer);
+    const result = await storage.upload(req.file.buffer, {
+      kind: 'raw',
+      folder: 'gapp_cv',
+      publicId: `cv_${userId}_${Date.now()}.pdf`,
+      mimetype: 'application/pdf',
     });
 
-    const user = await User.findByIdAndUpdate(userId, { cv: result.secure_url }, { new: true });
+    const user = await User.findByIdAndUpdate(userId, { cv: result.url }, { new: true });
     if (!user) return res.status(404).json({ error: 'User not found' });
     res.json({ cv: user.cv });
   } catch (error) {
@@ -39,7 +37,10 @@ router.post('/update_cv', authMiddleware, upload.single('cv_file'), async (req,
 router.get('/jobs', authMiddleware, async (req, res) => {
   try {
     const { userId } = req.user;
-    const { page = 1, limit = 20, search, location, category } = req.query;
+    const { cursor, limit = 20, search, location, category } = req.query;
+    const parsedLimit = Math.max(1, Math.min(parseInt(limit) || 20, 50));
+    const position = cursor ? decodeTimeCursor(cursor) : null;
+    if (cursor && !position) return res.status(400).json({ error: 'Invalid cursor' });
     const user = await User.findById(userId);
     if (!user) return res.status(404).json({ error: 'User not found' });
 
@@ -53,20 +54,24 @@ router.get('/jobs', authMiddleware, async (req, res) => {
     if (location) query.location = { $regex: location, $options: 'i' };
     if (category) query.category = category;
 
-    const jobs = await Job.find(query)
-      .skip((page - 1) * limit)
-      .limit(parseInt(limit))
-      .lean();
+    // Pages are cut newest first; each page is then ordered by match score
+    const { items, nextCursor, hasMore } = timeCursorPage(
+      await Job.find(position ? { $and: [query, timeCursorFilter(position)] } : query)
+        .sort(timeCursorSort())
+        .limit(parsedLimit + 1)
+        .lean(),
+      parsedLimit
+    );
 
-    const allJobs = jobs.map(job => ({
+    const allJobs = items.map(job => ({
       ...job,
       matchScore: jobMatcher(user, job),
     }));
 
-    const totalJobs = await Job.countDocuments(query);
     res.json({
       jobs: allJobs.sort((a, b) => (b.matchScore || 0) - (a.matchScore || 0)),
-      hasMore: (page * limit) < totalJobs,
+      nextCursor,
+      hasMore,
     });
   } catch (error) {
     console.error('Job fetch error:', error);
@@ -121,13 +126,17 @@ router.get('/external_jobs', authMiddleware, async (req, res) => {
 router.get('/job_posts', authMiddleware, async (req, res) => {
   try {
     const { userId } = req.user;
-    const { page = 1, limit = 20, search, location, category } = req.query;
-    const user = await platingUser.findById(userId);
+    const { cursor, limit = 20, search, location, category } = req.query;
+    const parsedLimit = Math.max(1, Math.min(parseInt(limit) || 20, 50));
+    const position = cursor ? decodeTimeCursor(cursor) : null;
+    if (cursor && !position) return res.status(400).json({ error: 'Invalid cursor' });
+    const user = await User.findById(userId);
     if (!user) return res.status(404).json({ error: 'User not found' });
 
     // Filter for job-related posts (e.g., caption or content contains job-related keywords)
     const query = {
       contentType: { $in: ['text', 'image', 'video', 'raw'] },
+      hidden: { $ne: true }, // Hidden by a moderator
       $or: [
         { caption: { $regex: 'job|position|opportunity|hiring|career', $options: 'i' } },
         { content: { $elemMatch: { $regex: 'job|position|opportunity|hiring|career', $options: 'i' } } },
@@ -142,12 +151,15 @@ router.get('/job_posts', authMiddleware, async (req, res) => {
     if (location) query.location = { $regex: location, $options: 'i' };
     if (category) query.category = category;
 
-    const posts = await Post.find(query)
-      .skip((page - 1) * limit)
-      .limit(parseInt(limit))
-      .lean();
+    const { items, nextCursor, hasMore } = timeCursorPage(
+      await Post.find(position ? { $and: [query, timeCursorFilter(position)] } : query)
+        .sort(timeCursorSort())
+        .limit(parsedLimit + 1)
+        .lean(),
+      parsedLimit
+    );
 
-    const allPosts = posts.map(post => ({
+    const allPosts = items.map(post => ({
       ...post,
       matchScore: jobMatcher(user, { title: post.caption || 'Job Opportunity', description: post.content.join(', '), requirements: '' }),
       applyLink: post.content.find(url => url.includes('apply')) || null,
@@ -155,10 +167,10 @@ router.get('/job_posts', authMiddleware, async (req, res) => {
       location: post.location || 'Not specified',
     }));
 
-    const totalPosts = await Post.countDocuments(query);
     res.json({
       posts: allPosts.sort((a, b) => (b.matchScore || 0) - (a.matchScore || 0)),
-      hasMore: (page * limit) < totalPosts,
+      nextCursor,
+      hasMore,
     });
   } catch (error) {
     console.error('Job posts fetch error:', error);
@@ -179,16 +191,13 @@ router.post('/apply', authMiddleware, upload.fields([{ name: 'cv_file' }, { name
       if (req.files['cv_file'][0].mimetype !== 'application/pdf') {
         return res.status(400).json({ error: 'CV must be a PDF file' });
       }
-      const cvResult = await new Promise((resolve, reject) => {
-        cloudinary.uploader.upload_stream(
-          { resource_type: 'raw', public_id: `cv_${userId}_${Date.now()}`, folder: 'gapp_cv' },
-          (error, result) => {
-            if (error) reject(error);
-            else resolve(result);
-          }
-        ).end(req.files['cv_file'][0].buffer);
+      const cvResult = await storage.upload(req.files['cv_file'][0].buffer, {
+        kind: 'raw',
+        folder: 'gapp_cv',
+        publicId: `cv_${userId}_${Date.now()}.pdf`,
+        mimetype: 'application/pdf',
       });
-      cvUrl = cvResult.secure_url;
+      cvUrl = cvResult.url;
     }
 
     let coverLetterUrl = null;
@@ -196,16 +205,13 @@ router.post('/apply', authMiddleware, upload.fields([{ name: 'cv_file' }, { name
       if (req.files['cover_letter'][0].mimetype !== 'application/pdf') {
         return res.status(400).json({ error: 'Cover letter must be a PDF file' });
       }
-      const clResult = await new Promise((resolve, reject) => {
-        cloudinary.uploader.upload_stream(
-          { resource_type: 'raw', public_id: `cl_${userId}_${Date.now()}`, folder: 'gapp_cover_letters' },
-          (error, result) => {
-            if (error) reject(error);
-            else resolve(result);
-          }
-        ).end(req.files['cover_letter'][0].buffer);
+      const clResult = await storage.upload(req.files['cover_letter'][0].buffer, {
+        kind: 'raw',
+        folder: 'gapp_cover_letters',
+        publicId: `cl_${userId}_${Date.now()}.pdf`,
+        mimetype: 'application/pdf',
       });
-      coverLetterUrl = clResult.secure_url;
+      coverLetterUrl = clResult.url;
     }
 
     const application = { userId, photo: user.photo, cv: cvUrl, coverLetter: coverLetterUrl, appliedAt: new Date() };
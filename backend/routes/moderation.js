@@ -0,0 +1,561 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Joi = require('joi');
+const rateLimit = require('express-rate-limit');
+const winston = require('winston');
+const Report = require('../models/Report');
+const ModerationLog = require('../models/ModerationLog');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Message = require('../models/Message');
+const Group = require('../models/Group');
+const User = require('../models/User');
+const { authMiddleware, adminMiddleware } = require('./auth');
+const { decodeTimeCursor, timeCursorFilter, timeCursorSort, timeCursorPage } = require('../utils/cursor');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(winston.format.timestamp(), winston.format.json()),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/moderation-error.log', level: 'error' }),
+    new winston.transports.File({ filename: 'logs/moderation-combined.log' }),
+  ],
+});
+
+const retryOperation = async (operation, maxRetries = 3, baseDelay = 1000) => {
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    try {
+      return await operation();
+    } catch (err) {
+      if (attempt === maxRetries) throw err;
+      const delay = Math.pow(2, attempt) * baseDelay;
+      logger.warn('Retrying operation', { attempt, error: err.message });
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+};
+
+const reportLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  message: { error: 'Too many reports, please try again later' },
+  handler: (req, res, next, options) => {
+    logger.warn('Report rate limit exceeded', { ip: req.ip, userId: req.user?.id });
+    res.status(options.statusCode).json(options.message);
+  },
+});
+
+const adminOnly = [authMiddleware, adminMiddleware];
+const MAX_SUSPENSION_HOURS = 24 * 365;
+
+const objectId = Joi.string().custom((value, helpers) => {
+  if (!mongoose.isValidObjectId(value)) return helpers.error('any.invalid');
+  return value;
+});
+
+const reportSchema = Joi.object({
+  targetType: Joi.string().valid(...Report.TARGET_TYPES).required(),
+  targetId: objectId.required(),
+  reason: Joi.string().valid(...Report.REASONS).required(),
+  details: Joi.string().trim().max(1000).allow('').optional(),
+});
+
+const actionSchema = Joi.object({
+  reason: Joi.string().trim().max(500).allow('').optional(),
+});
+
+const suspendSchema = Joi.object({
+  reason: Joi.string().trim().max(500).required(),
+  // Omit for a suspension that lasts until an admin lifts it
+  durationHours: Joi.number().integer().min(1).max(MAX_SUSPENSION_HOURS).optional(),
+});
+
+// Finds what a report points at and whose it is. Null when the target does not exist or the
+// reporter cannot see it (messages can only be reported by someone they were sent to)
+const resolveReportTarget = async (targetType, targetId, reporterId) => {
+  switch (targetType) {
+    case 'post': {
+      const post = await retryOperation(() => Post.findById(targetId).select('userId').lean());
+      return post && { targetUserId: post.userId };
+    }
+    case 'comment': {
+      const comment = await retryOperation(() => Comment.findById(targetId).select('userId').lean());
+      return comment && { targetUserId: comment.userId };
+    }
+    case 'message': {
+      const message = await retryOperation(() => Message.findById(targetId).select('senderId recipientId groupId').lean());
+      if (!message) return null;
+      if (message.groupId) {
+        const isMember = await retryOperation(() => Group.exists({ _id: message.groupId, members: reporterId }));
+        return isMember && { targetUserId: message.senderId };
+      }
+      return message.recipientId?.toString() === reporterId ? { targetUserId: message.senderId } : null;
+    }
+    case 'user': {
+      const user = await retryOperation(() => User.findById(targetId).select('_id').lean());
+      return user && { targetUserId: user._id };
+    }
+    default:
+      return null;
+  }
+};
+
+// What a moderator sees of each reported target, keyed by `${targetType}:${targetId}`.
+// Message content is end-to-end encrypted, so messages are described by their metadata only
+const loadTargetSummaries = async (reports) => {
+  const idsOf = (type) => [...new Set(reports.filter((report) => report.targetType === type).map((report) => report.targetId.toString()))];
+  const [posts, comments, messages, users] = await Promise.all([
+    idsOf('post').length
+      ? retryOperation(() => Post.find({ _id: { $in: idsOf('post') } }).select('userId username contentType content caption hidden isStory createdAt').lean())
+      : [],
+    idsOf('comment').length
+      ? retryOperation(() => Comment.find({ _id: { $in: idsOf('comment') } }).select('postId userId username comment createdAt').lean())
+      : [],
+    idsOf('message').length
+      ? retryOperation(() => Message.find({ _id: { $in: idsOf('message') } }).select('senderId senderUsername groupId contentType createdAt').lean())
+      : [],
+    idsOf('user').length
+      ? retryOperation(() => User.find({ _id: { $in: idsOf('user') } }).select('username photo suspension createdAt').lean())
+      : [],
+  ]);
+  const summaries = new Map();
+  posts.forEach((post) => summaries.set(`post:${post._id}`, {
+    userId: post.userId.toString(),
+    username: post.username,
+    contentType: post.contentType,
+    content: post.content,
+    caption: post.caption,
+    isStory: post.isStory,
+    hidden: !!post.hidden,
+    createdAt: post.createdAt.toISOString(),
+  }));
+  comments.forEach((comment) => summaries.set(`comment:${comment._id}`, {
+    postId: comment.postId.toString(),
+    userId: comment.userId.toString(),
+    username: comment.username,
+    comment: comment.comment,
+    createdAt: comment.createdAt.toISOString(),
+  }));
+  messages.forEach((message) => summaries.set(`message:${message._id}`, {
+    userId: message.senderId.toString(),
+    username: message.senderUsername,
+    groupId: message.groupId ? message.groupId.toString() : null,
+    contentType: message.contentType,
+    createdAt: message.createdAt.toISOString(),
+  }));
+  users.forEach((user) => summaries.set(`user:${user._id}`, {
+    userId: user._id.toString(),
+    username: user.username,
+    photo: user.photo,
+    suspended: User.isSuspended(user),
+    createdAt: user.createdAt ? user.createdAt.toISOString() : null,
+  }));
+  return summaries;
+};
+
+const serializeReport = (report) => ({
+  _id: report._id.toString(),
+  reporterId: report.reporterId.toString(),
+  targetType: report.targetType,
+  targetId: report.targetId.toString(),
+  targetUserId: report.targetUserId.toString(),
+  reason: report.reason,
+  details: report.details || '',
+  status: report.status,
+  resolvedBy: report.resolvedBy ? report.resolvedBy.toString() : null,
+  resolvedAt: report.resolvedAt ? report.resolvedAt.toISOString() : null,
+  resolution: report.resolution || null,
+  createdAt: report.createdAt.toISOString(),
+});
+
+const serializeLog = (entry) => ({
+  _id: entry._id.toString(),
+  adminId: entry.adminId.toString(),
+  action: entry.action,
+  targetType: entry.targetType,
+  targetId: entry.targetId.toString(),
+  targetUserId: entry.targetUserId ? entry.targetUserId.toString() : null,
+  reason: entry.reason || '',
+  reportIds: (entry.reportIds || []).map((id) => id.toString()),
+  snapshot: entry.snapshot || null,
+  createdAt: entry.createdAt.toISOString(),
+});
+
+/**
+ * Closes the open reports an action settles and appends the audit log entry for it.
+ * @param {Object} reportQuery - which open reports the action resolves; null for actions that resolve none
+ * @returns {Promise<Object>} the serialized log entry
+ */
+const recordAction = async (req, { action, targetType, targetId, targetUserId, reason, snapshot }, reportQuery) => {
+  const adminId = req.user.id;
+  let reportIds = [];
+  if (reportQuery) {
+    const open = await retryOperation(() => Report.find({ ...reportQuery, status: 'open' }).select('_id').lean());
+    reportIds = open.map((report) => report._id);
+    if (reportIds.length) {
+      await retryOperation(() =>
+        Report.updateMany(
+          { _id: { $in: reportIds }, status: 'open' },
+          { $set: { status: 'actioned', resolvedBy: adminId, resolvedAt: new Date(), resolution: action } }
+        )
+      );
+    }
+  }
+  const entry = await retryOperation(() =>
+    ModerationLog.create({ adminId, action, targetType, targetId, targetUserId, reason: reason || undefined, reportIds, snapshot })
+  );
+  logger.info('Moderation action', { adminId, action, targetType, targetId: targetId.toString(), reportCount: reportIds.length });
+  return serializeLog(entry.toObject());
+};
+
+// Tells a user about an action taken on their content or account
+const notifyTargetUser = (req, userId, notice) => {
+  const io = req.app.get('io');
+  if (io && userId) io.to(userId.toString()).emit('moderationNotice', notice);
+};
+
+// Report a post, comment, message or profile. Reporting the same target again while the report
+// is open replaces its reason and details
+router.post('/reports', authMiddleware, reportLimiter, async (req, res) => {
+  try {
+    const { error, value } = reportSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    const { targetType, targetId, reason, details } = value;
+    const reporterId = req.user.id;
+
+    const target = await resolveReportTarget(targetType, targetId, reporterId);
+    if (!target) {
+      return res.status(404).json({ error: 'Reported content not found' });
+    }
+    if (target.targetUserId.toString() === reporterId) {
+      return res.status(400).json({ error: 'You cannot report yourself or your own content' });
+    }
+
+    const existing = await retryOperation(() => Report.findOne({ reporterId, targetType, targetId }).select('status').lean());
+    if (existing && existing.status !== 'open') {
+      return res.status(409).json({ error: 'This report has already been reviewed' });
+    }
+    const report = await retryOperation(() =>
+      Report.findOneAndUpdate(
+        { reporterId, targetType, targetId },
+        {
+          $set: { reason, details: details || '' },
+          $setOnInsert: { targetUserId: target.targetUserId, status: 'open', createdAt: new Date() },
+        },
+        { upsert: true, new: true, runValidators: true }
+      ).lean()
+    );
+    logger.info('Report filed', { reporterId, targetType, targetId, reason, updated: !!existing });
+    res.status(existing ? 200 : 201).json(serializeReport(report));
+  } catch (err) {
+    logger.error('Failed to file report', { error: err.message, userId: req.user?.id });
+    res.status(500).json({ error: 'Failed to file report', details: err.message });
+  }
+});
+
+// Moderation queue: reports by status (open by default), newest first and paged by `cursor`.
+// Each report carries a summary of its target and how many open reports that target has
+router.get('/queue', adminOnly, async (req, res) => {
+  try {
+    const status = ['open', 'actioned', 'dismissed'].includes(req.query.status) ? req.query.status : 'open';
+    const { targetType } = req.query;
+    if (targetType && !Report.TARGET_TYPES.includes(targetType)) {
+      return res.status(400).json({ error: 'Invalid target type' });
+    }
+    const limit = Math.max(1, Math.min(50, parseInt(req.query.limit) || 20));
+    const cursor = req.query.cursor ? decodeTimeCursor(req.query.cursor) : null;
+    if (req.query.cursor && !cursor) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    const query = { status, ...(targetType ? { targetType } : {}) };
+    const { items, nextCursor, hasMore } = timeCursorPage(
+      await retryOperation(() =>
+        Report.find(cursor ? { $and: [query, timeCursorFilter(cursor)] } : query)
+          .sort(timeCursorSort())
+          .limit(limit + 1)
+          .lean()
+      ),
+      limit
+    );
+    const [summaries, openCounts] = await Promise.all([
+      loadTargetSummaries(items),
+      items.length
+        ? retryOperation(() =>
+            Report.aggregate([
+              { $match: { status: 'open', targetId: { $in: [...new Set(items.map((report) => report.targetId.toString()))].map((id) => new mongoose.Types.ObjectId(id)) } } },
+              { $group: { _id: { targetType: '$targetType', targetId: '$targetId' }, count: { $sum: 1 } } },
+            ])
+          )
+        : [],
+    ]);
+    const countsByTarget = new Map(openCounts.map((entry) => [`${entry._id.targetType}:${entry._id.targetId}`, entry.count]));
+    res.json({
+      reports: items.map((report) => {
+        const key = `${report.targetType}:${report.targetId}`;
+        // A null target was deleted after it was reported
+        return { ...serializeReport(report), target: summaries.get(key) || null, openReports: countsByTarget.get(key) || 0 };
+      }),
+      nextCursor,
+      hasMore,
+    });
+  } catch (err) {
+    logger.error('Failed to fetch moderation queue', { error: err.message, userId: req.user?.id });
+    res.status(500).json({ error: 'Failed to fetch moderation queue', details: err.message });
+  }
+});
+
+// Close a report without acting on its target
+router.post('/reports/:reportId/dismiss', adminOnly, async (req, res) => {
+  try {
+    const { reportId } = req.params;
+    const { error, value } = actionSchema.validate(req.body || {});
+    if (error || !mongoose.isValidObjectId(reportId)) {
+      return res.status(400).json({ error: error ? error.details[0].message : 'Invalid report ID' });
+    }
+    const report = await retryOperation(() =>
+      Report.findOneAndUpdate(
+        { _id: reportId, status: 'open' },
+        { $set: { status: 'dismissed', resolvedBy: req.user.id, resolvedAt: new Date(), resolution: value.reason || undefined } },
+        { new: true }
+      ).lean()
+    );
+    if (!report) {
+      return res.status(404).json({ error: 'Open report not found' });
+    }
+    const log = await recordAction(req, {
+      action: 'dismiss_report',
+      targetType: 'report',
+      targetId: report._id,
+      targetUserId: report.targetUserId,
+      reason: value.reason,
+      snapshot: { targetType: report.targetType, targetId: report.targetId.toString(), reason: report.reason },
+    }, null);
+    res.json({ report: serializeReport(report), log });
+  } catch (err) {
+    logger.error('Failed to dismiss report', { error: err.message, userId: req.user?.id, reportId: req.params.reportId });
+    res.status(500).json({ error: 'Failed to dismiss report', details: err.message });
+  }
+});
+
+// Hide (POST) or restore (DELETE) a post. Hidden posts drop out of every feed and cannot be
+// interacted with; hiding closes the open reports about the post
+const setPostHidden = (hidden) => async (req, res) => {
+  const action = hidden ? 'hide_post' : 'unhide_post';
+  try {
+    const { postId } = req.params;
+    const { error, value } = actionSchema.validate(req.body || {});
+    if (error || !mongoose.isValidObjectId(postId)) {
+      return res.status(400).json({ error: error ? error.details[0].message : 'Invalid post ID' });
+    }
+    const post = await retryOperation(() =>
+      Post.findOneAndUpdate(
+        { _id: postId, hidden: hidden ? { $ne: true } : true },
+        hidden
+          ? { $set: { hidden: true, moderation: { hiddenAt: new Date(), hiddenBy: req.user.id, reason: value.reason || undefined } } }
+          : { $set: { hidden: false }, $unset: { moderation: '' } },
+        { new: true }
+      ).select('userId username contentType content caption isStory').lean()
+    );
+    if (!post) {
+      const exists = await retryOperation(() => Post.exists({ _id: postId }));
+      return exists
+        ? res.status(409).json({ error: hidden ? 'Post is already hidden' : 'Post is not hidden' })
+        : res.status(404).json({ error: 'Post not found' });
+    }
+
+    const log = await recordAction(req, {
+      action,
+      targetType: 'post',
+      targetId: post._id,
+      targetUserId: post.userId,
+      reason: value.reason,
+      snapshot: { username: post.username, contentType: post.contentType, content: post.content, caption: post.caption },
+    }, hidden ? { targetType: 'post', targetId: post._id } : null);
+
+    const io = req.app.get('io');
+    if (io && hidden) {
+      // Clients drop hidden posts the same way as deleted ones
+      io.emit('postHidden', { _id: post._id.toString(), userId: post.userId.toString(), isStory: !!post.isStory });
+    }
+    notifyTargetUser(req, post.userId, { action, targetType: 'post', targetId: post._id.toString(), reason: value.reason || '' });
+    res.json({ postId: post._id.toString(), hidden, log });
+  } catch (err) {
+    logger.error(`Failed to ${action}`, { error: err.message, userId: req.user?.id, postId: req.params.postId });
+    res.status(500).json({ error: `Failed to ${hidden ? 'hide' : 'restore'} post`, details: err.message });
+  }
+};
+
+router.post('/posts/:postId/hide', adminOnly, setPostHidden(true));
+router.delete('/posts/:postId/hide', adminOnly, setPostHidden(false));
+
+// Remove a comment (and its replies when top-level); closes the open reports about it
+router.delete('/comments/:commentId', adminOnly, async (req, res) => {
+  try {
+    const { commentId } = req.params;
+    const { error, value } = actionSchema.validate(req.body || {});
+    if (error || !mongoose.isValidObjectId(commentId)) {
+      return res.status(400).json({ error: error ? error.details[0].message : 'Invalid comment ID' });
+    }
+    const comment = await retryOperation(() => Comment.findById(commentId).select('postId parentId userId username comment').lean());
+    if (!comment) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    const { removed, commentCount } = await retryOperation(() => Comment.removeWithReplies(comment));
+    const log = await recordAction(req, {
+      action: 'remove_comment',
+      targetType: 'comment',
+      targetId: comment._id,
+      targetUserId: comment.userId,
+      reason: value.reason,
+      snapshot: { postId: comment.postId.toString(), username: comment.username, comment: comment.comment, removed },
+    }, { targetType: 'comment', targetId: comment._id });
+
+    const post = await retryOperation(() => Post.findById(comment.postId).select('userId').lean());
+    const io = req.app.get('io');
+    if (io && post) {
+      // Same shape as an author's delete in routes/feed.js so open comment sheets update
+      io.emit('postUpdate', {
+        _id: post._id.toString(),
+        userId: post.userId.toString(),
+        ...(commentCount !== undefined ? { commentCount } : {}),
+        commentEvent: { action: 'deleted', commentId, parentId: comment.parentId ? comment.parentId.toString() : null },
+      });
+    }
+    notifyTargetUser(req, comment.userId, { action: 'remove_comment', targetType: 'comment', targetId: commentId, reason: value.reason || '' });
+    res.json({ commentId, deleted: removed, log });
+  } catch (err) {
+    logger.error('Failed to remove comment', { error: err.message, userId: req.user?.id, commentId: req.params.commentId });
+    res.status(500).json({ error: 'Failed to remove comment', details: err.message });
+  }
+});
+
+// Suspend an account for `durationHours`, or until lifted. Signs it out of live sockets and closes
+// the open reports about the profile and its messages
+router.post('/users/:userId/suspend', adminOnly, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { error, value } = suspendSchema.validate(req.body || {});
+    if (error || !mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({ error: error ? error.details[0].message : 'Invalid user ID' });
+    }
+    if (userId === req.user.id) {
+      return res.status(400).json({ error: 'You cannot suspend yourself' });
+    }
+    const target = await retryOperation(() => User.findById(userId).select('username isAdmin').lean());
+    if (!target) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (target.isAdmin) {
+      return res.status(403).json({ error: 'Admins cannot be suspended' });
+    }
+
+    const now = new Date();
+    const suspension = {
+      reason: value.reason,
+      suspendedAt: now,
+      suspendedUntil: value.durationHours ? new Date(now.getTime() + value.durationHours * 60 * 60 * 1000) : undefined,
+      suspendedBy: req.user.id,
+    };
+    await retryOperation(() => User.updateOne({ _id: userId }, { $set: { suspension, status: 'offline' } }));
+    const log = await recordAction(req, {
+      action: 'suspend_user',
+      targetType: 'user',
+      targetId: target._id,
+      targetUserId: target._id,
+      reason: value.reason,
+      snapshot: { username: target.username, suspendedUntil: suspension.suspendedUntil ? suspension.suspendedUntil.toISOString() : null },
+    }, { targetUserId: target._id, targetType: { $in: ['user', 'message'] } });
+
+    notifyTargetUser(req, userId, {
+      action: 'suspend_user',
+      targetType: 'user',
+      targetId: userId,
+      reason: value.reason,
+      suspendedUntil: suspension.suspendedUntil ? suspension.suspendedUntil.toISOString() : null,
+    });
+    const io = req.app.get('io');
+    if (io) io.in(userId).disconnectSockets(true);
+    res.json({
+      userId,
+      suspendedUntil: suspension.suspendedUntil ? suspension.suspendedUntil.toISOString() : null,
+      log,
+    });
+  } catch (err) {
+    logger.error('Failed to suspend user', { error: err.message, userId: req.user?.id, targetUserId: req.params.userId });
+    res.status(500).json({ error: 'Failed to suspend user', details: err.message });
+  }
+});
+
+// Lift a suspension before it runs out
+router.delete('/users/:userId/suspend', adminOnly, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { error, value } = actionSchema.validate(req.body || {});
+    if (error || !mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({ error: error ? error.details[0].message : 'Invalid user ID' });
+    }
+    const target = await retryOperation(() =>
+      User.findOneAndUpdate({ _id: userId, suspension: { $exists: true } }, { $unset: { suspension: '' } }).select('username suspension').lean()
+    );
+    if (!target) {
+      return res.status(404).json({ error: 'Suspended user not found' });
+    }
+    const log = await recordAction(req, {
+      action: 'unsuspend_user',
+      targetType: 'user',
+      targetId: target._id,
+      targetUserId: target._id,
+      reason: value.reason,
+      snapshot: { username: target.username, previousReason: target.suspension.reason },
+    }, null);
+    res.json({ userId, log });
+  } catch (err) {
+    logger.error('Failed to lift suspension', { error: err.message, userId: req.user?.id, targetUserId: req.params.userId });
+    res.status(500).json({ error: 'Failed to lift suspension', details: err.message });
+  }
+});
+
+// Audit log of admin actions, newest first and paged by `cursor`; filter by adminId, targetUserId or action
+router.get('/logs', adminOnly, async (req, res) => {
+  try {
+    const { adminId, targetUserId, action } = req.query;
+    if ((adminId && !mongoose.isValidObjectId(adminId)) || (targetUserId && !mongoose.isValidObjectId(targetUserId))) {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+    if (action && !ModerationLog.ACTIONS.includes(action)) {
+      return res.status(400).json({ error: 'Invalid action' });
+    }
+    const limit = Math.max(1, Math.min(100, parseInt(req.query.limit) || 50));
+    const cursor = req.query.cursor ? decodeTimeCursor(req.query.cursor) : null;
+    if (req.query.cursor && !cursor) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    const query = {
+      ...(adminId ? { adminId: new mongoose.Types.ObjectId(adminId) } : {}),
+      ...(targetUserId ? { targetUserId: new mongoose.Types.ObjectId(targetUserId) } : {}),
+      ...(action ? { action } : {}),
+    };
+    const { items, nextCursor, hasMore } = timeCursorPage(
+      await retryOperation(() =>
+        ModerationLog.find(cursor ? { $and: [query, timeCursorFilter(cursor)] } : query)
+          .sort(timeCursorSort())
+          .limit(limit + 1)
+          .lean()
+      ),
+      limit
+    );
+    res.json({ logs: items.map(serializeLog), nextCursor, hasMore });
+  } catch (err) {
+    logger.error('Failed to fetch moderation logs', { error: err.message, userId: req.user?.id });
+    res.status(500).json({ error: 'Failed to fetch moderation logs', details: err.message });
+  }
+});
+
+module.exports = router;
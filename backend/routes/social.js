@@ -3,14 +3,19 @@ const jwt = require('jsonwebtoken');
 const mongoose = require('mongoose');
 const winston = require('winston');
 const multer = require('multer');
-const cloudinary = require('cloudinary').v2;
 const Joi = require('joi');
 const rateLimit = require('express-rate-limit');
 const NodeCache = require('node-cache');
 const User = require('../models/User');
-const { authMiddleware } = require('./auth');
+const { authMiddleware, disconnectSessions } = require('./auth');
 const Message = require('../models/Message');
+const Group = require('../models/Group');
+const Conversation = require('../models/Conversation');
 const TokenBlacklist = require('../models/TokenBlacklist');
+const Session = require('../models/Session');
+const { processMedia, MediaProcessingError } = require('../utils/mediaPipeline');
+const storage = require('../utils/storage');
+const { decodeTimeCursor, timeCursorFilter, timeCursorSort, timeCursorPage } = require('../utils/cursor');
 
 const router = express.Router();
 
@@ -51,40 +56,6 @@ const logError = async (message, metadata = {}) => {
   logger.error(message, { ...sanitizedMetadata, timestamp: new Date().toISOString() });
 };
 
-// Configure Cloudinary
-const configureCloudinary = () => {
-  let cloudinaryConfig = {};
-  if (process.env.CLOUDINARY_URL) {
-    try {
-      const url = new URL(process.env.CLOUDINARY_URL);
-      cloudinaryConfig = {
-        cloud_name: url.hostname,
-        api_key: url.username,
-        api_secret: url.password,
-      };
-    } catch (err) {
-      logError('Invalid CLOUDINARY_URL format', { error: err.message });
-      throw new Error(`Invalid CLOUDINARY_URL format: ${err.message}`);
-    }
-  } else if (
-    process.env.CLOUDINARY_CLOUD_NAME &&
-    process.env.CLOUDINARY_API_KEY &&
-    process.env.CLOUDINARY_API_SECRET
-  ) {
-    cloudinaryConfig = {
-      cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-      api_key: process.env.CLOUDINARY_API_KEY,
-      api_secret: process.env.CLOUDINARY_API_SECRET,
-    };
-  } else {
-    logError('Cloudinary configuration missing');
-    throw new Error('Cloudinary configuration missing');
-  }
-  cloudinary.config({ ...cloudinaryConfig, secure: true, timeout: 15000 });
-  logger.info('Cloudinary configured', { cloud_name: cloudinaryConfig.cloud_name });
-};
-configureCloudinary();
-
 // Multer configuration
 const upload = multer({
   storage: multer.memoryStorage(),
@@ -152,10 +123,13 @@ const messageSchema = Joi.object({
   recipientId: Joi.string().custom((value, helpers) => {
     if (!mongoose.isValidObjectId(value)) return helpers.error('any.invalid');
     return value;
-  }).required(),
+  }),
+  groupId: Joi.string().custom((value, helpers) => {
+    if (!mongoose.isValidObjectId(value)) return helpers.error('any.invalid');
+    return value;
+  }),
   content: Joi.string().allow('').required(),
   contentType: Joi.string().valid(...validContentTypes).required(),
-  plaintextContent: Joi.string().allow('').optional(),
   caption: Joi.string().max(500).optional(),
   replyTo: Joi.string().custom((value, helpers) => {
     if (value && !mongoose.isValidObjectId(value)) return helpers.error('any.invalid');
@@ -166,7 +140,13 @@ const messageSchema = Joi.object({
   senderVirtualNumber: Joi.string().pattern(/^\+\d{7,15}$/).optional(),
   senderUsername: Joi.string().max(50).optional(),
   senderPhoto: Joi.string().uri().optional(),
-}).unknown(false);
+}).xor('recipientId', 'groupId').unknown(false);
+
+// Sent as multipart form fields alongside the audio file
+const voiceNoteSchema = Joi.object({
+  duration: Joi.number().min(0).max(3600).required(),
+  waveform: Joi.array().items(Joi.number().integer().min(0).max(100)).max(64).default([]),
+});
 
 const addContactSchema = Joi.object({
   userId: Joi.string().custom((value, helpers) => {
@@ -176,13 +156,20 @@ const addContactSchema = Joi.object({
   virtualNumber: Joi.string().pattern(/^\+\d{7,15}$/).required(),
 });
 
+// Block, unblock, mute and unmute all name the other account
+const blockSchema = Joi.object({
+  targetId: Joi.string().custom((value, helpers) => {
+    if (!mongoose.isValidObjectId(value)) return helpers.error('any.invalid');
+    return value;
+  }).required(),
+});
+
 const editMessageSchema = Joi.object({
   messageId: Joi.string().custom((value, helpers) => {
     if (!mongoose.isValidObjectId(value)) return helpers.error('any.invalid');
     return value;
   }).required(),
   newContent: Joi.string().allow('').required(),
-  plaintextContent: Joi.string().allow('').optional(),
 });
 
 const deleteMessageSchema = Joi.object({
@@ -193,6 +180,88 @@ const deleteMessageSchema = Joi.object({
   recipientId: Joi.string().custom((value, helpers) => {
     if (!mongoose.isValidObjectId(value)) return helpers.error('any.invalid');
     return value;
+  }),
+  groupId: Joi.string().custom((value, helpers) => {
+    if (!mongoose.isValidObjectId(value)) return helpers.error('any.invalid');
+    return value;
+  }),
+}).xor('recipientId', 'groupId');
+
+const reactionSchema = Joi.object({
+  messageId: Joi.string().custom((value, helpers) => {
+    if (!mongoose.isValidObjectId(value)) return helpers.error('any.invalid');
+    return value;
+  }).required(),
+  emoji: Joi.string().max(16).pattern(/\p{Extended_Pictographic}/u).required(),
+});
+
+const removeReactionSchema = reactionSchema.fork(['emoji'], (schema) => schema.optional());
+
+const retentionSchema = Joi.object({
+  recipientId: Joi.string().custom((value, helpers) => {
+    if (!mongoose.isValidObjectId(value)) return helpers.error('any.invalid');
+    return value;
+  }),
+  groupId: Joi.string().custom((value, helpers) => {
+    if (!mongoose.isValidObjectId(value)) return helpers.error('any.invalid');
+    return value;
+  }),
+  retention: Joi.string().valid(...Object.keys(Conversation.RETENTION_OPTIONS)).required(),
+}).xor('recipientId', 'groupId');
+
+const retentionLabels = {
+  forever: 'keep messages forever',
+  '1y': 'keep messages for 1 year',
+  '90d': 'keep messages for 90 days',
+  '7d': 'make messages disappear after 7 days',
+  '24h': 'make messages disappear after 24 hours',
+};
+
+// Text content is end-to-end encrypted, so the server can only match on metadata and captions
+const searchMessagesSchema = Joi.object({
+  q: Joi.string().trim().max(100).allow('').optional(),
+  contactId: Joi.string().custom((value, helpers) => {
+    if (!mongoose.isValidObjectId(value)) return helpers.error('any.invalid');
+    return value;
+  }),
+  groupId: Joi.string().custom((value, helpers) => {
+    if (!mongoose.isValidObjectId(value)) return helpers.error('any.invalid');
+    return value;
+  }),
+  contentType: Joi.string().valid(...validContentTypes).optional(),
+  filename: Joi.string().trim().max(255).optional(),
+  from: Joi.date().iso().optional(),
+  to: Joi.when('from', { is: Joi.exist(), then: Joi.date().iso().min(Joi.ref('from')), otherwise: Joi.date().iso() }).optional(),
+  limit: Joi.number().integer().min(1).max(100).default(50),
+  skip: Joi.number().integer().min(0).default(0),
+}).oxor('contactId', 'groupId');
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const createGroupSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(50).required(),
+  memberIds: Joi.array().items(
+    Joi.string().custom((value, helpers) => {
+      if (!mongoose.isValidObjectId(value)) return helpers.error('any.invalid');
+      return value;
+    })
+  ).min(1).max(Group.MAX_GROUP_MEMBERS - 1).unique().required(),
+  photo: Joi.string().uri().optional(),
+});
+
+const groupMembersSchema = Joi.object({
+  memberIds: Joi.array().items(
+    Joi.string().custom((value, helpers) => {
+      if (!mongoose.isValidObjectId(value)) return helpers.error('any.invalid');
+      return value;
+    })
+  ).min(1).max(Group.MAX_GROUP_MEMBERS - 1).unique().required(),
+});
+
+const groupAdminSchema = Joi.object({
+  memberId: Joi.string().custom((value, helpers) => {
+    if (!mongoose.isValidObjectId(value)) return helpers.error('any.invalid');
+    return value;
   }).required(),
 });
 
@@ -216,58 +285,171 @@ const retryOperation = async (operation, maxRetries = 3) => {
   }
 };
 
+// Uploads a processed file and its preview variants; returns the message fields they fill in
+const storeProcessedUpload = async (processed, contentType, filename) => {
+  const kind = contentType === 'document' ? 'raw' : contentType;
+  const storePreview = (variant, name) =>
+    retryOperation(() => storage.upload(variant.buffer, { folder: 'chat/previews', kind: 'image', mimetype: variant.mimetype, filename: name, timeout: 15000 }));
+  const [main, thumbnail, poster] = await Promise.all([
+    retryOperation(() => storage.upload(processed.buffer, { folder: 'chat', kind, mimetype: processed.mimetype, filename, timeout: 15000 })),
+    processed.variants.thumbnail ? storePreview(processed.variants.thumbnail, 'thumbnail.webp') : null,
+    processed.variants.poster ? storePreview(processed.variants.poster, 'poster.jpg') : null,
+  ]);
+  const { width, height, duration, blurhash } = processed.metadata;
+  const media = width || thumbnail || poster
+    ? { width, height, blurhash, thumbnailUrl: thumbnail?.url, posterUrl: poster?.url }
+    : undefined;
+  return { content: main.url, duration, media };
+};
+
+// Cache keys are paginated, so drop every page for the user
+const invalidateChatListCache = (userId) => {
+  const prefix = `chatList:${userId}:`;
+  chatListCache.del(chatListCache.keys().filter((key) => key.startsWith(prefix)));
+};
+
+// One page of a user's contacts. Pages are cut in the contacts' (createdAt, _id) order, which never
+// changes, so contacts coming online between requests cannot shift them; each page is then shown
+// most recently seen first. Contacts the user blocked are left out, and `mutedIds` lists the muted ones
+const fetchContactsPage = async (userId, position, limit) => {
+  // Blocks hide contacts both ways, like the feed
+  const [lists, blocked] = await Promise.all([
+    retryOperation(async () => User.findById(userId).select('mutedUsers').lean()),
+    retryOperation(() => User.blockedIdsFor(userId)),
+  ]);
+  const user = await retryOperation(async () => {
+    const user = await User.findById(userId)
+      .select('contacts')
+      .populate({
+        path: 'contacts',
+        select: 'username virtualNumber photo status lastSeen createdAt',
+        match: {
+          ...(position ? timeCursorFilter(position) : {}),
+          ...(blocked.length ? { _id: { $nin: blocked } } : {}),
+        },
+        options: { sort: timeCursorSort(), limit: limit + 1 },
+      })
+      .lean()
+      .maxTimeMS(20000); // Set query timeout
+    if (!user) {
+      throw new Error(`User not found for ID: ${userId}`);
+    }
+    return user;
+  });
+  const contacts = Array.isArray(user.contacts) ? user.contacts.filter((contact) => contact?._id) : [];
+  const { items, nextCursor, hasMore } = timeCursorPage(contacts, limit);
+  return {
+    contacts: [...items].sort((a, b) => new Date(b.lastSeen || 0) - new Date(a.lastSeen || 0)),
+    mutedIds: new Set((lists?.mutedUsers || []).map((id) => id.toString())),
+    nextCursor,
+    hasMore,
+  };
+};
+
+// Stringify ids on a message before emitting; recipientId is null for group messages
+const formatMessage = (msg) => ({
+  ...msg,
+  senderId: msg.senderId.toString(),
+  recipientId: msg.recipientId ? msg.recipientId.toString() : null,
+  groupId: msg.groupId ? msg.groupId.toString() : null,
+  replyTo: msg.replyTo && msg.replyTo.senderId
+    ? {
+        ...msg.replyTo,
+        senderId: msg.replyTo.senderId.toString(),
+        recipientId: msg.replyTo.recipientId ? msg.replyTo.recipientId.toString() : null,
+      }
+    : msg.replyTo || null,
+  reactions: (msg.reactions || []).map((reaction) => ({ ...reaction, userId: reaction.userId.toString() })),
+});
 
+// Whether either of two lean users (with _id and blockedUsers) has blocked the other
+const hasBlockBetween = (user, other) =>
+  (user.blockedUsers || []).some((id) => id.toString() === other._id.toString()) ||
+  (other.blockedUsers || []).some((id) => id.toString() === user._id.toString());
+
+// Whether a lean user (with mutedUsers) muted `senderId`; their messages still arrive, marked `muted`
+const hasMuted = (user, senderId) => (user.mutedUsers || []).some((id) => id.toString() === senderId.toString());
+
+const formatGroup = (group) => ({
+  id: group._id.toString(),
+  isGroup: true,
+  name: group.name,
+  username: group.name,
+  photo: group.photo || 'https://placehold.co/40x40',
+  createdBy: group.createdBy.toString(),
+  members: group.members.map((member) =>
+    !(member instanceof mongoose.Types.ObjectId)
+      ? {
+          id: member._id.toString(),
+          username: member.username || 'Unknown',
+          virtualNumber: member.virtualNumber || '',
+          photo: member.photo || 'https://placehold.co/40x40',
+        }
+      : member.toString()
+  ),
+  admins: group.admins.map((id) => id.toString()),
+});
 
-const emitUpdatedChatList = async (io, userId, page = 0, limit = 50) => {
+// Group entries for the chat list, each with its most recent message
+const fetchGroupChats = async (userId) => {
+  const groups = await retryOperation(async () => {
+    return await Group.find({ members: userId })
+      .select('name photo createdBy members admins updatedAt')
+      .lean()
+      .maxTimeMS(20000);
+  });
+  if (!groups.length) return [];
+  const retentions = await retryOperation(async () => Conversation.getRetentions(groups.map((group) => group._id.toString())));
+  const latestMessages = await retryOperation(async () => {
+    return await Message.aggregate([
+      { $match: { groupId: { $in: groups.map((group) => group._id) } } },
+      { $sort: { createdAt: -1 } },
+      { $group: { _id: '$groupId', latestMessage: { $first: '$$ROOT' } } },
+    ]).option({ maxTimeMS: 20000 });
+  });
+  return groups
+    .map((group) => {
+      const messageData = latestMessages.find((m) => m._id.toString() === group._id.toString());
+      return {
+        ...formatGroup(group),
+        retention: retentions[group._id.toString()],
+        status: 'group',
+        lastSeen: null,
+        latestMessage: messageData?.latestMessage ? formatMessage(messageData.latestMessage) : null,
+        unreadCount: 0,
+        ownerId: userId,
+      };
+    })
+    .sort((a, b) => new Date(b.latestMessage?.createdAt || 0) - new Date(a.latestMessage?.createdAt || 0));
+};
+
+// Pushes the first page of the chat list; clients fetch later pages over HTTP with nextCursor
+const emitUpdatedChatList = async (io, userId, limit = 50) => {
   try {
     if (!mongoose.isValidObjectId(userId)) {
       await logError('Invalid userId for chat list emission', { userId, ip: 'socket' });
       return;
     }
-    const cacheKey = `chatList:${userId}:${page}:${limit}`;
+    const cacheKey = `chatList:${userId}:first:${limit}`;
     const cached = chatListCache.get(cacheKey);
     if (cached) {
-      io.to(userId).emit('chatListUpdated', { userId, users: cached, page, limit });
-      logger.info('Served cached chat list', { userId, page, count: cached.length, ip: 'socket' });
+      io.to(userId).emit('chatListUpdated', { userId, users: cached.chats, nextCursor: cached.nextCursor, hasMore: cached.hasMore, limit });
+      logger.info('Served cached chat list', { userId, count: cached.chats.length, ip: 'socket' });
       return;
     }
-    const user = await retryOperation(async () => {
-      const user = await User.findById(userId)
-        .select('contacts')
-        .populate({
-          path: 'contacts',
-          select: 'username virtualNumber photo status lastSeen',
-          options: { 
-            skip: page * limit, 
-            limit, 
-            sort: { lastSeen: -1 },
-            // Add match to ensure valid contacts only
-            match: { _id: { $exists: true, $ne: null } },
-          },
-        })
-        .lean();
-      if (!user) {
-        throw new Error(`User not found for ID: ${userId}`);
-      }
-      return user;
-    });
-    
-    // Fallback for invalid or empty contacts
-    if (!user?.contacts || !Array.isArray(user.contacts) || user.contacts.length === 0) {
-      logger.warn('User contacts field is invalid or empty', { userId, contacts: user.contacts, ip: 'socket' });
-      chatListCache.set(cacheKey, [], 15 * 60);
-      io.to(userId).emit('chatListUpdated', { userId, users: [], page, limit });
-      return;
-    }
-    
-    const contactIds = user.contacts
+    const { contacts, mutedIds, nextCursor, hasMore } = await fetchContactsPage(userId, null, limit);
+
+    // Groups are not paginated; they lead the first page
+    const groupChats = await fetchGroupChats(userId);
+
+    const contactIds = contacts
       .map((c) => c._id)
       .filter((id) => mongoose.isValidObjectId(id));
-    
+
     if (!contactIds.length) {
       logger.info('No valid contacts found', { userId, ip: 'socket' });
-      chatListCache.set(cacheKey, [], 15 * 60);
-      io.to(userId).emit('chatListUpdated', { userId, users: [], page, limit });
+      chatListCache.set(cacheKey, { chats: groupChats, nextCursor, hasMore }, 15 * 60);
+      io.to(userId).emit('chatListUpdated', { userId, users: groupChats, nextCursor, hasMore, limit });
       return;
     }
     
@@ -308,7 +490,11 @@ const emitUpdatedChatList = async (io, userId, page = 0, limit = 50) => {
       ]).option({ maxTimeMS: 20000, hint: { senderId: 1, recipientId: 1, createdAt: -1 } });
     });
     
-    const chatList = user.contacts.map((contact) => {
+    const retentions = await retryOperation(async () =>
+      Conversation.getRetentions(contacts.map((contact) => Conversation.keyFor({ userId, recipientId: contact._id })))
+    );
+
+    const chatList = contacts.map((contact) => {
       const messageData = latestMessages.find((m) => m._id.toString() === contact._id.toString());
       return {
         id: contact._id.toString(),
@@ -317,6 +503,7 @@ const emitUpdatedChatList = async (io, userId, page = 0, limit = 50) => {
         photo: contact.photo || 'https://placehold.co/40x40',
         status: contact.status || 'offline',
         lastSeen: contact.lastSeen ? new Date(contact.lastSeen).toISOString() : null,
+        retention: retentions[Conversation.keyFor({ userId, recipientId: contact._id })],
         latestMessage: messageData?.latestMessage
           ? {
               ...messageData.latestMessage,
@@ -332,13 +519,15 @@ const emitUpdatedChatList = async (io, userId, page = 0, limit = 50) => {
             }
           : null,
         unreadCount: messageData?.unreadCount || 0,
+        muted: mutedIds.has(contact._id.toString()),
         ownerId: userId,
       };
     }).filter((chat) => mongoose.isValidObjectId(chat.id));
+    chatList.unshift(...groupChats);
     
-    chatListCache.set(cacheKey, chatList, 15 * 60);
-    io.to(userId).emit('chatListUpdated', { userId, users: chatList, page, limit });
-    logger.info('Emitted updated chat list', { userId, page, count: chatList.length, ip: 'socket' });
+    chatListCache.set(cacheKey, { chats: chatList, nextCursor, hasMore }, 15 * 60);
+    io.to(userId).emit('chatListUpdated', { userId, users: chatList, nextCursor, hasMore, limit });
+    logger.info('Emitted updated chat list', { userId, count: chatList.length, ip: 'socket' });
   } catch (error) {
     await logError('Failed to emit chat list', {
       userId,
@@ -349,7 +538,7 @@ const emitUpdatedChatList = async (io, userId, page = 0, limit = 50) => {
       mongoErrorName: error.name,
     });
     // Emit empty list on error to prevent client hang
-    io.to(userId).emit('chatListUpdated', { userId, users: [], page, limit });
+    io.to(userId).emit('chatListUpdated', { userId, users: [], nextCursor: null, hasMore: false, limit });
   }
 };
 
@@ -385,6 +574,195 @@ module.exports = (app) => {
 
   const connectedUsers = new Map();
 
+  // Each session has its own sockets, so the user stays online while any of them is still connected
+  const markOfflineIfDisconnected = async (userId) => {
+    const remaining = await io.in(userId).fetchSockets();
+    if (remaining.length) {
+      connectedUsers.set(userId, remaining[0].id);
+      return;
+    }
+    connectedUsers.delete(userId);
+    await User.findByIdAndUpdate(userId, { status: 'offline', lastSeen: new Date() });
+    io.to(userId).emit('userStatus', { userId, status: 'offline', lastSeen: new Date() });
+  };
+
+  // Persist a group message and fan it out to every member's room
+  // `media` comes only from the upload pipeline, never from client-supplied message data
+  const sendGroupMessage = async (senderId, messageData, media) => {
+    const { groupId, content, contentType, caption, replyTo, clientMessageId, senderVirtualNumber, senderUsername, senderPhoto, duration, waveform } = messageData;
+    const group = await Group.findById(groupId).select('members').lean();
+    if (!group || !group.members.some((id) => id.toString() === senderId)) {
+      await logError('Group not found or sender not a member', { groupId, senderId });
+      return { error: 'Group not found or not a member', status: 403 };
+    }
+    const existingMessage = await Message.findOne({ clientMessageId })
+      .select('senderId recipientId groupId content contentType status caption replyTo originalFilename duration waveform media clientMessageId senderVirtualNumber senderUsername senderPhoto reactions expiresAt createdAt updatedAt')
+      .lean();
+    if (existingMessage) {
+      logger.info('Duplicate group message detected', { clientMessageId, senderId, groupId });
+      return { message: existingMessage };
+    }
+    const sender = await User.findById(senderId).select('virtualNumber username photo').lean();
+    const message = new Message({
+      senderId,
+      groupId,
+      content: content || '',
+      contentType,
+      status: 'sent',
+      caption,
+      replyTo: replyTo && mongoose.isValidObjectId(replyTo) ? replyTo : undefined,
+      originalFilename: messageData.originalFilename,
+      duration,
+      waveform,
+      media,
+      clientMessageId,
+      senderVirtualNumber: senderVirtualNumber || sender.virtualNumber,
+      senderUsername: senderUsername || sender.username,
+      senderPhoto: senderPhoto || sender.photo,
+    });
+    await message.save();
+    const populatedMessage = await Message.findById(message._id)
+      .select('senderId recipientId groupId content contentType status caption replyTo originalFilename duration waveform media clientMessageId senderVirtualNumber senderUsername senderPhoto reactions expiresAt createdAt updatedAt')
+      .lean();
+    const memberIds = group.members.map((id) => id.toString());
+    const muters = await User.find({ _id: { $in: group.members }, mutedUsers: senderId }).select('_id').lean();
+    const mutedFor = new Set(muters.map((member) => member._id.toString()));
+    const formatted = formatMessage(populatedMessage);
+    memberIds.forEach((memberId) => io.to(memberId).emit('message', mutedFor.has(memberId) ? { ...formatted, muted: true } : formatted));
+    io.to(senderId).emit('messageStatus', { messageIds: [message._id], status: 'sent' });
+    memberIds.forEach(invalidateChatListCache);
+    await Promise.all(memberIds.filter((memberId) => connectedUsers.has(memberId)).map((memberId) => emitUpdatedChatList(io, memberId)));
+    return { message: populatedMessage };
+  };
+
+  // Notify members (and anyone just removed) that a group changed
+  const emitGroupUpdate = async (group, removedMemberIds = []) => {
+    const memberIds = group.members.map((id) => id.toString());
+    const populatedGroup = await Group.findById(group._id)
+      .populate({ path: 'members', select: 'username virtualNumber photo' })
+      .lean();
+    memberIds.forEach((memberId) => io.to(memberId).emit('groupUpdated', formatGroup(populatedGroup || group)));
+    removedMemberIds.forEach((memberId) => io.to(memberId).emit('groupRemoved', { groupId: group._id.toString() }));
+    [...memberIds, ...removedMemberIds].forEach(invalidateChatListCache);
+    await Promise.all(
+      [...memberIds, ...removedMemberIds]
+        .filter((memberId) => connectedUsers.has(memberId))
+        .map((memberId) => emitUpdatedChatList(io, memberId))
+    );
+  };
+
+  // Add or remove the caller's reaction, then broadcast the message's reactions to every participant
+  const updateReaction = async (userId, { messageId, emoji }, action) => {
+    const message = await Message.findById(messageId).select('senderId recipientId groupId').lean();
+    if (!message) {
+      return { error: 'Message not found', status: 404 };
+    }
+    let participantIds;
+    if (message.groupId) {
+      const group = await Group.findById(message.groupId).select('members').lean();
+      participantIds = (group?.members || []).map((id) => id.toString());
+    } else {
+      participantIds = [message.senderId.toString(), message.recipientId.toString()];
+    }
+    if (!participantIds.includes(userId)) {
+      await logError('Unauthorized reaction', { messageId, userId });
+      return { error: 'Not a participant in this conversation', status: 403 };
+    }
+
+    if (action === 'add') {
+      // One pipeline update drops the caller's previous reaction and appends the new one, so
+      // concurrent reactions from the same user can neither duplicate nor lose it
+      const reactorId = new mongoose.Types.ObjectId(userId);
+      await Message.updateOne({ _id: messageId }, [
+        {
+          $set: {
+            reactions: {
+              $concatArrays: [
+                { $filter: { input: { $ifNull: ['$reactions', []] }, cond: { $ne: ['$$this.userId', reactorId] } } },
+                [{ userId: reactorId, emoji: { $literal: emoji }, createdAt: '$$NOW' }],
+              ],
+            },
+          },
+        },
+      ]);
+    } else {
+      await Message.updateOne({ _id: messageId }, { $pull: { reactions: emoji ? { userId, emoji } : { userId } } });
+    }
+    const updated = await Message.findById(messageId).select('reactions').lean();
+    const payload = {
+      messageId,
+      senderId: message.senderId.toString(),
+      recipientId: message.recipientId ? message.recipientId.toString() : null,
+      groupId: message.groupId ? message.groupId.toString() : null,
+      reactions: formatMessage({ ...message, reactions: updated?.reactions }).reactions,
+    };
+    participantIds.forEach((participantId) => io.to(participantId).emit('reactionUpdated', payload));
+    logger.info('Reaction updated', { messageId, userId, action });
+    return { reactions: payload.reactions };
+  };
+
+  // Change a conversation's retention and announce it in the thread with a system message.
+  // Only messages sent after the change use the new setting. Callers retry this, so `requestedAt`
+  // comes from outside the retry: it names the notice, and a retry finds the one already saved.
+  const updateRetention = async (userId, { recipientId, groupId, retention }, requestedAt) => {
+    let participantIds;
+    if (groupId) {
+      const group = await Group.findById(groupId).select('members admins').lean();
+      if (!group || !group.members.some((id) => id.toString() === userId)) {
+        return { error: 'Group not found or not a member', status: 403 };
+      }
+      if (!group.admins.some((id) => id.toString() === userId)) {
+        return { error: 'Only group admins can change message retention', status: 403 };
+      }
+      participantIds = group.members.map((id) => id.toString());
+    } else {
+      const user = await User.findById(userId).select('contacts').lean();
+      if (!user || !user.contacts.some((id) => id.toString() === recipientId)) {
+        return { error: 'Recipient not in contacts', status: 403 };
+      }
+      participantIds = [userId, recipientId];
+    }
+
+    const key = Conversation.keyFor({ userId, recipientId, groupId });
+    const conversation = await Conversation.findOneAndUpdate(
+      { key },
+      { $set: { retention, updatedBy: userId } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    ).lean();
+
+    const clientMessageId = `system-${key}-${requestedAt}`;
+    let systemMessage = await Message.findOne({ clientMessageId }).select('_id').lean();
+    if (!systemMessage) {
+      const sender = await User.findById(userId).select('username').lean();
+      systemMessage = new Message({
+        senderId: userId,
+        recipientId: groupId ? undefined : recipientId,
+        groupId: groupId || undefined,
+        content: `${sender?.username || 'Someone'} chose to ${retentionLabels[retention]}`,
+        contentType: 'system',
+        status: 'sent',
+        clientMessageId,
+        expiresAt: Conversation.expiresAtFor(retention),
+      });
+      await systemMessage.save();
+    }
+    const populatedMessage = formatMessage(
+      await Message.findById(systemMessage._id)
+        .select('senderId recipientId groupId content contentType status caption replyTo originalFilename duration waveform media clientMessageId senderVirtualNumber senderUsername senderPhoto reactions expiresAt createdAt updatedAt')
+        .lean()
+    );
+
+    const payload = { senderId: userId, recipientId: groupId ? null : recipientId, groupId: groupId || null, retention: conversation.retention };
+    participantIds.forEach((participantId) => {
+      io.to(participantId).emit('retentionUpdated', payload);
+      io.to(participantId).emit('message', populatedMessage);
+    });
+    participantIds.forEach(invalidateChatListCache);
+    await Promise.all(participantIds.filter((participantId) => connectedUsers.has(participantId)).map((participantId) => emitUpdatedChatList(io, participantId)));
+    logger.info('Retention updated', { key, userId, retention });
+    return { retention: conversation.retention, message: populatedMessage };
+  };
+
   io.use(async (socket, next) => {
     const token = socket.handshake.auth.token;
     if (!token) {
@@ -393,21 +771,33 @@ module.exports = (app) => {
     }
     try {
       const decoded = jwt.verify(token, process.env.JWT_SECRET, { algorithms: ['HS256'] });
+      if (!decoded.sid || !mongoose.isValidObjectId(decoded.sid)) {
+        await logError('Invalid Socket.IO token without session', { userId: decoded.id, ip: socket.handshake.address });
+        return next(new Error('Invalid token'));
+      }
       const user = await retryOperation(async () => {
-        return await User.findById(decoded.id).select('_id contacts').lean();
+        return await User.findById(decoded.id).select('_id contacts suspension devices.deviceId').lean();
       });
       if (!user) {
         await logError('User not found for Socket.IO', { userId: decoded.id, ip: socket.handshake.address });
         return next(new Error('User not found'));
       }
+      if (User.isSuspended(user)) {
+        await logError('Unauthorized Socket.IO connection from suspended account', { userId: decoded.id, ip: socket.handshake.address });
+        return next(new Error('Account suspended'));
+      }
+      if (decoded.deviceId && !(user.devices || []).some((device) => device.deviceId === decoded.deviceId)) {
+        await logError('Unauthorized Socket.IO token for removed device', { userId: decoded.id, deviceId: decoded.deviceId, ip: socket.handshake.address });
+        return next(new Error('Device has been removed'));
+      }
       const blacklisted = await retryOperation(async () => {
-        return await TokenBlacklist.findOne({ token }).lean();
+        return await TokenBlacklist.findOne({ sessionId: decoded.sid }).lean();
       });
       if (blacklisted) {
-        await logError('Blacklisted token used for Socket.IO', { token: token.substring(0, 10) + '...', ip: socket.handshake.address });
+        await logError('Blacklisted token used for Socket.IO', { sessionId: decoded.sid, ip: socket.handshake.address });
         return next(new Error('Token invalidated'));
       }
-      socket.user = { ...decoded, contacts: user.contacts };
+      socket.user = { ...decoded, sessionId: decoded.sid, contacts: user.contacts };
       next();
     } catch (error) {
       await logError('Socket.IO auth error', { error: error.message, stack: socket.handshake.address });
@@ -419,6 +809,10 @@ module.exports = (app) => {
     logger.info('Socket.IO connection', { socketId: socket.id, userId: socket.user?.id, ip: socket.handshake.address });
 
     connectedUsers.set(socket.user.id, socket.id);
+    socket.join(`session:${socket.user.sessionId}`);
+    if (socket.user.deviceId) {
+      socket.join(`device:${socket.user.id}:${socket.user.deviceId}`);
+    }
 
     socket.on('join', async (userId) => {
       if (!mongoose.isValidObjectId(userId) || userId !== socket.user.id) {
@@ -440,7 +834,7 @@ module.exports = (app) => {
           status: { $in: ['pending', 'sent'] },
           senderId: { $in: socket.user.contacts },
         })
-          .select('senderId recipientId content contentType plaintextContent status caption replyTo originalFilename clientMessageId senderVirtualNumber senderUsername senderPhoto createdAt updatedAt')
+          .select('senderId recipientId content contentType status caption replyTo originalFilename duration waveform media clientMessageId senderVirtualNumber senderUsername senderPhoto reactions expiresAt createdAt updatedAt')
           .lean();
         const messageUpdates = pendingMessages.map(async (msg) => {
           io.to(userId).emit('message', {
@@ -482,7 +876,7 @@ module.exports = (app) => {
           status: { $in: ['pending', 'sent'] },
           senderId: { $in: socket.user.contacts },
         })
-          .select('senderId recipientId content contentType plaintextContent status caption replyTo originalFilename clientMessageId senderVirtualNumber senderUsername senderPhoto createdAt updatedAt')
+          .select('senderId recipientId content contentType status caption replyTo originalFilename duration waveform media clientMessageId senderVirtualNumber senderUsername senderPhoto reactions expiresAt createdAt updatedAt')
           .lean();
         const messageUpdates = pendingMessages.map(async (msg) => {
           io.to(userId).emit('message', {
@@ -522,7 +916,23 @@ module.exports = (app) => {
       logger.info('User left', { userId, ip: socket.handshake.address });
     });
 
-    socket.on('typing', ({ userId, recipientId }) => {
+    socket.on('typing', async ({ userId, recipientId, groupId }) => {
+      if (groupId) {
+        if (!mongoose.isValidObjectId(groupId) || userId !== socket.user.id) {
+          socket.emit('error', { message: 'Invalid typing event for group' });
+          return;
+        }
+        const group = await Group.findById(groupId).select('members').lean();
+        if (!group || !group.members.some((id) => id.toString() === userId)) {
+          socket.emit('error', { message: 'Invalid typing event for group' });
+          return;
+        }
+        group.members
+          .map((id) => id.toString())
+          .filter((memberId) => memberId !== userId && connectedUsers.has(memberId))
+          .forEach((memberId) => io.to(memberId).emit('typing', { userId, groupId }));
+        return;
+      }
       if (
         !mongoose.isValidObjectId(userId) ||
         !mongoose.isValidObjectId(recipientId) ||
@@ -532,12 +942,28 @@ module.exports = (app) => {
         socket.emit('error', { message: 'Invalid typing event or recipient not in contacts' });
         return;
       }
-      if (connectedUsers.has(recipientId)) {
+      if (connectedUsers.has(recipientId) && !(await User.isBlockedBetween(userId, recipientId))) {
         io.to(recipientId).emit('typing', { userId });
       }
     });
 
-    socket.on('stopTyping', ({ userId, recipientId }) => {
+    socket.on('stopTyping', async ({ userId, recipientId, groupId }) => {
+      if (groupId) {
+        if (!mongoose.isValidObjectId(groupId) || userId !== socket.user.id) {
+          socket.emit('error', { message: 'Invalid stopTyping event for group' });
+          return;
+        }
+        const group = await Group.findById(groupId).select('members').lean();
+        if (!group || !group.members.some((id) => id.toString() === userId)) {
+          socket.emit('error', { message: 'Invalid stopTyping event for group' });
+          return;
+        }
+        group.members
+          .map((id) => id.toString())
+          .filter((memberId) => memberId !== userId && connectedUsers.has(memberId))
+          .forEach((memberId) => io.to(memberId).emit('stopTyping', { userId, groupId }));
+        return;
+      }
       if (
         !mongoose.isValidObjectId(userId) ||
         !mongoose.isValidObjectId(recipientId) ||
@@ -547,7 +973,7 @@ module.exports = (app) => {
         socket.emit('error', { message: 'Invalid stopTyping event or recipient not in contacts' });
         return;
       }
-      if (connectedUsers.has(recipientId)) {
+      if (connectedUsers.has(recipientId) && !(await User.isBlockedBetween(userId, recipientId))) {
         io.to(recipientId).emit('stopTyping', { userId });
       }
     });
@@ -564,7 +990,6 @@ module.exports = (app) => {
           recipientId,
           content,
           contentType,
-          plaintextContent,
           caption,
           replyTo,
           clientMessageId,
@@ -572,32 +997,43 @@ module.exports = (app) => {
           senderUsername,
           senderPhoto,
         } = messageData;
+        if (messageData.groupId) {
+          if (senderId !== socket.user.id) {
+            await logError('Unauthorized group sender', { senderId, socketUserId: socket.user.id, ip: socket.handshake.address });
+            return callback({ error: 'Unauthorized sender' });
+          }
+          const result = await retryOperation(async () => await sendGroupMessage(senderId, messageData));
+          return callback(result.error ? { error: result.error } : { message: result.message });
+        }
         if (senderId !== socket.user.id || !socket.user.contacts.some((id) => id.toString() === recipientId)) {
           await logError('Unauthorized sender or recipient not in contacts', { senderId, socketUserId: socket.user.id, recipientId, ip: socket.handshake.address });
           return callback({ error: 'Unauthorized sender or recipient not in contacts' });
         }
         await retryOperation(async () => {
-          const recipient = await User.findById(recipientId).select('status contacts').lean();
+          const recipient = await User.findById(recipientId).select('status contacts blockedUsers mutedUsers').lean();
           if (!recipient || !recipient.contacts.some((id) => id.toString() === senderId)) {
             await logError('Recipient not found or sender not in recipient contacts', { recipientId, senderId, ip: socket.handshake.address });
             return callback({ error: 'Recipient not found or not in contacts' });
           }
           const existingMessage = await Message.findOne({ clientMessageId })
-            .select('senderId recipientId content contentType plaintextContent status caption replyTo originalFilename clientMessageId senderVirtualNumber senderUsername senderPhoto createdAt updatedAt')
+            .select('senderId recipientId content contentType status caption replyTo originalFilename duration waveform media clientMessageId senderVirtualNumber senderUsername senderPhoto reactions expiresAt createdAt updatedAt')
             .lean();
           if (existingMessage) {
             logger.info('Duplicate message detected', { clientMessageId, senderId, recipientId });
             return callback({ message: existingMessage });
           }
           const sender = await User.findById(senderId)
-            .select('virtualNumber username photo')
+            .select('virtualNumber username photo blockedUsers')
             .lean();
+          if (hasBlockBetween(sender, recipient)) {
+            logger.warn('Message between blocked users rejected', { senderId, recipientId });
+            return callback({ error: 'You cannot message this user' });
+          }
           const message = new Message({
             senderId,
             recipientId,
             content: content || '',
             contentType,
-            plaintextContent: plaintextContent || '',
             status: connectedUsers.has(recipientId) ? 'delivered' : 'sent',
             caption,
             replyTo: replyTo && mongoose.isValidObjectId(replyTo) ? replyTo : undefined,
@@ -609,7 +1045,7 @@ module.exports = (app) => {
           });
           await message.save();
           const populatedMessage = await Message.findById(message._id)
-            .select('senderId recipientId content contentType plaintextContent status caption replyTo originalFilename clientMessageId senderVirtualNumber senderUsername senderPhoto createdAt updatedAt')
+            .select('senderId recipientId content contentType status caption replyTo originalFilename duration waveform media clientMessageId senderVirtualNumber senderUsername senderPhoto reactions expiresAt createdAt updatedAt')
             .lean();
           if (connectedUsers.has(recipientId)) {
             io.to(recipientId).emit('message', {
@@ -623,6 +1059,7 @@ module.exports = (app) => {
                     recipientId: populatedMessage.replyTo.recipientId.toString(),
                   }
                 : null,
+              ...(hasMuted(recipient, populatedMessage.senderId) ? { muted: true } : {}),
             });
           }
           io.to(senderId).emit('message', {
@@ -647,9 +1084,9 @@ module.exports = (app) => {
       }
     });
 
-    socket.on('editMessage', async ({ messageId, newContent, plaintextContent }, callback) => {
+    socket.on('editMessage', async ({ messageId, newContent }, callback) => {
       try {
-        const { error } = editMessageSchema.validate({ messageId, newContent, plaintextContent });
+        const { error } = editMessageSchema.validate({ messageId, newContent });
         if (error) {
           await logError('Invalid edit message data', { error: error.details[0].message, messageId, ip: socket.handshake.address });
           return callback({ error: error.details[0].message });
@@ -662,12 +1099,16 @@ module.exports = (app) => {
           return callback({ error: 'Unauthorized or invalid edit' });
         }
         message.content = newContent;
-        message.plaintextContent = plaintextContent || '';
         message.updatedAt = new Date();
         await message.save();
         const populatedMessage = await Message.findById(message._id)
-          .select('senderId recipientId content contentType plaintextContent status caption replyTo originalFilename clientMessageId senderVirtualNumber senderUsername senderPhoto createdAt updatedAt')
+          .select('senderId recipientId groupId content contentType status caption replyTo originalFilename duration waveform media clientMessageId senderVirtualNumber senderUsername senderPhoto reactions expiresAt createdAt updatedAt')
           .lean();
+        if (message.groupId) {
+          const group = await Group.findById(message.groupId).select('members').lean();
+          (group?.members || []).forEach((memberId) => io.to(memberId.toString()).emit('editMessage', formatMessage(populatedMessage)));
+          return callback({ message: populatedMessage });
+        }
         if (connectedUsers.has(message.recipientId.toString())) {
           io.to(message.recipientId.toString()).emit('editMessage', {
             ...populatedMessage,
@@ -701,9 +1142,9 @@ module.exports = (app) => {
       }
     });
 
-    socket.on('deleteMessage', async ({ messageId, recipientId }, callback) => {
+    socket.on('deleteMessage', async ({ messageId, recipientId, groupId }, callback) => {
       try {
-        const { error } = deleteMessageSchema.validate({ messageId, recipientId });
+        const { error } = deleteMessageSchema.validate({ messageId, recipientId, groupId });
         if (error) {
           await logError('Invalid delete message data', { error: error.details[0].message, messageId, ip: socket.handshake.address });
           return callback({ error: error.details[0].message });
@@ -711,6 +1152,19 @@ module.exports = (app) => {
         const message = await retryOperation(async () => {
           return await Message.findById(messageId);
         });
+        if (groupId) {
+          if (!message || message.senderId.toString() !== socket.user.id || message.groupId?.toString() !== groupId) {
+            await logError('Unauthorized to delete group message', { messageId, socketUserId: socket.user.id, groupId, ip: socket.handshake.address });
+            return callback({ error: 'Unauthorized to delete message' });
+          }
+          await Message.findByIdAndDelete(messageId);
+          const group = await Group.findById(groupId).select('members').lean();
+          const memberIds = (group?.members || []).map((id) => id.toString());
+          memberIds.forEach((memberId) => io.to(memberId).emit('deleteMessage', { messageId, groupId }));
+          memberIds.forEach(invalidateChatListCache);
+          await Promise.all(memberIds.filter((memberId) => connectedUsers.has(memberId)).map((memberId) => emitUpdatedChatList(io, memberId)));
+          return callback({ status: 'success' });
+        }
         if (!message || message.senderId.toString() !== socket.user.id || !socket.user.contacts.some((id) => id.toString() === recipientId)) {
           await logError('Unauthorized to delete message or recipient not in contacts', { messageId, socketUserId: socket.user.id, recipientId, ip: socket.handshake.address });
           return callback({ error: 'Unauthorized to delete message or recipient not in contacts' });
@@ -728,6 +1182,52 @@ module.exports = (app) => {
       }
     });
 
+    socket.on('addReaction', async (reactionData, callback) => {
+      try {
+        const { error } = reactionSchema.validate(reactionData);
+        if (error) {
+          await logError('Invalid reaction data', { error: error.details[0].message, userId: socket.user.id, ip: socket.handshake.address });
+          return callback({ error: error.details[0].message });
+        }
+        const result = await retryOperation(async () => await updateReaction(socket.user.id, reactionData, 'add'));
+        callback(result.error ? { error: result.error } : { reactions: result.reactions });
+      } catch (err) {
+        await logError('Add reaction failed', { error: err.message, messageId: reactionData?.messageId, stack: err.stack, ip: socket.handshake.address });
+        callback({ error: 'Failed to add reaction' });
+      }
+    });
+
+    socket.on('removeReaction', async (reactionData, callback) => {
+      try {
+        const { error } = removeReactionSchema.validate(reactionData);
+        if (error) {
+          await logError('Invalid reaction data', { error: error.details[0].message, userId: socket.user.id, ip: socket.handshake.address });
+          return callback({ error: error.details[0].message });
+        }
+        const result = await retryOperation(async () => await updateReaction(socket.user.id, reactionData, 'remove'));
+        callback(result.error ? { error: result.error } : { reactions: result.reactions });
+      } catch (err) {
+        await logError('Remove reaction failed', { error: err.message, messageId: reactionData?.messageId, stack: err.stack, ip: socket.handshake.address });
+        callback({ error: 'Failed to remove reaction' });
+      }
+    });
+
+    socket.on('setRetention', async (retentionData, callback) => {
+      try {
+        const { error } = retentionSchema.validate(retentionData);
+        if (error) {
+          await logError('Invalid retention data', { error: error.details[0].message, userId: socket.user.id, ip: socket.handshake.address });
+          return callback({ error: error.details[0].message });
+        }
+        const requestedAt = Date.now();
+        const result = await retryOperation(async () => await updateRetention(socket.user.id, retentionData, requestedAt));
+        callback(result.error ? { error: result.error } : { retention: result.retention, message: result.message });
+      } catch (err) {
+        await logError('Set retention failed', { error: err.message, userId: socket.user.id, stack: err.stack, ip: socket.handshake.address });
+        callback({ error: 'Failed to update message retention' });
+      }
+    });
+
     socket.on('messageStatus', async ({ messageId, status }) => {
       try {
         if (!mongoose.isValidObjectId(messageId) || !['sent', 'delivered', 'read'].includes(status)) {
@@ -810,10 +1310,8 @@ module.exports = (app) => {
 
     socket.on('disconnect', async () => {
       if (socket.user?.id) {
-        connectedUsers.delete(socket.user.id);
         await retryOperation(async () => {
-          await User.findByIdAndUpdate(socket.user.id, { status: 'offline', lastSeen: new Date() });
-          io.to(socket.user.id).emit('userStatus', { userId: socket.user.id, status: 'offline', lastSeen: new Date() });
+          await markOfflineIfDisconnected(socket.user.id);
         });
       }
       logger.info('Socket.IO disconnected', { userId: socket.user?.id, ip: socket.handshake.address });
@@ -828,56 +1326,38 @@ module.exports = (app) => {
 
 
   router.get('/chat-list', authMiddleware, async (req, res) => {
-  const { userId, page = 0, limit = 50 } = req.query;
+  const { userId, cursor, limit = 50 } = req.query;
   try {
     if (!mongoose.isValidObjectId(userId) || userId !== req.user._id.toString()) {
-      await logError('Invalid or unauthorized chat list request', { userId, reqUserId: req.user._id, ip: req.ip, queryParams: { userId, page, limit } });
+      await logError('Invalid or unauthorized chat list request', { userId, reqUserId: req.user._id, ip: req.ip, queryParams: { userId, cursor, limit } });
       return res.status(400).json({ error: 'Invalid or unauthorized userId' });
     }
-    const parsedPage = parseInt(page);
     const parsedLimit = Math.min(parseInt(limit), 100); // Cap limit to prevent abuse
-    if (isNaN(parsedPage) || isNaN(parsedLimit) || parsedPage < 0 || parsedLimit <= 0) {
-      await logError('Invalid pagination parameters', { userId, page, limit, ip: req.ip });
+    const position = cursor ? decodeTimeCursor(cursor) : null;
+    if (isNaN(parsedLimit) || parsedLimit <= 0 || (cursor && !position)) {
+      await logError('Invalid pagination parameters', { userId, cursor, limit, ip: req.ip });
       return res.status(400).json({ error: 'Invalid pagination parameters' });
     }
-    logger.info('Fetching chat list', { userId, page: parsedPage, limit: parsedLimit, ip: req.ip });
-    const cacheKey = `chatList:${userId}:${parsedPage}:${parsedLimit}`;
+    logger.info('Fetching chat list', { userId, cursor: !!cursor, limit: parsedLimit, ip: req.ip });
+    const cacheKey = `chatList:${userId}:${cursor || 'first'}:${parsedLimit}`;
     const cached = chatListCache.get(cacheKey);
     if (cached) {
-      logger.info('Served cached chat list (HTTP)', { userId, page: parsedPage, count: cached.length, ip: req.ip });
+      logger.info('Served cached chat list (HTTP)', { userId, count: cached.chats.length, ip: req.ip });
       return res.status(200).json(cached);
     }
-    const user = await retryOperation(async () => {
-      const user = await User.findById(userId)
-        .select('contacts')
-        .populate({
-          path: 'contacts',
-          select: 'username virtualNumber photo status lastSeen',
-          match: { _id: { $exists: true, $ne: null } }, // Ensure valid contacts
-          options: { skip: parsedPage * parsedLimit, limit: parsedLimit, sort: { lastSeen: -1 } },
-        })
-        .lean()
-        .maxTimeMS(20000); // Set query timeout
-      if (!user) {
-        throw new Error(`User not found for ID: ${userId}`);
-      }
-      return user;
-    });
-    
-    if (!user?.contacts || !Array.isArray(user.contacts)) {
-      logger.warn('User contacts field is invalid or empty', { userId, contacts: user.contacts, ip: req.ip });
-      chatListCache.set(cacheKey, [], 15 * 60);
-      return res.status(200).json([]);
-    }
-    
-    const contactIds = user.contacts
+    const { contacts, mutedIds, nextCursor, hasMore } = await fetchContactsPage(userId, position, parsedLimit);
+
+    // Groups are not paginated; they lead the first page
+    const groupChats = position ? [] : await fetchGroupChats(userId);
+
+    const contactIds = contacts
       .map((c) => c._id)
       .filter((id) => mongoose.isValidObjectId(id));
-    
+
     if (!contactIds.length) {
       logger.info('No valid contacts found', { userId, ip: req.ip });
-      chatListCache.set(cacheKey, [], 15 * 60);
-      return res.status(200).json([]);
+      chatListCache.set(cacheKey, { chats: groupChats, nextCursor, hasMore }, 15 * 60);
+      return res.status(200).json({ chats: groupChats, nextCursor, hasMore });
     }
     
     const latestMessages = await retryOperation(async () => {
@@ -917,7 +1397,11 @@ module.exports = (app) => {
       ]).option({ maxTimeMS: 20000, hint: { senderId: 1, recipientId: 1, createdAt: -1 } });
     });
     
-    const chatList = user.contacts.map((contact) => {
+    const retentions = await retryOperation(async () =>
+      Conversation.getRetentions(contacts.map((contact) => Conversation.keyFor({ userId, recipientId: contact._id })))
+    );
+
+    const chatList = contacts.map((contact) => {
       const messageData = latestMessages.find((m) => m._id.toString() === contact._id.toString());
       return {
         id: contact._id.toString(),
@@ -926,6 +1410,7 @@ module.exports = (app) => {
         photo: contact.photo || 'https://placehold.co/40x40',
         status: contact.status || 'offline',
         lastSeen: contact.lastSeen ? new Date(contact.lastSeen).toISOString() : null,
+        retention: retentions[Conversation.keyFor({ userId, recipientId: contact._id })],
         latestMessage: messageData?.latestMessage
           ? {
               ...messageData.latestMessage,
@@ -941,25 +1426,27 @@ module.exports = (app) => {
             }
           : null,
         unreadCount: messageData?.unreadCount || 0,
+        muted: mutedIds.has(contact._id.toString()),
         ownerId: userId,
       };
     }).filter((chat) => mongoose.isValidObjectId(chat.id));
+    chatList.unshift(...groupChats);
     
-    chatListCache.set(cacheKey, chatList, 15 * 60);
-    logger.info('Fetched chat list (HTTP)', { userId, page: parsedPage, count: chatList.length, ip: req.ip });
-    res.status(200).json(chatList);
+    chatListCache.set(cacheKey, { chats: chatList, nextCursor, hasMore }, 15 * 60);
+    logger.info('Fetched chat list (HTTP)', { userId, count: chatList.length, ip: req.ip });
+    res.status(200).json({ chats: chatList, nextCursor, hasMore });
   } catch (error) {
     await logError('Chat list fetch failed', {
       userId,
       error: error.message,
       stack: error.stack,
       ip: req.ip,
-      queryParams: { userId, page, limit },
+      queryParams: { userId, cursor, limit },
       mongoErrorCode: error.code,
       mongoErrorName: error.name,
     });
     // Return empty list on error to prevent client hang
-    res.status(200).json([]);
+    res.status(200).json({ chats: [], nextCursor: null, hasMore: false });
   }
 });
 
@@ -984,7 +1471,6 @@ module.exports = (app) => {
         recipientId,
         content,
         contentType,
-        plaintextContent,
         caption,
         replyTo,
         clientMessageId,
@@ -996,19 +1482,30 @@ module.exports = (app) => {
         await logError('Unauthorized sender (HTTP)', { senderId, reqUserId: req.user._id, ip: req.ip });
         return res.status(403).json({ error: 'Unauthorized sender' });
       }
+      if (req.body.groupId) {
+        const result = await retryOperation(async () => await sendGroupMessage(senderId, req.body));
+        if (result.error) {
+          return res.status(result.status).json({ error: result.error });
+        }
+        return res.status(201).json({ message: result.message });
+      }
       await retryOperation(async () => {
-        const sender = await User.findById(senderId).select('contacts virtualNumber username photo').lean();
+        const sender = await User.findById(senderId).select('contacts virtualNumber username photo blockedUsers').lean();
         if (!sender.contacts.some((id) => id.toString() === recipientId)) {
           await logError('Recipient not in sender contacts (HTTP)', { recipientId, senderId, ip: req.ip });
           return res.status(403).json({ error: 'Recipient not in contacts' });
         }
-        const recipient = await User.findById(recipientId).select('status contacts').lean();
+        const recipient = await User.findById(recipientId).select('status contacts blockedUsers mutedUsers').lean();
         if (!recipient || !recipient.contacts.some((id) => id.toString() === senderId)) {
           await logError('Recipient not found or sender not in recipient contacts (HTTP)', { recipientId, senderId, ip: req.ip });
           return res.status(404).json({ error: 'Recipient not found or not in contacts' });
         }
+        if (hasBlockBetween(sender, recipient)) {
+          logger.warn('Message between blocked users rejected (HTTP)', { senderId, recipientId });
+          return res.status(403).json({ error: 'You cannot message this user' });
+        }
         const existingMessage = await Message.findOne({ clientMessageId })
-          .select('senderId recipientId content contentType plaintextContent status caption replyTo originalFilename clientMessageId senderVirtualNumber senderUsername senderPhoto createdAt updatedAt')
+          .select('senderId recipientId content contentType status caption replyTo originalFilename duration waveform media clientMessageId senderVirtualNumber senderUsername senderPhoto reactions expiresAt createdAt updatedAt')
           .lean();
         if (existingMessage) {
           logger.info('Duplicate message detected (HTTP)', { clientMessageId, senderId, recipientId });
@@ -1019,7 +1516,6 @@ module.exports = (app) => {
           recipientId,
           content: content || '',
           contentType,
-          plaintextContent: plaintextContent || '',
           status: connectedUsers.has(recipientId) ? 'delivered' : 'sent',
           caption,
           replyTo: replyTo && mongoose.isValidObjectId(replyTo) ? replyTo : undefined,
@@ -1031,7 +1527,7 @@ module.exports = (app) => {
         });
         await message.save();
         const populatedMessage = await Message.findById(message._id)
-          .select('senderId recipientId content contentType plaintextContent status caption replyTo originalFilename clientMessageId senderVirtualNumber senderUsername senderPhoto createdAt updatedAt')
+          .select('senderId recipientId content contentType status caption replyTo originalFilename duration waveform media clientMessageId senderVirtualNumber senderUsername senderPhoto reactions expiresAt createdAt updatedAt')
           .lean();
         if (connectedUsers.has(recipientId)) {
           io.to(recipientId).emit('message', {
@@ -1045,6 +1541,7 @@ module.exports = (app) => {
                   recipientId: populatedMessage.replyTo.recipientId.toString(),
                 }
               : null,
+            ...(hasMuted(recipient, populatedMessage.senderId) ? { muted: true } : {}),
           });
         }
         io.to(senderId).emit('message', {
@@ -1076,7 +1573,7 @@ module.exports = (app) => {
         await logError('Invalid edit message data (HTTP)', { error: error.details[0].message, messageId: req.body.messageId, ip: req.ip });
         return res.status(400).json({ error: error.details[0].message });
       }
-      const { messageId, newContent, plaintextContent } = req.body;
+      const { messageId, newContent } = req.body;
       const message = await retryOperation(async () => {
         return await Message.findById(messageId);
       });
@@ -1085,12 +1582,16 @@ module.exports = (app) => {
         return res.status(403).json({ error: 'Unauthorized or invalid edit' });
       }
       message.content = newContent;
-      message.plaintextContent = plaintextContent || '';
       message.updatedAt = new Date();
       await message.save();
       const populatedMessage = await Message.findById(message._id)
-        .select('senderId recipientId content contentType plaintextContent status caption replyTo originalFilename clientMessageId senderVirtualNumber senderUsername senderPhoto createdAt updatedAt')
+        .select('senderId recipientId groupId content contentType status caption replyTo originalFilename duration waveform media clientMessageId senderVirtualNumber senderUsername senderPhoto reactions expiresAt createdAt updatedAt')
         .lean();
+      if (message.groupId) {
+        const group = await Group.findById(message.groupId).select('members').lean();
+        (group?.members || []).forEach((memberId) => io.to(memberId.toString()).emit('editMessage', formatMessage(populatedMessage)));
+        return res.status(200).json({ message: populatedMessage });
+      }
       if (connectedUsers.has(message.recipientId.toString())) {
         io.to(message.recipientId.toString()).emit('editMessage', {
           ...populatedMessage,
@@ -1131,7 +1632,7 @@ module.exports = (app) => {
         await logError('Invalid delete message data (HTTP)', { error: error.details[0].message, messageId: req.body.messageId, ip: req.ip });
         return res.status(400).json({ error: error.details[0].message });
       }
-      const { messageId, recipientId } = req.body;
+      const { messageId, recipientId, groupId } = req.body;
       const message = await retryOperation(async () => {
         return await Message.findById(messageId);
       });
@@ -1139,6 +1640,19 @@ module.exports = (app) => {
         await logError('Unauthorized to delete message (HTTP)', { messageId, reqUserId: req.user._id, ip: req.ip });
         return res.status(403).json({ error: 'Unauthorized to delete message' });
       }
+      if (groupId) {
+        if (message.groupId?.toString() !== groupId) {
+          await logError('Message does not belong to group (HTTP)', { messageId, groupId, reqUserId: req.user._id, ip: req.ip });
+          return res.status(403).json({ error: 'Unauthorized to delete message' });
+        }
+        await Message.findByIdAndDelete(messageId);
+        const group = await Group.findById(groupId).select('members').lean();
+        const memberIds = (group?.members || []).map((id) => id.toString());
+        memberIds.forEach((memberId) => io.to(memberId).emit('deleteMessage', { messageId, groupId }));
+        memberIds.forEach(invalidateChatListCache);
+        await Promise.all(memberIds.filter((memberId) => connectedUsers.has(memberId)).map((memberId) => emitUpdatedChatList(io, memberId)));
+        return res.status(200).json({ status: 'success' });
+      }
       const sender = await User.findById(req.user._id).select('contacts').lean();
       if (!sender.contacts.some((id) => id.toString() === recipientId)) {
         await logError('Recipient not in sender contacts for delete (HTTP)', { messageId, recipientId, reqUserId: req.user._id, ip: req.ip });
@@ -1157,9 +1671,99 @@ module.exports = (app) => {
     }
   });
 
+  router.post('/add_reaction', authMiddleware, messageLimiter, async (req, res) => {
+    try {
+      const { error } = reactionSchema.validate(req.body);
+      if (error) {
+        await logError('Invalid reaction data (HTTP)', { error: error.details[0].message, userId: req.user.id, ip: req.ip });
+        return res.status(400).json({ error: error.details[0].message });
+      }
+      const result = await retryOperation(async () => await updateReaction(req.user.id, req.body, 'add'));
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+      res.status(200).json({ reactions: result.reactions });
+    } catch (err) {
+      await logError('Add reaction failed (HTTP)', { error: err.message, messageId: req.body.messageId, stack: err.stack, ip: req.ip });
+      res.status(500).json({ error: 'Failed to add reaction', details: err.message });
+    }
+  });
+
+  router.post('/remove_reaction', authMiddleware, messageLimiter, async (req, res) => {
+    try {
+      const { error } = removeReactionSchema.validate(req.body);
+      if (error) {
+        await logError('Invalid reaction data (HTTP)', { error: error.details[0].message, userId: req.user.id, ip: req.ip });
+        return res.status(400).json({ error: error.details[0].message });
+      }
+      const result = await retryOperation(async () => await updateReaction(req.user.id, req.body, 'remove'));
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+      res.status(200).json({ reactions: result.reactions });
+    } catch (err) {
+      await logError('Remove reaction failed (HTTP)', { error: err.message, messageId: req.body.messageId, stack: err.stack, ip: req.ip });
+      res.status(500).json({ error: 'Failed to remove reaction', details: err.message });
+    }
+  });
+
+  router.post('/retention', authMiddleware, async (req, res) => {
+    try {
+      const { error } = retentionSchema.validate(req.body);
+      if (error) {
+        await logError('Invalid retention data (HTTP)', { error: error.details[0].message, userId: req.user.id, ip: req.ip });
+        return res.status(400).json({ error: error.details[0].message });
+      }
+      const requestedAt = Date.now();
+      const result = await retryOperation(async () => await updateRetention(req.user.id, req.body, requestedAt));
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+      res.status(200).json({ retention: result.retention, message: result.message });
+    } catch (err) {
+      await logError('Set retention failed (HTTP)', { error: err.message, userId: req.user.id, stack: err.stack, ip: req.ip });
+      res.status(500).json({ error: 'Failed to update message retention', details: err.message });
+    }
+  });
+
+  // Newest messages first, paged backwards through history with `cursor`; each page is returned oldest
+  // to newest. `since` limits the result to messages after a timestamp for catching up after a reconnect
   router.get('/messages', authMiddleware, async (req, res) => {
-    const { userId, recipientId, limit = 50, skip = 0, since } = req.query;
+    const { userId, recipientId, groupId, limit = 50, cursor, since } = req.query;
     try {
+      const parsedLimit = Math.max(1, Math.min(parseInt(limit) || 50, 100));
+      const position = cursor ? decodeTimeCursor(cursor) : null;
+      if (cursor && !position) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+      if (groupId) {
+        if (!mongoose.isValidObjectId(userId) || !mongoose.isValidObjectId(groupId) || userId !== req.user._id.toString()) {
+          await logError('Invalid or unauthorized group messages request', { userId, groupId, reqUserId: req.user._id, ip: req.ip });
+          return res.status(400).json({ error: 'Invalid or unauthorized request' });
+        }
+        const group = await Group.findById(groupId).select('members').lean();
+        if (!group || !group.members.some((id) => id.toString() === userId)) {
+          await logError('User not a member of group', { userId, groupId, ip: req.ip });
+          return res.status(403).json({ error: 'Not a member of this group' });
+        }
+        const groupQuery = { groupId };
+        if (since && !isNaN(Date.parse(since))) {
+          groupQuery.createdAt = { $gt: new Date(since) };
+        }
+        const groupMessages = await retryOperation(async () => {
+          return await Message.find(position ? { $and: [groupQuery, timeCursorFilter(position)] } : groupQuery)
+            .sort(timeCursorSort())
+            .limit(parsedLimit + 1)
+            .select('senderId recipientId groupId content contentType status caption replyTo originalFilename duration waveform media clientMessageId senderVirtualNumber senderUsername senderPhoto reactions expiresAt createdAt updatedAt')
+            .lean();
+        });
+        const groupPage = timeCursorPage(groupMessages, parsedLimit);
+        return res.status(200).json({
+          messages: groupPage.items.reverse().map(formatMessage),
+          nextCursor: groupPage.nextCursor,
+          hasMore: groupPage.hasMore,
+        });
+      }
       if (!mongoose.isValidObjectId(userId) || !mongoose.isValidObjectId(recipientId) || userId !== req.user._id.toString()) {
         await logError('Invalid or unauthorized messages request', { userId, recipientId, reqUserId: req.user._id, ip: req.ip });
         return res.status(400).json({ error: 'Invalid or unauthorized request' });
@@ -1178,15 +1782,15 @@ module.exports = (app) => {
       if (since && !isNaN(Date.parse(since))) {
         query.createdAt = { $gt: new Date(since) };
       }
-      const messages = await retryOperation(async () => {
-        return await Message.find(query)
-          .sort({ createdAt: 1 })
-          .skip(parseInt(skip))
-          .limit(parseInt(limit))
-          .select('senderId recipientId content contentType plaintextContent status caption replyTo originalFilename clientMessageId senderVirtualNumber senderUsername senderPhoto createdAt updatedAt')
+      const page = timeCursorPage(await retryOperation(async () => {
+        return await Message.find(position ? { $and: [query, timeCursorFilter(position)] } : query)
+          .sort(timeCursorSort())
+          .limit(parsedLimit + 1)
+          .select('senderId recipientId content contentType status caption replyTo originalFilename duration waveform media clientMessageId senderVirtualNumber senderUsername senderPhoto reactions expiresAt createdAt updatedAt')
           .lean()
           .hint({ senderId: 1, recipientId: 1, createdAt: 1 });
-      });
+      }), parsedLimit);
+      const messages = page.items.reverse();
       const deliveredMessageIds = messages
         .filter((msg) => msg.recipientId.toString() === userId && msg.status === 'delivered')
         .map((msg) => msg._id);
@@ -1208,8 +1812,7 @@ module.exports = (app) => {
           logger.info('Updated message statuses to read', { userId, updatedCount: updateResult.modifiedCount, ip: req.ip });
         });
       }
-      const total = await Message.countDocuments(query);
-      res.status(200).json({ messages, total });
+      res.status(200).json({ messages, nextCursor: page.nextCursor, hasMore: page.hasMore });
     } catch (error) {
       await logError('Messages fetch failed', { userId, recipientId, error: error.message, stack: error.stack, ip: req.ip });
       res.status(500).json({ error: 'Failed to fetch messages', details: error.message });
@@ -1219,6 +1822,70 @@ module.exports = (app) => {
 
 
 
+  router.get('/messages/search', authMiddleware, async (req, res) => {
+    try {
+      const { error, value } = searchMessagesSchema.validate(req.query);
+      if (error) {
+        await logError('Invalid message search query', { error: error.details[0].message, userId: req.user._id, ip: req.ip });
+        return res.status(400).json({ error: error.details[0].message });
+      }
+      const userId = req.user._id.toString();
+      const { q, contactId, groupId, contentType, filename, from, to, limit, skip } = value;
+
+      let scope;
+      if (groupId) {
+        const group = await Group.findById(groupId).select('members').lean();
+        if (!group || !group.members.some((id) => id.toString() === userId)) {
+          await logError('User not a member of searched group', { userId, groupId, ip: req.ip });
+          return res.status(403).json({ error: 'Not a member of this group' });
+        }
+        scope = { groupId };
+      } else if (contactId) {
+        scope = {
+          $or: [
+            { senderId: userId, recipientId: contactId },
+            { senderId: contactId, recipientId: userId },
+          ],
+        };
+      } else {
+        const groups = await Group.find({ members: userId }).select('_id').lean();
+        scope = {
+          $or: [
+            { senderId: userId },
+            { recipientId: userId },
+            { groupId: { $in: groups.map((group) => group._id) } },
+          ],
+        };
+      }
+
+      const filters = [scope];
+      if (contentType) filters.push({ contentType });
+      if (filename) filters.push({ originalFilename: { $regex: escapeRegex(filename), $options: 'i' } });
+      if (q) {
+        const pattern = { $regex: escapeRegex(q), $options: 'i' };
+        filters.push({ $or: [{ caption: pattern }, { originalFilename: pattern }] });
+      }
+      if (from || to) {
+        filters.push({ createdAt: { ...(from ? { $gte: from } : {}), ...(to ? { $lte: to } : {}) } });
+      }
+      const query = { $and: filters };
+
+      const [messages, total] = await retryOperation(async () => Promise.all([
+        Message.find(query)
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(limit)
+          .select('senderId recipientId groupId content contentType status caption replyTo originalFilename duration waveform media clientMessageId senderVirtualNumber senderUsername senderPhoto reactions expiresAt createdAt updatedAt')
+          .lean(),
+        Message.countDocuments(query),
+      ]));
+      res.status(200).json({ messages: messages.map(formatMessage), total });
+    } catch (error) {
+      await logError('Message search failed', { userId: req.user._id, error: error.message, stack: error.stack, ip: req.ip });
+      res.status(500).json({ error: 'Failed to search messages', details: error.message });
+    }
+  });
+
   router.post('/add_contact', authMiddleware, addContactLimiter, async (req, res) => {
   try {
     const { error } = addContactSchema.validate(req.body);
@@ -1233,7 +1900,7 @@ module.exports = (app) => {
     }
     const contact = await retryOperation(async () => {
       const contact = await User.findOne({ virtualNumber })
-        .select('_id username virtualNumber photo status lastSeen contacts')
+        .select('_id username virtualNumber photo status lastSeen contacts blockedUsers')
         .lean();
       if (!contact) {
         await logError('Contact not registered', { virtualNumber, userId, ip: req.ip });
@@ -1243,6 +1910,11 @@ module.exports = (app) => {
         await logError('Cannot add self as contact', { userId, ip: req.ip });
         return res.status(400).json({ error: 'Cannot add self as contact' });
       }
+      const requester = await User.findById(userId).select('blockedUsers').lean();
+      if (hasBlockBetween(requester, contact)) {
+        logger.warn('Add contact between blocked users rejected', { userId, contactId: contact._id });
+        return res.status(403).json({ error: 'You cannot add this contact' });
+      }
       return contact;
     });
     if (res.headersSent) return;
@@ -1285,8 +1957,8 @@ module.exports = (app) => {
       unreadCount: 0,
       ownerId: contact._id.toString(),
     };
-    chatListCache.del(`chatList:${userId}`);
-    chatListCache.del(`chatList:${contact._id.toString()}`);
+    invalidateChatListCache(userId);
+    invalidateChatListCache(contact._id.toString());
     if (connectedUsers.has(userId)) {
       io.to(userId).emit('contactData', { userId, contactData });
     }
@@ -1316,26 +1988,197 @@ module.exports = (app) => {
 
 
 
+  // Block (or unblock) another account. Blocking also ends follows in both directions and drops the
+  // account from the blocker's chat list; the blocked side is not told
+  const setBlocked = (blocked) => async (req, res) => {
+    const action = blocked ? 'block' : 'unblock';
+    try {
+      const { error } = blockSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+      const userId = req.user._id.toString();
+      const { targetId } = req.body;
+      if (targetId === userId) {
+        return res.status(400).json({ error: `Cannot ${action} yourself` });
+      }
+      const target = await retryOperation(async () => User.findById(targetId).select('_id').lean());
+      if (!target) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      const targetObjectId = new mongoose.Types.ObjectId(targetId);
+      if (blocked) {
+        // The index guard keeps $addToSet from growing the list past the schema limit
+        const result = await retryOperation(async () =>
+          User.updateOne(
+            { _id: userId, [`blockedUsers.${User.MAX_BLOCKED - 1}`]: { $exists: false } },
+            { $addToSet: { blockedUsers: targetObjectId }, $pull: { following: targetObjectId } }
+          )
+        );
+        if (!result.matchedCount) {
+          return res.status(400).json({ error: `Cannot block more than ${User.MAX_BLOCKED} accounts` });
+        }
+        await retryOperation(async () => User.updateOne({ _id: targetId }, { $pull: { following: new mongoose.Types.ObjectId(userId) } }));
+      } else {
+        await retryOperation(async () => User.updateOne({ _id: userId }, { $pull: { blockedUsers: targetObjectId } }));
+      }
+      invalidateChatListCache(userId);
+      io.to(userId).emit('blockUpdate', { targetId, blocked });
+      if (connectedUsers.has(userId)) await emitUpdatedChatList(io, userId);
+      logger.info(blocked ? 'Blocked user' : 'Unblocked user', { userId, targetId });
+      res.json({ targetId, blocked });
+    } catch (error) {
+      await logError(`Failed to ${action} user`, { error: error.message, userId: req.user?.id, targetId: req.body.targetId, ip: req.ip });
+      res.status(500).json({ error: `Failed to ${action} user`, details: error.message });
+    }
+  };
+
+  // Mute (or unmute) another account: their messages, mentions and follows stop notifying
+  const setMuted = (muted) => async (req, res) => {
+    const action = muted ? 'mute' : 'unmute';
+    try {
+      const { error } = blockSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+      const userId = req.user._id.toString();
+      const { targetId } = req.body;
+      if (targetId === userId) {
+        return res.status(400).json({ error: `Cannot ${action} yourself` });
+      }
+      const target = await retryOperation(async () => User.findById(targetId).select('_id').lean());
+      if (!target) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      const targetObjectId = new mongoose.Types.ObjectId(targetId);
+      const result = await retryOperation(async () =>
+        User.updateOne(
+          muted ? { _id: userId, [`mutedUsers.${User.MAX_BLOCKED - 1}`]: { $exists: false } } : { _id: userId },
+          muted ? { $addToSet: { mutedUsers: targetObjectId } } : { $pull: { mutedUsers: targetObjectId } }
+        )
+      );
+      if (!result.matchedCount) {
+        return res.status(400).json({ error: `Cannot mute more than ${User.MAX_BLOCKED} accounts` });
+      }
+      invalidateChatListCache(userId);
+      io.to(userId).emit('muteUpdate', { targetId, muted });
+      if (connectedUsers.has(userId)) await emitUpdatedChatList(io, userId);
+      logger.info(muted ? 'Muted user' : 'Unmuted user', { userId, targetId });
+      res.json({ targetId, muted });
+    } catch (error) {
+      await logError(`Failed to ${action} user`, { error: error.message, userId: req.user?.id, targetId: req.body.targetId, ip: req.ip });
+      res.status(500).json({ error: `Failed to ${action} user`, details: error.message });
+    }
+  };
+
+  router.post('/block', authMiddleware, setBlocked(true));
+  router.post('/unblock', authMiddleware, setBlocked(false));
+  router.post('/mute', authMiddleware, setMuted(true));
+  router.post('/unmute', authMiddleware, setMuted(false));
+
+  // The caller's blocked and muted accounts, for managing them
+  router.get('/blocked', authMiddleware, async (req, res) => {
+    try {
+      const user = await retryOperation(async () =>
+        User.findById(req.user._id)
+          .select('blockedUsers mutedUsers')
+          .populate({ path: 'blockedUsers', select: 'username virtualNumber photo' })
+          .populate({ path: 'mutedUsers', select: 'username virtualNumber photo' })
+          .lean()
+      );
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      const formatUser = (entry) => ({
+        id: entry._id.toString(),
+        username: entry.username || 'Unknown',
+        virtualNumber: entry.virtualNumber || '',
+        photo: entry.photo || 'https://placehold.co/40x40',
+      });
+      res.json({
+        blocked: (user.blockedUsers || []).filter((entry) => entry?._id).map(formatUser),
+        muted: (user.mutedUsers || []).filter((entry) => entry?._id).map(formatUser),
+      });
+    } catch (error) {
+      await logError('Failed to fetch blocked users', { error: error.message, userId: req.user?.id, ip: req.ip });
+      res.status(500).json({ error: 'Failed to fetch blocked users', details: error.message });
+    }
+  });
+
   router.post('/upload', authMiddleware, uploadLimiter, upload.single('file'), async (req, res) => {
     try {
-      const { userId, recipientId, clientMessageId, senderVirtualNumber, senderUsername, senderPhoto, caption } = req.body;
+      const { userId, recipientId, groupId, clientMessageId, senderVirtualNumber, senderUsername, senderPhoto, caption } = req.body;
+      let voiceNote = {};
+      if (req.body.duration !== undefined && req.file?.mimetype.startsWith('audio/')) {
+        let waveform;
+        try {
+          waveform = req.body.waveform ? JSON.parse(req.body.waveform) : [];
+        } catch (err) {
+          return res.status(400).json({ error: 'Invalid waveform data' });
+        }
+        const { error, value } = voiceNoteSchema.validate({ duration: req.body.duration, waveform });
+        if (error) {
+          await logError('Invalid voice note metadata', { error: error.details[0].message, userId, ip: req.ip });
+          return res.status(400).json({ error: error.details[0].message });
+        }
+        voiceNote = value;
+      }
+      if (groupId) {
+        if (!mongoose.isValidObjectId(userId) || !mongoose.isValidObjectId(groupId) || !clientMessageId || !req.file || userId !== req.user._id.toString()) {
+          await logError('Invalid or unauthorized group upload parameters', { userId, groupId, clientMessageId, hasFile: !!req.file, reqUserId: req.user._id, ip: req.ip });
+          return res.status(400).json({ error: 'Invalid or unauthorized parameters' });
+        }
+        const group = await Group.findById(groupId).select('members').lean();
+        if (!group || !group.members.some((id) => id.toString() === userId)) {
+          await logError('User not a member of group for upload', { userId, groupId, ip: req.ip });
+          return res.status(403).json({ error: 'Not a member of this group' });
+        }
+        const contentType = req.file.mimetype.startsWith('image/') ? 'image' :
+                            req.file.mimetype.startsWith('video/') ? 'video' :
+                            req.file.mimetype.startsWith('audio/') ? 'audio' : 'document';
+        const processed = await processMedia(req.file);
+        const stored = await storeProcessedUpload(processed, contentType, req.file.originalname);
+        const result = await retryOperation(async () => await sendGroupMessage(userId, {
+          groupId,
+          content: stored.content,
+          contentType,
+          caption,
+          originalFilename: req.file.originalname,
+          duration: stored.duration,
+          ...voiceNote,
+          clientMessageId,
+          senderVirtualNumber,
+          senderUsername,
+          senderPhoto,
+        }, stored.media));
+        if (result.error) {
+          return res.status(result.status).json({ error: result.error });
+        }
+        return res.json({ message: result.message });
+      }
       if (!mongoose.isValidObjectId(userId) || !mongoose.isValidObjectId(recipientId) || !clientMessageId || !req.file || userId !== req.user._id.toString()) {
         await logError('Invalid or unauthorized upload parameters', { userId, recipientId, clientMessageId, hasFile: !!req.file, reqUserId: req.user._id, ip: req.ip });
         return res.status(400).json({ error: 'Invalid or unauthorized parameters' });
       }
+      // Processed once up front so a rejected file is not re-run by the retry loop below
+      const processed = await processMedia(req.file);
       await retryOperation(async () => {
-        const sender = await User.findById(userId).select('contacts virtualNumber username photo').lean();
+        const sender = await User.findById(userId).select('contacts virtualNumber username photo blockedUsers').lean();
         if (!sender.contacts.some((id) => id.toString() === recipientId)) {
           await logError('Recipient not in sender contacts for upload', { recipientId, userId, ip: req.ip });
           return res.status(403).json({ error: 'Recipient not in contacts' });
         }
-        const recipient = await User.findById(recipientId).select('status contacts').lean();
+        const recipient = await User.findById(recipientId).select('status contacts blockedUsers mutedUsers').lean();
         if (!recipient || !recipient.contacts.some((id) => id.toString() === userId)) {
           await logError('Recipient not found or sender not in recipient contacts for upload', { recipientId, userId, ip: req.ip });
           return res.status(404).json({ error: 'Recipient not found or not in contacts' });
         }
+        if (hasBlockBetween(sender, recipient)) {
+          logger.warn('Upload between blocked users rejected', { userId, recipientId });
+          return res.status(403).json({ error: 'You cannot message this user' });
+        }
         const existingMessage = await Message.findOne({ clientMessageId })
-          .select('senderId recipientId content contentType plaintextContent status caption replyTo originalFilename clientMessageId senderVirtualNumber senderUsername senderPhoto createdAt updatedAt')
+          .select('senderId recipientId content contentType status caption replyTo originalFilename duration waveform media clientMessageId senderVirtualNumber senderUsername senderPhoto reactions expiresAt createdAt updatedAt')
           .lean();
         if (existingMessage) {
           logger.info('Duplicate message detected (upload)', { clientMessageId, userId, recipientId });
@@ -1344,22 +2187,18 @@ module.exports = (app) => {
         const contentType = req.file.mimetype.startsWith('image/') ? 'image' :
                             req.file.mimetype.startsWith('video/') ? 'video' :
                             req.file.mimetype.startsWith('audio/') ? 'audio' : 'document';
-        const uploadResult = await new Promise((resolve, reject) => {
-          const uploadStream = cloudinary.uploader.upload_stream(
-            { resource_type: contentType === 'document' ? 'raw' : contentType, timeout: 15000 },
-            (error, result) => error ? reject(error) : resolve(result)
-          );
-          require('stream').Readable.from(req.file.buffer).pipe(uploadStream);
-        });
+        const stored = await storeProcessedUpload(processed, contentType, req.file.originalname);
         const message = new Message({
           senderId: userId,
           recipientId,
-          content: uploadResult.secure_url,
+          content: stored.content,
           contentType,
-          plaintextContent: '',
           status: connectedUsers.has(recipientId) ? 'delivered' : 'sent',
           caption,
           originalFilename: req.file.originalname,
+          duration: stored.duration,
+          ...voiceNote,
+          media: stored.media,
           clientMessageId,
           senderVirtualNumber: senderVirtualNumber || sender.virtualNumber,
           senderUsername: senderUsername || sender.username,
@@ -1367,10 +2206,10 @@ module.exports = (app) => {
         });
         await message.save();
         const populatedMessage = await Message.findById(message._id)
-          .select('senderId recipientId content contentType plaintextContent status caption replyTo originalFilename clientMessageId senderVirtualNumber senderUsername senderPhoto createdAt updatedAt')
+          .select('senderId recipientId content contentType status caption replyTo originalFilename duration waveform media clientMessageId senderVirtualNumber senderUsername senderPhoto reactions expiresAt createdAt updatedAt')
           .lean();
-        chatListCache.del(`chatList:${userId}`);
-        chatListCache.del(`chatList:${recipientId}`);
+        invalidateChatListCache(userId);
+        invalidateChatListCache(recipientId);
         if (connectedUsers.has(recipientId)) {
           io.to(recipientId).emit('message', {
             ...populatedMessage,
@@ -1383,6 +2222,7 @@ module.exports = (app) => {
                   recipientId: populatedMessage.replyTo.recipientId.toString(),
                 }
               : null,
+            ...(hasMuted(recipient, populatedMessage.senderId) ? { muted: true } : {}),
           });
         }
         io.to(userId).emit('message', {
@@ -1402,11 +2242,162 @@ module.exports = (app) => {
         res.json({ message: populatedMessage });
       });
     } catch (err) {
+      if (err instanceof MediaProcessingError) {
+        await logError('Media rejected by processing pipeline', { error: err.message, userId: req.body.userId, mimetype: req.file?.mimetype, ip: req.ip });
+        return res.status(err.status).json({ error: 'Invalid media file', details: err.message });
+      }
       await logError('Media upload failed', { error: err.message, userId: req.body.userId, clientMessageId: req.body.clientMessageId, stack: err.stack, ip: req.ip });
       res.status(500).json({ error: 'Failed to upload media', details: err.message });
     }
   });
 
+  router.post('/groups', authMiddleware, async (req, res) => {
+    try {
+      const { error } = createGroupSchema.validate(req.body);
+      if (error) {
+        await logError('Invalid create group data', { error: error.details[0].message, userId: req.user._id, ip: req.ip });
+        return res.status(400).json({ error: error.details[0].message });
+      }
+      const { name, memberIds, photo } = req.body;
+      const userId = req.user._id.toString();
+      const user = await User.findById(userId).select('contacts').lean();
+      if (!memberIds.every((memberId) => user.contacts.some((id) => id.toString() === memberId))) {
+        await logError('Group members not in creator contacts', { userId, memberIds, ip: req.ip });
+        return res.status(403).json({ error: 'All members must be in your contacts' });
+      }
+      const group = await retryOperation(async () => {
+        return await Group.create({
+          name,
+          photo,
+          createdBy: userId,
+          members: [userId, ...memberIds],
+          admins: [userId],
+        });
+      });
+      await emitGroupUpdate(group);
+      logger.info('Group created', { groupId: group._id, userId, memberCount: group.members.length, ip: req.ip });
+      res.status(201).json(formatGroup(group));
+    } catch (error) {
+      await logError('Create group failed', { error: error.message, userId: req.user?._id, stack: error.stack, ip: req.ip });
+      res.status(500).json({ error: 'Failed to create group', details: error.message });
+    }
+  });
+
+  router.get('/groups/:groupId', authMiddleware, async (req, res) => {
+    const { groupId } = req.params;
+    try {
+      if (!mongoose.isValidObjectId(groupId)) {
+        return res.status(400).json({ error: 'Invalid groupId' });
+      }
+      const group = await retryOperation(async () => {
+        return await Group.findById(groupId)
+          .populate({ path: 'members', select: 'username virtualNumber photo' })
+          .lean();
+      });
+      if (!group || !group.members.some((member) => member._id.toString() === req.user._id.toString())) {
+        await logError('Group not found or user not a member', { groupId, userId: req.user._id, ip: req.ip });
+        return res.status(404).json({ error: 'Group not found' });
+      }
+      res.status(200).json(formatGroup(group));
+    } catch (error) {
+      await logError('Group fetch failed', { groupId, error: error.message, stack: error.stack, ip: req.ip });
+      res.status(500).json({ error: 'Failed to fetch group', details: error.message });
+    }
+  });
+
+  router.post('/groups/:groupId/members', authMiddleware, async (req, res) => {
+    const { groupId } = req.params;
+    try {
+      const { error } = groupMembersSchema.validate(req.body);
+      if (error || !mongoose.isValidObjectId(groupId)) {
+        await logError('Invalid add group members data', { error: error?.details[0].message, groupId, ip: req.ip });
+        return res.status(400).json({ error: error ? error.details[0].message : 'Invalid groupId' });
+      }
+      const userId = req.user._id.toString();
+      const group = await Group.findById(groupId);
+      if (!group || !group.isAdmin(userId)) {
+        await logError('Unauthorized to add group members', { groupId, userId, ip: req.ip });
+        return res.status(403).json({ error: 'Only group admins can add members' });
+      }
+      const user = await User.findById(userId).select('contacts').lean();
+      const { memberIds } = req.body;
+      if (!memberIds.every((memberId) => user.contacts.some((id) => id.toString() === memberId))) {
+        await logError('Group members not in admin contacts', { groupId, userId, memberIds, ip: req.ip });
+        return res.status(403).json({ error: 'All members must be in your contacts' });
+      }
+      const newMemberIds = memberIds.filter((memberId) => !group.isMember(memberId));
+      if (group.members.length + newMemberIds.length > Group.MAX_GROUP_MEMBERS) {
+        return res.status(400).json({ error: `A group cannot exceed ${Group.MAX_GROUP_MEMBERS} members` });
+      }
+      group.members.push(...newMemberIds);
+      await group.save();
+      await emitGroupUpdate(group);
+      logger.info('Group members added', { groupId, userId, added: newMemberIds.length, ip: req.ip });
+      res.status(200).json(formatGroup(group));
+    } catch (error) {
+      await logError('Add group members failed', { groupId, error: error.message, stack: error.stack, ip: req.ip });
+      res.status(500).json({ error: 'Failed to add group members', details: error.message });
+    }
+  });
+
+  // Admins may remove anyone; members may only remove themselves (leave)
+  router.delete('/groups/:groupId/members/:memberId', authMiddleware, async (req, res) => {
+    const { groupId, memberId } = req.params;
+    try {
+      if (!mongoose.isValidObjectId(groupId) || !mongoose.isValidObjectId(memberId)) {
+        return res.status(400).json({ error: 'Invalid groupId or memberId' });
+      }
+      const userId = req.user._id.toString();
+      const group = await Group.findById(groupId);
+      if (!group || !group.isMember(memberId) || (memberId !== userId && !group.isAdmin(userId))) {
+        await logError('Unauthorized to remove group member', { groupId, memberId, userId, ip: req.ip });
+        return res.status(403).json({ error: 'Unauthorized to remove member' });
+      }
+      group.members = group.members.filter((id) => id.toString() !== memberId);
+      group.admins = group.admins.filter((id) => id.toString() !== memberId);
+      if (!group.members.length) {
+        await Promise.all([Group.findByIdAndDelete(groupId), Message.deleteMany({ groupId })]);
+        io.to(memberId).emit('groupRemoved', { groupId });
+        invalidateChatListCache(memberId);
+        if (connectedUsers.has(memberId)) await emitUpdatedChatList(io, memberId);
+        logger.info('Group deleted after last member left', { groupId, userId, ip: req.ip });
+        return res.status(200).json({ status: 'success', deleted: true });
+      }
+      await group.save();
+      await emitGroupUpdate(group, [memberId]);
+      logger.info('Group member removed', { groupId, memberId, userId, ip: req.ip });
+      res.status(200).json(formatGroup(group));
+    } catch (error) {
+      await logError('Remove group member failed', { groupId, memberId, error: error.message, stack: error.stack, ip: req.ip });
+      res.status(500).json({ error: 'Failed to remove group member', details: error.message });
+    }
+  });
+
+  router.post('/groups/:groupId/admins', authMiddleware, async (req, res) => {
+    const { groupId } = req.params;
+    try {
+      const { error } = groupAdminSchema.validate(req.body);
+      if (error || !mongoose.isValidObjectId(groupId)) {
+        return res.status(400).json({ error: error ? error.details[0].message : 'Invalid groupId' });
+      }
+      const userId = req.user._id.toString();
+      const { memberId } = req.body;
+      const group = await Group.findById(groupId);
+      if (!group || !group.isAdmin(userId) || !group.isMember(memberId)) {
+        await logError('Unauthorized to promote group admin', { groupId, memberId, userId, ip: req.ip });
+        return res.status(403).json({ error: 'Only group admins can promote members' });
+      }
+      group.admins.addToSet(memberId);
+      await group.save();
+      await emitGroupUpdate(group);
+      logger.info('Group admin added', { groupId, memberId, userId, ip: req.ip });
+      res.status(200).json(formatGroup(group));
+    } catch (error) {
+      await logError('Promote group admin failed', { groupId, error: error.message, stack: error.stack, ip: req.ip });
+      res.status(500).json({ error: 'Failed to promote admin', details: error.message });
+    }
+  });
+
   router.post('/logout', authMiddleware, async (req, res) => {
     try {
       const token = req.token;
@@ -1415,22 +2406,18 @@ module.exports = (app) => {
         return res.status(400).json({ error: 'No token provided' });
       }
       await retryOperation(async () => {
-        await TokenBlacklist.create({ token });
-        await TokenBlacklist.deleteMany({ userId: req.user._id });
-        await TokenBlacklist.create({ token, userId: req.user._id });
-        const sockets = await io.in(req.user.id).fetchSockets();
-        sockets.forEach((socket) => socket.disconnect(true));
-        await User.findByIdAndUpdate(req.user.id, { status: 'offline', lastSeen: new Date() });
-        io.to(req.user.id).emit('userStatus', { userId: req.user.id, status: 'offline', lastSeen: new Date() });
-        connectedUsers.delete(req.user.id);
-        chatListCache.del(`chatList:${req.user.id}`);
+        const revoked = await Session.revoke({ _id: req.user.sessionId }, 'logout');
+        // Only this session signs out; the user's other devices keep their connections
+        await disconnectSessions(req, revoked, 'logout');
+        await markOfflineIfDisconnected(req.user.id);
+        invalidateChatListCache(req.user.id);
       });
       logger.info('Logout successful', { userId: req.user.id, ip: req.ip });
       res.status(200).json({ message: 'Logged out successfully' });
     } catch (error) {
       await logError('Logout error', { error: error.message, userId: req.user?.id, stack: error.stack, ip: req.ip });
       try {
-        await TokenBlacklist.create({ token: req.token, userId: req.user._id });
+        await Session.revoke({ _id: req.user.sessionId }, 'logout');
       } catch (blacklistErr) {
         await logError('Failed to blacklist token during logout', { error: blacklistErr.message, userId: req.user?.id, ip: req.ip });
       }
@@ -10,6 +10,9 @@ const fs = require('fs');
 const Message = require('./models/Message');
 const TokenBlacklist = require('./models/TokenBlacklist');
 const { authMiddleware } = require('./routes/auth');
+const storage = require('./utils/storage');
+const mailer = require('./utils/mailer');
+const oidc = require('./utils/oidc');
 
 const logger = winston.createLogger({
   level: 'info',
@@ -21,15 +24,19 @@ const logger = winston.createLogger({
   ],
 });
 
-let authRoutes, socialRoutes, feedRoutes, jobseekerRoutes, employerRoutes;
+let authRoutes, socialRoutes, feedRoutes, moderationRoutes, jobseekerRoutes, employerRoutes;
 try {
+  storage.initStorage();
+  mailer.initMailer();
+  oidc.initOidc();
   ({ router: authRoutes } = require('./routes/auth'));
   socialRoutes = require('./routes/social');
   feedRoutes = require('./routes/feed');
+  moderationRoutes = require('./routes/moderation');
   jobseekerRoutes = require('./routes/jobseeker');
   employerRoutes = require('./routes/employer');
 } catch (err) {
-  logger.error('Failed to load routes', { error: err.message });
+  logger.error('Failed to load routes, storage or mailer', { error: err.message });
   process.exit(1);
 }
 
@@ -67,6 +74,9 @@ app.use(cors({
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Serves uploaded files when the local-disk storage driver is selected
+storage.mount(app);
+
 const buildPath = path.join(__dirname, '..', 'frontend', 'build');
 try {
   if (fs.existsSync(buildPath)) {
@@ -179,6 +189,7 @@ initializeDB();
 const routes = [
   { path: '/auth', handler: authRoutes, name: 'authRoutes' },
   { path: '/feed', handler: feedRoutes, name: 'feedRoutes' },
+  { path: '/moderation', handler: moderationRoutes, name: 'moderationRoutes' },
   { path: '/social', handler: socialRoutes(app), name: 'socialRoutes' },
   { path: '/jobseeker', handler: jobseekerRoutes, name: 'jobseekerRoutes' },
   { path: '/employer', handler: employerRoutes, name: 'employerRoutes' },
@@ -235,7 +246,8 @@ io.use(async (socket, next) => {
 
   try {
     await authMiddleware(req, res, () => {
-      socket.user = req.user;
+      // Merge rather than replace: the social middleware already attached contacts and the session
+      socket.user = { ...socket.user, ...req.user };
       logger.info('Socket authenticated', { socketId: socket.id, userId: req.user.id });
       next();
     });
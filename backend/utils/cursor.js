@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// Opaque pagination cursors. Clients pass back whatever the previous page returned as `nextCursor`
+// and must not rely on its contents.
+
+const encodeCursor = (values) => Buffer.from(JSON.stringify(values)).toString('base64url');
+
+// Returns null for anything that is not a cursor we issued, so routes can answer 400
+const decodeCursor = (cursor) => {
+  if (typeof cursor !== 'string' || !cursor || cursor.length > 512) return null;
+  try {
+    const values = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return values && typeof values === 'object' && !Array.isArray(values) ? values : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+// Most lists page by (createdAt, _id): createdAt gives the order and _id breaks ties between
+// documents created in the same millisecond, so a page boundary never skips or repeats one
+
+const encodeTimeCursor = (doc) =>
+  encodeCursor({ createdAt: new Date(doc.createdAt).toISOString(), id: doc._id.toString() });
+
+// Returns { createdAt, id } for a valid cursor, null for anything else
+const decodeTimeCursor = (cursor) => {
+  const values = decodeCursor(cursor);
+  if (!values || !mongoose.isValidObjectId(values.id)) return null;
+  const createdAt = new Date(values.createdAt);
+  if (isNaN(createdAt.getTime())) return null;
+  return { createdAt, id: new mongoose.Types.ObjectId(values.id) };
+};
+
+/**
+ * Query condition selecting documents that come after the cursor position.
+ * @param {{createdAt: Date, id: ObjectId}} position - From decodeTimeCursor
+ * @param {number} direction - -1 when the list is sorted newest first, 1 for oldest first
+ */
+const timeCursorFilter = (position, direction = -1) => {
+  const op = direction < 0 ? '$lt' : '$gt';
+  return {
+    $or: [
+      { createdAt: { [op]: position.createdAt } },
+      { createdAt: position.createdAt, _id: { [op]: position.id } },
+    ],
+  };
+};
+
+const timeCursorSort = (direction = -1) => ({ createdAt: direction, _id: direction });
+
+/**
+ * Splits a result fetched with `limit + 1` into the page and the cursor for the next one.
+ * @returns {{items: Array, nextCursor: string|null, hasMore: boolean}}
+ */
+const timeCursorPage = (docs, limit) => {
+  const hasMore = docs.length > limit;
+  const items = hasMore ? docs.slice(0, limit) : docs;
+  return { items, nextCursor: hasMore ? encodeTimeCursor(items[items.length - 1]) : null, hasMore };
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  encodeTimeCursor,
+  decodeTimeCursor,
+  timeCursorFilter,
+  timeCursorSort,
+  timeCursorPage,
+};
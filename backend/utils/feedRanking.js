@@ -0,0 +1,63 @@
+// "For you" ranking. Everything here is a pure function of its arguments (the reference time is
+// passed in, never read from the clock), so the same posts and viewer always rank the same way.
+
+const HOUR_MS = 60 * 60 * 1000;
+const HALF_LIFE_HOURS = 24; // A post's base score halves every day
+const WEIGHTS = {
+  like: 0.6,
+  comment: 1,
+  following: 2, // Viewer follows the author
+  contact: 1.5, // Author is in the viewer's chat contacts
+  country: 0.5, // Author is from the viewer's country
+};
+
+/**
+ * Builds the viewer-specific inputs for scoring from a User document.
+ * @param {{following?: Array, contacts?: Array, country?: string}} user
+ */
+const buildViewerContext = (user) => ({
+  following: new Set((user?.following || []).map((id) => id.toString())),
+  contacts: new Set((user?.contacts || []).map((id) => id.toString())),
+  country: user?.country || null,
+});
+
+/**
+ * Scores one post for one viewer:
+ *   (1 + engagement + affinity) * 0.5 ^ (ageHours / HALF_LIFE_HOURS)
+ * Engagement is log-scaled so a few hundred likes cannot bury everything newer.
+ * @param {Object} post - Needs userId, createdAt, likes, comments (or commentCount) and authorCountry
+ * @param {Object} viewer - Result of buildViewerContext
+ * @param {number} now - Reference time in ms
+ * @returns {number} Score rounded to 8 decimals so it survives a round trip through a cursor
+ */
+const scorePost = (post, viewer, now) => {
+  const ageHours = Math.max(0, (now - new Date(post.createdAt).getTime()) / HOUR_MS);
+  const recency = Math.pow(0.5, ageHours / HALF_LIFE_HOURS);
+  const commentCount = post.commentCount ?? post.comments?.length ?? 0;
+  const engagement = WEIGHTS.like * Math.log1p(post.likes || 0) + WEIGHTS.comment * Math.log1p(commentCount);
+
+  const authorId = post.userId.toString();
+  let affinity = 0;
+  if (viewer.following.has(authorId)) affinity += WEIGHTS.following;
+  if (viewer.contacts.has(authorId)) affinity += WEIGHTS.contact;
+  if (viewer.country && post.authorCountry === viewer.country) affinity += WEIGHTS.country;
+
+  return Number(((1 + engagement + affinity) * recency).toFixed(8));
+};
+
+// Highest score first; ties broken by the newer ID so the order is total
+const compareRanked = (a, b) => b.score - a.score || (b.id > a.id ? 1 : b.id < a.id ? -1 : 0);
+
+/**
+ * Scores and orders posts. When `after` ({score, id}) is given, only posts ranked strictly
+ * below that position are returned, which is how the next page is cut.
+ * @returns {Array<{post: Object, score: number, id: string}>}
+ */
+const rankPosts = (posts, viewer, now, after = null) => {
+  const ranked = posts
+    .map((post) => ({ post, score: scorePost(post, viewer, now), id: post._id.toString() }))
+    .sort(compareRanked);
+  return after ? ranked.filter((entry) => compareRanked(after, entry) < 0) : ranked;
+};
+
+module.exports = { HALF_LIFE_HOURS, WEIGHTS, buildViewerContext, scorePost, rankPosts };
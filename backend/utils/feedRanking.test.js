@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { HALF_LIFE_HOURS, buildViewerContext, scorePost, rankPosts } = require('./feedRanking');
+
+const HOUR_MS = 60 * 60 * 1000;
+const AS_OF = Date.UTC(2024, 0, 15, 12, 0, 0);
+const hoursAgo = (hours) => new Date(AS_OF - hours * HOUR_MS);
+
+const VIEWER_ID = '650000000000000000000001';
+const FRIEND_ID = '650000000000000000000002';
+const CONTACT_ID = '650000000000000000000003';
+const STRANGER_ID = '650000000000000000000004';
+
+const viewer = buildViewerContext({ following: [FRIEND_ID], contacts: [CONTACT_ID], country: 'KE' });
+
+// IDs sort in the order the posts were written so tie-breaks are easy to read
+const posts = [
+  { _id: 'a1', userId: STRANGER_ID, createdAt: hoursAgo(1), likes: 0, commentCount: 0, authorCountry: 'US' },
+  { _id: 'a2', userId: FRIEND_ID, createdAt: hoursAgo(2), likes: 3, commentCount: 1, authorCountry: 'US' },
+  { _id: 'a3', userId: STRANGER_ID, createdAt: hoursAgo(48), likes: 500, commentCount: 40, authorCountry: 'US' },
+  { _id: 'a4', userId: CONTACT_ID, createdAt: hoursAgo(6), likes: 0, comments: [{}, {}], authorCountry: 'KE' },
+  { _id: 'a5', userId: STRANGER_ID, createdAt: hoursAgo(1), likes: 0, commentCount: 0, authorCountry: 'US' },
+  { _id: 'a6', userId: STRANGER_ID, createdAt: hoursAgo(3), likes: 1, commentCount: 0, authorCountry: 'KE' },
+  { _id: 'a7', userId: VIEWER_ID, createdAt: hoursAgo(30), likes: 10, commentCount: 2, authorCountry: 'KE' },
+];
+
+const EXPECTED_ORDER = ['a2', 'a4', 'a3', 'a6', 'a7', 'a5', 'a1'];
+
+// The route sends the cursor to the client as JSON and reads it back on the next request
+const roundTrip = (cursor) => JSON.parse(JSON.stringify(cursor));
+
+test('scorePost halves the score every half-life', () => {
+  const post = { _id: 'p', userId: STRANGER_ID, createdAt: hoursAgo(0), likes: 0, commentCount: 0 };
+  const fresh = scorePost(post, viewer, AS_OF);
+  const aged = scorePost({ ...post, createdAt: hoursAgo(HALF_LIFE_HOURS) }, viewer, AS_OF);
+  assert.equal(fresh, 1);
+  assert.equal(aged, 0.5);
+});
+
+test('scorePost does not reward posts dated after the reference time', () => {
+  const post = { _id: 'p', userId: STRANGER_ID, createdAt: hoursAgo(-5), likes: 0, commentCount: 0 };
+  assert.equal(scorePost(post, viewer, AS_OF), 1);
+});
+
+test('rankPosts gives the same order for the same posts and reference time', () => {
+  const first = rankPosts(posts, viewer, AS_OF).map((entry) => entry.id);
+  const shuffled = rankPosts([...posts].reverse(), viewer, AS_OF).map((entry) => entry.id);
+  assert.deepEqual(first, EXPECTED_ORDER);
+  assert.deepEqual(shuffled, EXPECTED_ORDER);
+});
+
+test('rankPosts breaks equal scores by the newer ID', () => {
+  const ranked = rankPosts(posts, viewer, AS_OF);
+  const a5 = ranked.find((entry) => entry.id === 'a5');
+  const a1 = ranked.find((entry) => entry.id === 'a1');
+  assert.equal(a5.score, a1.score);
+  assert.ok(ranked.indexOf(a5) < ranked.indexOf(a1));
+});
+
+test('rankPosts pages through every post once across the (score, id) cursor', () => {
+  for (const limit of [1, 2, 3]) {
+    const seen = [];
+    let after = null;
+    for (;;) {
+      const ranked = rankPosts(posts, viewer, AS_OF, after);
+      const page = ranked.slice(0, limit);
+      seen.push(...page.map((entry) => entry.id));
+      if (ranked.length <= limit) break;
+      const last = page[page.length - 1];
+      after = roundTrip({ score: last.score, id: last.id });
+    }
+    assert.deepEqual(seen, EXPECTED_ORDER, `limit ${limit}`);
+  }
+});
+
+test('rankPosts returns nothing after the last post', () => {
+  const ranked = rankPosts(posts, viewer, AS_OF);
+  const last = ranked[ranked.length - 1];
+  assert.deepEqual(rankPosts(posts, viewer, AS_OF, roundTrip({ score: last.score, id: last.id })), []);
+});
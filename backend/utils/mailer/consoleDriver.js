@@ -0,0 +1,13 @@
+const crypto = require('crypto');
+
+// Prints the plain-text email to stdout; the default outside production
+const createDriver = () => ({
+  name: 'console',
+  send: async ({ from, to, subject, text }) => {
+    const messageId = crypto.randomUUID();
+    console.log(['--- Email ---', `From: ${from}`, `To: ${to}`, `Subject: ${subject}`, '', text, '--- End email ---'].join('\n'));
+    return { messageId };
+  },
+});
+
+module.exports = { createDriver };
@@ -0,0 +1,23 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Writes each email to MAIL_FILE_DIR (default backend/mail-outbox) as a text file, so links in
+// verification and reset emails can be followed during local testing without a mail server
+const createDriver = () => {
+  const root = path.resolve(process.env.MAIL_FILE_DIR || path.join(__dirname, '..', '..', 'mail-outbox'));
+  fs.mkdirSync(root, { recursive: true });
+
+  return {
+    name: 'file',
+    send: async ({ from, to, subject, text, html }) => {
+      const messageId = `${Date.now()}-${crypto.randomUUID()}`;
+      const body = [`From: ${from}`, `To: ${to}`, `Subject: ${subject}`, `Date: ${new Date().toUTCString()}`, '', text];
+      if (html) body.push('', '--- HTML ---', html);
+      await fs.promises.writeFile(path.join(root, `${messageId}.txt`), body.join('\n'));
+      return { messageId };
+    },
+  };
+};
+
+module.exports = { createDriver };
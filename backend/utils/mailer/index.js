@@ -0,0 +1,58 @@
+const winston = require('winston');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(winston.format.timestamp(), winston.format.json()),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/mailer-error.log', level: 'error' }),
+    new winston.transports.File({ filename: 'logs/mailer-combined.log' }),
+  ],
+});
+
+// Drivers are required lazily so the SMTP client is only needed when SMTP is selected
+const DRIVERS = {
+  smtp: () => require('./smtpDriver'),
+  file: () => require('./fileDriver'),
+  console: () => require('./consoleDriver'),
+};
+
+let driver = null;
+
+// Builds the driver named by MAIL_DRIVER (default: smtp in production, console elsewhere).
+// Called once at startup so a misconfigured SMTP server fails fast instead of on the first email.
+const initMailer = (name = process.env.MAIL_DRIVER || (process.env.NODE_ENV === 'production' ? 'smtp' : 'console')) => {
+  const factory = DRIVERS[name];
+  if (!factory) {
+    throw new Error(`Unknown MAIL_DRIVER "${name}". Expected one of: ${Object.keys(DRIVERS).join(', ')}`);
+  }
+  driver = factory().createDriver();
+  logger.info('Mailer configured', { driver: name });
+  return driver;
+};
+
+const getDriver = () => driver || initMailer();
+
+/**
+ * Sends one email from MAIL_FROM.
+ * @param {Object} message
+ * @param {string} message.to Recipient address
+ * @param {string} message.subject
+ * @param {string} message.text Plain-text body
+ * @param {string} [message.html] HTML body; clients without HTML support show `text`
+ * @returns {Promise<{ messageId: string }>}
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+  if (!to || !subject || !text) throw new Error('sendMail requires to, subject and text');
+  const from = process.env.MAIL_FROM || 'GaPP <no-reply@gapp.local>';
+  try {
+    const result = await getDriver().send({ from, to, subject, text, html });
+    logger.info('Email sent', { to, subject, messageId: result.messageId });
+    return result;
+  } catch (err) {
+    logger.error('Email send failed', { to, subject, error: err.message });
+    throw err;
+  }
+};
+
+module.exports = { initMailer, sendMail };
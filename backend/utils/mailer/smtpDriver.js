@@ -0,0 +1,23 @@
+// SMTP_HOST and SMTP_PORT (default 587) locate the server; SMTP_SECURE=true uses TLS from the
+// start (usually port 465) instead of STARTTLS. SMTP_USER and SMTP_PASS are optional.
+const createDriver = () => {
+  const nodemailer = require('nodemailer');
+  const host = process.env.SMTP_HOST;
+  if (!host) throw new Error('SMTP_HOST must be set for the smtp mail driver');
+  const transport = nodemailer.createTransport({
+    host,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    ...(process.env.SMTP_USER ? { auth: { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } } : {}),
+  });
+
+  return {
+    name: 'smtp',
+    send: async (message) => {
+      const info = await transport.sendMail(message);
+      return { messageId: info.messageId };
+    },
+  };
+};
+
+module.exports = { createDriver };
@@ -0,0 +1,205 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { encode: encodeBlurhash } = require('blurhash');
+const ffmpeg = require('fluent-ffmpeg');
+const winston = require('winston');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(winston.format.timestamp(), winston.format.json()),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/media-error.log', level: 'error' }),
+    new winston.transports.File({ filename: 'logs/media-combined.log' }),
+  ],
+});
+
+if (process.env.FFMPEG_PATH) ffmpeg.setFfmpegPath(process.env.FFMPEG_PATH);
+if (process.env.FFPROBE_PATH) ffmpeg.setFfprobePath(process.env.FFPROBE_PATH);
+
+const MAX_DIMENSION = 4096; // Larger images are downscaled to fit
+const MAX_INPUT_PIXELS = 8192 * 8192; // Anything bigger is rejected before decoding
+const MAX_VIDEO_DIMENSION = 3840;
+const MAX_VIDEO_DURATION = 10 * 60; // Seconds
+const THUMBNAIL_SIZE = 320;
+const BLURHASH_SIZE = 32;
+
+// Thrown for inputs the pipeline refuses; carries the HTTP status routes should answer with
+class MediaProcessingError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'MediaProcessingError';
+    this.status = status;
+  }
+}
+
+const processors = new Map();
+
+// Processors are keyed by the part of the mimetype before the slash ('image', 'video', ...)
+const registerProcessor = (kind, processor) => {
+  processors.set(kind, processor);
+};
+
+const computeBlurhash = async (buffer) => {
+  const { data, info } = await sharp(buffer)
+    .resize(BLURHASH_SIZE, BLURHASH_SIZE, { fit: 'inside' })
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  return encodeBlurhash(new Uint8ClampedArray(data), info.width, info.height, 4, 3);
+};
+
+const makeThumbnail = (buffer) =>
+  sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+    .rotate()
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .webp({ quality: 70 })
+    .toBuffer();
+
+const processImage = async ({ buffer, mimetype }) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+  } catch (err) {
+    throw new MediaProcessingError(`Unsupported or oversized image: ${err.message}`);
+  }
+  // sharp drops EXIF (including GPS location) unless withMetadata() is requested, so every image is
+  // re-encoded. rotate() bakes the orientation tag into the pixels first so nothing visible depends
+  // on the stripped data. Animated images keep all their frames; the preview comes from the first
+  const animated = (metadata.pages || 1) > 1;
+  let output;
+  let outputType;
+  if (animated) {
+    const pipeline = sharp(buffer, { animated: true, limitInputPixels: MAX_INPUT_PIXELS })
+      .resize(MAX_DIMENSION, MAX_DIMENSION, { fit: 'inside', withoutEnlargement: true });
+    if (metadata.format === 'gif') {
+      output = await pipeline.gif().toBuffer();
+      outputType = 'image/gif';
+    } else {
+      output = await pipeline.webp().toBuffer();
+      outputType = 'image/webp';
+    }
+  } else {
+    const pipeline = sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+      .rotate()
+      .resize(MAX_DIMENSION, MAX_DIMENSION, { fit: 'inside', withoutEnlargement: true });
+    if (metadata.format === 'png') {
+      output = await pipeline.png().toBuffer();
+      outputType = 'image/png';
+    } else if (metadata.format === 'webp') {
+      output = await pipeline.webp().toBuffer();
+      outputType = 'image/webp';
+    } else {
+      output = await pipeline.jpeg({ quality: 85, mozjpeg: true }).toBuffer();
+      outputType = 'image/jpeg';
+    }
+  }
+  const [finalMeta, thumbnail, blurhash] = await Promise.all([
+    sharp(output).metadata(),
+    makeThumbnail(output),
+    computeBlurhash(output),
+  ]);
+  return {
+    buffer: output,
+    mimetype: outputType,
+    metadata: { width: finalMeta.width, height: finalMeta.pageHeight || finalMeta.height, blurhash },
+    variants: { thumbnail: { buffer: thumbnail, mimetype: 'image/webp' } },
+  };
+};
+
+const probe = (file) =>
+  new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(file, (err, data) => (err ? reject(err) : resolve(data)));
+  });
+
+const runFfmpeg = (command) =>
+  new Promise((resolve, reject) => {
+    command.on('end', resolve).on('error', reject).run();
+  });
+
+const processVideo = async ({ buffer, mimetype, originalname }) => {
+  const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'gapp-media-'));
+  const ext = path.extname(originalname || '') || (mimetype === 'video/webm' ? '.webm' : '.mp4');
+  const input = path.join(workDir, `input${ext}`);
+  const remuxed = path.join(workDir, `clean${ext}`);
+  const poster = path.join(workDir, 'poster.jpg');
+  try {
+    await fs.promises.writeFile(input, buffer);
+    let info;
+    try {
+      info = await probe(input);
+    } catch (err) {
+      // Unprobed video would skip the limits and metadata stripping below, so it is refused
+      logger.error('Video probe failed', { error: err.message });
+      throw new MediaProcessingError('Could not read video');
+    }
+    const stream = info.streams.find((s) => s.codec_type === 'video');
+    if (!stream) throw new MediaProcessingError('File contains no video stream');
+    const duration = Number(info.format.duration) || 0;
+    if (stream.width > MAX_VIDEO_DIMENSION || stream.height > MAX_VIDEO_DIMENSION) {
+      throw new MediaProcessingError(`Video exceeds ${MAX_VIDEO_DIMENSION}px`);
+    }
+    if (duration > MAX_VIDEO_DURATION) {
+      throw new MediaProcessingError(`Video exceeds ${MAX_VIDEO_DURATION / 60} minutes`);
+    }
+
+    // Container-level metadata (location, device) is dropped without re-encoding the streams
+    await runFfmpeg(ffmpeg(input).outputOptions(['-map_metadata', '-1', '-c', 'copy']).output(remuxed));
+    await runFfmpeg(
+      ffmpeg(input)
+        .seekInput(Math.min(1, duration / 2))
+        .outputOptions(['-frames:v', '1'])
+        .output(poster)
+    );
+    const posterImage = await processImage({ buffer: await fs.promises.readFile(poster), mimetype: 'image/jpeg' });
+    return {
+      buffer: await fs.promises.readFile(remuxed),
+      mimetype,
+      metadata: {
+        width: posterImage.metadata.width,
+        height: posterImage.metadata.height,
+        duration: Math.round(duration * 10) / 10,
+        blurhash: posterImage.metadata.blurhash,
+      },
+      variants: {
+        poster: { buffer: posterImage.buffer, mimetype: posterImage.mimetype },
+        thumbnail: posterImage.variants.thumbnail,
+      },
+    };
+  } catch (err) {
+    if (err instanceof MediaProcessingError) throw err;
+    logger.error('Video processing failed', { error: err.message, stack: err.stack });
+    throw new MediaProcessingError('Could not process video');
+  } finally {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  }
+};
+
+registerProcessor('image', processImage);
+registerProcessor('video', processVideo);
+
+// Runs the processor registered for the file's kind. Files without one (audio, documents) pass
+// through untouched with empty metadata so callers can treat every upload the same way.
+const processMedia = async (file) => {
+  const kind = file.mimetype.split('/')[0];
+  const processor = processors.get(kind);
+  if (!processor) {
+    return { buffer: file.buffer, mimetype: file.mimetype, metadata: {}, variants: {} };
+  }
+  const started = Date.now();
+  const result = await processor(file);
+  logger.info('Processed media', {
+    kind,
+    id: crypto.createHash('sha1').update(file.buffer).digest('hex').slice(0, 12),
+    inputBytes: file.buffer.length,
+    outputBytes: result.buffer.length,
+    variants: Object.keys(result.variants),
+    ms: Date.now() - started,
+  });
+  return result;
+};
+
+module.exports = { processMedia, registerProcessor, MediaProcessingError };
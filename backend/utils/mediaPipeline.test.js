@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { isBlurhashValid } = require('blurhash');
+
+// Point ffprobe at nothing so video runs the same on machines with and without ffmpeg installed
+process.env.FFPROBE_PATH = '/nonexistent/ffprobe';
+const { processMedia, MediaProcessingError } = require('./mediaPipeline');
+
+const photoWithLocation = () =>
+  sharp({ create: { width: 800, height: 400, channels: 3, background: { r: 200, g: 80, b: 40 } } })
+    .jpeg()
+    // Orientation 6 means "rotate 90° clockwise to display"
+    .withMetadata({ orientation: 6, exif: { IFD0: { Make: 'TestCam', Copyright: 'GPS 51.5007,-0.1246' } } })
+    .toBuffer();
+
+// Two 1x1 frames, one black and one white, plus a comment that must not survive processing
+const animatedGif = () => {
+  const frame = (lzwData) => Buffer.from([0x21, 0xf9, 4, 0, 10, 0, 0, 0, 0x2c, 0, 0, 0, 0, 1, 0, 1, 0, 0, 2, 2, lzwData, 1, 0]);
+  return Buffer.concat([
+    Buffer.from('GIF89a'),
+    Buffer.from([1, 0, 1, 0, 0x80, 0, 0, 0, 0, 0, 255, 255, 255]),
+    Buffer.from([0x21, 0xff, 0x0b]),
+    Buffer.from('NETSCAPE2.0'),
+    Buffer.from([3, 1, 0, 0, 0]),
+    Buffer.from([0x21, 0xfe, 19]),
+    Buffer.from('GPS 51.5007,-0.1246'),
+    Buffer.from([0]),
+    frame(0x44),
+    frame(0x4c),
+    Buffer.from([0x3b]),
+  ]);
+};
+
+test('images get a WebP thumbnail that fits in 320px', async () => {
+  const { variants } = await processMedia({ buffer: await photoWithLocation(), mimetype: 'image/jpeg' });
+  const thumbnail = await sharp(variants.thumbnail.buffer).metadata();
+  assert.equal(variants.thumbnail.mimetype, 'image/webp');
+  assert.equal(thumbnail.format, 'webp');
+  assert.equal(Math.max(thumbnail.width, thumbnail.height), 320);
+});
+
+test('images get a valid blurhash and their displayed dimensions', async () => {
+  const { metadata } = await processMedia({ buffer: await photoWithLocation(), mimetype: 'image/jpeg' });
+  assert.equal(isBlurhashValid(metadata.blurhash).result, true);
+  // The orientation tag is applied to the pixels, so the landscape input comes out portrait
+  assert.deepEqual({ width: metadata.width, height: metadata.height }, { width: 400, height: 800 });
+});
+
+test('images lose their EXIF metadata', async () => {
+  const input = await photoWithLocation();
+  assert.ok((await sharp(input).metadata()).exif);
+  const { buffer, mimetype } = await processMedia({ buffer: input, mimetype: 'image/jpeg' });
+  const output = await sharp(buffer).metadata();
+  assert.equal(mimetype, 'image/jpeg');
+  assert.equal(output.exif, undefined);
+  assert.equal(output.orientation, undefined);
+  assert.equal(buffer.includes('GPS 51.5007'), false);
+});
+
+test('animated images are re-encoded with their frames and without metadata', async () => {
+  const input = animatedGif();
+  assert.equal((await sharp(input).metadata()).pages, 2);
+  const { buffer, mimetype, metadata } = await processMedia({ buffer: input, mimetype: 'image/gif' });
+  assert.equal(mimetype, 'image/gif');
+  assert.equal((await sharp(buffer).metadata()).pages, 2);
+  assert.equal(buffer.includes('GPS 51.5007'), false);
+  assert.equal(isBlurhashValid(metadata.blurhash).result, true);
+});
+
+test('files that are not images are rejected', async () => {
+  await assert.rejects(processMedia({ buffer: Buffer.from('not an image'), mimetype: 'image/png' }), MediaProcessingError);
+});
+
+test('videos that cannot be probed are rejected', async () => {
+  await assert.rejects(
+    processMedia({ buffer: Buffer.from('not probed'), mimetype: 'video/mp4', originalname: 'clip.mp4' }),
+    (err) => err instanceof MediaProcessingError && err.status === 400
+  );
+});
+
+test('audio and documents pass through untouched', async () => {
+  const buffer = Buffer.from('ID3 audio bytes');
+  const result = await processMedia({ buffer, mimetype: 'audio/mpeg' });
+  assert.equal(result.buffer, buffer);
+  assert.deepEqual(result.metadata, {});
+  assert.deepEqual(result.variants, {});
+});
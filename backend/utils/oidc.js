@@ -0,0 +1,248 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const winston = require('winston');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(winston.format.timestamp(), winston.format.json()),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/oidc-error.log', level: 'error' }),
+    new winston.transports.File({ filename: 'logs/oidc-combined.log' }),
+  ],
+});
+
+// Sign-in through external identity providers with the OAuth 2.0 authorization code flow and
+// PKCE. Providers are listed in OIDC_PROVIDERS (e.g. "google,github,mock") and each is configured
+// with OIDC_<ID>_CLIENT_ID and OIDC_<ID>_CLIENT_SECRET, plus OIDC_<ID>_ISSUER for any provider
+// without a preset. OIDC_<ID>_NAME and OIDC_<ID>_SCOPES override the button label and scopes.
+//
+// OpenID Connect providers are found through their discovery document and identify the user with
+// a signed ID token. GitHub speaks plain OAuth 2.0, so its preset reads the profile from its API.
+
+const HTTP_TIMEOUT_MS = 10000;
+const DISCOVERY_TTL_MS = 60 * 60 * 1000;
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+const PRESETS = {
+  google: {
+    name: 'Google',
+    issuer: 'https://accounts.google.com',
+  },
+  github: {
+    name: 'GitHub',
+    scopes: 'read:user user:email',
+    endpoints: {
+      authorization_endpoint: 'https://github.com/login/oauth/authorize',
+      token_endpoint: 'https://github.com/login/oauth/access_token',
+    },
+    fetchProfile: async (accessToken) => {
+      const headers = { Authorization: `Bearer ${accessToken}`, Accept: 'application/vnd.github+json' };
+      const [{ data: user }, { data: emails }] = await Promise.all([
+        axios.get('https://api.github.com/user', { headers, timeout: HTTP_TIMEOUT_MS }),
+        axios.get('https://api.github.com/user/emails', { headers, timeout: HTTP_TIMEOUT_MS }),
+      ]);
+      const primary = (emails || []).find((entry) => entry.primary) || (emails || [])[0];
+      return {
+        subject: String(user.id),
+        email: primary ? primary.email : user.email,
+        emailVerified: Boolean(primary && primary.verified),
+        name: user.name || user.login,
+        username: user.login,
+        picture: user.avatar_url,
+      };
+    },
+  },
+};
+
+let providers = null;
+
+const envKey = (id, field) => `OIDC_${id.toUpperCase().replace(/-/g, '_')}_${field}`;
+
+// Reads the configuration once; providers missing a client ID or issuer are skipped with a warning.
+// Called at startup so configuration mistakes show up in the log straight away.
+const initOidc = () => {
+  if (providers) return providers;
+  providers = new Map();
+  (process.env.OIDC_PROVIDERS || '')
+    .split(',')
+    .map((id) => id.trim().toLowerCase())
+    .filter(Boolean)
+    .forEach((id) => {
+      if (!/^[a-z0-9-]{1,32}$/.test(id)) {
+        logger.warn('Ignoring OIDC provider with an invalid ID', { id });
+        return;
+      }
+      const preset = PRESETS[id] || {};
+      const provider = {
+        id,
+        name: process.env[envKey(id, 'NAME')] || preset.name || id,
+        issuer: (process.env[envKey(id, 'ISSUER')] || preset.issuer || '').replace(/\/+$/, ''),
+        clientId: process.env[envKey(id, 'CLIENT_ID')],
+        clientSecret: process.env[envKey(id, 'CLIENT_SECRET')],
+        scopes: process.env[envKey(id, 'SCOPES')] || preset.scopes || 'openid email profile',
+        endpoints: preset.endpoints || null,
+        fetchProfile: preset.fetchProfile || null,
+      };
+      if (!provider.clientId || (!provider.issuer && !provider.endpoints)) {
+        logger.warn('Ignoring OIDC provider without a client ID or issuer', { id, clientId: envKey(id, 'CLIENT_ID'), issuer: envKey(id, 'ISSUER') });
+        return;
+      }
+      providers.set(id, provider);
+    });
+  if (providers.size) {
+    logger.info('OIDC providers configured', { providers: Array.from(providers.keys()) });
+  }
+  return providers;
+};
+
+const listProviders = () => Array.from(initOidc().values(), ({ id, name }) => ({ id, name }));
+
+const getProvider = (id) => initOidc().get(id) || null;
+
+const discoveryCache = new Map();
+
+const discover = async (provider) => {
+  if (provider.endpoints) return provider.endpoints;
+  const cached = discoveryCache.get(provider.id);
+  if (cached && cached.expiresAt > Date.now()) return cached.metadata;
+  const { data: metadata } = await axios.get(`${provider.issuer}/.well-known/openid-configuration`, { timeout: HTTP_TIMEOUT_MS });
+  if (metadata.issuer !== provider.issuer) {
+    throw new Error(`Discovery document issuer ${metadata.issuer} does not match ${provider.issuer}`);
+  }
+  discoveryCache.set(provider.id, { metadata, expiresAt: Date.now() + DISCOVERY_TTL_MS });
+  return metadata;
+};
+
+const jwksCache = new Map();
+
+// Keys are cached per JWKS URI and refetched when a token names a key we haven't seen, which is
+// how providers roll their signing keys
+const getSigningKey = async (jwksUri, kid) => {
+  const findKey = (keys) => keys.find((key) => (kid ? key.kid === kid : key.use !== 'enc'));
+  let keys = jwksCache.get(jwksUri);
+  let jwk = keys && findKey(keys);
+  if (!jwk) {
+    const { data } = await axios.get(jwksUri, { timeout: HTTP_TIMEOUT_MS });
+    keys = data.keys || [];
+    jwksCache.set(jwksUri, keys);
+    jwk = findKey(keys);
+  }
+  if (!jwk) {
+    throw new Error('ID token is signed with an unknown key');
+  }
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' }).export({ type: 'spki', format: 'pem' });
+};
+
+const randomToken = () => crypto.randomBytes(32).toString('base64url');
+
+/**
+ * Builds the URL that sends the browser to the provider's sign-in page.
+ * @returns {Promise<{url: string, state: string, nonce: string, codeVerifier: string}>} Keep
+ *   state, nonce and codeVerifier server-side until the callback; they never reach the browser
+ *   except inside the URL.
+ */
+const createAuthorizationRequest = async (provider, redirectUri) => {
+  const metadata = await discover(provider);
+  const state = randomToken();
+  const nonce = randomToken();
+  const codeVerifier = randomToken();
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: redirectUri,
+    scope: provider.scopes,
+    state,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256',
+    ...(provider.fetchProfile ? {} : { nonce }),
+  });
+  return { url: `${metadata.authorization_endpoint}?${params.toString()}`, state, nonce, codeVerifier };
+};
+
+const exchangeCode = async (provider, metadata, { code, redirectUri, codeVerifier }) => {
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: redirectUri,
+    code_verifier: codeVerifier,
+  });
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+  // client_secret_basic is the default the spec gives when a provider doesn't list its methods
+  const authMethods = metadata.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+  if (provider.clientSecret && authMethods.includes('client_secret_basic') && !provider.endpoints) {
+    const credentials = `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(provider.clientSecret)}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  } else {
+    body.set('client_id', provider.clientId);
+    if (provider.clientSecret) body.set('client_secret', provider.clientSecret);
+  }
+  const { data } = await axios.post(metadata.token_endpoint, body.toString(), { headers, timeout: HTTP_TIMEOUT_MS });
+  if (data.error) {
+    throw new Error(`Token request failed: ${data.error_description || data.error}`);
+  }
+  return data;
+};
+
+const verifyIdToken = async (provider, metadata, idToken, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    throw new Error('Provider returned a malformed ID token');
+  }
+  const key = await getSigningKey(metadata.jwks_uri, decoded.header.kid);
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ID_TOKEN_ALGORITHMS,
+    issuer: provider.issuer,
+    audience: provider.clientId,
+  });
+  if (claims.nonce !== nonce) {
+    throw new Error('ID token nonce does not match');
+  }
+  return claims;
+};
+
+/**
+ * Finishes the flow on the callback: exchanges the code and returns who signed in.
+ * @returns {Promise<{subject: string, email: ?string, emailVerified: boolean, name: ?string,
+ *   username: ?string, picture: ?string}>}
+ */
+const completeAuthorization = async (provider, { code, redirectUri, codeVerifier, nonce }) => {
+  const metadata = await discover(provider);
+  const tokens = await exchangeCode(provider, metadata, { code, redirectUri, codeVerifier });
+  if (provider.fetchProfile) {
+    return provider.fetchProfile(tokens.access_token);
+  }
+  if (!tokens.id_token) {
+    throw new Error('Provider did not return an ID token');
+  }
+  let claims = await verifyIdToken(provider, metadata, tokens.id_token, nonce);
+  // Some providers leave email out of the ID token and only return it from userinfo
+  if (!claims.email && metadata.userinfo_endpoint && tokens.access_token) {
+    const { data } = await axios.get(metadata.userinfo_endpoint, {
+      headers: { Authorization: `Bearer ${tokens.access_token}` },
+      timeout: HTTP_TIMEOUT_MS,
+    });
+    if (data.sub === claims.sub) {
+      claims = { ...data, ...claims, email: data.email, email_verified: data.email_verified };
+    }
+  }
+  return {
+    subject: String(claims.sub),
+    email: claims.email || null,
+    // Some providers send the flag as the string "true"
+    emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+    name: claims.name || null,
+    username: claims.preferred_username || claims.nickname || null,
+    picture: claims.picture || null,
+  };
+};
+
+module.exports = {
+  initOidc,
+  listProviders,
+  getProvider,
+  createAuthorizationRequest,
+  completeAuthorization,
+};
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createMockOidcApp } = require('../mockOidcServer');
+
+const REDIRECT_URI = 'http://localhost:3000/auth/oidc/callback';
+
+let server;
+let oidc;
+
+test.before(async () => {
+  server = http.createServer();
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const issuer = `http://127.0.0.1:${server.address().port}`;
+  server.on('request', createMockOidcApp({ issuer }));
+  // oidc.js reads its providers from the environment the first time it's asked for them
+  Object.assign(process.env, {
+    OIDC_PROVIDERS: 'mock',
+    OIDC_MOCK_ISSUER: issuer,
+    OIDC_MOCK_CLIENT_ID: 'gapp',
+    OIDC_MOCK_CLIENT_SECRET: 'secret',
+  });
+  oidc = require('./oidc');
+});
+
+test.after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+// Sends the browser's side of the flow to the mock: opens the sign-in URL and submits the form
+const signIn = async ({ tamper = '', email = 'ada@example.com' } = {}) => {
+  const provider = oidc.getProvider('mock');
+  const request = await oidc.createAuthorizationRequest(provider, REDIRECT_URI);
+  const query = new URL(request.url).searchParams;
+  const form = new URLSearchParams({
+    client_id: query.get('client_id'),
+    redirect_uri: query.get('redirect_uri'),
+    state: query.get('state'),
+    nonce: query.get('nonce'),
+    code_challenge: query.get('code_challenge'),
+    email,
+    name: 'Ada Lovelace',
+    email_verified: 'true',
+    tamper,
+  });
+  const response = await fetch(new URL('/authorize', request.url), { method: 'POST', body: form, redirect: 'manual' });
+  const callback = new URL(response.headers.get('location'));
+  assert.equal(callback.searchParams.get('state'), request.state);
+  return { provider, request, code: callback.searchParams.get('code') };
+};
+
+const complete = ({ provider, request, code }, overrides = {}) =>
+  oidc.completeAuthorization(provider, {
+    code,
+    redirectUri: REDIRECT_URI,
+    codeVerifier: request.codeVerifier,
+    nonce: request.nonce,
+    ...overrides,
+  });
+
+test('the sign-in URL carries the state, nonce and an S256 code challenge', async () => {
+  const { request } = await signIn();
+  const query = new URL(request.url).searchParams;
+  assert.equal(query.get('state'), request.state);
+  assert.equal(query.get('nonce'), request.nonce);
+  assert.equal(query.get('code_challenge_method'), 'S256');
+  assert.notEqual(query.get('code_challenge'), request.codeVerifier);
+});
+
+test('completeAuthorization returns the profile from a valid ID token', async () => {
+  const profile = await complete(await signIn());
+  assert.equal(profile.email, 'ada@example.com');
+  assert.equal(profile.emailVerified, true);
+  assert.equal(profile.name, 'Ada Lovelace');
+  assert.equal(profile.username, 'ada');
+  assert.match(profile.subject, /^[0-9a-f]{24}$/);
+});
+
+test('completeAuthorization rejects an ID token from another issuer', async () => {
+  await assert.rejects(complete(await signIn({ tamper: 'issuer' })), /jwt issuer invalid/);
+});
+
+test('completeAuthorization rejects an ID token meant for another client', async () => {
+  await assert.rejects(complete(await signIn({ tamper: 'audience' })), /jwt audience invalid/);
+});
+
+test('completeAuthorization rejects an ID token with a different nonce', async () => {
+  await assert.rejects(complete(await signIn({ tamper: 'nonce' })), /nonce does not match/);
+});
+
+test('completeAuthorization rejects a valid ID token when the session expected another nonce', async () => {
+  await assert.rejects(complete(await signIn(), { nonce: 'from-another-sign-in' }), /nonce does not match/);
+});
+
+test('completeAuthorization fails when the code verifier does not match the challenge', async () => {
+  await assert.rejects(complete(await signIn(), { codeVerifier: 'not-the-verifier' }));
+});
@@ -0,0 +1,103 @@
+const { createCanvas } = require('canvas');
+const pdfjsLib = require('pdfjs-dist');
+const winston = require('winston');
+const storage = require('./storage');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(winston.format.timestamp(), winston.format.json()),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/post-renderer-error.log', level: 'error' }),
+    new winston.transports.File({ filename: 'logs/post-renderer-combined.log' }),
+  ],
+});
+
+const MAX_PDF_PAGES = 20;
+
+// Convert text to image for text posts
+const textToImage = async (text) => {
+  const canvas = createCanvas(1080, 1920);
+  const ctx = canvas.getContext('2d');
+
+  // Gradient background
+  const gradient = ctx.createLinearGradient(0, 0, 1080, 1920);
+  gradient.addColorStop(0, '#4b6cb7');
+  gradient.addColorStop(1, '#182848');
+  ctx.fillStyle = gradient;
+  ctx.fillRect(0, 0, 1080, 1920);
+
+  // Text styling
+  ctx.fillStyle = '#ffffff';
+  ctx.font = '48px Arial';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  const lines = text.match(/.{1,50}(\s|$)/g) || [text];
+  lines.forEach((line, index) => {
+    ctx.fillText(line, 540, 960 + index * 60 - (lines.length * 30));
+  });
+
+  return new Promise((resolve, reject) => {
+    canvas.toBuffer((err, buf) => (err ? reject(err) : resolve(buf)));
+  });
+};
+
+// Split PDF into page images
+const splitPDF = async (pdfBuffer) => {
+  const pdf = await pdfjsLib.getDocument({ data: new Uint8Array(pdfBuffer) }).promise;
+  if (pdf.numPages > MAX_PDF_PAGES) {
+    logger.warn('PDF truncated to page limit', { numPages: pdf.numPages, limit: MAX_PDF_PAGES });
+  }
+  const pages = [];
+  for (let i = 1; i <= Math.min(pdf.numPages, MAX_PDF_PAGES); i++) {
+    const page = await pdf.getPage(i);
+    const viewport = page.getViewport({ scale: 1.0 });
+    const canvas = createCanvas(viewport.width, viewport.height);
+    const ctx = canvas.getContext('2d');
+    await page.render({ canvasContext: ctx, viewport }).promise;
+    pages.push(canvas.toBuffer('image/png'));
+  }
+  return pages;
+};
+
+// Renders post text to a single image and stores it; returns the content array for the post
+const renderText = async (text) => {
+  const imageBuffer = await textToImage(text);
+  const result = await storage.upload(imageBuffer, { kind: 'image', folder: 'feed', mimetype: 'image/png', filename: 'text.png', timeout: 30000 });
+  return [result.url];
+};
+
+// Renders every page of a PDF to an image and stores them in page order
+const renderPdf = async (pdfBuffer) => {
+  const pages = await splitPDF(pdfBuffer);
+  const results = await Promise.all(pages.map((page) =>
+    storage.upload(page, { kind: 'image', folder: 'feed', mimetype: 'image/png', filename: 'page.png', timeout: 30000 })
+  ));
+  return results.map((result) => result.url);
+};
+
+const isUrl = (value) => /^https?:\/\//i.test(value || '') || (value || '').startsWith('/uploads/');
+
+/**
+ * Works out the derived fields a post is missing, for posts created before renders were stored.
+ * Text posts whose content is still raw text get an image; PDF posts that still point at the
+ * document get page images. Posts that are already rendered only get `renderedAt` stamped.
+ * @returns {Promise<Object>} Fields to $set on the post
+ */
+const renderExistingPost = async (post) => {
+  const content = Array.isArray(post.content) ? post.content : [post.content].filter(Boolean);
+  if (post.contentType === 'text' && content.length && !isUrl(content[0])) {
+    const sourceText = content.join(' ').trim().slice(0, 500);
+    return { content: await renderText(sourceText), sourceText, renderedAt: new Date() };
+  }
+  if (post.contentType === 'raw' && content.length === 1 && /\.pdf($|\?)/i.test(content[0])) {
+    const response = await fetch(content[0]);
+    if (!response.ok) throw new Error(`Failed to download PDF: HTTP ${response.status}`);
+    const pages = await renderPdf(Buffer.from(await response.arrayBuffer()));
+    if (!pages.length) throw new Error('PDF has no pages');
+    return { content: pages, sourceUrl: content[0], renderedAt: new Date() };
+  }
+  return { renderedAt: new Date() };
+};
+
+module.exports = { renderText, renderPdf, renderExistingPost };
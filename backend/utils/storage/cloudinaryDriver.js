@@ -0,0 +1,57 @@
+const cloudinary = require('cloudinary').v2;
+
+const readConfig = () => {
+  if (process.env.CLOUDINARY_URL) {
+    try {
+      const url = new URL(process.env.CLOUDINARY_URL);
+      return { cloud_name: url.hostname, api_key: url.username, api_secret: url.password };
+    } catch (err) {
+      throw new Error(`Invalid CLOUDINARY_URL format: ${err.message}`);
+    }
+  }
+  if (process.env.CLOUDINARY_CLOUD_NAME && process.env.CLOUDINARY_API_KEY && process.env.CLOUDINARY_API_SECRET) {
+    return {
+      cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+      api_key: process.env.CLOUDINARY_API_KEY,
+      api_secret: process.env.CLOUDINARY_API_SECRET,
+    };
+  }
+  throw new Error('Cloudinary environment variables or CLOUDINARY_URL must be set');
+};
+
+// Cloudinary has no audio resource type; audio lives under video
+const resourceTypeFor = (kind) => (kind === 'audio' ? 'video' : kind);
+
+const createDriver = () => {
+  cloudinary.config({ ...readConfig(), secure: true });
+  return {
+    name: 'cloudinary',
+    upload: (buffer, { folder, kind, publicId, transformation, timeout = 30000 }) =>
+      new Promise((resolve, reject) => {
+        const uploadStream = cloudinary.uploader.upload_stream(
+          {
+            resource_type: resourceTypeFor(kind),
+            folder,
+            timeout,
+            ...(publicId ? { public_id: publicId } : {}),
+            ...(transformation ? { transformation } : {}),
+          },
+          (error, result) => (error ? reject(error) : resolve({ url: result.secure_url, key: result.public_id }))
+        );
+        uploadStream.end(buffer);
+      }),
+    remove: async (key, { kind }) => {
+      await cloudinary.uploader.destroy(key, { resource_type: resourceTypeFor(kind), invalidate: true });
+    },
+    // Delivery URLs look like https://res.cloudinary.com/<cloud>/<type>/upload/[<transforms>/]v<version>/<public_id>.<ext>.
+    // Raw files keep their extension in the public ID; images and videos do not.
+    keyFromUrl: (url) => {
+      const match = /^https?:\/\/res\.cloudinary\.com\/([^/]+)\/(image|video|raw)\/upload\/(?:.*?\/)?v\d+\/(.+)$/.exec(url || '');
+      if (!match || match[1] !== cloudinary.config().cloud_name) return null;
+      const publicId = decodeURIComponent(match[3].split('?')[0]);
+      return { key: match[2] === 'raw' ? publicId : publicId.replace(/\.[^./]+$/, ''), kind: match[2] };
+    },
+  };
+};
+
+module.exports = { createDriver };
@@ -0,0 +1,95 @@
+const winston = require('winston');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(winston.format.timestamp(), winston.format.json()),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/storage-error.log', level: 'error' }),
+    new winston.transports.File({ filename: 'logs/storage-combined.log' }),
+  ],
+});
+
+// Drivers are required lazily so an unused provider's SDK and credentials are never needed
+const DRIVERS = {
+  cloudinary: () => require('./cloudinaryDriver'),
+  local: () => require('./localDriver'),
+  s3: () => require('./s3Driver'),
+};
+
+const KINDS = ['image', 'video', 'audio', 'raw'];
+
+let driver = null;
+
+// Builds the driver named by STORAGE_DRIVER (default: cloudinary) and validates its configuration.
+// Called once at startup so a misconfigured provider fails fast instead of on the first upload.
+const initStorage = (name = process.env.STORAGE_DRIVER || 'cloudinary') => {
+  const factory = DRIVERS[name];
+  if (!factory) {
+    throw new Error(`Unknown STORAGE_DRIVER "${name}". Expected one of: ${Object.keys(DRIVERS).join(', ')}`);
+  }
+  driver = factory().createDriver();
+  logger.info('Storage configured', { driver: name });
+  return driver;
+};
+
+const getDriver = () => driver || initStorage();
+
+/**
+ * Stores a file and returns where clients can fetch it.
+ * @param {Buffer} buffer File contents
+ * @param {Object} options
+ * @param {string} options.folder Logical folder, e.g. 'feed' or 'gapp_cv'
+ * @param {string} [options.kind='raw'] One of image, video, audio, raw
+ * @param {string} [options.mimetype] Content type served back to clients
+ * @param {string} [options.filename] Original name, used for the extension
+ * @param {string} [options.publicId] Stable name inside the folder; generated when omitted
+ * @param {Array} [options.transformation] Provider-side transforms; drivers that cannot apply them store the file as-is
+ * @param {number} [options.timeout] Milliseconds before the upload is abandoned
+ * @returns {Promise<{ url: string, key: string }>}
+ */
+const upload = async (buffer, options = {}) => {
+  const kind = options.kind || 'raw';
+  if (!Buffer.isBuffer(buffer) || !buffer.length) throw new Error('Storage upload requires a non-empty buffer');
+  if (!KINDS.includes(kind)) throw new Error(`Invalid storage kind: ${kind}`);
+  if (!options.folder) throw new Error('Storage upload requires a folder');
+  try {
+    return await getDriver().upload(buffer, { ...options, kind });
+  } catch (err) {
+    logger.error('Storage upload failed', { folder: options.folder, kind, error: err.message });
+    throw err;
+  }
+};
+
+// Deletes a stored file by the key returned from upload(); missing files are not an error
+const remove = async (key, { kind = 'raw' } = {}) => {
+  if (!key) return;
+  try {
+    await getDriver().remove(key, { kind });
+  } catch (err) {
+    logger.error('Storage delete failed', { key, kind, error: err.message });
+    throw err;
+  }
+};
+
+/**
+ * Deletes a stored file given only the URL upload() returned, for records that kept the URL but not the key.
+ * @returns {Promise<boolean>} false when the URL does not belong to the configured driver
+ */
+const removeByUrl = async (url, { kind = 'raw' } = {}) => {
+  const located = getDriver().keyFromUrl(url);
+  if (!located) {
+    logger.warn('Storage delete skipped for unrecognised URL', { url });
+    return false;
+  }
+  await remove(located.key, { kind: located.kind || kind });
+  return true;
+};
+
+// Lets drivers that serve files themselves (local disk) mount their routes on the app
+const mount = (app) => {
+  const current = getDriver();
+  if (current.mount) current.mount(app);
+};
+
+module.exports = { initStorage, upload, remove, removeByUrl, mount };
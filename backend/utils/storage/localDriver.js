@@ -0,0 +1,90 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+
+const URL_PREFIX = '/uploads';
+
+// Keys become paths under the storage root, so only allow plain path segments
+const safeSegment = (value) => String(value).replace(/[^\w.-]+/g, '_').replace(/^\.+/, '');
+
+// Office documents are zip files inside, so the name only chooses between these
+const ZIP_EXTENSIONS = ['.docx', '.xlsx', '.pptx'];
+
+// Files are served from the API's own origin, so the extension (and with it the Content-Type
+// express.static sends) comes from the file's leading bytes, never from the uploaded name. An
+// uploaded page must not be served as .html.
+const extensionFor = (buffer, filename) => {
+  if (buffer.length < 12) return '.bin';
+  const ascii = (start, end) => buffer.toString('latin1', start, end);
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return '.jpg';
+  if (ascii(0, 8) === '\x89PNG\r\n\x1a\n') return '.png';
+  if (ascii(0, 4) === 'GIF8') return '.gif';
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return '.webp';
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WAVE') return '.wav';
+  if (ascii(4, 8) === 'ftyp') {
+    const brand = ascii(8, 12);
+    if (brand === 'M4A ') return '.m4a';
+    return brand === 'qt  ' ? '.mov' : '.mp4';
+  }
+  if (buffer.readUInt32BE(0) === 0x1a45dfa3) return '.webm';
+  if (ascii(0, 4) === 'OggS') return '.ogg';
+  if (ascii(0, 3) === 'ID3' || (buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0)) return '.mp3';
+  if (ascii(0, 5) === '%PDF-') return '.pdf';
+  if (ascii(0, 4) === 'PK\x03\x04') {
+    const ext = path.extname(filename || '').toLowerCase();
+    return ZIP_EXTENSIONS.includes(ext) ? ext : '.zip';
+  }
+  if (buffer.readUInt32BE(0) === 0xd0cf11e0) return '.doc';
+  return '.bin';
+};
+
+// Files live under STORAGE_LOCAL_DIR (default backend/uploads) and are served by this app at
+// /uploads. Returned URLs are absolute because message and post validators only accept full URLs:
+// STORAGE_PUBLIC_URL sets the origin, defaulting to http://localhost:<PORT>.
+const createDriver = () => {
+  const root = path.resolve(process.env.STORAGE_LOCAL_DIR || path.join(__dirname, '..', '..', 'uploads'));
+  const publicUrl = (process.env.STORAGE_PUBLIC_URL || `http://localhost:${process.env.PORT || 8000}`).replace(/\/+$/, '');
+  if (!/^https?:\/\/[^/\s]+/.test(publicUrl)) {
+    throw new Error('STORAGE_PUBLIC_URL must be an absolute http(s) origin for the local storage driver');
+  }
+  fs.mkdirSync(root, { recursive: true });
+
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) throw new Error('Invalid storage key');
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+    upload: async (buffer, { folder, publicId, filename }) => {
+      const base = publicId ? path.basename(publicId, path.extname(publicId)) : crypto.randomUUID();
+      const name = `${safeSegment(base)}${extensionFor(buffer, filename)}`;
+      const key = path.posix.join(...folder.split('/').map(safeSegment), name);
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+      return { url: `${publicUrl}${URL_PREFIX}/${key}`, key };
+    },
+    remove: async (key) => {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    },
+    keyFromUrl: (url) => {
+      const prefix = `${publicUrl}${URL_PREFIX}/`;
+      return url?.startsWith(prefix) ? { key: decodeURIComponent(url.slice(prefix.length).split('?')[0]) } : null;
+    },
+    mount: (app) => {
+      app.use(
+        URL_PREFIX,
+        express.static(root, {
+          maxAge: '1d',
+          fallthrough: false,
+          setHeaders: (res) => res.setHeader('X-Content-Type-Options', 'nosniff'),
+        })
+      );
+    },
+  };
+};
+
+module.exports = { createDriver };
@@ -0,0 +1,51 @@
+const path = require('path');
+const crypto = require('crypto');
+
+// Works with AWS S3 and S3-compatible services (MinIO, R2, Spaces) via S3_ENDPOINT.
+// S3_PUBLIC_URL is the base objects are read from, e.g. a CDN or the bucket's public endpoint.
+const createDriver = () => {
+  const { S3Client, PutObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+  const bucket = process.env.S3_BUCKET;
+  if (!bucket) throw new Error('S3_BUCKET must be set for the s3 storage driver');
+  const endpoint = process.env.S3_ENDPOINT;
+  const region = process.env.S3_REGION || 'us-east-1';
+  const client = new S3Client({
+    region,
+    ...(endpoint ? { endpoint } : {}),
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    ...(process.env.S3_ACCESS_KEY_ID
+      ? { credentials: { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY } }
+      : {}),
+  });
+  const publicUrl = (
+    process.env.S3_PUBLIC_URL ||
+    (endpoint ? `${endpoint.replace(/\/+$/, '')}/${bucket}` : `https://${bucket}.s3.${region}.amazonaws.com`)
+  ).replace(/\/+$/, '');
+
+  return {
+    name: 's3',
+    upload: async (buffer, { folder, publicId, filename, mimetype, timeout = 30000 }) => {
+      const ext = path.extname(filename || '').toLowerCase();
+      const key = `${folder.replace(/^\/+|\/+$/g, '')}/${publicId || crypto.randomUUID()}${publicId && path.extname(publicId) ? '' : ext}`;
+      await client.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          Body: buffer,
+          ContentType: mimetype || 'application/octet-stream',
+        }),
+        { abortSignal: AbortSignal.timeout(timeout) }
+      );
+      return { url: `${publicUrl}/${key.split('/').map(encodeURIComponent).join('/')}`, key };
+    },
+    remove: async (key) => {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+    keyFromUrl: (url) => {
+      if (!url?.startsWith(`${publicUrl}/`)) return null;
+      return { key: url.slice(publicUrl.length + 1).split('?')[0].split('/').map(decodeURIComponent).join('/') };
+    },
+  };
+};
+
+module.exports = { createDriver };
@@ -0,0 +1,44 @@
+// #hashtag and @username parsing for captions and comments. Pure functions of the text, so the
+// same caption always yields the same tags.
+
+const MAX_HASHTAGS = 30;
+const MAX_MENTIONS = 20;
+// A tag is letters, digits and underscores in any script; it must start at a word boundary so
+// URL fragments like page#section are not picked up
+const HASHTAG_PATTERN = /(^|[^\p{L}\p{N}_&/])#([\p{L}\p{N}_]{1,50})/gu;
+// Usernames are free-form (3-20 characters); only the ones without spaces or punctuation other
+// than . _ - can be mentioned. Emails (name@host) are skipped by the boundary check
+const MENTION_PATTERN = /(^|[^\p{L}\p{N}_.@])@([\w.-]{3,20})(?![\w-])/gu;
+
+const collect = (text, pattern, limit, normalize) => {
+  const found = new Set();
+  for (const match of String(text || '').matchAll(pattern)) {
+    found.add(normalize(match[2]));
+    if (found.size >= limit) break;
+  }
+  return [...found];
+};
+
+/**
+ * Hashtags in the text, lowercased and without the '#', in first-seen order.
+ * @param {string} text
+ * @returns {string[]}
+ */
+const extractHashtags = (text) => collect(text, HASHTAG_PATTERN, MAX_HASHTAGS, (tag) => tag.toLowerCase());
+
+/**
+ * Mentioned usernames as written (usernames are case-sensitive), without the '@'.
+ * Trailing dots are dropped so "thanks @amy." mentions amy.
+ * @param {string} text
+ * @returns {string[]}
+ */
+const extractMentions = (text) => collect(text, MENTION_PATTERN, MAX_MENTIONS, (name) => name.replace(/\.+$/, ''))
+  .filter((name) => name.length >= 3);
+
+// Normalizes a tag typed by a client ("#Travel", "travel") to the stored form; null when invalid
+const normalizeHashtag = (value) => {
+  const tag = String(value || '').trim().replace(/^#/, '').toLowerCase();
+  return /^[\p{L}\p{N}_]{1,50}$/u.test(tag) ? tag : null;
+};
+
+module.exports = { extractHashtags, extractMentions, normalizeHashtag };
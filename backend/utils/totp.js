@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+
+// Time-based one-time passwords (RFC 6238) as used by Google Authenticator, Authy, 1Password and
+// the like: HMAC-SHA1, 6 digits, 30-second steps, secrets shared as base32.
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+// Accepts the lowercase, spaced or padded forms people type in from an authenticator app
+const base32Decode = (input) => {
+  const cleaned = String(input).toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 secret');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+// 160 bits, the key length RFC 4226 recommends for HMAC-SHA1
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const hotp = (key, counter) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const digest = crypto.createHmac('sha1', key).update(message).digest();
+  const offset = digest[digest.length - 1] & 15;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS);
+
+/**
+ * Checks a code against the secret, allowing `window` steps of clock drift either way.
+ * @param {Object} [options]
+ * @param {?number} [options.after] The step of the last accepted code; codes at or before it are
+ *   rejected so an observed code can't be replayed
+ * @returns {number|null} The time step the code belongs to, or null when it doesn't match. Store
+ *   the step and pass it as `after` next time.
+ */
+const verifyCode = (secret, code, { window = 1, now = Date.now(), after = null } = {}) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+  const key = base32Decode(secret);
+  const step = currentStep(now);
+  for (let offset = -window; offset <= window; offset++) {
+    if (after !== null && step + offset <= after) continue;
+    const candidate = Buffer.from(hotp(key, step + offset));
+    if (crypto.timingSafeEqual(candidate, Buffer.from(normalized))) {
+      return step + offset;
+    }
+  }
+  return null;
+};
+
+// The otpauth:// URI authenticator apps read from a QR code
+const keyUri = ({ secret, account, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  generateSecret,
+  verifyCode,
+  keyUri,
+  currentStep,
+  base32Encode,
+  base32Decode,
+};
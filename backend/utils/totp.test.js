@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { verifyCode, currentStep, keyUri, base32Encode, base32Decode } = require('./totp');
+
+// The SHA1 seed from RFC 6238 appendix B, "12345678901234567890" in base32
+const SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+// The RFC lists 8-digit codes; a 6-digit code is the same value mod 10^6, so only the last 6 digits
+const RFC_VECTORS = [
+  { seconds: 59, code: '287082' },
+  { seconds: 1111111109, code: '081804' },
+  { seconds: 1111111111, code: '050471' },
+  { seconds: 1234567890, code: '005924' },
+  { seconds: 2000000000, code: '279037' },
+  { seconds: 20000000000, code: '353130' },
+];
+
+const NOW = 1111111111 * 1000;
+const STEP_MS = 30 * 1000;
+
+test('base32 round-trips the RFC seed', () => {
+  assert.equal(base32Encode(Buffer.from('12345678901234567890')), SECRET);
+  assert.equal(base32Decode(SECRET).toString(), '12345678901234567890');
+  assert.equal(base32Decode('gezd gnbv gy3t qojq gezd gnbv gy3t qojq====').toString(), '12345678901234567890');
+});
+
+test('verifyCode accepts the RFC 6238 test vectors at their times', () => {
+  for (const { seconds, code } of RFC_VECTORS) {
+    const now = seconds * 1000;
+    assert.equal(verifyCode(SECRET, code, { window: 0, now }), currentStep(now), `T=${seconds}`);
+  }
+});
+
+test('verifyCode rejects codes from other times and malformed input', () => {
+  assert.equal(verifyCode(SECRET, '287082', { now: NOW }), null);
+  assert.equal(verifyCode(SECRET, '05047', { now: NOW }), null);
+  assert.equal(verifyCode(SECRET, '0504710', { now: NOW }), null);
+  assert.equal(verifyCode(SECRET, 'abcdef', { now: NOW }), null);
+  assert.equal(verifyCode(SECRET, '', { now: NOW }), null);
+});
+
+test('verifyCode ignores spaces people type between the digits', () => {
+  assert.equal(verifyCode(SECRET, '050 471', { window: 0, now: NOW }), currentStep(NOW));
+});
+
+test('verifyCode allows one step of clock drift either way by default', () => {
+  const step = currentStep(NOW);
+  assert.equal(verifyCode(SECRET, '050471', { now: NOW - STEP_MS }), step);
+  assert.equal(verifyCode(SECRET, '050471', { now: NOW + STEP_MS }), step);
+  assert.equal(verifyCode(SECRET, '050471', { now: NOW - 2 * STEP_MS }), null);
+  assert.equal(verifyCode(SECRET, '050471', { now: NOW + 2 * STEP_MS }), null);
+  assert.equal(verifyCode(SECRET, '050471', { window: 2, now: NOW + 2 * STEP_MS }), step);
+});
+
+test('verifyCode rejects a code whose step was already used', () => {
+  const step = verifyCode(SECRET, '050471', { now: NOW });
+  assert.equal(verifyCode(SECRET, '050471', { now: NOW, after: step }), null);
+  assert.equal(verifyCode(SECRET, '050471', { now: NOW + STEP_MS, after: step }), null);
+  assert.equal(verifyCode(SECRET, '050471', { now: NOW, after: step - 1 }), step);
+});
+
+test('verifyCode rejects older codes still inside the drift window after a newer one was used', () => {
+  const previous = verifyCode(SECRET, '081804', { now: NOW });
+  assert.equal(previous, currentStep(NOW) - 1);
+  assert.equal(verifyCode(SECRET, '081804', { now: NOW, after: currentStep(NOW) }), null);
+});
+
+test('keyUri carries the secret and the issuer for authenticator apps', () => {
+  const uri = new URL(keyUri({ secret: SECRET, account: 'ada@example.com', issuer: 'Chat' }));
+  assert.equal(uri.protocol, 'otpauth:');
+  assert.equal(uri.searchParams.get('secret'), SECRET);
+  assert.equal(uri.searchParams.get('issuer'), 'Chat');
+});
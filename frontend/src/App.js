@@ -12,9 +12,13 @@ import EmployerScreen from './screens/EmployerScreen';
 import FeedScreen from './screens/FeedScreen';
 import ChatScreen from './screens/ChatScreen';
 import ProfileScreen from './screens/ProfileScreen';
+import ResetPasswordScreen from './screens/ResetPasswordScreen';
+import VerifyEmailScreen from './screens/VerifyEmailScreen';
 import CountrySelector from './components/CountrySelector';
 import { setAuth, clearAuth, setSelectedChat } from './store';
 import { replaceMessage, updateMessageStatus } from './store';
+import { loadPrivateKey, loadKeyRing, ensureDevice } from './keys';
+import { refreshSession } from './session';
 
 const BASE_URL = 'https://gapp-6yc3.onrender.com';
 
@@ -203,13 +207,12 @@ const [isEmployerView, setIsEmployerView] = useState(role === 1);
       const storedPhoto = localStorage.getItem('photo');
       const storedVirtualNumber = localStorage.getItem('virtualNumber');
       const storedUsername = localStorage.getItem('username');
-      const storedPrivateKey = localStorage.getItem('privateKey');
 
       if (storedToken && storedUserId) {
         const expTime = getTokenExpiration(storedToken);
         if (expTime && expTime < Date.now()) {
           console.warn('Stored token is expired, attempting refresh');
-          const newToken = await refreshToken(storedToken, storedUserId);
+          const newToken = await refreshToken(storedUserId);
           if (!newToken) {
             clearLocalStorage();
             dispatch(clearAuth());
@@ -218,8 +221,23 @@ const [isEmployerView, setIsEmployerView] = useState(role === 1);
             return;
           }
         } else {
+          const keyRing = await loadKeyRing(storedUserId);
+          let storedPrivateKey = keyRing?.privateKey || null;
+          let sessionToken = storedToken;
+          if (!keyRing?.deviceId) {
+            try {
+              const device = await ensureDevice({ userId: storedUserId, token: storedToken });
+              storedPrivateKey = device.keyRing.privateKey;
+              if (device.token) {
+                sessionToken = device.token;
+                localStorage.setItem('token', device.token);
+              }
+            } catch (err) {
+              console.error('Device setup failed:', err.message);
+            }
+          }
           dispatch(setAuth({
-            token: storedToken,
+            token: sessionToken,
             userId: storedUserId,
             role: Number(storedRole) || 0,
             photo: storedPhoto || 'https://via.placeholder.com/64',
@@ -257,6 +275,7 @@ const [isEmployerView, setIsEmployerView] = useState(role === 1);
           { userId },
           {
             headers: { Authorization: `Bearer ${token}` },
+            withCredentials: true,
             timeout: 5000,
           }
         );
@@ -282,24 +301,18 @@ const [isEmployerView, setIsEmployerView] = useState(role === 1);
 
 
 
-  const refreshToken = useCallback(async (currentToken, currentUserId) => {
+  const refreshToken = useCallback(async (currentUserId) => {
   for (let attempt = 1; attempt <= 3; attempt++) {
     try {
       if (!navigator.onLine) {
         throw new Error('Offline: Cannot refresh token');
       }
-      if (!currentToken || !currentUserId) {
-        throw new Error('Missing token or userId');
+      if (!currentUserId) {
+        throw new Error('Missing userId');
       }
-      const response = await axios.post(
-        `${BASE_URL}/auth/refresh`,
-        { userId: currentUserId },
-        {
-          headers: { Authorization: `Bearer ${currentToken}` },
-          timeout: 10000, // Increased timeout
-        }
-      );
-      const { token: newToken, userId: newUserId, role: newRole, virtualNumber, username, photo, privateKey } = response.data;
+      // The refresh cookie, not the current access token, authenticates this request
+      const { token: newToken, userId: newUserId, role: newRole, virtualNumber, username, photo } = await refreshSession(currentUserId);
+      const privateKey = await loadPrivateKey(newUserId);
       dispatch(setAuth({
         token: newToken,
         userId: newUserId,
@@ -309,13 +322,6 @@ const [isEmployerView, setIsEmployerView] = useState(role === 1);
         username: username || null,
         privateKey: privateKey || null,
       }));
-      localStorage.setItem('token', newToken);
-      localStorage.setItem('userId', newUserId);
-      localStorage.setItem('role', newRole || '0');
-      localStorage.setItem('photo', photo || 'https://via.placeholder.com/64');
-      localStorage.setItem('virtualNumber', virtualNumber || '');
-      localStorage.setItem('username', username || '');
-      localStorage.setItem('privateKey', privateKey || '');
       console.log('Token refresh successful:', { userId: newUserId, role: newRole });
       return newToken;
     } catch (error) {
@@ -367,7 +373,7 @@ const connectSocket = (attempt = 0) => {
   const connect = async () => {
     const expTime = getTokenExpiration(token);
     if (expTime && expTime < Date.now() + 60 * 1000) {
-      const newToken = await refreshToken(token, userId);
+      const newToken = await refreshToken(userId);
       if (!newToken) {
         setError('Authentication error, please try again later');
         await handleLogout();
@@ -376,7 +382,8 @@ const connectSocket = (attempt = 0) => {
     }
 
     const newSocket = io(BASE_URL, {
-      auth: { token, userId },
+      // Read on every reconnect, so a socket outlives the short-lived access token it started with
+      auth: (cb) => cb({ token: localStorage.getItem('token') || token, userId }),
       transports: ['websocket', 'polling'],
       reconnection: true,
       reconnectionAttempts: maxReconnectAttempts,
@@ -404,7 +411,7 @@ const connectSocket = (attempt = 0) => {
         const sendMessageWithRetry = async (messageData, attempt = 1) => {
           newSocket.emit('message', {
             senderId: messageData.senderId,
-            recipientId: messageData.recipientId,
+            ...(messageData.groupId ? { groupId: messageData.groupId } : { recipientId: messageData.recipientId }),
             content: messageData.content || '',
             contentType: messageData.contentType || 'text',
             clientMessageId: messageData.clientMessageId,
@@ -415,7 +422,7 @@ const connectSocket = (attempt = 0) => {
             if (ack?.error) {
               console.error(`Failed to send queued message (attempt ${attempt}): ${ack.error}`);
               if (ack.error.includes('Unauthorized') && attempt < 3) {
-                const newToken = await refreshToken(token, userId);
+                const newToken = await refreshToken(userId);
                 if (!newToken) {
                   setError('Authentication error, please try again later');
                   await handleLogout();
@@ -424,19 +431,19 @@ const connectSocket = (attempt = 0) => {
                 setTimeout(() => sendMessageWithRetry(messageData, attempt + 1), 1000 * attempt);
               } else {
                 dispatch(updateMessageStatus({ 
-                  recipientId: messageData.recipientId, 
+                  recipientId: messageData.groupId || messageData.recipientId, 
                   messageId: messageData.clientMessageId, 
                   status: 'failed' 
                 }));
               }
             } else {
               dispatch(replaceMessage({ 
-                recipientId: messageData.recipientId, 
+                recipientId: messageData.groupId || messageData.recipientId, 
                 message: { ...ack.message, plaintextContent: messageData.plaintextContent }, 
                 replaceId: messageData.clientMessageId 
               }));
               dispatch(updateMessageStatus({ 
-                recipientId: messageData.recipientId, 
+                recipientId: messageData.groupId || messageData.recipientId, 
                 messageId: ack.message._id, 
                 status: 'sent' 
               }));
@@ -464,9 +471,10 @@ const connectSocket = (attempt = 0) => {
     const handleConnectError = async (error) => {
       console.error('Socket connect error:', error.message);
       logClientError('Socket connect error', error, userId);
-      if (error.message.includes('invalid token') || error.message.includes('No token provided')) {
+      // Access tokens expire after 15 minutes, so an expired or revoked one is the usual cause
+      if (/invalid token|blacklisted/i.test(error.message) || error.message.includes('No token provided')) {
         setError('Session expired. Attempting to reconnect...');
-        const newToken = await refreshToken(token, userId);
+        const newToken = await refreshToken(userId);
         if (!newToken) {
           setError('Authentication error, please try again later');
           await handleLogout();
@@ -504,7 +512,8 @@ const connectSocket = (attempt = 0) => {
         console.warn('Invalid message payload:', msg);
         return;
       }
-      if (msg.recipientId === userId && (!selectedChat || selectedChat !== msg.senderId)) {
+      // Messages from muted senders still arrive but don't count towards the badge
+      if (msg.recipientId === userId && !msg.muted && (!selectedChat || selectedChat !== msg.senderId)) {
         setChatNotifications((prev) => prev + 1);
       }
     };
@@ -528,12 +537,20 @@ const connectSocket = (attempt = 0) => {
       dispatch(setChatList(users));
     };
 
+    // This session was signed out from another device, or its refresh token was replayed
+    const handleSessionRevoked = async ({ reason } = {}) => {
+      console.warn('Session revoked:', reason);
+      setError('You were signed out of this session.');
+      await handleLogout();
+    };
+
     newSocket.on('connect', handleConnect);
     newSocket.on('connect_error', handleConnectError);
     newSocket.on('disconnect', handleDisconnect);
     newSocket.on('message', handleMessage);
     newSocket.on('newContact', handleNewContact);
     newSocket.on('chatListUpdated', handleChatListUpdated);
+    newSocket.on('sessionRevoked', handleSessionRevoked);
 
     const handleOnline = () => {
       if (!socketRef.current || !socketRef.current.connected) {
@@ -563,6 +580,7 @@ const connectSocket = (attempt = 0) => {
       newSocket.off('message', handleMessage);
       newSocket.off('newContact', handleNewContact);
       newSocket.off('chatListUpdated', handleChatListUpdated);
+      newSocket.off('sessionRevoked', handleSessionRevoked);
       newSocket.disconnect();
       window.removeEventListener('online', handleOnline);
       window.removeEventListener('offline', handleOffline);
@@ -602,7 +620,7 @@ const connectSocket = (attempt = 0) => {
       try {
         const expTime = getTokenExpiration(token);
         if (expTime && expTime - Date.now() < 5 * 60 * 1000) {
-          const newToken = await refreshToken(token, userId);
+          const newToken = await refreshToken(userId);
           if (!newToken) {
             setError('Authentication error, please try again later');
             await handleLogout();
@@ -648,6 +666,9 @@ const connectSocket = (attempt = 0) => {
         </div>
       ) : (
         <Routes>
+          {/* Email links open here whether or not this browser is logged in */}
+          <Route path="/reset-password" element={<ResetPasswordScreen />} />
+          <Route path="/verify-email" element={<VerifyEmailScreen />} />
           {token && userId ? (
             <Route
               path="*"
@@ -0,0 +1,188 @@
+import axios from 'axios';
+import { getMessages, saveMessages } from './db';
+import { decryptWithKeyRing, loadKeyRing } from './keys';
+
+const BASE_URL = 'https://gapp-6yc3.onrender.com';
+const ARCHIVE_FORMAT = 'gapp-chat-archive';
+const ARCHIVE_VERSION = 1;
+const PAGE_SIZE = 100;
+const MAX_INLINE_MEDIA_BYTES = 25 * 1024 * 1024; // Larger files are kept as links only
+
+const isValidObjectId = (id) => /^[0-9a-fA-F]{24}$/.test(id);
+
+// Pages arrive newest first, each in chronological order, so every page goes in front of the last
+const fetchAllMessages = async ({ token, userId, chatId, isGroup }) => {
+  let messages = [];
+  let cursor = null;
+  do {
+    const { data } = await axios.get(`${BASE_URL}/social/messages`, {
+      headers: { Authorization: `Bearer ${token}` },
+      params: { ...(isGroup ? { groupId: chatId } : { recipientId: chatId }), userId, limit: PAGE_SIZE, ...(cursor ? { cursor } : {}) },
+      timeout: 15000,
+    });
+    if (!Array.isArray(data.messages)) {
+      throw new Error('Invalid messages data: not an array');
+    }
+    messages = [...data.messages, ...messages];
+    cursor = data.nextCursor;
+  } while (cursor);
+  return messages;
+};
+
+const blobToDataUrl = (blob) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+
+const downloadMedia = async (url) => {
+  try {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const blob = await response.blob();
+    if (blob.size > MAX_INLINE_MEDIA_BYTES) return null;
+    return { mimeType: blob.type, size: blob.size, dataUrl: await blobToDataUrl(blob) };
+  } catch (err) {
+    console.warn(`Failed to download media ${url}: ${err.message}`);
+    return null;
+  }
+};
+
+// Builds a portable JSON archive of one conversation: decrypted text, sender metadata and media
+// links (or the media itself when includeMedia is set). Server history is merged with the local
+// cache so messages this device already decrypted survive even if their keys are gone.
+export const exportChatArchive = async ({ token, userId, username, chat, includeMedia = false, onProgress = () => {} }) => {
+  const keyRing = await loadKeyRing(userId);
+  onProgress('Fetching messages');
+  const [serverMessages, localMessages] = await Promise.all([
+    fetchAllMessages({ token, userId, chatId: chat.id, isGroup: !!chat.isGroup }),
+    getMessages(chat.id),
+  ]);
+  const localById = new Map(localMessages.map((msg) => [msg._id, msg]));
+  const merged = new Map(localById);
+  serverMessages.forEach((msg) => merged.set(msg._id, { ...localById.get(msg._id), ...msg }));
+
+  const sorted = [...merged.values()].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  const messages = [];
+  for (const [index, msg] of sorted.entries()) {
+    onProgress(`Preparing message ${index + 1} of ${sorted.length}`);
+    let text = null;
+    if (msg.contentType === 'text') {
+      text = localById.get(msg._id)?.plaintextContent || null;
+      if (!text && msg.content && keyRing) {
+        try {
+          text = decryptWithKeyRing(msg.content, keyRing, userId);
+        } catch (err) {
+          console.warn(`Failed to decrypt message ${msg._id} for export: ${err.message}`);
+        }
+      }
+    } else if (msg.contentType === 'system') {
+      text = msg.content;
+    }
+    const isMedia = ['image', 'video', 'audio', 'document'].includes(msg.contentType);
+    messages.push({
+      _id: msg._id,
+      clientMessageId: msg.clientMessageId,
+      senderId: msg.senderId,
+      senderUsername: msg.senderUsername || null,
+      senderVirtualNumber: msg.senderVirtualNumber || null,
+      senderPhoto: msg.senderPhoto || null,
+      recipientId: msg.recipientId || null,
+      groupId: msg.groupId || null,
+      contentType: msg.contentType,
+      text,
+      caption: msg.caption || null,
+      originalFilename: msg.originalFilename || null,
+      duration: msg.duration ?? null,
+      waveform: msg.waveform || null,
+      preview: msg.media || null,
+      mediaUrl: isMedia ? msg.content : null,
+      media: isMedia && includeMedia && msg.content ? await downloadMedia(msg.content) : null,
+      replyTo: msg.replyTo || null,
+      reactions: msg.reactions || [],
+      status: msg.status,
+      createdAt: msg.createdAt,
+      updatedAt: msg.updatedAt || null,
+      expiresAt: msg.expiresAt || null,
+    });
+  }
+
+  const archive = {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    exportedAt: new Date().toISOString(),
+    exportedBy: { userId, username },
+    chat: {
+      id: chat.id,
+      isGroup: !!chat.isGroup,
+      name: chat.username,
+      virtualNumber: chat.virtualNumber || null,
+      members: chat.isGroup ? chat.members || [] : undefined,
+    },
+    messages,
+  };
+  const blob = new Blob([JSON.stringify(archive, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `gapp-chat-${(chat.username || chat.id).replace(/[^\w-]+/g, '_')}-${new Date().toISOString().slice(0, 10)}.json`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+  return { count: messages.length };
+};
+
+// Restores an archive into this device's IndexedDB and returns the messages ready for the store.
+// Archives belong to the account that exported them; already-expired messages are skipped.
+export const importChatArchive = async (file, userId) => {
+  const archive = JSON.parse(await file.text());
+  if (archive?.format !== ARCHIVE_FORMAT || archive.version !== ARCHIVE_VERSION) {
+    throw new Error('Not a chat archive or unsupported archive version');
+  }
+  if (archive.exportedBy?.userId !== userId) {
+    throw new Error('This archive was exported from a different account');
+  }
+  const chatId = archive.chat?.id;
+  if (!isValidObjectId(chatId) || !Array.isArray(archive.messages)) {
+    throw new Error('Archive is missing its conversation data');
+  }
+
+  const now = Date.now();
+  const messages = archive.messages
+    .filter((msg) => isValidObjectId(msg._id) && isValidObjectId(msg.senderId))
+    .filter((msg) => !msg.expiresAt || new Date(msg.expiresAt).getTime() > now)
+    .map((msg) => ({
+      _id: msg._id,
+      clientMessageId: msg.clientMessageId || msg._id,
+      senderId: msg.senderId,
+      senderUsername: msg.senderUsername || undefined,
+      senderVirtualNumber: msg.senderVirtualNumber || undefined,
+      senderPhoto: msg.senderPhoto || undefined,
+      recipientId: msg.recipientId || null,
+      groupId: msg.groupId || null,
+      chatId,
+      contentType: msg.contentType,
+      // Ciphertext is not archived, so text lives only as the decrypted copy
+      content: msg.contentType === 'system' ? msg.text || '' : msg.media?.dataUrl || msg.mediaUrl || '',
+      plaintextContent: msg.contentType === 'text' ? msg.text || '' : '',
+      caption: msg.caption || undefined,
+      originalFilename: msg.originalFilename || undefined,
+      duration: msg.duration ?? undefined,
+      waveform: Array.isArray(msg.waveform) ? msg.waveform : undefined,
+      media: msg.preview || undefined,
+      replyTo: msg.replyTo || null,
+      reactions: Array.isArray(msg.reactions) ? msg.reactions : [],
+      status: msg.status || 'read',
+      createdAt: msg.createdAt,
+      updatedAt: msg.updatedAt || undefined,
+      expiresAt: msg.expiresAt || null,
+    }));
+
+  if (messages.length) {
+    await saveMessages(messages);
+  }
+  return { chatId, chat: archive.chat, messages };
+};
@@ -1,15 +1,66 @@
 import React from 'react';
 import { motion } from 'framer-motion';
+import { ProgressiveImage, previewSource } from './MediaPreview';
 
-const ChatBubble = ({ message, isSender }) => (
+// Groups reactions by emoji in first-reacted order: [{ emoji, count, mine }]
+const countReactions = (reactions = [], userId) =>
+  reactions.reduce((acc, { emoji, userId: reactorId }) => {
+    const entry = acc.find((item) => item.emoji === emoji);
+    if (entry) {
+      entry.count += 1;
+      entry.mine = entry.mine || reactorId === userId;
+    } else {
+      acc.push({ emoji, count: 1, mine: reactorId === userId });
+    }
+    return acc;
+  }, []);
+
+export const ReactionCounts = ({ reactions, userId, onToggle }) => {
+  const counts = countReactions(reactions, userId);
+  if (!counts.length) return null;
+  return (
+    <div className="flex flex-wrap gap-1 mt-1">
+      {counts.map(({ emoji, count, mine }) => (
+        <button
+          key={emoji}
+          type="button"
+          onClick={(e) => {
+            e.stopPropagation();
+            if (onToggle) onToggle(emoji, mine);
+          }}
+          className={`text-xs px-1.5 py-0.5 rounded-full border ${
+            mine ? 'bg-blue-100 border-blue-400 text-blue-800' : 'bg-white border-gray-300 text-gray-800 dark:bg-gray-800 dark:border-gray-600 dark:text-gray-200'
+          }`}
+        >
+          {emoji} {count}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+const ChatBubble = ({ message, isSender, userId, onToggleReaction }) => (
   <motion.div
     initial={{ y: 20, opacity: 0 }}
     animate={{ y: 0, opacity: 1 }}
     className={`p-3 rounded-lg mb-2 ${isSender ? 'bg-primary text-white self-end' : 'bg-gray-200 text-gray-800 self-start'}`}
     style={{ maxWidth: '70%' }}
   >
-    <p>{message.content}</p>
+    {message.contentType === 'image' ? (
+      <ProgressiveImage src={message.content} media={message.media} alt="media" className="max-w-full h-auto rounded" />
+    ) : message.contentType === 'video' ? (
+      <video
+        src={message.content}
+        poster={message.media?.posterUrl || previewSource(message.media) || undefined}
+        preload={message.media ? 'none' : 'metadata'}
+        controls
+        className="max-w-full h-auto rounded"
+      />
+    ) : (
+      <p>{message.content}</p>
+    )}
+    <ReactionCounts reactions={message.reactions} userId={userId} onToggle={onToggleReaction} />
   </motion.div>
 );
 
-export default ChatBubble;
\ No newline at end of file
+export default ChatBubble;
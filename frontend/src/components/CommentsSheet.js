@@ -0,0 +1,348 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import axios from 'axios';
+import { motion } from 'framer-motion';
+import { FaHeart, FaPaperPlane, FaTimes } from 'react-icons/fa';
+import { formatDistanceToNow } from 'date-fns';
+import RichText from './RichText';
+
+const BASE_URL = 'https://gapp-6yc3.onrender.com';
+const MAX_COMMENT_LENGTH = 500;
+
+const timeAgo = (date) => {
+  try {
+    return formatDistanceToNow(new Date(date), { addSuffix: true });
+  } catch (err) {
+    return '';
+  }
+};
+
+// Adds comments to a list without duplicates; `prepend` puts them first (new top-level comments)
+const mergeComments = (list, incoming, prepend = false) => {
+  const ids = new Set(list.map((item) => item._id));
+  const fresh = incoming.filter((item) => !ids.has(item._id));
+  return prepend ? [...fresh, ...list] : [...list, ...fresh];
+};
+
+// Bottom sheet with a post's comment threads. Top-level comments load newest first and replies oldest
+// first, a page at a time; changes from other clients arrive as commentEvent on postUpdate.
+// `onReport` opens the parent's report dialog for someone else's comment
+const CommentsSheet = ({ postId, postOwnerId, userId, token, socket, onClose, onHashtag, onMention, onReport }) => {
+  const [comments, setComments] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [replies, setReplies] = useState({}); // parentId -> { items, nextCursor, open }
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [text, setText] = useState('');
+  const [replyTo, setReplyTo] = useState(null);
+  const [editing, setEditing] = useState(null); // { _id, text }
+  const seenIds = useRef(new Set());
+  const headers = { Authorization: `Bearer ${token}` };
+
+  const fetchComments = useCallback(async (cursor = null) => {
+    setLoading(true);
+    try {
+      const { data } = await axios.get(`${BASE_URL}/feed/${postId}/comments`, {
+        headers: { Authorization: `Bearer ${token}` },
+        params: cursor ? { cursor } : {},
+        timeout: 5000,
+      });
+      data.comments.forEach((item) => seenIds.current.add(item._id));
+      setComments((prev) => (cursor ? mergeComments(prev, data.comments) : data.comments));
+      setNextCursor(data.nextCursor || null);
+      setError('');
+    } catch (err) {
+      console.error('Fetch comments error:', err.message);
+      setError('Failed to load comments');
+    } finally {
+      setLoading(false);
+    }
+  }, [postId, token]);
+
+  const fetchReplies = useCallback(async (parentId, cursor = null) => {
+    try {
+      const { data } = await axios.get(`${BASE_URL}/feed/${postId}/comments`, {
+        headers: { Authorization: `Bearer ${token}` },
+        params: { parentId, ...(cursor ? { cursor } : {}) },
+        timeout: 5000,
+      });
+      data.comments.forEach((item) => seenIds.current.add(item._id));
+      setReplies((prev) => ({
+        ...prev,
+        [parentId]: {
+          items: mergeComments(cursor ? prev[parentId]?.items || [] : [], data.comments),
+          nextCursor: data.nextCursor || null,
+          open: true,
+        },
+      }));
+    } catch (err) {
+      console.error('Fetch replies error:', err.message);
+      setError('Failed to load replies');
+    }
+  }, [postId, token]);
+
+  useEffect(() => {
+    fetchComments();
+  }, [fetchComments]);
+
+  // Applies a change to whichever list holds the comment
+  const updateComment = useCallback((commentId, update) => {
+    setComments((prev) => prev.map((item) => (item._id === commentId ? { ...item, ...update(item) } : item)));
+    setReplies((prev) => Object.fromEntries(Object.entries(prev).map(([parentId, thread]) => [
+      parentId,
+      { ...thread, items: thread.items.map((item) => (item._id === commentId ? { ...item, ...update(item) } : item)) },
+    ])));
+  }, []);
+
+  const addComment = useCallback((comment) => {
+    // The author's own comment comes back both in the response and as a socket event
+    if (seenIds.current.has(comment._id)) return;
+    seenIds.current.add(comment._id);
+    if (comment.parentId) {
+      setReplies((prev) => {
+        const thread = prev[comment.parentId];
+        // Closed threads only need their count bumped; the reply shows when the thread is opened
+        if (!thread?.open) return prev;
+        return { ...prev, [comment.parentId]: { ...thread, items: mergeComments(thread.items, [comment]) } };
+      });
+      setComments((prev) => prev.map((item) => (
+        item._id === comment.parentId ? { ...item, replyCount: item.replyCount + 1 } : item
+      )));
+    } else {
+      setComments((prev) => mergeComments(prev, [comment], true));
+    }
+  }, []);
+
+  const removeComment = useCallback((commentId, parentId) => {
+    if (parentId) {
+      setReplies((prev) => (prev[parentId]
+        ? { ...prev, [parentId]: { ...prev[parentId], items: prev[parentId].items.filter((item) => item._id !== commentId) } }
+        : prev));
+      setComments((prev) => prev.map((item) => (
+        item._id === parentId ? { ...item, replyCount: Math.max(0, item.replyCount - 1) } : item
+      )));
+    } else {
+      setComments((prev) => prev.filter((item) => item._id !== commentId));
+      setReplies((prev) => {
+        const { [commentId]: removed, ...rest } = prev;
+        return rest;
+      });
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!socket) return undefined;
+    const handlePostUpdate = ({ _id, commentEvent }) => {
+      if (_id !== postId || !commentEvent) return;
+      if (commentEvent.action === 'created') addComment(commentEvent.comment);
+      else if (commentEvent.action === 'edited') {
+        const { comment, edited, editedAt } = commentEvent.comment;
+        updateComment(commentEvent.comment._id, () => ({ comment, edited, editedAt }));
+      } else if (commentEvent.action === 'deleted') removeComment(commentEvent.commentId, commentEvent.parentId);
+      else if (commentEvent.action === 'liked') updateComment(commentEvent.commentId, () => ({ likes: commentEvent.likes }));
+    };
+    socket.on('postUpdate', handlePostUpdate);
+    return () => socket.off('postUpdate', handlePostUpdate);
+  }, [socket, postId, addComment, updateComment, removeComment]);
+
+  const submit = async () => {
+    const trimmed = text.trim();
+    if (!trimmed || !token) return;
+    try {
+      const { data } = await axios.post(
+        `${BASE_URL}/feed/comment`,
+        { postId, userId, comment: trimmed, ...(replyTo ? { parentId: replyTo._id } : {}) },
+        { headers, timeout: 5000 }
+      );
+      addComment(data);
+      if (data.parentId && !replies[data.parentId]?.open) fetchReplies(data.parentId);
+      setText('');
+      setReplyTo(null);
+      setError('');
+    } catch (err) {
+      console.error('Comment error:', err.message);
+      setError(err.response?.data?.error || 'Failed to comment');
+    }
+  };
+
+  const saveEdit = async () => {
+    const trimmed = editing?.text.trim();
+    if (!trimmed) return;
+    try {
+      const { data } = await axios.patch(`${BASE_URL}/feed/comments/${editing._id}`, { comment: trimmed }, { headers, timeout: 5000 });
+      updateComment(data._id, () => ({ comment: data.comment, edited: data.edited, editedAt: data.editedAt }));
+      setEditing(null);
+    } catch (err) {
+      console.error('Edit comment error:', err.message);
+      setError(err.response?.data?.error || 'Failed to edit comment');
+    }
+  };
+
+  const deleteComment = async (comment) => {
+    if (!window.confirm(comment.parentId ? 'Delete this reply?' : 'Delete this comment and its replies?')) return;
+    try {
+      await axios.delete(`${BASE_URL}/feed/comments/${comment._id}`, { headers, timeout: 5000 });
+      removeComment(comment._id, comment.parentId);
+    } catch (err) {
+      console.error('Delete comment error:', err.message);
+      setError(err.response?.data?.error || 'Failed to delete comment');
+    }
+  };
+
+  const toggleLike = async (comment) => {
+    const liked = !comment.liked;
+    updateComment(comment._id, (item) => ({ liked, likes: Math.max(0, item.likes + (liked ? 1 : -1)) }));
+    try {
+      const { data } = await axios({
+        method: liked ? 'post' : 'delete',
+        url: `${BASE_URL}/feed/comments/${comment._id}/like`,
+        headers,
+        timeout: 5000,
+      });
+      updateComment(comment._id, () => ({ liked: data.liked, likes: data.likes }));
+    } catch (err) {
+      console.error('Comment like error:', err.message);
+      updateComment(comment._id, () => ({ liked: comment.liked, likes: comment.likes }));
+    }
+  };
+
+  const renderComment = (comment) => {
+    const isAuthor = comment.userId === userId;
+    const canDelete = isAuthor || postOwnerId === userId;
+    const thread = replies[comment._id];
+    return (
+      <div key={comment._id} className={`flex items-start mb-3 ${comment.parentId ? 'ml-10' : ''}`}>
+        <img
+          src={comment.photo || 'https://placehold.co/30x30'}
+          alt={comment.username || 'Guest'}
+          className="w-8 h-8 rounded-full mr-2 border border-gray-300 dark:border-gray-600"
+          onError={(e) => (e.target.src = 'https://placehold.co/30x30')}
+        />
+        <div className="flex-1 min-w-0">
+          {editing?._id === comment._id ? (
+            <div className="flex items-center">
+              <input
+                type="text"
+                value={editing.text}
+                onChange={(e) => setEditing({ ...editing, text: e.target.value.slice(0, MAX_COMMENT_LENGTH) })}
+                onKeyDown={(e) => e.key === 'Enter' && saveEdit()}
+                className="flex-1 p-1 text-sm bg-gray-100 dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded text-gray-900 dark:text-gray-100 focus:outline-none"
+                aria-label="Edit comment"
+              />
+              <button type="button" onClick={saveEdit} className="ml-2 text-xs text-blue-500">Save</button>
+              <button type="button" onClick={() => setEditing(null)} className="ml-2 text-xs text-gray-500">Cancel</button>
+            </div>
+          ) : (
+            <p className="text-sm text-gray-700 dark:text-gray-300 break-words">
+              <span className="font-semibold text-gray-900 dark:text-gray-100">{comment.username || 'Guest'}</span>
+              <RichText text={comment.comment} onHashtag={onHashtag} onMention={onMention} className="ml-2" />
+              {comment.edited && <span className="ml-1 text-xs text-gray-400">(edited)</span>}
+            </p>
+          )}
+          <div className="flex items-center space-x-3 mt-1 text-xs text-gray-500 dark:text-gray-400">
+            <span>{timeAgo(comment.createdAt)}</span>
+            <button type="button" onClick={() => setReplyTo(comment.parentId ? { _id: comment.parentId, username: comment.username } : comment)}>
+              Reply
+            </button>
+            {isAuthor && (
+              <button type="button" onClick={() => setEditing({ _id: comment._id, text: comment.comment })}>Edit</button>
+            )}
+            {canDelete && (
+              <button type="button" onClick={() => deleteComment(comment)} className="text-red-500">Delete</button>
+            )}
+            {token && !isAuthor && onReport && (
+              <button type="button" onClick={() => onReport({ targetType: 'comment', targetId: comment._id, label: 'comment' })}>
+                Report
+              </button>
+            )}
+          </div>
+          {!comment.parentId && comment.replyCount > 0 && !thread?.open && (
+            <button type="button" onClick={() => fetchReplies(comment._id)} className="mt-1 text-xs font-semibold text-blue-500">
+              View {comment.replyCount} {comment.replyCount === 1 ? 'reply' : 'replies'}
+            </button>
+          )}
+          {thread?.open && (
+            <div className="mt-2">
+              {thread.items.map(renderComment)}
+              {thread.nextCursor && (
+                <button type="button" onClick={() => fetchReplies(comment._id, thread.nextCursor)} className="ml-10 text-xs font-semibold text-blue-500">
+                  More replies
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+        <button
+          type="button"
+          onClick={() => toggleLike(comment)}
+          className="ml-2 flex flex-col items-center text-xs text-gray-500 dark:text-gray-400 focus:outline-none"
+          aria-label={comment.liked ? 'Unlike comment' : 'Like comment'}
+        >
+          <FaHeart className={comment.liked ? 'text-red-500' : ''} />
+          {comment.likes > 0 && <span>{comment.likes}</span>}
+        </button>
+      </div>
+    );
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 100 }}
+      animate={{ opacity: 1, y: 0 }}
+      exit={{ opacity: 0, y: 100 }}
+      className="fixed bottom-0 left-0 right-0 bg-white dark:bg-gray-800 p-4 rounded-t-lg shadow-lg max-h-[calc(60vh-80px)] flex flex-col z-10 md:max-w-[600px] md:mx-auto"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby={`comments-${postId}`}
+    >
+      <div className="flex items-center justify-between mb-2">
+        <h3 id={`comments-${postId}`} className="text-lg font-bold text-blue-600 dark:text-blue-400">Comments</h3>
+        <button type="button" onClick={onClose} className="p-1 text-gray-500 focus:outline-none" aria-label="Close comments">
+          <FaTimes />
+        </button>
+      </div>
+      <div className="flex-1 overflow-y-auto">
+        {comments.length === 0 && !loading ? (
+          <p className="text-gray-500 dark:text-gray-400">No comments yet</p>
+        ) : (
+          comments.map(renderComment)
+        )}
+        {nextCursor && (
+          <button type="button" onClick={() => fetchComments(nextCursor)} disabled={loading} className="text-sm text-blue-500 disabled:opacity-50">
+            {loading ? 'Loading...' : 'Load more comments'}
+          </button>
+        )}
+      </div>
+      {error && <p className="text-sm text-red-500 mt-1">{error}</p>}
+      {replyTo && (
+        <div className="flex items-center justify-between text-xs text-gray-500 dark:text-gray-400 mt-2">
+          <span>Replying to {replyTo.username}</span>
+          <button type="button" onClick={() => setReplyTo(null)} aria-label="Cancel reply"><FaTimes /></button>
+        </div>
+      )}
+      {token && (
+        <div className="flex items-center mt-3">
+          <input
+            type="text"
+            value={text}
+            onChange={(e) => setText(e.target.value.slice(0, MAX_COMMENT_LENGTH))}
+            onKeyDown={(e) => e.key === 'Enter' && submit()}
+            className="flex-1 p-2 bg-gray-100 dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-full text-gray-900 dark:text-gray-100 focus:ring-2 focus:ring-blue-500 focus:outline-none"
+            placeholder={replyTo ? 'Write a reply...' : 'Add a comment...'}
+            aria-label={replyTo ? 'Add reply' : 'Add comment'}
+          />
+          <motion.button
+            whileHover={{ scale: 1.1 }}
+            whileTap={{ scale: 0.9 }}
+            onClick={submit}
+            className="ml-2 p-3 bg-blue-500 rounded-full focus:outline-none focus:ring-2 focus:ring-blue-500"
+            aria-label="Submit comment"
+          >
+            <FaPaperPlane className="text-xl text-white" />
+          </motion.button>
+        </div>
+      )}
+    </motion.div>
+  );
+};
+
+export default CommentsSheet;
@@ -0,0 +1,94 @@
+import React, { forwardRef, useEffect, useRef, useState } from 'react';
+import { decode } from 'blurhash';
+
+const BLURHASH_SIZE = 32;
+const placeholderCache = new Map();
+
+// Renders a blurhash into a tiny data URL; the browser scales it up behind a blur
+export const blurhashToDataUrl = (hash, width, height) => {
+  if (!hash) return null;
+  if (placeholderCache.has(hash)) return placeholderCache.get(hash);
+  try {
+    const ratio = width && height ? height / width : 1;
+    const w = BLURHASH_SIZE;
+    const h = Math.max(1, Math.round(BLURHASH_SIZE * Math.min(ratio, 4)));
+    const canvas = document.createElement('canvas');
+    canvas.width = w;
+    canvas.height = h;
+    const ctx = canvas.getContext('2d');
+    const imageData = ctx.createImageData(w, h);
+    imageData.data.set(decode(hash, w, h));
+    ctx.putImageData(imageData, 0, 0);
+    const url = canvas.toDataURL();
+    placeholderCache.set(hash, url);
+    return url;
+  } catch (err) {
+    console.warn('Invalid blurhash:', err.message);
+    return null;
+  }
+};
+
+// Best available stand-in while the full file loads: server thumbnail, then blurhash
+export const previewSource = (media) =>
+  media?.thumbnailUrl || blurhashToDataUrl(media?.blurhash, media?.width, media?.height);
+
+// Shows the preview first and swaps in `src` once it has downloaded. With loading="lazy" the
+// full file is only fetched after the element scrolls into view.
+export const ProgressiveImage = forwardRef(({ src, media, alt = '', onError, loading, style, ...props }, ref) => {
+  const imgRef = useRef(null);
+  const placeholder = previewSource(media);
+  const [loadedSrc, setLoadedSrc] = useState(placeholder ? null : src);
+
+  useEffect(() => {
+    if (!placeholder) {
+      setLoadedSrc(src);
+      return undefined;
+    }
+    setLoadedSrc(null);
+    let cancelled = false;
+    let observer;
+    const preload = () => {
+      const image = new Image();
+      // Errors also swap to `src` so the element's own onError fallback still runs
+      image.onload = image.onerror = () => !cancelled && setLoadedSrc(src);
+      image.src = src;
+    };
+    if (loading === 'lazy' && 'IntersectionObserver' in window && imgRef.current) {
+      observer = new IntersectionObserver((entries) => {
+        if (entries.some((entry) => entry.isIntersecting)) {
+          observer.disconnect();
+          preload();
+        }
+      }, { rootMargin: '200px' });
+      observer.observe(imgRef.current);
+    } else {
+      preload();
+    }
+    return () => {
+      cancelled = true;
+      if (observer) observer.disconnect();
+    };
+  }, [src, placeholder, loading]);
+
+  const setRefs = (el) => {
+    imgRef.current = el;
+    if (typeof ref === 'function') ref(el);
+    else if (ref) ref.current = el;
+  };
+
+  return (
+    <img
+      {...props}
+      alt={alt}
+      ref={setRefs}
+      src={loadedSrc || placeholder}
+      width={media?.width || undefined}
+      height={media?.height || undefined}
+      loading={loading}
+      style={loadedSrc ? style : { ...style, filter: 'blur(8px)' }}
+      onError={loadedSrc ? onError : undefined}
+    />
+  );
+});
+
+ProgressiveImage.displayName = 'ProgressiveImage';
@@ -1,20 +1,48 @@
 import React from 'react';
 import { motion } from 'framer-motion';
+import { FaBookmark, FaRegBookmark } from 'react-icons/fa';
+import { ProgressiveImage, previewSource } from './MediaPreview';
 
-const PostCard = ({ post }) => (
-  <motion.div whileHover={{ scale: 1.02 }} className="bg-white p-4 rounded-lg shadow-md">
-    {post.contentType === 'text' ? (
-      <p className="text-gray-800">{post.content}</p>
-    ) : post.contentType === 'image' ? (
-      <img src={post.content} alt="Post" className="w-full h-48 object-cover rounded" />
-    ) : (
-      <video src={post.content} controls className="w-full h-48 rounded" />
-    )}
-    <div className="flex space-x-4 mt-2">
-      <button className="bg-secondary text-white p-2 rounded hover:bg-purple-700 transition duration-300">Like ({post.likes})</button>
-      <button className="bg-gray-500 text-white p-2 rounded hover:bg-gray-600 transition duration-300">Comment ({post.comments.length})</button>
-      <button className="bg-blue-500 text-white p-2 rounded hover:bg-blue-600 transition duration-300">Share ({post.shares})</button>
-    </div>
-  </motion.div>
-);
-export default PostCard;
\ No newline at end of file
+const PostCard = ({ post, onBookmark }) => {
+  // Reposts show the post they share, which is null once that post is deleted
+  const shown = post.contentType === 'repost' ? post.original : post;
+  // Posts store content as an array of URLs with matching preview entries in media
+  const src = Array.isArray(shown?.content) ? shown.content[0] : shown?.content;
+  const media = shown?.media?.[0];
+  return (
+    <motion.div whileHover={{ scale: 1.02 }} className="bg-white p-4 rounded-lg shadow-md">
+      {!shown ? (
+        <p className="text-gray-500">This post was deleted</p>
+      ) : shown.contentType === 'text' || shown.contentType === 'image' || shown.contentType === 'raw' ? (
+        <ProgressiveImage src={src} media={media} alt="Post" loading="lazy" className="w-full h-48 object-cover rounded" />
+      ) : shown.contentType === 'audio' ? (
+        <audio src={src} controls preload="none" className="w-full" />
+      ) : (
+        <video
+          src={src}
+          poster={media?.posterUrl || previewSource(media) || undefined}
+          preload={media ? 'none' : 'metadata'}
+          controls
+          className="w-full h-48 rounded"
+        />
+      )}
+      {(post.caption || shown?.caption) && <p className="text-gray-800 mt-2 line-clamp-2">{post.caption || shown.caption}</p>}
+      <div className="flex space-x-4 mt-2">
+        <button className="bg-secondary text-white p-2 rounded hover:bg-purple-700 transition duration-300">Like ({post.likes})</button>
+        <button className="bg-gray-500 text-white p-2 rounded hover:bg-gray-600 transition duration-300">Comment ({post.commentCount || 0})</button>
+        <button className="bg-blue-500 text-white p-2 rounded hover:bg-blue-600 transition duration-300">Share ({post.shares})</button>
+        {onBookmark && (
+          <button
+            onClick={() => onBookmark(post)}
+            className="bg-yellow-500 text-white p-2 rounded hover:bg-yellow-600 transition duration-300 flex items-center"
+            aria-label={post.bookmarked ? 'Remove from saved' : 'Save post'}
+          >
+            {post.bookmarked ? <FaBookmark className="mr-1" /> : <FaRegBookmark className="mr-1" />}
+            {post.bookmarked ? 'Saved' : 'Save'}
+          </button>
+        )}
+      </div>
+    </motion.div>
+  );
+};
+export default PostCard;
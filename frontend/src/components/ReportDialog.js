@@ -0,0 +1,116 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import { motion } from 'framer-motion';
+
+const BASE_URL = 'https://gapp-6yc3.onrender.com';
+
+// Same values as Report.REASONS in backend/models/Report.js
+const REASONS = [
+  { value: 'spam', label: 'Spam' },
+  { value: 'harassment', label: 'Harassment or bullying' },
+  { value: 'hate', label: 'Hate speech' },
+  { value: 'violence', label: 'Violence or threats' },
+  { value: 'nudity', label: 'Nudity or sexual content' },
+  { value: 'self_harm', label: 'Self-harm' },
+  { value: 'misinformation', label: 'False information' },
+  { value: 'impersonation', label: 'Impersonation' },
+  { value: 'other', label: 'Something else' },
+];
+
+// Modal for reporting a post, comment, message or profile to the moderators.
+// `initialDetails` prefills the notes, e.g. with the decrypted text of a reported message
+const ReportDialog = ({ targetType, targetId, label, token, initialDetails = '', onClose }) => {
+  const [reason, setReason] = useState('');
+  const [details, setDetails] = useState(initialDetails.slice(0, 1000));
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+  const [done, setDone] = useState(false);
+
+  const submit = async () => {
+    if (!reason || submitting) return;
+    setSubmitting(true);
+    try {
+      await axios.post(
+        `${BASE_URL}/moderation/reports`,
+        { targetType, targetId, reason, details: details.trim() },
+        { headers: { Authorization: `Bearer ${token}` }, timeout: 5000 }
+      );
+      setDone(true);
+      setError('');
+    } catch (err) {
+      console.error('Report error:', err.message);
+      setError(err.response?.data?.error || 'Failed to send report.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 50 }}
+      animate={{ opacity: 1, y: 0 }}
+      exit={{ opacity: 0, y: 50 }}
+      className="fixed inset-0 bg-black bg-opacity-80 flex items-center justify-center z-40 px-4"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="report-dialog-title"
+      onClick={(e) => e.stopPropagation()}
+    >
+      <div className="bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100 p-6 rounded-2xl shadow-2xl w-full max-w-md border border-gray-200 dark:border-gray-700">
+        <h2 id="report-dialog-title" className="text-lg font-bold mb-1">Report {label || targetType}</h2>
+        {done ? (
+          <p className="text-sm text-gray-600 dark:text-gray-300 mb-3">Thanks. The moderators will review your report.</p>
+        ) : (
+          <>
+            <p className="text-sm text-gray-500 dark:text-gray-400 mb-3">The person you report is not told who reported them.</p>
+            <div className="space-y-1 mb-3" role="radiogroup" aria-label="Reason">
+              {REASONS.map((option) => (
+                <label key={option.value} className="flex items-center text-sm cursor-pointer">
+                  <input
+                    type="radio"
+                    name="report-reason"
+                    value={option.value}
+                    checked={reason === option.value}
+                    onChange={() => setReason(option.value)}
+                    className="mr-2"
+                  />
+                  {option.label}
+                </label>
+              ))}
+            </div>
+            <textarea
+              value={details}
+              onChange={(e) => setDetails(e.target.value.slice(0, 1000))}
+              rows={3}
+              className="w-full p-3 bg-gray-100 dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-lg text-gray-900 dark:text-gray-100 focus:ring-2 focus:ring-blue-500 focus:outline-none"
+              placeholder="Anything the moderators should know (optional)"
+              aria-label="Details"
+            />
+            {error && <p className="text-sm text-red-500 mt-2">{error}</p>}
+          </>
+        )}
+        <div className="flex justify-end space-x-3 mt-4">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 bg-gray-300 dark:bg-gray-600 rounded-lg hover:bg-gray-400 dark:hover:bg-gray-500 focus:outline-none focus:ring-2 focus:ring-gray-500"
+          >
+            {done ? 'Close' : 'Cancel'}
+          </button>
+          {!done && (
+            <button
+              type="button"
+              onClick={submit}
+              disabled={!reason || submitting}
+              className="px-4 py-2 bg-red-500 text-white rounded-lg hover:bg-red-600 disabled:opacity-50 focus:outline-none focus:ring-2 focus:ring-red-500"
+            >
+              {submitting ? 'Sending...' : 'Report'}
+            </button>
+          )}
+        </div>
+      </div>
+    </motion.div>
+  );
+};
+
+export default ReportDialog;
@@ -0,0 +1,41 @@
+import React from 'react';
+
+// Mirrors backend/utils/textEntities.js so links match what the server indexed
+const ENTITY_PATTERN = /(^|[^\p{L}\p{N}_&/.@])(?:#([\p{L}\p{N}_]{1,50})|@([\w.-]{3,20})(?![\w-]))/gu;
+
+// Plain text with #hashtags and @mentions rendered as buttons that open a filtered feed
+const RichText = ({ text, onHashtag, onMention, className = '' }) => {
+  const parts = [];
+  let last = 0;
+  for (const match of String(text || '').matchAll(ENTITY_PATTERN)) {
+    const [, boundary, tag, mention] = match;
+    const sigil = tag ? '#' : '@';
+    const value = tag || mention.replace(/\.+$/, '');
+    if (!tag && value.length < 3) continue;
+    const start = match.index + boundary.length;
+    if (start > last) parts.push(text.slice(last, start));
+    const handler = sigil === '#' ? onHashtag : onMention;
+    parts.push(
+      handler ? (
+        <button
+          key={start}
+          type="button"
+          onClick={(e) => {
+            e.stopPropagation();
+            handler(sigil === '#' ? value.toLowerCase() : value);
+          }}
+          className="text-blue-500 hover:underline focus:outline-none"
+        >
+          {sigil}{value}
+        </button>
+      ) : (
+        `${sigil}${value}`
+      )
+    );
+    last = start + 1 + value.length;
+  }
+  if (last < String(text || '').length) parts.push(text.slice(last));
+  return <span className={className}>{parts}</span>;
+};
+
+export default RichText;
@@ -0,0 +1,56 @@
+import React from 'react';
+import { FaPlus } from 'react-icons/fa';
+
+// Horizontal strip of story rings; a gradient ring marks authors with stories the user has not seen
+const StoryBar = ({ groups, userId, userPhoto, onOpen, onCreate }) => {
+  const ownIndex = groups.findIndex((group) => group.userId === userId);
+
+  return (
+    <div className="flex items-center space-x-3 overflow-x-auto px-4 py-3 bg-white dark:bg-gray-800 md:rounded-t-lg" role="list" aria-label="Stories">
+      {ownIndex === -1 && (
+        <button type="button" onClick={onCreate} className="flex flex-col items-center flex-shrink-0 focus:outline-none" aria-label="Add to your story">
+          <span className="relative">
+            <img
+              src={userPhoto || 'https://placehold.co/56x56'}
+              alt="Your profile"
+              className="w-14 h-14 rounded-full border-2 border-gray-300 dark:border-gray-600"
+              onError={(e) => (e.target.src = 'https://placehold.co/56x56')}
+            />
+            <span className="absolute bottom-0 right-0 bg-blue-500 text-white rounded-full p-1 text-xs">
+              <FaPlus />
+            </span>
+          </span>
+          <span className="text-xs mt-1 text-gray-700 dark:text-gray-300">Your story</span>
+        </button>
+      )}
+      {groups.map((group, index) => (
+        <button
+          key={group.userId}
+          type="button"
+          role="listitem"
+          onClick={() => onOpen(index)}
+          className="flex flex-col items-center flex-shrink-0 focus:outline-none"
+          aria-label={`View ${group.userId === userId ? 'your' : `${group.username}'s`} story`}
+        >
+          <span
+            className={`p-0.5 rounded-full ${
+              group.hasUnseen ? 'bg-gradient-to-tr from-yellow-400 via-pink-500 to-purple-600' : 'bg-gray-300 dark:bg-gray-600'
+            }`}
+          >
+            <img
+              src={group.photo || 'https://placehold.co/56x56'}
+              alt={`${group.username || 'Unknown'}'s profile`}
+              className="w-14 h-14 rounded-full border-2 border-white dark:border-gray-800"
+              onError={(e) => (e.target.src = 'https://placehold.co/56x56')}
+            />
+          </span>
+          <span className="text-xs mt-1 max-w-[64px] truncate text-gray-700 dark:text-gray-300">
+            {group.userId === userId ? 'Your story' : group.username || 'Unknown'}
+          </span>
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default StoryBar;
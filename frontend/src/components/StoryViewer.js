@@ -0,0 +1,256 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { FaTimes, FaEye, FaChevronLeft, FaChevronRight } from 'react-icons/fa';
+import { formatDistanceToNow } from 'date-fns';
+import { ProgressiveImage } from './MediaPreview';
+
+const IMAGE_STORY_MS = 5000;
+const TICK_MS = 50;
+const HOLD_MS = 250; // Presses longer than this pause instead of navigating
+
+const firstUnseenIndex = (group) => Math.max(0, group?.stories.findIndex((story) => !story.viewed) ?? 0);
+
+// Full-screen story player. Image and text stories advance after five seconds, videos when they end;
+// tapping the left or right third steps back or forward, and holding anywhere pauses.
+const StoryViewer = ({ groups, startGroup, userId, onClose, onView, onFetchViewers }) => {
+  const [groupIndex, setGroupIndex] = useState(startGroup);
+  const [storyIndex, setStoryIndex] = useState(() => firstUnseenIndex(groups[startGroup]));
+  const [progress, setProgress] = useState(0);
+  const [paused, setPaused] = useState(false);
+  const [viewers, setViewers] = useState(null);
+  const [viewersError, setViewersError] = useState('');
+  const videoRef = useRef(null);
+  const pressStartRef = useRef(0);
+
+  const group = groups[groupIndex];
+  const story = group?.stories[storyIndex];
+  const isOwn = group?.userId === userId;
+
+  const next = useCallback(() => {
+    if (!group) return;
+    setProgress(0);
+    if (storyIndex < group.stories.length - 1) {
+      setStoryIndex(storyIndex + 1);
+    } else if (groupIndex < groups.length - 1) {
+      setGroupIndex(groupIndex + 1);
+      setStoryIndex(firstUnseenIndex(groups[groupIndex + 1]));
+    } else {
+      onClose();
+    }
+  }, [group, groups, groupIndex, storyIndex, onClose]);
+
+  const prev = useCallback(() => {
+    setProgress(0);
+    if (storyIndex > 0) {
+      setStoryIndex(storyIndex - 1);
+    } else if (groupIndex > 0) {
+      setGroupIndex(groupIndex - 1);
+      setStoryIndex(groups[groupIndex - 1].stories.length - 1);
+    }
+  }, [groups, groupIndex, storyIndex]);
+
+  // Report each story once when it opens. The refs keep a refreshed story list or a new onView
+  // from counting the same story again
+  const storyId = story?._id;
+  const storyRef = useRef(story);
+  const onViewRef = useRef(onView);
+  storyRef.current = story;
+  onViewRef.current = onView;
+
+  useEffect(() => {
+    if (storyRef.current) onViewRef.current(storyRef.current);
+    setViewers(null);
+  }, [storyId]);
+
+  useEffect(() => {
+    if (!group) onClose();
+  }, [group, onClose]);
+
+  useEffect(() => {
+    if (!story || story.contentType === 'video' || paused || viewers) return undefined;
+    const timer = setInterval(() => {
+      setProgress((value) => Math.min(1, value + TICK_MS / IMAGE_STORY_MS));
+    }, TICK_MS);
+    return () => clearInterval(timer);
+  }, [story, paused, viewers]);
+
+  useEffect(() => {
+    if (progress >= 1) next();
+  }, [progress, next]);
+
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!video) return;
+    if (paused || viewers) video.pause();
+    else video.play().catch((err) => console.warn('Story video play error:', err.message));
+  }, [paused, viewers, story?._id]);
+
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (e.key === 'Escape') onClose();
+      else if (e.key === 'ArrowRight') next();
+      else if (e.key === 'ArrowLeft') prev();
+    };
+    window.addEventListener('keydown', handleKey);
+    return () => window.removeEventListener('keydown', handleKey);
+  }, [next, prev, onClose]);
+
+  const showViewers = async (e) => {
+    e.stopPropagation();
+    setViewersError('');
+    try {
+      setViewers(await onFetchViewers(story._id));
+    } catch (err) {
+      setViewersError('Failed to load viewers');
+    }
+  };
+
+  const handleTap = (e) => {
+    if (Date.now() - pressStartRef.current > HOLD_MS) return;
+    const rect = e.currentTarget.getBoundingClientRect();
+    const x = (e.clientX - rect.left) / rect.width;
+    if (x < 1 / 3) prev();
+    else if (x > 2 / 3) next();
+  };
+
+  if (!story) return null;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 bg-black z-40 flex items-center justify-center"
+      role="dialog"
+      aria-modal="true"
+      aria-label={`${group.username || 'Unknown'}'s story`}
+    >
+      <div className="relative w-full h-full md:max-w-[450px] md:h-[90vh] md:rounded-lg overflow-hidden">
+        <div className="absolute top-2 left-2 right-2 flex space-x-1 z-20">
+          {group.stories.map((item, index) => (
+            <div key={item._id} className="flex-1 h-1 bg-white bg-opacity-30 rounded overflow-hidden">
+              <div
+                className="h-full bg-white"
+                style={{ width: `${index < storyIndex ? 100 : index === storyIndex ? progress * 100 : 0}%` }}
+              />
+            </div>
+          ))}
+        </div>
+        <div className="absolute top-5 left-3 right-3 flex items-center justify-between z-20 text-white">
+          <div className="flex items-center">
+            <img
+              src={group.photo || 'https://placehold.co/32x32'}
+              alt={`${group.username || 'Unknown'}'s profile`}
+              className="w-8 h-8 rounded-full mr-2"
+              onError={(e) => (e.target.src = 'https://placehold.co/32x32')}
+            />
+            <span className="font-semibold text-sm">{isOwn ? 'Your story' : group.username || 'Unknown'}</span>
+            <span className="text-xs ml-2 opacity-75">{formatDistanceToNow(new Date(story.createdAt), { addSuffix: true })}</span>
+          </div>
+          <button type="button" onClick={onClose} className="p-2 focus:outline-none" aria-label="Close story">
+            <FaTimes className="text-xl" />
+          </button>
+        </div>
+
+        <div
+          className="w-full h-full flex items-center justify-center select-none"
+          onClick={handleTap}
+          onPointerDown={() => {
+            pressStartRef.current = Date.now();
+            setPaused(true);
+          }}
+          onPointerUp={() => setPaused(false)}
+          onPointerLeave={() => setPaused(false)}
+        >
+          {story.contentType === 'video' ? (
+            <video
+              key={story._id}
+              ref={videoRef}
+              src={story.content[0]}
+              poster={story.media?.[0]?.posterUrl}
+              autoPlay
+              playsInline
+              className="max-w-full max-h-full object-contain"
+              onTimeUpdate={(e) => {
+                const { currentTime, duration } = e.currentTarget;
+                if (duration) setProgress(Math.min(0.999, currentTime / duration));
+              }}
+              onEnded={next}
+              onError={() => console.warn('Story video load error')}
+            />
+          ) : (
+            <ProgressiveImage
+              key={story._id}
+              src={story.content[0]}
+              media={story.media?.[0]}
+              alt={story.caption || 'Story'}
+              className="max-w-full max-h-full object-contain"
+              draggable={false}
+            />
+          )}
+        </div>
+
+        <button type="button" onClick={prev} className="hidden md:block absolute left-2 top-1/2 text-white opacity-75 z-20" aria-label="Previous story">
+          <FaChevronLeft className="text-2xl" />
+        </button>
+        <button type="button" onClick={next} className="hidden md:block absolute right-2 top-1/2 text-white opacity-75 z-20" aria-label="Next story">
+          <FaChevronRight className="text-2xl" />
+        </button>
+
+        {story.caption && (
+          <p className="absolute bottom-16 left-4 right-4 text-center text-white text-sm bg-black bg-opacity-40 p-2 rounded-lg z-20">{story.caption}</p>
+        )}
+        {isOwn && (
+          <button
+            type="button"
+            onClick={showViewers}
+            className="absolute bottom-4 left-1/2 transform -translate-x-1/2 flex items-center space-x-2 text-white bg-black bg-opacity-50 px-4 py-2 rounded-full z-20 focus:outline-none"
+            aria-label="See who viewed this story"
+          >
+            <FaEye />
+            <span className="text-sm">{story.viewerCount || 0}</span>
+          </button>
+        )}
+        {viewersError && <p className="absolute bottom-16 left-0 right-0 text-center text-red-400 text-sm z-20">{viewersError}</p>}
+
+        <AnimatePresence>
+          {viewers && (
+            <motion.div
+              initial={{ y: '100%' }}
+              animate={{ y: 0 }}
+              exit={{ y: '100%' }}
+              className="absolute bottom-0 left-0 right-0 max-h-[50%] overflow-y-auto bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100 rounded-t-lg p-4 z-30"
+            >
+              <div className="flex items-center justify-between mb-2">
+                <h3 className="font-bold">Viewed by {viewers.length}</h3>
+                <button type="button" onClick={() => setViewers(null)} className="p-1 focus:outline-none" aria-label="Close viewer list">
+                  <FaTimes />
+                </button>
+              </div>
+              {viewers.length === 0 ? (
+                <p className="text-sm text-gray-500 dark:text-gray-400">No views yet</p>
+              ) : (
+                viewers.map((viewer) => (
+                  <div key={viewer.userId} className="flex items-center py-2">
+                    <img
+                      src={viewer.photo || 'https://placehold.co/32x32'}
+                      alt={`${viewer.username}'s profile`}
+                      className="w-8 h-8 rounded-full mr-3"
+                      onError={(e) => (e.target.src = 'https://placehold.co/32x32')}
+                    />
+                    <span className="flex-1 text-sm font-semibold">{viewer.username}</span>
+                    <span className="text-xs text-gray-500 dark:text-gray-400">
+                      {formatDistanceToNow(new Date(viewer.viewedAt), { addSuffix: true })}
+                    </span>
+                  </div>
+                ))
+              )}
+            </motion.div>
+          )}
+        </AnimatePresence>
+      </div>
+    </motion.div>
+  );
+};
+
+export default StoryViewer;
@@ -0,0 +1,117 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { FaPlay, FaPause } from 'react-icons/fa';
+
+const PLAYBACK_RATES = [1, 1.5, 2];
+const FALLBACK_WAVEFORM = Array(32).fill(20);
+
+export const formatDuration = (seconds) => {
+  const total = Math.max(0, Math.round(seconds || 0));
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+};
+
+// Bars are drawn from a 0-100 amplitude envelope; the played portion is highlighted
+export const Waveform = ({ samples, progress = 0, isMine, onSeek }) => {
+  const bars = samples?.length ? samples : FALLBACK_WAVEFORM;
+  const handleClick = (e) => {
+    if (!onSeek) return;
+    const rect = e.currentTarget.getBoundingClientRect();
+    onSeek(Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width)));
+  };
+  return (
+    <div className={`flex items-center h-8 gap-px flex-1 ${onSeek ? 'cursor-pointer' : ''}`} onClick={handleClick}>
+      {bars.map((sample, index) => {
+        const played = index / bars.length < progress;
+        return (
+          <span
+            key={index}
+            className={`flex-1 rounded-sm ${
+              played ? (isMine ? 'bg-white' : 'bg-blue-500') : isMine ? 'bg-blue-300' : 'bg-gray-400 dark:bg-gray-500'
+            }`}
+            style={{ height: `${Math.max(8, sample)}%` }}
+          />
+        );
+      })}
+    </div>
+  );
+};
+
+const VoiceNoteBubble = ({ src, duration, waveform, isMine }) => {
+  const audioRef = useRef(null);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [currentTime, setCurrentTime] = useState(0);
+  const [totalTime, setTotalTime] = useState(duration || 0);
+  const [rateIndex, setRateIndex] = useState(0);
+
+  useEffect(() => {
+    if (audioRef.current) audioRef.current.playbackRate = PLAYBACK_RATES[rateIndex];
+  }, [rateIndex]);
+
+  const togglePlay = (e) => {
+    e.stopPropagation();
+    const audio = audioRef.current;
+    if (!audio) return;
+    if (audio.paused) {
+      audio.play().catch((err) => console.warn('Voice note playback failed:', err.message));
+    } else {
+      audio.pause();
+    }
+  };
+
+  const seek = (fraction) => {
+    const audio = audioRef.current;
+    if (!audio || !totalTime) return;
+    audio.currentTime = fraction * totalTime;
+    setCurrentTime(audio.currentTime);
+  };
+
+  return (
+    <div className="flex items-center gap-2 w-56" onClick={(e) => e.stopPropagation()}>
+      <audio
+        ref={audioRef}
+        src={src}
+        preload="metadata"
+        onPlay={() => setIsPlaying(true)}
+        onPause={() => setIsPlaying(false)}
+        onEnded={() => {
+          setIsPlaying(false);
+          setCurrentTime(0);
+        }}
+        onTimeUpdate={(e) => setCurrentTime(e.currentTarget.currentTime)}
+        onLoadedMetadata={(e) => {
+          // MediaRecorder webm files often report Infinity until fully read; keep the stored duration then
+          if (Number.isFinite(e.currentTarget.duration)) setTotalTime(e.currentTarget.duration);
+          e.currentTarget.playbackRate = PLAYBACK_RATES[rateIndex];
+        }}
+      />
+      <button type="button" onClick={togglePlay} className="p-2 rounded-full" aria-label={isPlaying ? 'Pause' : 'Play'}>
+        {isPlaying ? <FaPause /> : <FaPlay />}
+      </button>
+      <div className="flex-1 flex flex-col">
+        <Waveform samples={waveform} progress={totalTime ? currentTime / totalTime : 0} isMine={isMine} onSeek={seek} />
+        <input
+          type="range"
+          min={0}
+          max={totalTime || 0}
+          step={0.1}
+          value={currentTime}
+          onChange={(e) => seek(Number(e.target.value) / (totalTime || 1))}
+          className="w-full h-1 opacity-60"
+          aria-label="Seek"
+        />
+        <span className="text-xs mt-1">{formatDuration(isPlaying || currentTime ? currentTime : totalTime)}</span>
+      </div>
+      <button
+        type="button"
+        className="text-xs font-semibold px-1.5 py-0.5 rounded border border-current"
+        onClick={(e) => {
+          e.stopPropagation();
+          setRateIndex((rateIndex + 1) % PLAYBACK_RATES.length);
+        }}
+      >
+        {`${PLAYBACK_RATES[rateIndex]}x`}
+      </button>
+    </div>
+  );
+};
+
+export default VoiceNoteBubble;
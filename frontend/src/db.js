@@ -3,7 +3,10 @@ import { openDB } from 'idb';
 const DB_NAME = 'MyChatDB';
 const MESSAGE_STORE = 'messages';
 const PENDING_STORE = 'pendingMessages';
-const VERSION = 12; // Incremented to ensure clean migration
+const KEY_STORE = 'keys';
+const VERSION = 15; // Incremented to index messages by expiry
+
+const isValidObjectId = (id) => /^[0-9a-fA-F]{24}$/.test(id);
 
 let db = null;
 
@@ -20,7 +23,7 @@ const getDb = async () => {
   }
 
   db = await openDB(DB_NAME, VERSION, {
-    upgrade(db, oldVersion, newVersion) {
+    upgrade(db, oldVersion, newVersion, transaction) {
       console.log(`Upgrading DB from v${oldVersion} to v${newVersion}`);
       if (!db.objectStoreNames.contains(MESSAGE_STORE)) {
         const messageStore = db.createObjectStore(MESSAGE_STORE, { keyPath: '_id' });
@@ -29,21 +32,33 @@ const getDb = async () => {
         messageStore.createIndex('byClientMessageId', 'clientMessageId', { unique: true });
         messageStore.createIndex('byRecipientAndTime', ['recipientId', 'createdAt']);
         messageStore.createIndex('byStatus', 'status');
+        messageStore.createIndex('byChatId', 'chatId');
+        messageStore.createIndex('byExpiresAt', 'expiresAt');
       } else {
-        const tx = db.transaction([MESSAGE_STORE], 'readwrite');
-        const messageStore = tx.objectStore(MESSAGE_STORE);
+        const messageStore = transaction.objectStore(MESSAGE_STORE);
         if (!messageStore.indexNames.contains('byClientMessageId')) {
           messageStore.createIndex('byClientMessageId', 'clientMessageId', { unique: true });
         }
         if (!messageStore.indexNames.contains('byStatus')) {
           messageStore.createIndex('byStatus', 'status', { unique: false });
         }
+        if (!messageStore.indexNames.contains('byChatId')) {
+          messageStore.createIndex('byChatId', 'chatId', { unique: false });
+        }
+        if (!messageStore.indexNames.contains('byExpiresAt')) {
+          messageStore.createIndex('byExpiresAt', 'expiresAt', { unique: false });
+        }
       }
 
       if (!db.objectStoreNames.contains(PENDING_STORE)) {
         const pendingStore = db.createObjectStore(PENDING_STORE, { keyPath: 'tempId' });
         pendingStore.createIndex('byRecipientId', 'recipientId');
       }
+
+      // Private keys are generated and kept on this device only
+      if (!db.objectStoreNames.contains(KEY_STORE)) {
+        db.createObjectStore(KEY_STORE, { keyPath: 'userId' });
+      }
     },
     blocked(currentVersion, blockedVersion) {
       console.error(`DB upgrade blocked: v${currentVersion}, blocked v${blockedVersion}`);
@@ -112,7 +127,9 @@ export const saveMessages = async (messages) => {
 
       await Promise.all(
         messages.map((msg) => {
-          if (!msg._id || !msg.clientMessageId || !msg.recipientId || !msg.senderId || !isValidObjectId(msg.recipientId) || !isValidObjectId(msg.senderId)) {
+          // chatId is the contact or group the message belongs to, as seen by this user
+          const chatId = msg.chatId || msg.groupId || msg.recipientId;
+          if (!msg._id || !msg.clientMessageId || !msg.senderId || !isValidObjectId(chatId) || !isValidObjectId(msg.senderId)) {
             console.warn('Invalid message skipped:', msg);
             return Promise.resolve();
           }
@@ -123,15 +140,20 @@ export const saveMessages = async (messages) => {
             content: msg.content || '',
             plaintextContent: msg.plaintextContent || '',
             status: ['pending', 'sent', 'delivered', 'read'].includes(msg.status) ? msg.status : 'pending',
-            contentType: ['text', 'image', 'video', 'audio', 'document'].includes(msg.contentType) ? msg.contentType : 'text',
+            contentType: ['text', 'image', 'video', 'audio', 'document', 'system'].includes(msg.contentType) ? msg.contentType : 'text',
             caption: msg.caption || '',
             createdAt: msg.createdAt || new Date().toISOString(),
+            // Left unset for messages kept forever so they stay out of the expiry index
+            expiresAt: msg.expiresAt ? new Date(msg.expiresAt).toISOString() : undefined,
             senderVirtualNumber: msg.senderVirtualNumber || '',
             senderUsername: msg.senderUsername || '',
             senderPhoto: msg.senderPhoto || 'https://placehold.co/40x40',
             replyTo: msg.replyTo || null,
+            reactions: Array.isArray(msg.reactions) ? msg.reactions : [],
             originalFilename: msg.originalFilename || undefined,
-            recipientId: msg.recipientId,
+            recipientId: msg.recipientId || null,
+            groupId: msg.groupId || null,
+            chatId,
             senderId: msg.senderId,
           });
         })
@@ -148,7 +170,9 @@ export const saveMessages = async (messages) => {
 
 
 
-export const getMessages = async (recipientId) => {
+// chatId is the contact or group ID; messages are keyed by conversation rather than recipient
+// so both directions of a one-to-one chat (and group threads) come back together
+export const getMessages = async (chatId) => {
   try {
     return await withRetry(async () => {
       const db = await getDb();
@@ -156,14 +180,13 @@ export const getMessages = async (recipientId) => {
       const store = tx.objectStore(MESSAGE_STORE);
 
       let messages;
-      if (recipientId) {
-        const index = store.index('byRecipientAndTime');
-        messages = await index.getAll([recipientId]);
+      if (chatId) {
+        messages = await store.index('byChatId').getAll(chatId);
       } else {
         messages = await store.getAll();
       }
 
-      console.log(`Retrieved ${messages.length} messages for recipientId: ${recipientId || 'all'}`);
+      console.log(`Retrieved ${messages.length} messages for chatId: ${chatId || 'all'}`);
       return messages.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
     });
   } catch (error) {
@@ -172,6 +195,49 @@ export const getMessages = async (recipientId) => {
   }
 };
 
+// Searches decrypted messages cached on this device, newest first. Matches the query against the
+// decrypted text, caption and attachment name; the server never sees these plaintexts.
+export const searchMessages = async ({ query = '', chatId, contentType, filename, from, to, limit = 50 } = {}) => {
+  const needle = query.trim().toLowerCase();
+  const filenameNeedle = (filename || '').trim().toLowerCase();
+  const fromTime = from ? new Date(from).getTime() : null;
+  const toTime = to ? new Date(to).getTime() : null;
+
+  try {
+    return await withRetry(async () => {
+      const db = await getDb();
+      const tx = db.transaction(MESSAGE_STORE, 'readonly');
+      const index = tx.objectStore(MESSAGE_STORE).index('byCreatedAt');
+      const results = [];
+
+      let cursor = await index.openCursor(null, 'prev');
+      while (cursor && results.length < limit) {
+        const msg = cursor.value;
+        const createdAt = new Date(msg.createdAt).getTime();
+        const matches =
+          (!chatId || msg.chatId === chatId) &&
+          (!contentType || msg.contentType === contentType) &&
+          (fromTime === null || createdAt >= fromTime) &&
+          (toTime === null || createdAt <= toTime) &&
+          (!filenameNeedle || (msg.originalFilename || '').toLowerCase().includes(filenameNeedle)) &&
+          (!needle ||
+            [msg.contentType === 'text' ? msg.plaintextContent : '', msg.caption, msg.originalFilename]
+              .some((field) => (field || '').toLowerCase().includes(needle)));
+        if (matches) {
+          results.push(msg);
+        }
+        cursor = await cursor.continue();
+      }
+
+      await tx.done;
+      return results;
+    });
+  } catch (error) {
+    console.error('Error searching messages in IndexedDB:', error.message);
+    return [];
+  }
+};
+
 export const deleteMessage = async (messageId) => {
   if (!messageId) {
     console.warn('No messageId provided for deletion');
@@ -193,17 +259,39 @@ export const deleteMessage = async (messageId) => {
   }
 };
 
-export const clearOldMessages = async (daysToKeep = 30) => {
+export const updateMessageReactions = async (messageId, reactions) => {
+  if (!messageId) {
+    console.warn('No messageId provided for reaction update');
+    return;
+  }
+
+  try {
+    await withRetry(async () => {
+      const db = await getDb();
+      const tx = db.transaction(MESSAGE_STORE, 'readwrite');
+      const store = tx.objectStore(MESSAGE_STORE);
+      const msg = await store.get(messageId);
+      if (msg) {
+        await store.put({ ...msg, reactions: Array.isArray(reactions) ? reactions : [] });
+      }
+      await tx.done;
+    });
+  } catch (error) {
+    console.error('Error updating message reactions in IndexedDB:', error.message);
+    throw error;
+  }
+};
+
+export const clearExpiredMessages = async () => {
   try {
     return await withRetry(async () => {
       const db = await getDb();
       const tx = db.transaction(MESSAGE_STORE, 'readwrite');
       const store = tx.objectStore(MESSAGE_STORE);
-      const index = store.index('byCreatedAt');
-      const cutoff = new Date(Date.now() - daysToKeep * 24 * 60 * 60 * 1000);
+      const index = store.index('byExpiresAt');
       let count = 0;
 
-      let cursor = await index.openCursor(IDBKeyRange.upperBound(cutoff.toISOString()));
+      let cursor = await index.openCursor(IDBKeyRange.upperBound(new Date().toISOString()));
       while (cursor) {
         await cursor.delete();
         count++;
@@ -211,11 +299,11 @@ export const clearOldMessages = async (daysToKeep = 30) => {
       }
 
       await tx.done;
-      console.log(`Cleared ${count} old messages from IndexedDB`);
+      console.log(`Cleared ${count} expired messages from IndexedDB`);
       return count;
     });
   } catch (error) {
-    console.error('Error clearing old messages from IndexedDB:', error.message);
+    console.error('Error clearing expired messages from IndexedDB:', error.message);
     throw error;
   }
 };
@@ -310,7 +398,45 @@ export const clearPendingMessages = async (tempIds = []) => {
 };
 
 
+export const saveKeyPair = async (userId, { deviceId, publicKey, privateKey, archivedKeys = {} }) => {
+  if (!userId || !publicKey || !privateKey) {
+    throw new Error('Invalid key pair');
+  }
+
+  try {
+    await withRetry(async () => {
+      const db = await getDb();
+      const tx = db.transaction(KEY_STORE, 'readwrite');
+      await tx.objectStore(KEY_STORE).put({
+        userId,
+        deviceId: deviceId || null,
+        publicKey,
+        privateKey,
+        archivedKeys,
+        createdAt: new Date().toISOString(),
+      });
+      await tx.done;
+      console.log(`Saved key pair for user ${userId}`);
+    });
+  } catch (error) {
+    console.error('Error saving key pair to IndexedDB:', error.message);
+    throw error;
+  }
+};
 
+export const getKeyPair = async (userId) => {
+  if (!userId) return null;
 
+  try {
+    return await withRetry(async () => {
+      const db = await getDb();
+      const tx = db.transaction(KEY_STORE, 'readonly');
+      return (await tx.objectStore(KEY_STORE).get(userId)) || null;
+    });
+  } catch (error) {
+    console.error('Error loading key pair from IndexedDB:', error.message);
+    return null;
+  }
+};
 
 export default getDb;
\ No newline at end of file
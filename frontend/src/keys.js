@@ -0,0 +1,191 @@
+import axios from 'axios';
+import forge from 'node-forge';
+import { saveKeyPair, getKeyPair } from './db';
+
+const BASE_URL = 'https://gapp-6yc3.onrender.com';
+const KEY_BITS = 2048;
+
+// Runs in small steps via forge's callback API so the UI stays responsive
+export const generateKeyPair = () =>
+  new Promise((resolve, reject) => {
+    forge.pki.rsa.generateKeyPair({ bits: KEY_BITS, e: 0x10001 }, (err, keypair) => {
+      if (err) return reject(err);
+      resolve({
+        publicKey: forge.pki.publicKeyToPem(keypair.publicKey),
+        privateKey: forge.pki.privateKeyToPem(keypair.privateKey),
+      });
+    });
+  });
+
+export const generateDeviceId = () => forge.util.bytesToHex(forge.random.getBytesSync(16));
+
+export const getDeviceName = () => {
+  const ua = navigator.userAgent || '';
+  const browser = /Edg\//.test(ua) ? 'Edge' : /Chrome\//.test(ua) ? 'Chrome' : /Firefox\//.test(ua) ? 'Firefox' : /Safari\//.test(ua) ? 'Safari' : 'Browser';
+  const os = /Android/.test(ua) ? 'Android' : /iPhone|iPad/.test(ua) ? 'iOS' : /Windows/.test(ua) ? 'Windows' : /Mac OS/.test(ua) ? 'macOS' : /Linux/.test(ua) ? 'Linux' : 'Unknown OS';
+  return `${browser} on ${os}`;
+};
+
+const publicKeyDer = (publicKeyPem) =>
+  forge.asn1.toDer(forge.pki.publicKeyToAsn1(forge.pki.publicKeyFromPem(publicKeyPem))).getBytes();
+
+const formatFingerprint = (md) => md.digest().toHex().toUpperCase().match(/.{4}/g).join(' ');
+
+// SHA-256 over the DER-encoded public key, shown as 16 groups of 4 hex digits
+export const getKeyFingerprint = (publicKeyPem) => formatFingerprint(forge.md.sha256.create().update(publicKeyDer(publicKeyPem)));
+
+// One code for all of an account's devices; it changes whenever a device is added or removed
+export const getDevicesFingerprint = (devices) => {
+  const md = forge.md.sha256.create();
+  [...devices]
+    .sort((a, b) => a.deviceId.localeCompare(b.deviceId))
+    .forEach((device) => md.update(publicKeyDer(device.publicKey)));
+  return formatFingerprint(md);
+};
+
+const publicKeyFromPrivate = (privateKeyPem) => {
+  const privateKey = forge.pki.privateKeyFromPem(privateKeyPem);
+  return forge.pki.publicKeyToPem(forge.pki.setRsaPublicKey(privateKey.n, privateKey.e));
+};
+
+const privateKeyMatches = (privateKeyPem, publicKeyPem) => {
+  try {
+    return getKeyFingerprint(publicKeyFromPrivate(privateKeyPem)) === getKeyFingerprint(publicKeyPem);
+  } catch (err) {
+    console.warn('Key comparison failed:', err.message);
+    return false;
+  }
+};
+
+// Ciphertext format: base64(data)|base64(iv)|base64(JSON { [deviceId]: base64(RSA-OAEP wrapped AES key) })
+export const encryptForDevices = (content, deviceKeys) => {
+  if (!Array.isArray(deviceKeys) || !deviceKeys.length) {
+    throw new Error('No device keys to encrypt for');
+  }
+  const aesKey = forge.random.getBytesSync(32);
+  const iv = forge.random.getBytesSync(16);
+  const cipher = forge.cipher.createCipher('AES-CBC', aesKey);
+  cipher.start({ iv });
+  cipher.update(forge.util.createBuffer(forge.util.encodeUtf8(content)));
+  cipher.finish();
+  const keyMap = deviceKeys.reduce((acc, { deviceId, publicKey }) => {
+    acc[deviceId] = forge.util.encode64(
+      forge.pki.publicKeyFromPem(publicKey).encrypt(aesKey, 'RSA-OAEP', { md: forge.md.sha256.create() })
+    );
+    return acc;
+  }, {});
+  return `${forge.util.encode64(cipher.output.getBytes())}|${forge.util.encode64(iv)}|${forge.util.encode64(JSON.stringify(keyMap))}`;
+};
+
+// Tries every key this device holds: its own device key plus keys received through linking.
+// Also reads the older single-key format and group maps keyed by user ID.
+export const decryptWithKeyRing = (encryptedContent, keyRing, userId) => {
+  const [data, iv, wrapped] = encryptedContent.split('|').map((part) => forge.util.decode64(part));
+  const keys = { ...(keyRing.archivedKeys || {}), [keyRing.deviceId || userId]: keyRing.privateKey };
+  let candidates;
+  if (wrapped.startsWith('{')) {
+    const keyMap = JSON.parse(wrapped);
+    candidates = Object.entries(keys)
+      .filter(([deviceId]) => keyMap[deviceId])
+      .map(([deviceId, privateKey]) => [privateKey, forge.util.decode64(keyMap[deviceId])]);
+    if (keyMap[userId]) {
+      candidates.push(...Object.values(keys).map((privateKey) => [privateKey, forge.util.decode64(keyMap[userId])]));
+    }
+  } else {
+    candidates = Object.values(keys).map((privateKey) => [privateKey, wrapped]);
+  }
+
+  for (const [privateKeyPem, encryptedKey] of candidates) {
+    try {
+      const aesKey = forge.pki.privateKeyFromPem(privateKeyPem).decrypt(encryptedKey, 'RSA-OAEP', { md: forge.md.sha256.create() });
+      const decipher = forge.cipher.createDecipher('AES-CBC', aesKey);
+      decipher.start({ iv });
+      decipher.update(forge.util.createBuffer(data));
+      if (decipher.finish()) {
+        return forge.util.decodeUtf8(decipher.output.getBytes());
+      }
+    } catch (err) {
+      // Wrong key for this entry; try the next one
+    }
+  }
+  throw new Error('No key on this device can decrypt this message');
+};
+
+export const loadKeyRing = async (userId) => getKeyPair(userId);
+
+export const loadPrivateKey = async (userId) => {
+  const keyRing = await getKeyPair(userId);
+  return keyRing?.privateKey || null;
+};
+
+// Makes sure this browser is a registered device of the account and returns its key ring plus,
+// when the device had to be (re)registered, a fresh token bound to it.
+export const ensureDevice = async ({ userId, token, serverDevices }) => {
+  const headers = { Authorization: `Bearer ${token}` };
+  const devices = serverDevices || (await axios.get(`${BASE_URL}/auth/devices`, { headers, timeout: 5000 })).data.devices;
+  const stored = await getKeyPair(userId);
+
+  const registered = stored?.deviceId && devices.find((device) => device.deviceId === stored.deviceId);
+  if (registered && privateKeyMatches(stored.privateKey, registered.publicKey)) {
+    return { keyRing: stored, token: null };
+  }
+
+  // Keep an existing key pair (including one the server used to hand out) so its history stays readable
+  const legacyPrivateKey = localStorage.getItem('privateKey');
+  localStorage.removeItem('privateKey');
+  let keyRing;
+  if (stored?.privateKey) {
+    keyRing = { ...stored, deviceId: stored.deviceId || generateDeviceId() };
+  } else if (legacyPrivateKey) {
+    keyRing = { deviceId: generateDeviceId(), publicKey: publicKeyFromPrivate(legacyPrivateKey), privateKey: legacyPrivateKey };
+  } else {
+    keyRing = { deviceId: generateDeviceId(), ...(await generateKeyPair()) };
+  }
+
+  const register = () =>
+    axios.post(
+      `${BASE_URL}/auth/devices`,
+      { deviceId: keyRing.deviceId, name: getDeviceName(), publicKey: keyRing.publicKey },
+      { headers, timeout: 10000 }
+    );
+  await saveKeyPair(userId, keyRing);
+  let response;
+  try {
+    response = await register();
+  } catch (err) {
+    // The server keeps a registered device's key unless this session is bound to it, so carry
+    // the key pair over to a new device ID, archived under the old one for its history
+    if (err.response?.status !== 409) throw err;
+    keyRing = {
+      ...keyRing,
+      deviceId: generateDeviceId(),
+      archivedKeys: { ...(keyRing.archivedKeys || {}), [keyRing.deviceId]: keyRing.privateKey },
+    };
+    await saveKeyPair(userId, keyRing);
+    response = await register();
+  }
+  return { keyRing, token: response.data.token };
+};
+
+// Bundle of every private key this device holds, encrypted to the device being linked
+export const exportKeysForDevice = (keyRing, targetDevice) => {
+  const bundle = JSON.stringify({ ...(keyRing.archivedKeys || {}), [keyRing.deviceId]: keyRing.privateKey });
+  return encryptForDevices(bundle, [targetDevice]);
+};
+
+export const importLinkedKeys = async (userId, payload) => {
+  const keyRing = await getKeyPair(userId);
+  if (!keyRing?.deviceId) {
+    throw new Error('This device has no key pair');
+  }
+  const linkedKeys = JSON.parse(decryptWithKeyRing(payload, { deviceId: keyRing.deviceId, privateKey: keyRing.privateKey }, userId));
+  const archivedKeys = { ...(keyRing.archivedKeys || {}) };
+  Object.entries(linkedKeys).forEach(([deviceId, privateKey]) => {
+    if (deviceId !== keyRing.deviceId) {
+      archivedKeys[deviceId] = privateKey;
+    }
+  });
+  const updated = { ...keyRing, archivedKeys };
+  await saveKeyPair(userId, updated);
+  return updated;
+};
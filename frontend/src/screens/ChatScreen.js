@@ -3,12 +3,19 @@ import { useNavigate } from 'react-router-dom';
 import { useSelector, useDispatch } from 'react-redux';
 import axios from 'axios';
 import forge from 'node-forge';
-import { FaArrowLeft, FaEllipsisV, FaPaperclip, FaSmile, FaPaperPlane, FaTimes, FaSignOutAlt, FaPlus, FaImage, FaVideo, FaFile, FaMusic, FaRedo } from 'react-icons/fa';
+import { FaArrowLeft, FaEllipsisV, FaPaperclip, FaSmile, FaPaperPlane, FaTimes, FaSignOutAlt, FaPlus, FaImage, FaVideo, FaFile, FaMusic, FaRedo, FaUsers, FaShieldAlt, FaSearch, FaClock, FaDownload, FaUpload, FaMicrophone, FaBan, FaBell, FaBellSlash } from 'react-icons/fa';
 import { motion, AnimatePresence } from 'framer-motion';
 import Picker from 'emoji-picker-react';
 import { VariableSizeList } from 'react-window';
 import AutoSizer from 'react-virtualized-auto-sizer';
-import { setMessages, addMessage, replaceMessage, updateMessageStatus, setSelectedChat, setChatList } from '../store';
+import { setMessages, addMessage, replaceMessage, updateMessageStatus, updateMessageReactions, removeChat, setSelectedChat, setChatList, cleanupMessages } from '../store';
+import { saveMessages, searchMessages, clearExpiredMessages, updateMessageReactions as saveMessageReactions } from '../db';
+import { getDevicesFingerprint, encryptForDevices, decryptWithKeyRing, loadKeyRing } from '../keys';
+import { ReactionCounts } from '../components/ChatBubble';
+import { ProgressiveImage, previewSource } from '../components/MediaPreview';
+import VoiceNoteBubble, { Waveform, formatDuration } from '../components/VoiceNoteBubble';
+import ReportDialog from '../components/ReportDialog';
+import { exportChatArchive, importChatArchive } from '../archive';
 import PropTypes from 'prop-types';
 import '../index.css';
 
@@ -20,6 +27,31 @@ const isValidObjectId = (id) => /^[0-9a-fA-F]{24}$/.test(id);
 const isValidVirtualNumber = (number) => /^\+\d{7,15}$/.test(number.trim());
 const generateClientMessageId = () => `${Date.now()}-${Math.random().toString(36).substring(2, 15)}`;
 const sanitizeInput = (input) => input.replace(/[<>]/g, '');
+const QUICK_REACTIONS = ['👍', '❤️', '😂', '😮', '😢', '🙏'];
+const UNDECRYPTED_PLACEHOLDER = '[Message not decrypted]';
+const RETENTION_OPTIONS = [
+  { value: 'forever', label: 'Keep forever' },
+  { value: '1y', label: 'Keep 1 year' },
+  { value: '90d', label: 'Keep 90 days' },
+  { value: '7d', label: 'Disappear after 7 days' },
+  { value: '24h', label: 'Disappear after 24 hours' },
+];
+const EXPIRY_SWEEP_INTERVAL = 60 * 1000;
+const MAX_VOICE_NOTE_SECONDS = 5 * 60;
+const MIN_VOICE_NOTE_SECONDS = 1;
+const VOICE_SAMPLE_INTERVAL_MS = 100;
+const VOICE_PREVIEW_BARS = 40;
+const VOICE_WAVEFORM_BARS = 48;
+const VOICE_CANCEL_DISTANCE = 80;
+const VOICE_MIME_TYPES = ['audio/webm;codecs=opus', 'audio/ogg;codecs=opus', 'audio/mp4'];
+
+// Peak of each bucket so short loud syllables still show up after shrinking
+const downsampleLevels = (levels, count) => {
+  if (levels.length <= count) return levels;
+  const size = levels.length / count;
+  return Array.from({ length: count }, (_, i) => Math.max(...levels.slice(Math.floor(i * size), Math.floor((i + 1) * size))));
+};
+const EMPTY_SEARCH_FILTERS = { query: '', scope: 'all', contentType: '', filename: '', from: '', to: '' };
 
 const ChatScreen = React.memo(({ token, userId, socket, username, virtualNumber, photo, onLogout, theme }) => {
   const navigate = useNavigate();
@@ -44,8 +76,29 @@ const ChatScreen = React.memo(({ token, userId, socket, username, virtualNumber,
   const [file, setFile] = useState(null);
   const [fetchStatus, setFetchStatus] = useState('idle');
   const [fetchError, setFetchError] = useState(null);
+  const [showNewGroup, setShowNewGroup] = useState(false);
+  const [groupName, setGroupName] = useState('');
+  const [groupMemberIds, setGroupMemberIds] = useState([]);
+  const [groupError, setGroupError] = useState('');
+  const [isLoadingNewGroup, setIsLoadingNewGroup] = useState(false);
+  const [keyWarnings, setKeyWarnings] = useState({});
+  const [securityCode, setSecurityCode] = useState(null);
+  const [reactionPickerFor, setReactionPickerFor] = useState(null);
+  const [reportTarget, setReportTarget] = useState(null); // { targetType, targetId, label, initialDetails } for ReportDialog
+  const [showSearch, setShowSearch] = useState(false);
+  const [searchFilters, setSearchFilters] = useState(EMPTY_SEARCH_FILTERS);
+  const [searchResults, setSearchResults] = useState(null);
+  const [isSearching, setIsSearching] = useState(false);
+  const [searchError, setSearchError] = useState('');
+  const [archiveStatus, setArchiveStatus] = useState(null);
+  const [recordingState, setRecordingState] = useState(null);
+  const [messageCursors, setMessageCursors] = useState({});
+  const [isLoadingOlder, setIsLoadingOlder] = useState(false);
   const inputRef = useRef(null);
   const fileInputRef = useRef(null);
+  const archiveInputRef = useRef(null);
+  const recordingRef = useRef(null);
+  const recordHoldRef = useRef(null);
   const listRef = useRef(null);
   const menuRef = useRef(null);
   const typingTimeoutRef = useRef(null);
@@ -115,6 +168,17 @@ const ChatScreen = React.memo(({ token, userId, socket, username, virtualNumber,
     }
   }, [userId]);
 
+  // Drop messages whose conversation retention has run out, in memory and in the local cache
+  useEffect(() => {
+    const sweepExpiredMessages = () => {
+      dispatch(cleanupMessages());
+      clearExpiredMessages().catch((err) => console.warn('Failed to clear expired messages:', err.message));
+    };
+    sweepExpiredMessages();
+    const interval = setInterval(sweepExpiredMessages, EXPIRY_SWEEP_INTERVAL);
+    return () => clearInterval(interval);
+  }, [dispatch]);
+
   useEffect(() => {
     const initializeForge = async () => {
       if (forgeInitAttemptsRef.current >= maxForgeInitAttempts) {
@@ -135,6 +199,17 @@ const ChatScreen = React.memo(({ token, userId, socket, username, virtualNumber,
     initializeForge();
   }, [logClientError]);
 
+  const keyRingRef = useRef(null);
+
+  useEffect(() => {
+    if (!userId || !auth.privateKey) return;
+    loadKeyRing(userId)
+      .then((keyRing) => {
+        keyRingRef.current = keyRing;
+      })
+      .catch((err) => logClientError('Failed to load key ring', err));
+  }, [userId, auth.privateKey, logClientError]);
+
   const decryptMessage = useCallback(
     async (encryptedContent, privateKey) => {
       if (!isForgeReady || !privateKey) {
@@ -143,42 +218,39 @@ const ChatScreen = React.memo(({ token, userId, socket, username, virtualNumber,
         throw err;
       }
       try {
-        const [data, iv, encryptedKey] = encryptedContent.split('|').map((part) => forge.util.decode64(part));
-        const privateKeyObj = forge.pki.privateKeyFromPem(privateKey);
-        const aesKey = privateKeyObj.decrypt(encryptedKey, 'RSA-OAEP', { md: forge.md.sha256.create() });
-        const decipher = forge.cipher.createDecipher('AES-CBC', aesKey);
-        decipher.start({ iv });
-        decipher.update(forge.util.createBuffer(data));
-        if (!decipher.finish()) {
-          throw new Error('Decryption failed');
-        }
-        return forge.util.decodeUtf8(decipher.output.getBytes());
+        // Keys received through device linking let this device read history sent to older devices
+        const keyRing = keyRingRef.current?.privateKey === privateKey ? keyRingRef.current : { privateKey };
+        return decryptWithKeyRing(encryptedContent, keyRing, userId);
       } catch (err) {
         logClientError('Message decryption failed', err);
         throw new Error('Failed to decrypt message');
       }
     },
-    [isForgeReady, logClientError]
+    [isForgeReady, userId, logClientError]
+  );
+
+  // Decrypted copies live only in this browser's IndexedDB so text can be searched locally
+  const cacheDecryptedMessages = useCallback(
+    (messages, chatId) => {
+      const decrypted = messages.map((msg) => ({
+        ...msg,
+        chatId,
+        plaintextContent: msg.plaintextContent === UNDECRYPTED_PLACEHOLDER ? '' : msg.plaintextContent,
+      }));
+      saveMessages(decrypted).catch((err) => logClientError('Failed to cache messages for search', err));
+    },
+    [logClientError]
   );
 
   const encryptMessage = useCallback(
-    async (content, recipientPublicKey, isMedia = false) => {
-      if (!isForgeReady || !recipientPublicKey) {
+    async (content, deviceKeys) => {
+      if (!isForgeReady || !deviceKeys?.length) {
         const err = new Error('Encryption dependencies missing');
         logClientError('Encryption dependencies missing', err);
         throw err;
       }
       try {
-        const aesKey = forge.random.getBytesSync(32);
-        const iv = forge.random.getBytesSync(16);
-        const cipher = forge.cipher.createCipher('AES-CBC', aesKey);
-        cipher.start({ iv });
-        cipher.update(forge.util.createBuffer(isMedia ? content : forge.util.encodeUtf8(content)));
-        cipher.finish();
-        const encrypted = `${forge.util.encode64(cipher.output.getBytes())}|${forge.util.encode64(iv)}|${forge.util.encode64(
-          forge.pki.publicKeyFromPem(recipientPublicKey).encrypt(aesKey, 'RSA-OAEP', { md: forge.md.sha256.create() })
-        )}`;
-        return encrypted;
+        return encryptForDevices(content, deviceKeys);
       } catch (err) {
         console.error('Encryption failed:', err.message);
         throw new Error('Failed to encrypt message');
@@ -187,50 +259,80 @@ const ChatScreen = React.memo(({ token, userId, socket, username, virtualNumber,
     [isForgeReady, logClientError]
   );
 
-  const getPublicKey = useCallback(
-    async (recipientId) => {
-      if (!isValidObjectId(recipientId)) {
+  // Trust on first use: pin each contact's device-set fingerprint and flag any later change
+  const checkKeyPin = useCallback(
+    (contactId, devices) => {
+      if (contactId === userId) return;
+      try {
+        const fingerprint = getDevicesFingerprint(devices);
+        const pinKey = `devicePin:${userId}:${contactId}`;
+        const pinned = localStorage.getItem(pinKey);
+        if (!pinned) {
+          localStorage.setItem(pinKey, fingerprint);
+        } else if (pinned !== fingerprint) {
+          setKeyWarnings((prev) => ({ ...prev, [contactId]: fingerprint }));
+        }
+      } catch (err) {
+        logClientError('Key fingerprint check failed', err);
+      }
+    },
+    [userId, logClientError]
+  );
+
+  const fetchDeviceKeys = useCallback(
+    async (targetUserId) => {
+      const { data } = await axios.get(`${BASE_URL}/auth/public_key/${targetUserId}`, {
+        headers: { Authorization: `Bearer ${token}` },
+        timeout: 5000,
+      });
+      if (!Array.isArray(data.devices) || !data.devices.length) {
+        throw new Error('No device keys returned');
+      }
+      localStorage.setItem(`publicKey:${targetUserId}`, JSON.stringify({ devices: data.devices, timestamp: Date.now() }));
+      checkKeyPin(targetUserId, data.devices);
+      return data.devices;
+    },
+    [token, checkKeyPin]
+  );
+
+  // Every registered device of a user as [{ deviceId, publicKey }]
+  const getDeviceKeys = useCallback(
+    async (targetUserId) => {
+      if (!isValidObjectId(targetUserId)) {
         const err = new Error('Invalid recipientId');
-        logClientError('Invalid recipientId in getPublicKey', err);
+        logClientError('Invalid recipientId in getDeviceKeys', err);
         throw err;
       }
-      const cacheKey = `publicKey:${recipientId}`;
+      const cacheKey = `publicKey:${targetUserId}`;
       const cachedData = localStorage.getItem(cacheKey);
       if (cachedData) {
-        const { publicKey, timestamp } = JSON.parse(cachedData);
-        if (Date.now() - timestamp < PUBLIC_KEY_CACHE_TTL) {
-          return publicKey;
+        const { devices, timestamp } = JSON.parse(cachedData);
+        if (Array.isArray(devices) && Date.now() - timestamp < PUBLIC_KEY_CACHE_TTL) {
+          checkKeyPin(targetUserId, devices);
+          return devices;
         }
         localStorage.removeItem(cacheKey);
       }
 
       try {
-        const { data } = await axios.get(`${BASE_URL}/auth/public_key/${recipientId}`, {
-          headers: { Authorization: `Bearer ${token}` },
-          timeout: 5000,
-        });
-        if (!data.publicKey) {
-          throw new Error('No public key returned');
-        }
-        localStorage.setItem(cacheKey, JSON.stringify({ publicKey: data.publicKey, timestamp: Date.now() }));
-        return data.publicKey;
+        return await fetchDeviceKeys(targetUserId);
       } catch (err) {
-        console.error(`Public key fetch failed for recipient ${recipientId}: ${err.message}`);
-        logClientError(`Public key fetch failed for recipient ${recipientId}`, err);
+        console.error(`Device keys fetch failed for user ${targetUserId}: ${err.message}`);
+        logClientError(`Device keys fetch failed for user ${targetUserId}`, err);
         if (err.response?.status === 401) {
           setTimeout(() => onLogout(), 1000);
         }
         throw new Error('Failed to fetch public key');
       }
     },
-    [token, onLogout, logClientError]
+    [onLogout, logClientError, checkKeyPin, fetchDeviceKeys]
   );
 
   const fetchContactPublicKeys = useCallback(
     async () => {
       if (!chatList.length || !isForgeReady) return;
       try {
-        const promises = chatList.map(async (chat) => {
+        const promises = chatList.filter((chat) => !chat.isGroup).map(async (chat) => {
           if (!isValidObjectId(chat.id)) {
             console.warn(`Invalid chat ID ${chat.id}, skipping public key fetch`);
             return;
@@ -238,18 +340,12 @@ const ChatScreen = React.memo(({ token, userId, socket, username, virtualNumber,
           const cacheKey = `publicKey:${chat.id}`;
           const cachedData = localStorage.getItem(cacheKey);
           if (cachedData) {
-            const { timestamp } = JSON.parse(cachedData);
-            if (Date.now() - timestamp < PUBLIC_KEY_CACHE_TTL) return;
+            const { devices, timestamp } = JSON.parse(cachedData);
+            if (Array.isArray(devices) && Date.now() - timestamp < PUBLIC_KEY_CACHE_TTL) return;
             localStorage.removeItem(cacheKey);
           }
           try {
-            const { data } = await axios.get(`${BASE_URL}/auth/public_key/${chat.id}`, {
-              headers: { Authorization: `Bearer ${token}` },
-              timeout: 5000,
-            });
-            if (data.publicKey) {
-              localStorage.setItem(cacheKey, JSON.stringify({ publicKey: data.publicKey, timestamp: Date.now() }));
-            }
+            await fetchDeviceKeys(chat.id);
           } catch (err) {
             console.warn(`Failed to fetch public key for contact ${chat.id}: ${err.message}`);
             logClientError(`Failed to fetch public key for contact ${chat.id}`, err);
@@ -260,9 +356,39 @@ const ChatScreen = React.memo(({ token, userId, socket, username, virtualNumber,
         logClientError('Failed to fetch contact public keys', err);
       }
     },
-    [chatList, isForgeReady, token, logClientError]
+    [chatList, isForgeReady, logClientError, fetchDeviceKeys]
   );
 
+  const openSecurityCode = useCallback(async (contactId) => {
+    if (!isValidObjectId(contactId)) return;
+    try {
+      const [contactDevices, ownDevices] = await Promise.all([getDeviceKeys(contactId), getDeviceKeys(userId)]);
+      setSecurityCode({
+        contactId,
+        own: getDevicesFingerprint(ownDevices),
+        contact: getDevicesFingerprint(contactDevices),
+        deviceCount: contactDevices.length,
+      });
+    } catch (err) {
+      logClientError('Failed to load security code', err);
+      setSecurityCode({ contactId, error: 'Could not load the security code for this contact' });
+    }
+  }, [userId, getDeviceKeys, logClientError]);
+
+  const confirmSecurityCode = useCallback(() => {
+    if (!securityCode) return;
+    localStorage.setItem(`devicePin:${userId}:${securityCode.contactId}`, securityCode.contact);
+    setKeyWarnings((prev) => {
+      const { [securityCode.contactId]: _, ...rest } = prev;
+      return rest;
+    });
+    setSecurityCode(null);
+  }, [securityCode, userId]);
+
+  useEffect(() => {
+    setSecurityCode(null);
+  }, [selectedChat]);
+
   const fetchChatList = useCallback(
     debounce(
       async (force = false) => {
@@ -294,14 +420,21 @@ const ChatScreen = React.memo(({ token, userId, socket, username, virtualNumber,
 
         const attemptFetch = async () => {
           try {
-            const { data } = await axios.get(`${BASE_URL}/social/chat-list`, {
-              headers: { Authorization: `Bearer ${token}` },
-              params: { userId },
-              timeout: 10000,
-            });
-            if (!Array.isArray(data)) {
-              throw new Error('Invalid chat list data: not an array');
-            }
+            // Contacts come in pages; follow nextCursor until the whole list is loaded
+            const data = [];
+            let cursor = null;
+            do {
+              const { data: page } = await axios.get(`${BASE_URL}/social/chat-list`, {
+                headers: { Authorization: `Bearer ${token}` },
+                params: cursor ? { userId, cursor } : { userId },
+                timeout: 10000,
+              });
+              if (!Array.isArray(page?.chats)) {
+                throw new Error('Invalid chat list data: not an array');
+              }
+              data.push(...page.chats);
+              cursor = page.nextCursor;
+            } while (cursor && isMountedRef.current);
             if (isMountedRef.current && fetchId === fetchChatList.currentFetchId) {
               const validChats = data.filter((chat) => isValidObjectId(chat.id) && chat.ownerId === userId);
               if (validChats.length > 0) {
@@ -523,13 +656,63 @@ const ChatScreen = React.memo(({ token, userId, socket, username, virtualNumber,
     [contactInput, token, userId, onLogout, logClientError, fetchChatList]
   );
 
+  const handleCreateGroup = useCallback(
+    async () => {
+      const sanitizedGroupName = sanitizeInput(groupName.trim());
+      if (!sanitizedGroupName) {
+        setGroupError('Please enter a group name');
+        return;
+      }
+      if (!groupMemberIds.length) {
+        setGroupError('Select at least one contact');
+        return;
+      }
+      setIsLoadingNewGroup(true);
+      try {
+        const { data } = await axios.post(
+          `${BASE_URL}/social/groups`,
+          { name: sanitizedGroupName, memberIds: groupMemberIds },
+          { headers: { Authorization: `Bearer ${token}` }, timeout: 5000 }
+        );
+        if (!isMountedRef.current) return;
+        if (!isValidObjectId(data.id)) {
+          throw new Error('Invalid group ID returned');
+        }
+        dispatch(setChatList([{ ...data, _id: data.id, ownerId: userId, status: 'group', latestMessage: null, unreadCount: 0 }]));
+        setGroupName('');
+        setGroupMemberIds([]);
+        setGroupError('');
+        setShowNewGroup(false);
+        setShowMenu(false);
+        dispatch(setSelectedChat(data.id));
+      } catch (err) {
+        console.error('Create group failed:', err.message);
+        if (!isMountedRef.current) return;
+        setGroupError(err.response?.data?.error || 'Failed to create group');
+        if (err.response?.status === 401) {
+          logClientError('Create group failed: Unauthorized', err);
+          setTimeout(() => onLogout(), 1000);
+        }
+      } finally {
+        if (isMountedRef.current) setIsLoadingNewGroup(false);
+      }
+    },
+    [groupName, groupMemberIds, token, userId, dispatch, onLogout, logClientError]
+  );
+
+  // Without a cursor loads the latest page; with one, the page of older messages before it
   const fetchMessages = useCallback(
-    async (chatId) => {
+    async (chatId, cursor = null) => {
       if (!isForgeReady || !isValidObjectId(chatId) || !isMountedRef.current || !isValidObjectId(userId)) return;
+      const isGroup = !!chatList.find((chat) => chat.id === chatId)?.isGroup;
       try {
         const { data } = await axios.get(`${BASE_URL}/social/messages`, {
           headers: { Authorization: `Bearer ${token}` },
-          params: { userId, recipientId: chatId },
+          params: {
+            userId,
+            ...(isGroup ? { groupId: chatId } : { recipientId: chatId }),
+            ...(cursor ? { cursor } : {}),
+          },
           timeout: 10000,
         });
         if (!Array.isArray(data.messages)) {
@@ -538,7 +721,7 @@ const ChatScreen = React.memo(({ token, userId, socket, username, virtualNumber,
         if (isMountedRef.current) {
           const decryptedMessages = await Promise.all(
             data.messages.map(async (msg) => {
-              if (!isValidObjectId(msg.senderId) || !isValidObjectId(msg.recipientId)) {
+              if (!isValidObjectId(msg.senderId) || !isValidObjectId(isGroup ? msg.groupId : msg.recipientId)) {
                 console.warn(`Invalid message senderId or recipientId: ${msg._id || msg.clientMessageId}`);
                 return null;
               }
@@ -555,10 +738,13 @@ const ChatScreen = React.memo(({ token, userId, socket, username, virtualNumber,
           );
           const validMessages = decryptedMessages.filter((msg) => msg !== null);
           dispatch(setMessages({ recipientId: chatId, messages: validMessages }));
+          cacheDecryptedMessages(validMessages, chatId);
+          setMessageCursors((prev) => ({ ...prev, [chatId]: data.nextCursor || null }));
           setUnreadMessages((prev) => ({ ...prev, [chatId]: 0 }));
         }
+        // Read receipts are only tracked for one-to-one chats
         const unreadMessageIds = data.messages
-          .filter((m) => m.status !== 'read' && m.recipientId.toString() === userId && !sentStatusesRef.current.has(m._id))
+          .filter((m) => m.status !== 'read' && m.recipientId && m.recipientId.toString() === userId && !sentStatusesRef.current.has(m._id))
           .map((m) => m._id);
         if (unreadMessageIds.length && socket) {
           socket.emit('batchMessageStatus', {
@@ -568,7 +754,9 @@ const ChatScreen = React.memo(({ token, userId, socket, username, virtualNumber,
           });
           unreadMessageIds.forEach((id) => sentStatusesRef.current.add(id));
         }
-        listRef.current?.scrollToItem(data.messages.length, 'end');
+        // Older pages are prepended, so keep the message the user was looking at in view
+        if (cursor) listRef.current?.scrollToItem(data.messages.length, 'start');
+        else listRef.current?.scrollToItem(data.messages.length, 'end');
       } catch (err) {
         console.error('Messages fetch failed:', err.message);
         logClientError('Messages fetch failed', {
@@ -582,9 +770,20 @@ const ChatScreen = React.memo(({ token, userId, socket, username, virtualNumber,
         }
       }
     },
-    [isForgeReady, token, userId, socket, dispatch, logClientError, onLogout, auth.privateKey, decryptMessage]
+    [isForgeReady, token, userId, socket, dispatch, logClientError, onLogout, auth.privateKey, decryptMessage, chatList, cacheDecryptedMessages]
   );
 
+  const loadOlderMessages = useCallback(async () => {
+    const cursor = messageCursors[selectedChat];
+    if (!cursor || isLoadingOlder) return;
+    setIsLoadingOlder(true);
+    try {
+      await fetchMessages(selectedChat, cursor);
+    } finally {
+      if (isMountedRef.current) setIsLoadingOlder(false);
+    }
+  }, [messageCursors, selectedChat, isLoadingOlder, fetchMessages]);
+
   const sendMessage = useCallback(
     async (retryCount = 0) => {
       if (!isForgeReady || !message.trim() || !selectedChat || !isValidObjectId(selectedChat) || !isValidObjectId(userId)) {
@@ -595,6 +794,15 @@ const ChatScreen = React.memo(({ token, userId, socket, username, virtualNumber,
       const clientMessageId = generateClientMessageId();
       const sanitizedMessage = sanitizeInput(message.trim());
       const maxMessageRetries = 3;
+      const selectedGroup = chatList.find((chat) => chat.id === selectedChat && chat.isGroup);
+      const target = selectedGroup ? { groupId: selectedChat } : { recipientId: selectedChat };
+      const recipientIds = selectedGroup
+        ? (selectedGroup.members || []).map((member) => (typeof member === 'string' ? member : member.id))
+        : [selectedChat];
+      if (recipientIds.some((id) => keyWarnings[id])) {
+        console.warn('sendMessage: unverified security code change', { selectedChat });
+        return;
+      }
 
       if (chats[selectedChat]?.some((msg) => msg.clientMessageId === clientMessageId)) {
         console.warn('Duplicate message detected, aborting send:', clientMessageId);
@@ -603,7 +811,7 @@ const ChatScreen = React.memo(({ token, userId, socket, username, virtualNumber,
 
       const messageData = {
         senderId: userId,
-        recipientId: selectedChat,
+        ...target,
         contentType: 'text',
         plaintextContent: sanitizedMessage,
         clientMessageId,
@@ -626,11 +834,13 @@ const ChatScreen = React.memo(({ token, userId, socket, username, virtualNumber,
         }
 
         try {
-          const recipientPublicKey = await getPublicKey(selectedChat);
-          const encryptedContent = await encryptMessage(sanitizedMessage, recipientPublicKey);
+          // Encrypt once per device: every recipient device plus our own so other sessions can read it
+          const keyOwners = [...new Set([...recipientIds, userId])];
+          const deviceKeys = (await Promise.all(keyOwners.map((ownerId) => getDeviceKeys(ownerId)))).flat();
+          const encryptedContent = await encryptMessage(sanitizedMessage, deviceKeys);
           const messagePayload = {
             senderId: userId,
-            recipientId: selectedChat,
+            ...target,
             content: encryptedContent,
             contentType: 'text',
             clientMessageId,
@@ -648,11 +858,13 @@ const ChatScreen = React.memo(({ token, userId, socket, username, virtualNumber,
               localStorage.setItem(`queuedMessage:${clientMessageId}`, JSON.stringify(messageData));
               return;
             }
-            if (!isValidObjectId(ack.message.recipientId) || ack.message.recipientId !== selectedChat) {
+            const ackTargetId = (selectedGroup ? ack.message.groupId : ack.message.recipientId)?.toString();
+            if (!isValidObjectId(ackTargetId) || ackTargetId !== selectedChat) {
               console.warn('Received message with invalid or mismatched recipientId', ack.message);
               return;
             }
             dispatch(replaceMessage({ recipientId: selectedChat, message: { ...ack.message, plaintextContent: sanitizedMessage }, replaceId: clientMessageId }));
+            cacheDecryptedMessages([{ ...ack.message, plaintextContent: sanitizedMessage }], selectedChat);
             dispatch(updateMessageStatus({ recipientId: selectedChat, messageId: ack.message._id, status: 'sent' }));
             localStorage.removeItem(`queuedMessage:${clientMessageId}`);
           });
@@ -677,12 +889,12 @@ const ChatScreen = React.memo(({ token, userId, socket, username, virtualNumber,
 
       await attemptSend();
     },
-    [isForgeReady, message, selectedChat, userId, virtualNumber, username, photo, socket, getPublicKey, encryptMessage, dispatch, chats, logClientError]
+    [isForgeReady, message, selectedChat, userId, virtualNumber, username, photo, socket, getDeviceKeys, encryptMessage, dispatch, chats, chatList, keyWarnings, logClientError, cacheDecryptedMessages]
   );
 
-  const handleAttachment = useCallback(
-    async (e) => {
-      const selectedFile = e.target.files[0];
+  // Shared by picked files and recorded voice notes; voiceNote carries { duration, waveform }
+  const uploadAttachment = useCallback(
+    async (selectedFile, voiceNote = null) => {
       if (!selectedFile || !selectedChat || !isValidObjectId(selectedChat) || !isValidObjectId(userId)) {
         console.warn('Invalid attachment parameters', { selectedFile, selectedChat, userId });
         return;
@@ -695,23 +907,29 @@ const ChatScreen = React.memo(({ token, userId, socket, username, virtualNumber,
       setFile(selectedFile);
       setShowAttachmentPicker(false);
       const clientMessageId = generateClientMessageId();
+      const isGroup = !!chatList.find((chat) => chat.id === selectedChat)?.isGroup;
       try {
         const formData = new FormData();
         formData.append('file', selectedFile);
         formData.append('userId', userId);
-        formData.append('recipientId', selectedChat);
+        formData.append(isGroup ? 'groupId' : 'recipientId', selectedChat);
         formData.append('clientMessageId', clientMessageId);
         formData.append('senderVirtualNumber', virtualNumber);
         formData.append('senderUsername', username);
         formData.append('senderPhoto', photo);
+        if (voiceNote) {
+          formData.append('duration', String(voiceNote.duration));
+          formData.append('waveform', JSON.stringify(voiceNote.waveform));
+        }
         const tempMessage = {
           senderId: userId,
-          recipientId: selectedChat,
+          ...(isGroup ? { groupId: selectedChat } : { recipientId: selectedChat }),
           content: URL.createObjectURL(selectedFile),
           contentType: selectedFile.type.startsWith('image/') ? 'image' :
                        selectedFile.type.startsWith('video/') ? 'video' :
                        selectedFile.type.startsWith('audio/') ? 'audio' : 'document',
           originalFilename: selectedFile.name,
+          ...(voiceNote || {}),
           clientMessageId,
           status: 'pending',
           createdAt: new Date(),
@@ -721,7 +939,8 @@ const ChatScreen = React.memo(({ token, userId, socket, username, virtualNumber,
           headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'multipart/form-data' },
           timeout: 30000,
         });
-        if (!isValidObjectId(data.message.recipientId) || data.message.recipientId !== selectedChat) {
+        const responseTargetId = (isGroup ? data.message.groupId : data.message.recipientId)?.toString();
+        if (!isValidObjectId(responseTargetId) || responseTargetId !== selectedChat) {
           throw new Error('Invalid or mismatched recipientId in upload response');
         }
         dispatch(replaceMessage({ recipientId: selectedChat, message: data.message, replaceId: clientMessageId }));
@@ -734,9 +953,100 @@ const ChatScreen = React.memo(({ token, userId, socket, username, virtualNumber,
         logClientError('File upload failed', err);
       }
     },
-    [selectedChat, userId, virtualNumber, username, photo, token, dispatch, chats, logClientError]
+    [selectedChat, userId, virtualNumber, username, photo, token, dispatch, chats, chatList, logClientError]
+  );
+
+  const handleAttachment = useCallback((e) => uploadAttachment(e.target.files[0]), [uploadAttachment]);
+
+  // send=false discards the recording (slide to cancel, too short, or leaving the chat)
+  const stopRecording = useCallback((send) => {
+    recordHoldRef.current = null;
+    const recording = recordingRef.current;
+    if (!recording) return;
+    recording.send = send;
+    if (recording.recorder.state !== 'inactive') recording.recorder.stop();
+    setRecordingState(null);
+  }, []);
+
+  const startRecording = useCallback(
+    async (e) => {
+      if (recordingRef.current || !selectedChat) return;
+      // Keep receiving pointerup/move even when the pointer drifts off the button
+      e.currentTarget.setPointerCapture?.(e.pointerId);
+      recordHoldRef.current = { startX: e.clientX };
+      if (!navigator.mediaDevices?.getUserMedia || typeof MediaRecorder === 'undefined') {
+        setFetchError('Voice recording is not supported in this browser');
+        return;
+      }
+      let stream;
+      try {
+        stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+      } catch (err) {
+        logClientError('Microphone access denied', err);
+        setFetchError('Microphone access is needed to record voice notes');
+        return;
+      }
+      // Released while the permission prompt was open
+      if (!recordHoldRef.current || !isMountedRef.current) {
+        stream.getTracks().forEach((track) => track.stop());
+        return;
+      }
+      const mimeType = VOICE_MIME_TYPES.find((type) => MediaRecorder.isTypeSupported(type));
+      const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+      const audioContext = new (window.AudioContext || window.webkitAudioContext)();
+      const analyser = audioContext.createAnalyser();
+      analyser.fftSize = 256;
+      audioContext.createMediaStreamSource(stream).connect(analyser);
+      const buffer = new Uint8Array(analyser.fftSize);
+      const recording = { recorder, chunks: [], levels: [], startedAt: Date.now(), send: false };
+
+      recording.interval = setInterval(() => {
+        analyser.getByteTimeDomainData(buffer);
+        const peak = buffer.reduce((max, value) => Math.max(max, Math.abs(value - 128)), 0);
+        recording.levels.push(Math.min(100, Math.round((peak / 128) * 150)));
+        const elapsed = (Date.now() - recording.startedAt) / 1000;
+        if (elapsed >= MAX_VOICE_NOTE_SECONDS) {
+          stopRecording(true);
+          return;
+        }
+        setRecordingState({ elapsed, levels: recording.levels.slice(-VOICE_PREVIEW_BARS) });
+      }, VOICE_SAMPLE_INTERVAL_MS);
+
+      recorder.ondataavailable = (event) => {
+        if (event.data.size) recording.chunks.push(event.data);
+      };
+      recorder.onstop = () => {
+        clearInterval(recording.interval);
+        stream.getTracks().forEach((track) => track.stop());
+        audioContext.close().catch(() => {});
+        recordingRef.current = null;
+        const duration = Math.round((Date.now() - recording.startedAt) / 100) / 10;
+        if (!recording.send || duration < MIN_VOICE_NOTE_SECONDS || !isMountedRef.current) return;
+        const type = recorder.mimeType || mimeType || 'audio/webm';
+        const extension = type.includes('mp4') ? 'm4a' : type.includes('ogg') ? 'ogg' : 'webm';
+        const voiceFile = new File(recording.chunks, `voice-note-${Date.now()}.${extension}`, { type: type.split(';')[0] });
+        uploadAttachment(voiceFile, { duration, waveform: downsampleLevels(recording.levels, VOICE_WAVEFORM_BARS) });
+      };
+
+      recordingRef.current = recording;
+      recorder.start();
+      setRecordingState({ elapsed: 0, levels: [] });
+    },
+    [selectedChat, stopRecording, uploadAttachment, logClientError]
   );
 
+  const handleRecordMove = useCallback(
+    (e) => {
+      if (recordingRef.current && recordHoldRef.current && recordHoldRef.current.startX - e.clientX > VOICE_CANCEL_DISTANCE) {
+        stopRecording(false);
+      }
+    },
+    [stopRecording]
+  );
+
+  // Never keep the microphone open after switching chats or leaving the screen
+  useEffect(() => () => stopRecording(false), [selectedChat, stopRecording]);
+
   useEffect(() => {
     const maxStatuses = 1000;
     const lruCache = new Map();
@@ -842,16 +1152,19 @@ const ChatScreen = React.memo(({ token, userId, socket, username, virtualNumber,
     const handleMessage = async (msg) => {
       if (!isMountedRef.current) return;
       const senderId = typeof msg.senderId === 'object' ? msg.senderId._id.toString() : msg.senderId.toString();
-      const recipientId = typeof msg.recipientId === 'object' ? msg.recipientId._id.toString() : msg.recipientId.toString();
-      if (!isValidObjectId(senderId) || !isValidObjectId(recipientId)) {
+      const groupId = msg.groupId ? msg.groupId.toString() : null;
+      const recipientId = groupId
+        ? null
+        : typeof msg.recipientId === 'object' ? msg.recipientId._id.toString() : msg.recipientId.toString();
+      if (!isValidObjectId(senderId) || !isValidObjectId(groupId || recipientId)) {
         console.warn('Invalid senderId or recipientId in message:', msg);
         return;
       }
-      if (recipientId !== userId && senderId !== userId) {
+      if (!groupId && recipientId !== userId && senderId !== userId) {
         console.warn('Message not intended for this user:', { senderId, recipientId, userId });
         return;
       }
-      const targetId = senderId === userId ? recipientId : senderId;
+      const targetId = groupId || (senderId === userId ? recipientId : senderId);
       if (!chatList.some((chat) => chat.id === targetId)) {
         console.warn(`Message received for unknown contact ${targetId}`);
         return;
@@ -866,8 +1179,9 @@ const ChatScreen = React.memo(({ token, userId, socket, username, virtualNumber,
       }
       const decryptedMsg = { ...msg, plaintextContent };
       dispatch(addMessage({ recipientId: targetId, message: decryptedMsg }));
+      cacheDecryptedMessages([decryptedMsg], targetId);
       if (selectedChat === targetId && document.hasFocus()) {
-        if (!sentStatusesRef.current.has(msg._id)) {
+        if (!groupId && !sentStatusesRef.current.has(msg._id)) {
           statusUpdateQueue.push(msg._id);
           clearTimeout(statusUpdateTimeout);
           statusUpdateTimeout = setTimeout(flushStatusUpdates, 500);
@@ -879,24 +1193,78 @@ const ChatScreen = React.memo(({ token, userId, socket, username, virtualNumber,
       }
     };
 
-    const handleTyping = ({ userId: typingUserId }) => {
+    // In group threads isTyping[groupId] holds the id of the member typing
+    const handleTyping = ({ userId: typingUserId, groupId }) => {
       if (!isValidObjectId(typingUserId)) return;
-      if (typingUserId === selectedChat && isMountedRef.current) {
-        setIsTyping((prev) => ({ ...prev, [typingUserId]: true }));
+      const chatId = groupId || typingUserId;
+      if (chatId === selectedChat && isMountedRef.current) {
+        setIsTyping((prev) => ({ ...prev, [chatId]: groupId ? typingUserId : true }));
         clearTimeout(typingTimeoutRef.current);
         typingTimeoutRef.current = setTimeout(() => {
-          setIsTyping((prev) => ({ ...prev, [typingUserId]: false }));
+          setIsTyping((prev) => ({ ...prev, [chatId]: false }));
         }, 3000);
       }
     };
 
-    const handleStopTyping = ({ userId: typingUserId }) => {
+    const handleStopTyping = ({ userId: typingUserId, groupId }) => {
       if (!isValidObjectId(typingUserId)) return;
-      if (typingUserId === selectedChat && isMountedRef.current) {
-        setIsTyping((prev) => ({ ...prev, [typingUserId]: false }));
+      const chatId = groupId || typingUserId;
+      if (chatId === selectedChat && isMountedRef.current) {
+        setIsTyping((prev) => ({ ...prev, [chatId]: false }));
       }
     };
 
+    const handleGroupUpdated = (group) => {
+      if (!isMountedRef.current || !group?.id || !isValidObjectId(group.id)) return;
+      dispatch(setChatList([{
+        ...group,
+        _id: group.id,
+        members: (group.members || []).map((member) => (typeof member === 'string' ? member : member.id)),
+        ownerId: userId,
+        status: 'group',
+      }]));
+    };
+
+    const handleRetentionUpdated = ({ senderId, recipientId, groupId, retention }) => {
+      if (!isMountedRef.current) return;
+      const chatId = groupId || (senderId === userId ? recipientId : senderId);
+      const chat = chatList.find((c) => c.id === chatId);
+      if (!chat || chat.retention === retention) return;
+      dispatch(setChatList([{ ...chat, retention }]));
+    };
+
+    // Block and mute changes made on another device
+    const handleBlockUpdate = ({ targetId, blocked }) => {
+      if (!isMountedRef.current || !blocked || !isValidObjectId(targetId)) return;
+      dispatch(removeChat(targetId));
+    };
+
+    const handleMuteUpdate = ({ targetId, muted }) => {
+      if (!isMountedRef.current) return;
+      const chat = chatList.find((c) => c.id === targetId);
+      if (!chat || !!chat.muted === muted) return;
+      dispatch(setChatList([{ ...chat, muted }]));
+    };
+
+    const handleGroupRemoved = ({ groupId }) => {
+      if (!isMountedRef.current || !isValidObjectId(groupId)) return;
+      dispatch(removeChat(groupId));
+    };
+
+    const handlePublicKeyChanged = ({ userId: contactId }) => {
+      if (!isMountedRef.current || !isValidObjectId(contactId)) return;
+      localStorage.removeItem(`publicKey:${contactId}`);
+      fetchDeviceKeys(contactId).catch((err) => logClientError('Failed to refresh device keys', err));
+    };
+
+    const handleReactionUpdated = ({ messageId, senderId, recipientId, groupId, reactions }) => {
+      if (!isMountedRef.current || !isValidObjectId(messageId)) return;
+      const chatId = groupId || (senderId === userId ? recipientId : senderId);
+      if (!isValidObjectId(chatId) || !chats[chatId]) return;
+      dispatch(updateMessageReactions({ recipientId: chatId, messageId, reactions }));
+      saveMessageReactions(messageId, reactions).catch((err) => logClientError('Failed to cache reactions', err));
+    };
+
     const handleMessageStatus = ({ messageIds, status }) => {
       if (!isMountedRef.current || !Array.isArray(messageIds)) return;
       messageIds.forEach((messageId) => {
@@ -915,6 +1283,13 @@ const ChatScreen = React.memo(({ token, userId, socket, username, virtualNumber,
     socket.on('typing', handleTyping);
     socket.on('stopTyping', handleStopTyping);
     socket.on('messageStatus', handleMessageStatus);
+    socket.on('groupUpdated', handleGroupUpdated);
+    socket.on('groupRemoved', handleGroupRemoved);
+    socket.on('publicKeyChanged', handlePublicKeyChanged);
+    socket.on('reactionUpdated', handleReactionUpdated);
+    socket.on('retentionUpdated', handleRetentionUpdated);
+    socket.on('blockUpdate', handleBlockUpdate);
+    socket.on('muteUpdate', handleMuteUpdate);
 
     return () => {
       socket.off('contactData', handleNewContact);
@@ -923,6 +1298,13 @@ const ChatScreen = React.memo(({ token, userId, socket, username, virtualNumber,
       socket.off('typing', handleTyping);
       socket.off('stopTyping', handleStopTyping);
       socket.off('messageStatus', handleMessageStatus);
+      socket.off('groupUpdated', handleGroupUpdated);
+      socket.off('groupRemoved', handleGroupRemoved);
+      socket.off('publicKeyChanged', handlePublicKeyChanged);
+      socket.off('reactionUpdated', handleReactionUpdated);
+      socket.off('retentionUpdated', handleRetentionUpdated);
+      socket.off('blockUpdate', handleBlockUpdate);
+      socket.off('muteUpdate', handleMuteUpdate);
       clearTimeout(typingTimeoutRef.current);
       clearTimeout(typingDebounceRef.current);
       clearTimeout(retryTimeoutRef.current.chatList);
@@ -932,7 +1314,7 @@ const ChatScreen = React.memo(({ token, userId, socket, username, virtualNumber,
       setUnreadMessages({});
       setIsTyping({});
     };
-  }, [socket, isForgeReady, selectedChat, userId, chats, dispatch, unreadMessages, auth.privateKey, decryptMessage, chatList]);
+  }, [socket, isForgeReady, selectedChat, userId, chats, dispatch, unreadMessages, auth.privateKey, decryptMessage, chatList, fetchDeviceKeys, cacheDecryptedMessages, logClientError]);
 
   useEffect(() => {
     if (selectedChat && !chats[selectedChat]) {
@@ -945,6 +1327,7 @@ const ChatScreen = React.memo(({ token, userId, socket, username, virtualNumber,
       if (menuRef.current && !menuRef.current.contains(e.target)) {
         setShowMenu(false);
         setShowAddContact(false);
+        setShowNewGroup(false);
         setShowAttachmentPicker(false);
         setShowEmojiPicker(false);
       }
@@ -965,15 +1348,18 @@ const ChatScreen = React.memo(({ token, userId, socket, username, virtualNumber,
     () => {
       if (!socket || !selectedChat || !isValidObjectId(selectedChat)) return;
       clearTimeout(typingDebounceRef.current);
+      const target = chatList.find((chat) => chat.id === selectedChat)?.isGroup
+        ? { groupId: selectedChat }
+        : { recipientId: selectedChat };
       typingDebounceRef.current = setTimeout(() => {
-        throttledEmit('typing', { userId, recipientId: selectedChat });
+        throttledEmit('typing', { userId, ...target });
         clearTimeout(typingTimeoutRef.current);
         typingTimeoutRef.current = setTimeout(() => {
-          throttledEmit('stopTyping', { userId, recipientId: selectedChat });
+          throttledEmit('stopTyping', { userId, ...target });
         }, 3000);
       }, 500);
     },
-    [socket, selectedChat, userId, throttledEmit]
+    [socket, selectedChat, userId, throttledEmit, chatList]
   );
 
   const selectChat = useCallback(
@@ -990,7 +1376,7 @@ const ChatScreen = React.memo(({ token, userId, socket, username, virtualNumber,
       setShowMenu(false);
       if (chatId && socket) {
         const unreadMessageIds = (chats[chatId] || [])
-          .filter((m) => m.status !== 'read' && m.recipientId.toString() === userId && !sentStatusesRef.current.has(m._id))
+          .filter((m) => m.status !== 'read' && m.recipientId && m.recipientId.toString() === userId && !sentStatusesRef.current.has(m._id))
           .map((m) => m._id);
         if (unreadMessageIds.length) {
           socket.emit('batchMessageStatus', {
@@ -1007,14 +1393,225 @@ const ChatScreen = React.memo(({ token, userId, socket, username, virtualNumber,
     [socket, chats, userId, dispatch, chatList]
   );
 
+  const selectedChatData = chatList.find((c) => c.id === selectedChat);
+  const isGroupChat = !!selectedChatData?.isGroup;
+  const canChangeRetention = !isGroupChat || !!selectedChatData?.admins?.includes(userId);
+
+  const handleExportChat = useCallback(
+    async (includeMedia) => {
+      if (!selectedChatData) return;
+      setShowMenu(false);
+      try {
+        const { count } = await exportChatArchive({
+          token,
+          userId,
+          username,
+          chat: selectedChatData,
+          includeMedia,
+          onProgress: (text) => isMountedRef.current && setArchiveStatus({ text }),
+        });
+        if (isMountedRef.current) setArchiveStatus({ text: `Exported ${count} messages` });
+      } catch (err) {
+        logClientError('Chat export failed', err);
+        if (isMountedRef.current) setArchiveStatus({ text: `Export failed: ${err.response?.data?.error || err.message}`, error: true });
+        if (err.response?.status === 401) {
+          setTimeout(() => onLogout(), 1000);
+        }
+      }
+    },
+    [selectedChatData, token, userId, username, logClientError, onLogout]
+  );
+
+  // Blocking removes the chat from the list (the server stops returning it); muting only
+  // silences notifications, so the chat stays and just shows the muted flag
+  const handleBlockOrMute = useCallback(
+    async (action) => {
+      if (!selectedChatData || selectedChatData.isGroup) return;
+      setShowMenu(false);
+      const name = selectedChatData.username || 'this user';
+      if (action === 'block' && !window.confirm(`Block ${name}? Neither of you will be able to message the other.`)) return;
+      try {
+        await axios.post(
+          `${BASE_URL}/social/${action}`,
+          { targetId: selectedChatData.id },
+          { headers: { Authorization: `Bearer ${token}` }, timeout: 5000 }
+        );
+        if (action === 'block') {
+          dispatch(removeChat(selectedChatData.id));
+        } else {
+          dispatch(setChatList([{ ...selectedChatData, muted: action === 'mute' }]));
+        }
+      } catch (err) {
+        logClientError(`Failed to ${action} user`, err);
+        if (isMountedRef.current) setArchiveStatus({ text: err.response?.data?.error || `Failed to ${action} user`, error: true });
+        if (err.response?.status === 401) {
+          setTimeout(() => onLogout(), 1000);
+        }
+      }
+    },
+    [selectedChatData, token, dispatch, logClientError, onLogout]
+  );
+
+  const handleImportArchive = useCallback(
+    async (e) => {
+      const archiveFile = e.target.files?.[0];
+      e.target.value = '';
+      if (!archiveFile) return;
+      setShowMenu(false);
+      setArchiveStatus({ text: 'Importing archive' });
+      try {
+        const { chatId, messages } = await importChatArchive(archiveFile, userId);
+        if (chatList.some((chat) => chat.id === chatId)) {
+          dispatch(setMessages({ recipientId: chatId, messages }));
+        }
+        if (isMountedRef.current) {
+          setArchiveStatus({
+            text: chatList.some((chat) => chat.id === chatId)
+              ? `Imported ${messages.length} messages`
+              : `Imported ${messages.length} messages; add the contact to see them in your chat list`,
+          });
+        }
+      } catch (err) {
+        logClientError('Chat import failed', err);
+        if (isMountedRef.current) setArchiveStatus({ text: `Import failed: ${err.message}`, error: true });
+      }
+    },
+    [userId, chatList, dispatch, logClientError]
+  );
+
+  const changeRetention = useCallback(
+    (retention) => {
+      if (!socket || !selectedChatData || retention === selectedChatData.retention) return;
+      const target = selectedChatData.isGroup ? { groupId: selectedChatData.id } : { recipientId: selectedChatData.id };
+      socket.emit('setRetention', { ...target, retention }, (ack) => {
+        if (!isMountedRef.current) return;
+        if (ack?.error) {
+          logClientError(`Failed to change message retention: ${ack.error}`, new Error(ack.error));
+          return;
+        }
+        dispatch(setChatList([{ ...selectedChatData, retention: ack.retention }]));
+      });
+    },
+    [socket, selectedChatData, dispatch, logClientError]
+  );
+
+  // Text is matched against the local decrypted cache; the server adds media and captions by metadata
+  const runSearch = useCallback(async () => {
+    const { query, scope, contentType, filename, from, to } = searchFilters;
+    const chatId = scope === 'chat' && isValidObjectId(selectedChat) ? selectedChat : null;
+    const isGroup = !!chatList.find((chat) => chat.id === chatId)?.isGroup;
+    const toEndOfDay = to ? new Date(`${to}T23:59:59.999`).toISOString() : undefined;
+    const fromStartOfDay = from ? new Date(`${from}T00:00:00`).toISOString() : undefined;
+    setIsSearching(true);
+    setSearchError('');
+    try {
+      const [localResults, serverResults] = await Promise.all([
+        searchMessages({ query, chatId, contentType, filename, from: fromStartOfDay, to: toEndOfDay }),
+        contentType === 'text' && query.trim()
+          ? Promise.resolve([])
+          : axios
+              .get(`${BASE_URL}/social/messages/search`, {
+                headers: { Authorization: `Bearer ${token}` },
+                params: {
+                  q: query.trim() || undefined,
+                  ...(chatId ? (isGroup ? { groupId: chatId } : { contactId: chatId }) : {}),
+                  contentType: contentType || undefined,
+                  filename: filename.trim() || undefined,
+                  from: fromStartOfDay,
+                  to: toEndOfDay,
+                },
+                timeout: 10000,
+              })
+              .then(({ data }) => data.messages || []),
+      ]);
+      const byId = new Map(localResults.map((msg) => [msg._id, msg]));
+      await Promise.all(
+        serverResults
+          .filter((msg) => !byId.has(msg._id))
+          .map(async (msg) => {
+            let plaintextContent = '';
+            if (msg.contentType === 'text' && msg.content && auth.privateKey) {
+              try {
+                plaintextContent = await decryptMessage(msg.content, auth.privateKey);
+              } catch (err) {
+                plaintextContent = UNDECRYPTED_PLACEHOLDER;
+              }
+            }
+            byId.set(msg._id, {
+              ...msg,
+              plaintextContent,
+              chatId: msg.groupId || (msg.senderId === userId ? msg.recipientId : msg.senderId),
+            });
+          })
+      );
+      if (isMountedRef.current) {
+        setSearchResults([...byId.values()].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt)));
+      }
+    } catch (err) {
+      logClientError('Message search failed', err);
+      if (isMountedRef.current) setSearchError(err.response?.data?.error || 'Search failed');
+      if (err.response?.status === 401) {
+        setTimeout(() => onLogout(), 1000);
+      }
+    } finally {
+      if (isMountedRef.current) setIsSearching(false);
+    }
+  }, [searchFilters, selectedChat, chatList, token, userId, auth.privateKey, decryptMessage, logClientError, onLogout]);
+
+  const openSearchResult = useCallback(
+    (result) => {
+      if (!chatList.some((chat) => chat.id === result.chatId)) return;
+      selectChat(result.chatId);
+      setShowSearch(false);
+      setTimeout(() => {
+        const index = (chats[result.chatId] || []).findIndex((msg) => msg._id === result._id);
+        if (index !== -1) listRef.current?.scrollToItem(index, 'center');
+      }, 300);
+    },
+    [chatList, chats, selectChat]
+  );
+  const changedKeyIds = (isGroupChat
+    ? (selectedChatData.members || []).map((member) => (typeof member === 'string' ? member : member.id))
+    : [selectedChat]
+  ).filter((id) => id && keyWarnings[id]);
+
+  // Same emoji again removes it; a different one replaces the user's current reaction
+  const toggleReaction = useCallback(
+    (msg, emoji) => {
+      setReactionPickerFor(null);
+      if (!socket || !isValidObjectId(msg._id)) return;
+      const mine = msg.reactions?.find((reaction) => reaction.userId === userId);
+      const event = mine?.emoji === emoji ? 'removeReaction' : 'addReaction';
+      const payload = event === 'addReaction' ? { messageId: msg._id, emoji } : { messageId: msg._id };
+      socket.emit(event, payload, (ack) => {
+        if (!isMountedRef.current) return;
+        if (ack?.error) {
+          logClientError(`Failed to ${event === 'addReaction' ? 'add' : 'remove'} reaction: ${ack.error}`, new Error(ack.error));
+          return;
+        }
+        dispatch(updateMessageReactions({ recipientId: selectedChat, messageId: msg._id, reactions: ack.reactions }));
+      });
+    },
+    [socket, userId, selectedChat, dispatch, logClientError]
+  );
+
+  const selectedMessages = chats[selectedChat];
+
+  useEffect(() => {
+    listRef.current?.resetAfterIndex(0);
+  }, [selectedMessages, reactionPickerFor]);
+
   const getItemSize = (index) => {
-    const msg = chats[selectedChat]?.[index];
+    const msg = selectedMessages?.[index];
     if (!msg) return 60;
     const isMedia = ['image', 'video', 'audio', 'document'].includes(msg.contentType);
     const baseHeight = 60;
-    const mediaHeight = isMedia ? 150 : 0;
+    const mediaHeight = msg.contentType === 'audio' ? 70 : isMedia ? 150 : 0;
     const captionHeight = msg.caption ? 20 : 0;
-    return baseHeight + mediaHeight + captionHeight;
+    const senderHeight = isGroupChat && msg.senderId.toString() !== userId ? 16 : 0;
+    const reactionsHeight = msg.reactions?.length ? 28 : 0;
+    const pickerHeight = reactionPickerFor === msg._id ? 40 : 0;
+    return baseHeight + mediaHeight + captionHeight + senderHeight + reactionsHeight + pickerHeight;
   };
 
   const Row = useCallback(
@@ -1034,61 +1631,103 @@ const ChatScreen = React.memo(({ token, userId, socket, username, virtualNumber,
               </span>
             </div>
           )}
-          <div className={`flex ${isMine ? 'justify-end' : 'justify-start'} px-4`} style={style}>
-            <div
-              className={`max-w-[70%] rounded-lg p-3 ${
-                isMine ? 'bg-blue-500 text-white' : 'bg-gray-200 dark:bg-gray-700 text-gray-900 dark:text-gray-100'
-              }`}
-            >
-              {msg.contentType === 'text' ? (
-                <p>{msg.plaintextContent || '[Message not decrypted]'}</p>
-              ) : (
-                <>
-                  {msg.contentType === 'image' && (
-                    <img src={msg.content} alt="media" className="max-w-full h-auto rounded" />
-                  )}
-                  {msg.contentType === 'video' && (
-                    <video src={msg.content} controls className="max-w-full h-auto rounded" />
-                  )}
-                  {msg.contentType === 'audio' && (
-                    <audio src={msg.content} controls className="w-full" />
-                  )}
-                  {msg.contentType === 'document' && (
-                    <a
-                      href={msg.content}
-                      className="text-blue-500 dark:text-blue-400 underline"
-                      target="_blank"
-                      rel="noopener noreferrer"
-                    >
-                      {msg.originalFilename || 'Document'}
-                    </a>
-                  )}
-                  {msg.caption && <p className="mt-1 text-sm">{msg.caption}</p>}
-                </>
-              )}
-              <div className="flex justify-between items-center mt-1 text-xs">
-                <span className={isMine ? 'text-white' : 'text-gray-500 dark:text-gray-400'}>
-                  {new Date(msg.createdAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
-                </span>
-                {isMine && (
-                  <span className="ml-2">
-                    {msg.status === 'pending' ? 'o' : msg.status === 'sent' ? '✓' : msg.status === 'delivered' ? '✓✓' : '👀'}
+          {msg.contentType === 'system' ? (
+            <div className="flex justify-center items-center px-4" style={style}>
+              <span className="text-xs text-gray-600 dark:text-gray-300 bg-yellow-100 dark:bg-gray-700 px-3 py-1 rounded-lg">
+                {msg.content}
+              </span>
+            </div>
+          ) : (
+            <div className={`flex ${isMine ? 'justify-end' : 'justify-start'} px-4`} style={style}>
+              <div
+                className={`max-w-[70%] rounded-lg p-3 ${
+                  isMine ? 'bg-blue-500 text-white' : 'bg-gray-200 dark:bg-gray-700 text-gray-900 dark:text-gray-100'
+                }`}
+                onClick={() => isValidObjectId(msg._id) && setReactionPickerFor(reactionPickerFor === msg._id ? null : msg._id)}
+              >
+                {isGroupChat && !isMine && (
+                  <p className="text-xs font-semibold text-blue-600 dark:text-blue-300 mb-1">{msg.senderUsername || 'Unknown'}</p>
+                )}
+                {msg.contentType === 'text' ? (
+                  <p>{msg.plaintextContent || '[Message not decrypted]'}</p>
+                ) : (
+                  <>
+                    {msg.contentType === 'image' && (
+                      <ProgressiveImage src={msg.content} media={msg.media} alt="media" className="max-w-full h-auto rounded" />
+                    )}
+                    {msg.contentType === 'video' && (
+                      <video
+                        src={msg.content}
+                        poster={msg.media?.posterUrl || previewSource(msg.media) || undefined}
+                        preload={msg.media ? 'none' : 'metadata'}
+                        controls
+                        className="max-w-full h-auto rounded"
+                      />
+                    )}
+                    {msg.contentType === 'audio' && (
+                      <VoiceNoteBubble src={msg.content} duration={msg.duration} waveform={msg.waveform} isMine={isMine} />
+                    )}
+                    {msg.contentType === 'document' && (
+                      <a
+                        href={msg.content}
+                        className="text-blue-500 dark:text-blue-400 underline"
+                        target="_blank"
+                        rel="noopener noreferrer"
+                      >
+                        {msg.originalFilename || 'Document'}
+                      </a>
+                    )}
+                    {msg.caption && <p className="mt-1 text-sm">{msg.caption}</p>}
+                  </>
+                )}
+                <div className="flex justify-between items-center mt-1 text-xs">
+                  <span className={isMine ? 'text-white' : 'text-gray-500 dark:text-gray-400'}>
+                    {new Date(msg.createdAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
                   </span>
+                  {isMine && (
+                    <span className="ml-2">
+                      {msg.status === 'pending' ? 'o' : msg.status === 'sent' ? '✓' : msg.status === 'delivered' ? '✓✓' : '👀'}
+                    </span>
+                  )}
+                </div>
+                <ReactionCounts reactions={msg.reactions} userId={userId} onToggle={(emoji) => toggleReaction(msg, emoji)} />
+                {reactionPickerFor === msg._id && (
+                  <div className="flex gap-1 mt-2 p-1 bg-white dark:bg-gray-800 rounded-full shadow" onClick={(e) => e.stopPropagation()}>
+                    {QUICK_REACTIONS.map((emoji) => (
+                      <button key={emoji} type="button" className="text-lg px-1 hover:scale-125 transition-transform" onClick={() => toggleReaction(msg, emoji)}>
+                        {emoji}
+                      </button>
+                    ))}
+                    {!isMine && (
+                      <button
+                        type="button"
+                        className="text-xs px-2 text-red-500"
+                        onClick={() => {
+                          setReactionPickerFor(null);
+                          // The server only stores ciphertext, so the reporter's decrypted text goes in the notes
+                          setReportTarget({ targetType: 'message', targetId: msg._id, label: 'message', initialDetails: msg.plaintextContent || '' });
+                        }}
+                      >
+                        Report
+                      </button>
+                    )}
+                  </div>
                 )}
               </div>
             </div>
-          </div>
+          )}
         </>
       );
     },
-    [chats, selectedChat, userId, theme]
+    [chats, selectedChat, userId, theme, isGroupChat, reactionPickerFor, toggleReaction]
   );
 
   return (
     <div className={`min-h-screen flex flex-col bg-gray-100 dark:bg-gray-900 ${theme === 'dark' ? 'dark' : ''}`}>
       <div className="flex justify-between items-center p-4 bg-blue-500 dark:bg-gray-800 text-white dark:text-gray-200">
         <h1 className="text-xl font-bold">Gian Chat</h1>
-        <div className="relative">
+        <div className="relative flex items-center">
+          <FaSearch className="cursor-pointer mr-4" title="Search messages" onClick={() => setShowSearch(!showSearch)} />
           <FaEllipsisV className="cursor-pointer" onClick={() => setShowMenu(!showMenu)} />
           <AnimatePresence>
             {showMenu && (
@@ -1110,6 +1749,73 @@ const ChatScreen = React.memo(({ token, userId, socket, username, virtualNumber,
                   <FaPlus className="mr-2" />
                   Add Contact
                 </button>
+                <button
+                  className="flex items-center w-full px-4 py-2 text-gray-900 dark:text-gray-100 hover:bg-gray-100 dark:hover:bg-gray-700"
+                  onClick={() => {
+                    setShowNewGroup(true);
+                    setShowAddContact(false);
+                    setShowMenu(true);
+                  }}
+                >
+                  <FaUsers className="mr-2" />
+                  New Group
+                </button>
+                {selectedChat && (
+                  <>
+                    <button
+                      className="flex items-center w-full px-4 py-2 text-gray-900 dark:text-gray-100 hover:bg-gray-100 dark:hover:bg-gray-700"
+                      onClick={() => handleExportChat(false)}
+                    >
+                      <FaDownload className="mr-2" />
+                      Export Chat
+                    </button>
+                    <button
+                      className="flex items-center w-full px-4 py-2 text-gray-900 dark:text-gray-100 hover:bg-gray-100 dark:hover:bg-gray-700"
+                      onClick={() => handleExportChat(true)}
+                    >
+                      <FaDownload className="mr-2" />
+                      Export Chat with Media
+                    </button>
+                    {!isGroupChat && (
+                      <button
+                        className="flex items-center w-full px-4 py-2 text-red-500 dark:text-red-400 hover:bg-gray-100 dark:hover:bg-gray-700"
+                        onClick={() => {
+                          setShowMenu(false);
+                          setReportTarget({ targetType: 'user', targetId: selectedChat, label: selectedChatData?.username || 'user' });
+                        }}
+                      >
+                        <FaShieldAlt className="mr-2" />
+                        Report User
+                      </button>
+                    )}
+                    {!isGroupChat && (
+                      <button
+                        className="flex items-center w-full px-4 py-2 text-gray-900 dark:text-gray-100 hover:bg-gray-100 dark:hover:bg-gray-700"
+                        onClick={() => handleBlockOrMute(selectedChatData?.muted ? 'unmute' : 'mute')}
+                      >
+                        {selectedChatData?.muted ? <FaBell className="mr-2" /> : <FaBellSlash className="mr-2" />}
+                        {selectedChatData?.muted ? 'Unmute' : 'Mute'}
+                      </button>
+                    )}
+                    {!isGroupChat && (
+                      <button
+                        className="flex items-center w-full px-4 py-2 text-red-500 dark:text-red-400 hover:bg-gray-100 dark:hover:bg-gray-700"
+                        onClick={() => handleBlockOrMute('block')}
+                      >
+                        <FaBan className="mr-2" />
+                        Block User
+                      </button>
+                    )}
+                  </>
+                )}
+                <button
+                  className="flex items-center w-full px-4 py-2 text-gray-900 dark:text-gray-100 hover:bg-gray-100 dark:hover:bg-gray-700"
+                  onClick={() => archiveInputRef.current?.click()}
+                >
+                  <FaUpload className="mr-2" />
+                  Import Chat
+                </button>
+                <input type="file" accept="application/json,.json" ref={archiveInputRef} className="hidden" onChange={handleImportArchive} />
                 <button
                   className="flex items-center w-full px-4 py-2 text-red-500 dark:text-red-400 hover:bg-gray-100 dark:hover:bg-gray-700"
                   onClick={onLogout}
@@ -1147,11 +1853,172 @@ const ChatScreen = React.memo(({ token, userId, socket, username, virtualNumber,
                     </button>
                   </div>
                 )}
+                {showNewGroup && (
+                  <div className="p-4 bg-white dark:bg-gray-800 rounded-b-lg">
+                    <input
+                      type="text"
+                      className={`w-full p-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 dark:focus:ring-gray-300 ${
+                        groupError ? 'border-red-500' : 'border-gray-300 dark:border-gray-600'
+                      } bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100`}
+                      value={groupName}
+                      onChange={(e) => setGroupName(sanitizeInput(e.target.value))}
+                      placeholder="Group name"
+                      maxLength={50}
+                      disabled={isLoadingNewGroup}
+                    />
+                    <div className="mt-2 max-h-40 overflow-y-auto">
+                      {chatList
+                        .filter((chat) => !chat.isGroup && isValidObjectId(chat.id))
+                        .map((chat) => (
+                          <label key={chat.id} className="flex items-center py-1 text-sm text-gray-900 dark:text-gray-100 cursor-pointer">
+                            <input
+                              type="checkbox"
+                              className="mr-2"
+                              checked={groupMemberIds.includes(chat.id)}
+                              onChange={(e) =>
+                                setGroupMemberIds((prev) =>
+                                  e.target.checked ? [...prev, chat.id] : prev.filter((id) => id !== chat.id)
+                                )
+                              }
+                              disabled={isLoadingNewGroup}
+                            />
+                            {chat.username || 'Unknown'}
+                          </label>
+                        ))}
+                    </div>
+                    {groupError && <p className="text-red-500 dark:text-red-400 text-sm mt-1">{groupError}</p>}
+                    <button
+                      className="mt-2 w-full bg-blue-500 dark:bg-gray-700 text-white dark:text-gray-200 px-4 py-2 rounded-lg hover:bg-blue-600 dark:hover:bg-gray-600 disabled:opacity-50"
+                      onClick={handleCreateGroup}
+                      disabled={!groupName.trim() || !groupMemberIds.length || isLoadingNewGroup}
+                    >
+                      {isLoadingNewGroup ? 'Creating...' : 'Create Group'}
+                    </button>
+                  </div>
+                )}
               </motion.div>
             )}
           </AnimatePresence>
         </div>
       </div>
+      {archiveStatus && (
+        <div
+          className={`flex justify-between items-center px-4 py-2 text-sm ${
+            archiveStatus.error ? 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200' : 'bg-blue-100 text-blue-800 dark:bg-gray-700 dark:text-gray-200'
+          }`}
+        >
+          <span>{archiveStatus.text}</span>
+          <FaTimes className="cursor-pointer" onClick={() => setArchiveStatus(null)} />
+        </div>
+      )}
+      {showSearch && (
+        <div className="p-4 bg-white dark:bg-gray-800 border-b border-gray-200 dark:border-gray-700 text-gray-900 dark:text-gray-100">
+          <form
+            className="flex flex-wrap gap-2 items-center"
+            onSubmit={(e) => {
+              e.preventDefault();
+              runSearch();
+            }}
+          >
+            <input
+              type="text"
+              className="flex-1 min-w-[12rem] p-2 border rounded-lg border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-900 focus:outline-none focus:ring-2 focus:ring-blue-500 dark:focus:ring-gray-300"
+              value={searchFilters.query}
+              onChange={(e) => setSearchFilters((prev) => ({ ...prev, query: e.target.value }))}
+              placeholder="Search messages"
+              autoFocus
+            />
+            <select
+              className="p-2 border rounded-lg border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-900"
+              value={searchFilters.scope}
+              onChange={(e) => setSearchFilters((prev) => ({ ...prev, scope: e.target.value }))}
+            >
+              <option value="all">All chats</option>
+              <option value="chat" disabled={!selectedChat}>
+                {selectedChatData ? `Only ${selectedChatData.username}` : 'Current chat'}
+              </option>
+            </select>
+            <select
+              className="p-2 border rounded-lg border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-900"
+              value={searchFilters.contentType}
+              onChange={(e) => setSearchFilters((prev) => ({ ...prev, contentType: e.target.value }))}
+            >
+              <option value="">Any type</option>
+              <option value="text">Text</option>
+              <option value="image">Images</option>
+              <option value="video">Videos</option>
+              <option value="audio">Audio</option>
+              <option value="document">Documents</option>
+            </select>
+            <input
+              type="text"
+              className="w-40 p-2 border rounded-lg border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-900"
+              value={searchFilters.filename}
+              onChange={(e) => setSearchFilters((prev) => ({ ...prev, filename: e.target.value }))}
+              placeholder="File name"
+            />
+            <input
+              type="date"
+              className="p-2 border rounded-lg border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-900"
+              value={searchFilters.from}
+              onChange={(e) => setSearchFilters((prev) => ({ ...prev, from: e.target.value }))}
+              title="From"
+            />
+            <input
+              type="date"
+              className="p-2 border rounded-lg border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-900"
+              value={searchFilters.to}
+              onChange={(e) => setSearchFilters((prev) => ({ ...prev, to: e.target.value }))}
+              title="To"
+            />
+            <button
+              type="submit"
+              className="bg-blue-500 dark:bg-gray-700 text-white dark:text-gray-200 px-4 py-2 rounded-lg hover:bg-blue-600 dark:hover:bg-gray-600 disabled:opacity-50"
+              disabled={isSearching}
+            >
+              {isSearching ? 'Searching...' : 'Search'}
+            </button>
+            <FaTimes
+              className="cursor-pointer text-gray-500 dark:text-gray-400"
+              onClick={() => {
+                setShowSearch(false);
+                setSearchFilters(EMPTY_SEARCH_FILTERS);
+                setSearchResults(null);
+                setSearchError('');
+              }}
+            />
+          </form>
+          {searchError && <p className="mt-2 text-sm text-red-500 dark:text-red-400">{searchError}</p>}
+          {!isSearching && searchResults?.length === 0 && (
+            <p className="mt-2 text-sm text-gray-500 dark:text-gray-400">No messages found</p>
+          )}
+          {!isSearching && searchResults?.length > 0 && (
+            <ul className="mt-3 max-h-72 overflow-y-auto divide-y divide-gray-200 dark:divide-gray-700">
+              {searchResults.map((result) => (
+                <li
+                  key={result._id}
+                  className="py-2 cursor-pointer hover:bg-gray-100 dark:hover:bg-gray-700"
+                  onClick={() => openSearchResult(result)}
+                >
+                  <div className="flex justify-between text-xs text-gray-500 dark:text-gray-400">
+                    <span>
+                      {`${chatList.find((chat) => chat.id === result.chatId)?.username || 'Unknown chat'} · ${
+                        result.senderId === userId ? 'You' : result.senderUsername || 'Unknown'
+                      }`}
+                    </span>
+                    <span>{new Date(result.createdAt).toLocaleString()}</span>
+                  </div>
+                  <p className="text-sm truncate">
+                    {result.contentType === 'text'
+                      ? result.plaintextContent || UNDECRYPTED_PLACEHOLDER
+                      : `[${result.contentType}] ${result.originalFilename || ''} ${result.caption || ''}`.trim()}
+                  </p>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
       <div className="flex flex-1 overflow-hidden">
         <div className={`w-full md:w-1/3 bg-white dark:bg-gray-800 border-r border-gray-200 dark:border-gray-700 ${selectedChat ? 'hidden md:block' : 'block'}`}>
           {isLoadingChatList && (
@@ -1191,7 +2058,10 @@ const ChatScreen = React.memo(({ token, userId, socket, username, virtualNumber,
                   />
                   <div className="flex-1">
                     <div className="flex justify-between">
-                      <span className="font-semibold text-gray-900 dark:text-gray-100">{chat.username || 'Unknown'}</span>
+                      <span className="flex items-center font-semibold text-gray-900 dark:text-gray-100">
+                        {chat.username || 'Unknown'}
+                        {chat.muted && <FaBellSlash className="ml-2 text-xs text-gray-400" title="Muted" aria-label="Muted" />}
+                      </span>
                       {chat.latestMessage && (
                         <span className="text-xs text-gray-500 dark:text-gray-400">
                           {new Date(chat.latestMessage?.createdAt || chat.lastSeen || Date.now()).toLocaleTimeString([], {
@@ -1203,11 +2073,14 @@ const ChatScreen = React.memo(({ token, userId, socket, username, virtualNumber,
                     </div>
                     {chat.latestMessage && (
                       <p className="text-sm text-gray-600 dark:text-gray-300 truncate">
-                        {chat.latestMessage.plaintextContent || `[${chat.latestMessage.contentType}]`}
+                        {chat.isGroup && chat.latestMessage.senderUsername && `${chat.latestMessage.senderUsername}: `}
+                        {chat.latestMessage.contentType === 'system'
+                          ? chat.latestMessage.content
+                          : chat.latestMessage.plaintextContent || `[${chat.latestMessage.contentType}]`}
                       </p>
                     )}
                     {!!unreadMessages[chat.id] && (
-                      <span className="absolute right-4 bg-red-500 text-white text-xs rounded-full w-5 h-5 flex items-center justify-center">
+                      <span className={`absolute right-4 ${chat.muted ? 'bg-gray-400' : 'bg-red-500'} text-white text-xs rounded-full w-5 h-5 flex items-center justify-center`}>
                         {unreadMessages[chat.id]}
                       </span>
                     )}
@@ -1234,17 +2107,112 @@ const ChatScreen = React.memo(({ token, userId, socket, username, virtualNumber,
               <div className="flex items-center p-4 bg-white dark:bg-gray-800 border-b border-gray-200 dark:border-gray-700">
                 <FaArrowLeft className="mr-3 cursor-pointer md:hidden text-gray-900 dark:text-gray-100" onClick={() => selectChat(null)} />
                 <img
-                  src={chatList.find((c) => c.id === selectedChat)?.photo || 'https://placehold.co/40x40'}
+                  src={selectedChatData?.photo || 'https://placehold.co/40x40'}
                   alt="chat-avatar-img"
                   className="w-10 h-10 rounded-full mr-3"
                 />
                 <div>
                   <h2 className="font-semibold text-gray-900 dark:text-gray-100">
-                    {chatList.find((c) => c.id === selectedChat)?.username || ''}
+                    {selectedChatData?.username || ''}
                   </h2>
-                  {isTyping[selectedChat] && <span className="text-sm text-gray-500 dark:text-gray-400">Typing...</span>}
+                  {isGroupChat ? (
+                    <span className="text-sm text-gray-500 dark:text-gray-400">
+                      {isTyping[selectedChat]
+                        ? `${chatList.find((c) => c.id === isTyping[selectedChat])?.username || 'Someone'} is typing...`
+                        : `${selectedChatData.members?.length || 0} members`}
+                    </span>
+                  ) : (
+                    isTyping[selectedChat] && <span className="text-sm text-gray-500 dark:text-gray-400">Typing...</span>
+                  )}
+                </div>
+                <div className="ml-auto flex items-center space-x-3">
+                  <label className="flex items-center text-sm text-gray-500 dark:text-gray-400" title="Message retention">
+                    <FaClock className={`mr-1 ${['7d', '24h'].includes(selectedChatData?.retention) ? 'text-blue-500' : ''}`} />
+                    <select
+                      className="bg-transparent focus:outline-none disabled:cursor-not-allowed"
+                      value={selectedChatData?.retention || 'forever'}
+                      onChange={(e) => changeRetention(e.target.value)}
+                      disabled={!canChangeRetention}
+                    >
+                      {RETENTION_OPTIONS.map(({ value, label }) => (
+                        <option key={value} value={value}>
+                          {label}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                  {!isGroupChat && (
+                    <FaShieldAlt
+                      className={`cursor-pointer ${
+                        keyWarnings[selectedChat] ? 'text-red-500' : 'text-gray-500 dark:text-gray-400'
+                      }`}
+                      title="Verify security code"
+                      onClick={() => openSecurityCode(selectedChat)}
+                    />
+                  )}
                 </div>
               </div>
+              {changedKeyIds.length > 0 && (
+                <div className="p-2 bg-yellow-100 dark:bg-yellow-900 text-sm text-yellow-800 dark:text-yellow-200">
+                  {changedKeyIds.map((id) => (
+                    <div key={id} className="flex items-center justify-between">
+                      <span>
+                        {`Security code for ${chatList.find((c) => c.id === id)?.username || 'a member'} changed. Verify it before sending.`}
+                      </span>
+                      <button className="ml-2 underline" onClick={() => openSecurityCode(id)}>
+                        Verify
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              )}
+              {securityCode && (
+                <div className="p-4 bg-white dark:bg-gray-800 border-b border-gray-200 dark:border-gray-700 text-sm text-gray-900 dark:text-gray-100">
+                  {securityCode.error ? (
+                    <p className="text-red-500 dark:text-red-400">{securityCode.error}</p>
+                  ) : (
+                    <>
+                      <p className="mb-2 text-gray-500 dark:text-gray-400">
+                        Compare these codes with your contact in person or over a call. If they match, your chat is end-to-end encrypted.
+                      </p>
+                      <p className="font-semibold">Your code</p>
+                      <p className="font-mono mb-2 break-all">{securityCode.own}</p>
+                      <p className="font-semibold">{`${chatList.find((c) => c.id === securityCode.contactId)?.username || 'Contact'}'s code`}</p>
+                      <p className="font-mono break-all">{securityCode.contact}</p>
+                      <p className="mt-1 text-gray-500 dark:text-gray-400">
+                        {`Covers ${securityCode.deviceCount} device${securityCode.deviceCount === 1 ? '' : 's'}. The code changes when a device is added or removed.`}
+                      </p>
+                    </>
+                  )}
+                  <div className="flex justify-end space-x-2 mt-2">
+                    <button
+                      className="px-4 py-2 rounded-lg text-gray-900 dark:text-gray-100 hover:bg-gray-100 dark:hover:bg-gray-700"
+                      onClick={() => setSecurityCode(null)}
+                    >
+                      Close
+                    </button>
+                    {!securityCode.error && (
+                      <button
+                        className="bg-blue-500 dark:bg-gray-700 text-white dark:text-gray-200 px-4 py-2 rounded-lg hover:bg-blue-600 dark:hover:bg-gray-600"
+                        onClick={confirmSecurityCode}
+                      >
+                        Mark as verified
+                      </button>
+                    )}
+                  </div>
+                </div>
+              )}
+              {messageCursors[selectedChat] && (
+                <div className="flex justify-center py-1 bg-gray-100 dark:bg-gray-900">
+                  <button
+                    className="text-sm text-blue-500 dark:text-blue-400 hover:underline disabled:opacity-50"
+                    onClick={loadOlderMessages}
+                    disabled={isLoadingOlder}
+                  >
+                    {isLoadingOlder ? 'Loading...' : 'Load earlier messages'}
+                  </button>
+                </div>
+              )}
               <div className="flex-1 overflow-hidden">
                 {chats[selectedChat]?.length ? (
                   <AutoSizer>
@@ -1332,25 +2300,51 @@ const ChatScreen = React.memo(({ token, userId, socket, username, virtualNumber,
                       </label>
                     </div>
                   )}
-                  <input
-                    ref={inputRef}
-                    type="text"
-                    className="flex-1 p-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 dark:focus:ring-gray-300 bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100"
-                    value={message}
-                    onChange={(e) => setMessage(sanitizeInput(e.target.value))}
-                    onKeyDown={(e) => {
-                      if (e.key === 'Enter' && !e.shiftKey) {
-                        e.preventDefault();
-                        sendMessage();
-                      }
-                    }}
-                    onKeyUp={handleTyping}
-                    placeholder="Type a message..."
-                  />
-                  <FaPaperPlane
-                    className="text-blue-500 dark:text-gray-300 cursor-pointer"
-                    onClick={sendMessage}
-                  />
+                  {recordingState ? (
+                    <div className="flex-1 flex items-center p-2 space-x-2 text-gray-900 dark:text-gray-100">
+                      <span className="w-2 h-2 rounded-full bg-red-500 animate-pulse" />
+                      <span className="text-sm w-10">{formatDuration(recordingState.elapsed)}</span>
+                      <Waveform samples={recordingState.levels.length ? recordingState.levels : [0]} progress={1} isMine={false} />
+                      <span className="text-xs text-gray-500 dark:text-gray-400 whitespace-nowrap">Release to send · slide left to cancel</span>
+                    </div>
+                  ) : (
+                    <input
+                      ref={inputRef}
+                      type="text"
+                      className="flex-1 p-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 dark:focus:ring-gray-300 bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100"
+                      value={message}
+                      onChange={(e) => setMessage(sanitizeInput(e.target.value))}
+                      onKeyDown={(e) => {
+                        if (e.key === 'Enter' && !e.shiftKey) {
+                          e.preventDefault();
+                          sendMessage();
+                        }
+                      }}
+                      onKeyUp={handleTyping}
+                      placeholder="Type a message..."
+                    />
+                  )}
+                  {message.trim() ? (
+                    <FaPaperPlane
+                      className="text-blue-500 dark:text-gray-300 cursor-pointer"
+                      onClick={sendMessage}
+                    />
+                  ) : (
+                    <button
+                      type="button"
+                      className={`p-2 rounded-full touch-none select-none ${
+                        recordingState ? 'bg-red-500 text-white' : 'text-blue-500 dark:text-gray-300'
+                      }`}
+                      title="Hold to record a voice note"
+                      onPointerDown={startRecording}
+                      onPointerUp={() => stopRecording(true)}
+                      onPointerMove={handleRecordMove}
+                      onPointerCancel={() => stopRecording(false)}
+                      onContextMenu={(e) => e.preventDefault()}
+                    >
+                      <FaMicrophone />
+                    </button>
+                  )}
                 </div>
               </div>
             </>
@@ -1361,6 +2355,16 @@ const ChatScreen = React.memo(({ token, userId, socket, username, virtualNumber,
           )}
         </div>
       </div>
+      <AnimatePresence>
+        {reportTarget && (
+          <ReportDialog
+            key={`${reportTarget.targetType}:${reportTarget.targetId}`}
+            {...reportTarget}
+            token={token}
+            onClose={() => setReportTarget(null)}
+          />
+        )}
+      </AnimatePresence>
     </div>
   );
 });
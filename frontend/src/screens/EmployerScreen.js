@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import axios from 'axios';
 import { motion, AnimatePresence } from 'framer-motion';
 import { FaBuilding, FaCalendar, FaPaperPlane, FaUsers, FaEye } from 'react-icons/fa';
@@ -22,30 +22,34 @@ const EmployerScreen = ({ token, userId, onToggleRole }) => {
     category: '',
   });
   const [selectedJob, setSelectedJob] = useState(null);
-  const [page, setPage] = useState(1);
+  const [nextCursor, setNextCursor] = useState(null);
   const [hasMore, setHasMore] = useState(true);
 
+  // Without a cursor loads the newest jobs; with one, appends the page after it
+  const fetchJobs = useCallback(async (cursor = null) => {
+    setLoading(true);
+    try {
+      const { data } = await axios.get(`${BASE_URL}/employer/jobs`, {
+        headers: { Authorization: `Bearer ${token}` },
+        params: { limit: 20, ...(cursor ? { cursor } : {}) },
+      });
+      const pageJobs = Array.isArray(data.jobs) ? data.jobs : [];
+      setJobs(prev => cursor ? [...prev, ...pageJobs] : pageJobs);
+      setNextCursor(data.nextCursor || null);
+      setHasMore(!!data.hasMore);
+      setError('');
+    } catch (error) {
+      console.error('Failed to fetch jobs:', error);
+      setError('Failed to load jobs');
+      if (!cursor) setJobs([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [token]);
+
   useEffect(() => {
-    const fetchJobs = async (pageNum = 1, append = false) => {
-      setLoading(true);
-      try {
-        const { data } = await axios.get(`${BASE_URL}/employer/jobs`, {
-          headers: { Authorization: `Bearer ${token}` },
-          params: { page: pageNum, limit: 20 },
-        });
-        setJobs(prev => append ? [...prev, ...(Array.isArray(data.jobs) ? data.jobs : [])] : (Array.isArray(data.jobs) ? data.jobs : []));
-        setHasMore(data.hasMore);
-        setError('');
-      } catch (error) {
-        console.error('Failed to fetch jobs:', error);
-        setError('Failed to load jobs');
-        setJobs([]);
-      } finally {
-        setLoading(false);
-      }
-    };
-    fetchJobs(1);
-  }, [token, userId]);
+    fetchJobs();
+  }, [fetchJobs, userId]);
 
   const handleInputChange = (e) => {
     const { name, value } = e.target;
@@ -74,12 +78,7 @@ const EmployerScreen = ({ token, userId, onToggleRole }) => {
       });
       setError('');
       alert('Job posted successfully');
-      const { data } = await axios.get(`${BASE_URL}/employer/jobs`, {
-        headers: { Authorization: `Bearer ${token}` },
-        params: { page: 1, limit: 20 },
-      });
-      setJobs(Array.isArray(data.jobs) ? data.jobs : []);
-      setHasMore(data.hasMore);
+      await fetchJobs();
     } catch (error) {
       console.error('Job post error:', error);
       setError(error.response?.data?.error || 'Failed to post job');
@@ -91,8 +90,7 @@ const EmployerScreen = ({ token, userId, onToggleRole }) => {
   };
 
   const loadMore = () => {
-    setPage(prev => prev + 1);
-    fetchJobs(page + 1, true);
+    if (nextCursor) fetchJobs(nextCursor);
   };
 
   return (
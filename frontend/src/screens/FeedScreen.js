@@ -1,7 +1,7 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
 import axios from 'axios';
 import { motion, AnimatePresence } from 'framer-motion';
-import { FaPlus, FaPaperPlane, FaHeart, FaComment, FaShare, FaVolumeMute, FaVolumeUp, FaSyncAlt, FaTextHeight, FaImage, FaVideo, FaMusic, FaFilePdf, FaUser } from 'react-icons/fa';
+import { FaPlus, FaPaperPlane, FaHeart, FaComment, FaShare, FaVolumeMute, FaVolumeUp, FaSyncAlt, FaTextHeight, FaImage, FaVideo, FaMusic, FaFilePdf, FaUser, FaRetweet, FaEllipsisH, FaSearch, FaTimes, FaBookmark, FaRegBookmark } from 'react-icons/fa';
 import { useSwipeable } from 'react-swipeable';
 import debounce from 'lodash/debounce';
 import PropTypes from 'prop-types';
@@ -9,6 +9,13 @@ import { formatDistanceToNow } from 'date-fns';
 import { FixedSizeList } from 'react-window';
 import AutoSizer from 'react-virtualized-auto-sizer';
 import { Document, Page, pdfjs } from 'react-pdf';
+import { ProgressiveImage, previewSource } from '../components/MediaPreview';
+import StoryBar from '../components/StoryBar';
+import StoryViewer from '../components/StoryViewer';
+import CommentsSheet from '../components/CommentsSheet';
+import RichText from '../components/RichText';
+import ReportDialog from '../components/ReportDialog';
+import { refreshSession } from '../session';
 
 // Set up PDF.js worker
 pdfjs.GlobalWorkerOptions.workerSrc = `https://unpkg.com/pdfjs-dist@${pdfjs.version}/build/pdf.worker.min.mjs`;
@@ -16,6 +23,26 @@ pdfjs.GlobalWorkerOptions.workerSrc = `https://unpkg.com/pdfjs-dist@${pdfjs.vers
 const BASE_URL = 'https://gapp-6yc3.onrender.com';
 const CACHE_KEY = 'feed_cache';
 const CACHE_EXPIRY = 5 * 60 * 1000; // 5 minutes
+const STORY_CONTENT_TYPES = ['text', 'image', 'video'];
+const FEED_TABS = [
+  { id: 'forYou', label: 'For you', path: '/feed/for-you' },
+  { id: 'following', label: 'Following', path: '/feed/following' },
+];
+
+// Adds a story to its author's group (creating the group if needed) without duplicating it
+const mergeStory = (groups, story, userId) => {
+  const isOwn = story.userId.toString() === userId;
+  const entry = { ...story, _id: story._id.toString(), userId: story.userId.toString(), viewed: isOwn || !!story.viewed };
+  const index = groups.findIndex((group) => group.userId === entry.userId);
+  if (index === -1) {
+    const group = { userId: entry.userId, username: story.username, photo: story.photo, stories: [entry], hasUnseen: !entry.viewed };
+    return isOwn ? [group, ...groups] : [...groups, group];
+  }
+  if (groups[index].stories.some((item) => item._id === entry._id)) return groups;
+  return groups.map((group, i) =>
+    i === index ? { ...group, stories: [...group.stories, entry], hasUnseen: group.hasUnseen || !entry.viewed } : group
+  );
+};
 
 const FeedScreen = ({ token, userId, socket, onLogout, theme }) => {
   const [posts, setPosts] = useState([]);
@@ -25,8 +52,11 @@ const FeedScreen = ({ token, userId, socket, onLogout, theme }) => {
   const [audioFile, setAudioFile] = useState(null);
   const [showPostModal, setShowPostModal] = useState(false);
   const [error, setError] = useState('');
-  const [comment, setComment] = useState('');
   const [showComments, setShowComments] = useState(null);
+  const [postMenu, setPostMenu] = useState(null); // ID of the post whose options menu is open
+  const [postDialog, setPostDialog] = useState(null); // { type: 'edit' | 'repost' | 'bookmark', post, text }
+  const [reportTarget, setReportTarget] = useState(null); // { targetType, targetId, label } for ReportDialog
+  const [bookmarkCollections, setBookmarkCollections] = useState([]);
   const [uploadProgress, setUploadProgress] = useState(null);
   const [playingPostId, setPlayingPostId] = useState(null);
   const [muted, setMuted] = useState(localStorage.getItem('feedMuted') !== 'false');
@@ -39,12 +69,28 @@ const FeedScreen = ({ token, userId, socket, onLogout, theme }) => {
   const [isAuthLoaded, setIsAuthLoaded] = useState(false);
   const [showUserPosts, setShowUserPosts] = useState(false);
   const [pdfPageIndices, setPdfPageIndices] = useState({});
+  const [stories, setStories] = useState([]);
+  const [storyViewerGroup, setStoryViewerGroup] = useState(null);
+  const [isStory, setIsStory] = useState(false);
+  const [feedTab, setFeedTab] = useState('forYou');
+  const [following, setFollowing] = useState([]);
+  const [feedFilter, setFeedFilter] = useState(null); // { type: 'hashtag' | 'author' | 'q', value }
+  const [showSearch, setShowSearch] = useState(false);
+  const [searchInput, setSearchInput] = useState('');
+  const [trendingTags, setTrendingTags] = useState([]);
+  const [mentionNotice, setMentionNotice] = useState(null);
   const feedRef = useRef(null);
+  const nextCursorRef = useRef(null);
   const mediaRefs = useRef({});
   const isFetchingFeedRef = useRef(false);
   const [likeAnimation, setLikeAnimation] = useState(null);
   const modalRef = useRef(null);
 
+  // Signed-in users get the ranked or following feed; guests get the public latest-first feed.
+  // A hashtag, author or text filter replaces either with search results, which are never cached
+  const feedSource = feedFilter ? 'search' : showUserPosts ? 'user' : token ? feedTab : 'latest';
+  const cacheKey = `${CACHE_KEY}_${feedSource}`;
+
   const retryOperation = async (operation, maxRetries = 3, baseDelay = 1000) => {
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
       try {
@@ -82,22 +128,7 @@ const FeedScreen = ({ token, userId, socket, onLogout, theme }) => {
 
   const refreshToken = async () => {
     try {
-      const storedToken = localStorage.getItem('token');
-      const storedUserId = localStorage.getItem('userId');
-      if (!storedToken || !storedUserId) throw new Error('Missing token or userId');
-      const response = await axios.post(
-        `${BASE_URL}/auth/refresh`,
-        { userId: storedUserId },
-        { headers: { Authorization: `Bearer ${storedToken}` }, timeout: 5000 }
-      );
-      const { token: newToken, userId: newUserId, role, virtualNumber, username, photo, privateKey } = response.data;
-      localStorage.setItem('token', newToken);
-      localStorage.setItem('userId', newUserId);
-      localStorage.setItem('role', role || '0');
-      localStorage.setItem('photo', photo || 'https://via.placeholder.com/64');
-      localStorage.setItem('virtualNumber', virtualNumber || '');
-      localStorage.setItem('username', username || '');
-      localStorage.setItem('privateKey', privateKey || '');
+      const { token: newToken } = await refreshSession(localStorage.getItem('userId'));
       return newToken;
     } catch (error) {
       console.error('Token refresh failed:', error.message);
@@ -106,32 +137,35 @@ const FeedScreen = ({ token, userId, socket, onLogout, theme }) => {
   };
 
   const loadFromCache = useCallback(() => {
+    if (feedSource === 'search') return null;
     try {
-      const cached = localStorage.getItem(CACHE_KEY);
+      const cached = localStorage.getItem(cacheKey);
       if (!cached) return null;
-      const { posts, timestamp, page } = JSON.parse(cached);
+      const { posts, timestamp, page, nextCursor } = JSON.parse(cached);
       if (!posts || !Array.isArray(posts) || Date.now() - timestamp > CACHE_EXPIRY) {
-        localStorage.removeItem(CACHE_KEY);
+        localStorage.removeItem(cacheKey);
         return null;
       }
-      return { posts, page };
+      return { posts, page, nextCursor: nextCursor || null };
     } catch (err) {
       console.error('Cache load error:', err.message);
       return null;
     }
-  }, []);
+  }, [cacheKey, feedSource]);
 
-  const saveToCache = useCallback((posts, page) => {
+  const saveToCache = useCallback((posts, page, nextCursor = nextCursorRef.current) => {
+    if (feedSource === 'search') return;
     try {
-      localStorage.setItem(CACHE_KEY, JSON.stringify({
+      localStorage.setItem(cacheKey, JSON.stringify({
         posts,
         timestamp: Date.now(),
         page,
+        nextCursor,
       }));
     } catch (err) {
       console.error('Cache save error:', err.message);
     }
-  }, []);
+  }, [cacheKey, feedSource]);
 
   const pauseAllMedia = useCallback(() => {
     Object.values(mediaRefs.current).forEach((media) => {
@@ -192,6 +226,7 @@ const FeedScreen = ({ token, userId, socket, onLogout, theme }) => {
         if (cachedData) {
           setPosts(cachedData.posts);
           setPage(cachedData.page);
+          nextCursorRef.current = cachedData.nextCursor;
           setHasMore(true);
           setLoading(false);
           setRefreshing(false);
@@ -202,13 +237,17 @@ const FeedScreen = ({ token, userId, socket, onLogout, theme }) => {
       }
 
       try {
-        const url = showUserPosts
-          ? `${BASE_URL}/feed/user/${userId}?page=${pageNum}&limit=10`
-          : `${BASE_URL}/feed?page=${pageNum}&limit=10`;
-        const headers = showUserPosts ? { Authorization: `Bearer ${token}` } : {};
+        // Pages after the first continue from the cursor the previous page returned
+        const path = FEED_TABS.find((item) => item.id === feedSource)?.path
+          || (feedSource === 'user' ? `/feed/user/${userId}` : feedSource === 'search' ? '/feed/search' : '/feed');
+        const cursor = pageNum > 1 && nextCursorRef.current ? `&cursor=${encodeURIComponent(nextCursorRef.current)}` : '';
+        const filter = feedFilter ? `&${feedFilter.type}=${encodeURIComponent(feedFilter.value)}` : '';
+        const url = `${BASE_URL}${path}?limit=10${filter}${cursor}`;
+        const headers = feedSource === 'latest' || !token ? {} : { Authorization: `Bearer ${token}` };
         const { data } = await retryOperation(() =>
           axios.get(url, { headers, timeout: 5000 })
         );
+        nextCursorRef.current = data.nextCursor || null;
         const filteredPosts = Array.isArray(data.posts)
           ? data.posts.filter((post) => post?._id && !post.isStory)
           : [];
@@ -217,7 +256,7 @@ const FeedScreen = ({ token, userId, socket, onLogout, theme }) => {
           const uniquePosts = Array.from(
             new Map(newPosts.map((post) => [post._id.toString(), post])).values()
           );
-          if (pageNum === 1 || isRefresh) saveToCache(uniquePosts, pageNum);
+          if (pageNum === 1 || isRefresh) saveToCache(uniquePosts, pageNum, data.nextCursor || null);
           return uniquePosts;
         });
         setHasMore(data.hasMore ?? false);
@@ -239,9 +278,80 @@ const FeedScreen = ({ token, userId, socket, onLogout, theme }) => {
         setRefreshing(false);
       }
     }, 300),
-    [token, userId, hasMore, loadFromCache, saveToCache, showUserPosts]
+    [token, userId, hasMore, loadFromCache, saveToCache, showUserPosts, feedSource, feedFilter]
   );
 
+  const fetchFollowing = useCallback(async () => {
+    if (!token) return;
+    try {
+      const { data } = await axios.get(`${BASE_URL}/feed/follows`, {
+        headers: { Authorization: `Bearer ${token}` },
+        timeout: 5000,
+      });
+      setFollowing(Array.isArray(data.following) ? data.following : []);
+    } catch (err) {
+      console.error('Fetch follows error:', err.message);
+    }
+  }, [token]);
+
+  const toggleFollow = useCallback(async (targetId) => {
+    const isFollowing = following.includes(targetId);
+    setFollowing((prev) => (isFollowing ? prev.filter((id) => id !== targetId) : [...prev, targetId]));
+    try {
+      await axios.post(
+        `${BASE_URL}/feed/${isFollowing ? 'unfollow' : 'follow'}`,
+        { targetId },
+        { headers: { Authorization: `Bearer ${token}` }, timeout: 5000 }
+      );
+    } catch (err) {
+      console.error('Follow toggle error:', err.message);
+      setFollowing((prev) => (isFollowing ? [...prev, targetId] : prev.filter((id) => id !== targetId)));
+      setError(err.response?.data?.error || `Failed to ${isFollowing ? 'unfollow' : 'follow'} user`);
+    }
+  }, [following, token]);
+
+  const fetchStories = useCallback(async () => {
+    if (!token) return;
+    try {
+      const { data } = await axios.get(`${BASE_URL}/feed/stories`, {
+        headers: { Authorization: `Bearer ${token}` },
+        timeout: 5000,
+      });
+      setStories(Array.isArray(data.stories) ? data.stories : []);
+    } catch (error) {
+      console.error('Fetch stories error:', error.message);
+    }
+  }, [token]);
+
+  const markStoryViewed = useCallback(async (story) => {
+    if (story.viewed || story.userId === userId) return;
+    setStories((prev) =>
+      prev.map((group) => {
+        if (group.userId !== story.userId) return group;
+        const groupStories = group.stories.map((item) => (item._id === story._id ? { ...item, viewed: true } : item));
+        return { ...group, stories: groupStories, hasUnseen: groupStories.some((item) => !item.viewed) };
+      })
+    );
+    try {
+      await axios.post(`${BASE_URL}/feed/stories/${story._id}/view`, {}, {
+        headers: { Authorization: `Bearer ${token}` },
+        timeout: 5000,
+      });
+    } catch (error) {
+      console.error('Story view error:', error.message);
+    }
+  }, [token, userId]);
+
+  const fetchStoryViewers = useCallback(async (storyId) => {
+    const { data } = await axios.get(`${BASE_URL}/feed/stories/${storyId}/viewers`, {
+      headers: { Authorization: `Bearer ${token}` },
+      timeout: 5000,
+    });
+    return data.viewers || [];
+  }, [token]);
+
+  const closeStoryViewer = useCallback(() => setStoryViewerGroup(null), []);
+
   const getTokenExpiration = useCallback((token) => {
     try {
       if (!token || typeof token !== 'string' || !token.includes('.')) return null;
@@ -275,6 +385,8 @@ const FeedScreen = ({ token, userId, socket, onLogout, theme }) => {
   useEffect(() => {
     setIsAuthLoaded(true);
     fetchFeed(1);
+    fetchStories();
+    fetchFollowing();
 
     if (!socket) {
       console.warn('Socket not available');
@@ -293,7 +405,7 @@ const FeedScreen = ({ token, userId, socket, onLogout, theme }) => {
     }, 2000);
 
     const handleNewPost = (post) => {
-      if (!post?.isStory && post?._id && (!showUserPosts || post.userId.toString() === userId)) {
+      if (!post?.isStory && post?._id && !feedFilter && (!showUserPosts || post.userId.toString() === userId)) {
         setPosts((prev) => {
           const newPosts = [post, ...prev];
           const uniquePosts = Array.from(new Map(newPosts.map((p) => [p._id.toString(), p])).values());
@@ -304,16 +416,68 @@ const FeedScreen = ({ token, userId, socket, onLogout, theme }) => {
       }
     };
 
-    const handlePostUpdate = (updatedPost) => {
-      if (updatedPost?._id && (!showUserPosts || updatedPost.userId.toString() === userId)) {
+    const handleNewStory = (story) => {
+      if (!story?._id || !story.userId) return;
+      setStories((prev) => mergeStory(prev, story, userId));
+    };
+
+    const handleStoryViewed = ({ storyId, viewerCount }) => {
+      setStories((prev) =>
+        prev.map((group) => ({
+          ...group,
+          stories: group.stories.map((item) => (item._id === storyId ? { ...item, viewerCount } : item)),
+        }))
+      );
+    };
+
+    const handlePostUpdate = ({ commentEvent, ...updatedPost } = {}) => {
+      // commentEvent is for an open CommentsSheet; the post itself only carries commentCount
+      if (updatedPost._id && (!showUserPosts || updatedPost.userId.toString() === userId)) {
         setPosts((prev) => {
-          const newPosts = prev.map((p) => (p._id.toString() === updatedPost._id.toString() ? { ...p, ...updatedPost } : p));
+          const newPosts = prev.map((p) => {
+            if (p._id.toString() === updatedPost._id.toString()) return { ...p, ...updatedPost };
+            // Reposts embed the post they share, so its counts and caption follow the original
+            if (p.original && p.repostOf === updatedPost._id.toString()) return { ...p, original: { ...p.original, ...updatedPost } };
+            return p;
+          });
           saveToCache(newPosts, page);
           return newPosts;
         });
       }
     };
 
+    const handleMention = (mention) => {
+      if (!mention?.postId) return;
+      setMentionNotice(mention);
+      setTimeout(() => setMentionNotice((current) => (current === mention ? null : current)), 6000);
+    };
+
+    // Keeps bookmark icons in step when the post is saved or removed on another device
+    const handleBookmarkUpdate = ({ postId, bookmarked } = {}) => {
+      if (!postId) return;
+      setPosts((prev) => prev.map((p) => (p._id.toString() === postId ? { ...p, bookmarked } : p)));
+    };
+
+    // Quotes of a deleted post stay and show it as deleted; plain reposts get their own postDeleted
+    const handlePostDeleted = ({ _id, isStory } = {}) => {
+      if (!_id) return;
+      if (isStory) {
+        setStories((prev) =>
+          prev
+            .map((group) => ({ ...group, stories: group.stories.filter((item) => item._id !== _id) }))
+            .filter((group) => group.stories.length > 0)
+        );
+        return;
+      }
+      setPosts((prev) => {
+        const newPosts = prev
+          .filter((p) => p._id.toString() !== _id)
+          .map((p) => (p.repostOf === _id ? { ...p, original: null } : p));
+        saveToCache(newPosts, page);
+        return newPosts;
+      });
+    };
+
     socket.on('connect', () => {
       setSocketConnected(true);
       setError('');
@@ -321,15 +485,24 @@ const FeedScreen = ({ token, userId, socket, onLogout, theme }) => {
       socketPing();
     });
     socket.on('newPost', handleNewPost);
+    socket.on('newStory', handleNewStory);
+    socket.on('storyViewed', handleStoryViewed);
     socket.on('postUpdate', handlePostUpdate);
+    socket.on('postDeleted', handlePostDeleted);
+    socket.on('postHidden', handlePostDeleted); // Hidden by a moderator
+    socket.on('mention', handleMention);
+    socket.on('bookmarkUpdate', handleBookmarkUpdate);
     socket.on('connect_error', async (error) => {
       console.error('Socket connect error:', error.message);
       setSocketConnected(false);
+      if (error.message === 'Account suspended') {
+        setError('Your account has been suspended.');
+        return;
+      }
       setError('Connection lost. Trying to reconnect...');
       if (error.message.includes('invalid token') && showUserPosts) {
         const newToken = await refreshToken();
         if (newToken) {
-          socket.auth.token = newToken;
           socket.connect();
         } else {
           setError('Authentication error. Please log in again.');
@@ -347,23 +520,29 @@ const FeedScreen = ({ token, userId, socket, onLogout, theme }) => {
       clearTimeout(socketTimeout);
       socket.off('connect');
       socket.off('newPost', handleNewPost);
+      socket.off('newStory', handleNewStory);
+      socket.off('storyViewed', handleStoryViewed);
       socket.off('postUpdate', handlePostUpdate);
+      socket.off('postDeleted', handlePostDeleted);
+      socket.off('postHidden', handlePostDeleted);
+      socket.off('mention', handleMention);
+      socket.off('bookmarkUpdate', handleBookmarkUpdate);
       socket.off('connect_error');
       socket.off('reconnect');
       socket.off('pong');
       if (socket.connected) socket.emit('leave', userId);
     };
-  }, [token, userId, socket, fetchFeed, socketPing, page, saveToCache, showUserPosts]);
+  }, [token, userId, socket, fetchFeed, fetchStories, fetchFollowing, socketPing, page, saveToCache, showUserPosts, feedFilter]);
 
   useEffect(() => {
     localStorage.setItem('feedMuted', muted);
   }, [muted]);
 
   useEffect(() => {
-    if (showPostModal || showComments) {
+    if (showPostModal || showComments || postDialog || reportTarget || storyViewerGroup !== null) {
       pauseAllMedia();
     }
-  }, [showPostModal, showComments, pauseAllMedia]);
+  }, [showPostModal, showComments, postDialog, reportTarget, storyViewerGroup, pauseAllMedia]);
 
   const postContent = async () => {
     if (!userId || !token) {
@@ -390,6 +569,8 @@ const FeedScreen = ({ token, userId, socket, onLogout, theme }) => {
     if (file) formData.append('content', file);
     if (contentType === 'text') formData.append('content', caption.trim());
     if (contentType === 'video+audio' && audioFile) formData.append('audio', audioFile);
+    const postingStory = isStory && STORY_CONTENT_TYPES.includes(contentType);
+    if (postingStory) formData.append('isStory', 'true');
 
     try {
       setUploadProgress(0);
@@ -401,10 +582,15 @@ const FeedScreen = ({ token, userId, socket, onLogout, theme }) => {
           timeout: 15000,
         })
       );
-      socket.emit('newPost', data);
+      if (postingStory) {
+        setStories((prev) => mergeStory(prev, data, userId));
+      } else {
+        socket.emit('newPost', data);
+      }
       setCaption('');
       setFile(null);
       setAudioFile(null);
+      setIsStory(false);
       setShowPostModal(false);
       setUploadProgress(null);
       setError('');
@@ -452,42 +638,117 @@ const FeedScreen = ({ token, userId, socket, onLogout, theme }) => {
     }
   };
 
-  const commentPost = async (postId) => {
-    if (!playingPostId || postId !== playingPostId || !comment.trim() || !token) return;
-    const post = posts.find((p) => p._id.toString() === postId);
-    if (!post) return;
-
-    const newComment = {
-      userId,
-      comment: comment.trim(),
-      username: localStorage.getItem('username') || 'Guest',
-      photo: localStorage.getItem('photo') || 'https://via.placeholder.com/30',
-      createdAt: new Date().toISOString(),
-    };
-    setPosts((prev) => prev.map((p) => (
-      p._id.toString() === postId
-        ? { ...p, comments: [...p.comments, newComment] }
-        : p
-    )));
+  const deletePost = async (postId) => {
+    setPostMenu(null);
+    if (!token || !window.confirm('Delete this post? This cannot be undone.')) return;
+    try {
+      await axios.delete(`${BASE_URL}/feed/${postId}`, {
+        headers: { Authorization: `Bearer ${token}` },
+        timeout: 10000,
+      });
+      setPosts((prev) => {
+        const newPosts = prev.filter((p) => p._id.toString() !== postId);
+        saveToCache(newPosts, page);
+        return newPosts;
+      });
+    } catch (error) {
+      console.error('Delete post error:', error.message);
+      setError(error.response?.data?.error || 'Failed to delete post.');
+    }
+  };
 
+  // Blocking drops the author's posts and stories here; muting only silences their notifications
+  const blockOrMuteAuthor = async (post, action) => {
+    setPostMenu(null);
+    const authorId = post.userId.toString();
+    const name = post.username || 'this user';
+    const prompt =
+      action === 'block'
+        ? `Block ${name}? They won't be able to message you or see your posts, and you won't see theirs.`
+        : `Mute ${name}? You will stop getting notifications from them.`;
+    if (!token || !window.confirm(prompt)) return;
     try {
-      const { data } = await retryOperation(() =>
-        axios.post(
-          `${BASE_URL}/feed/comment`,
-          { postId, comment: comment.trim(), userId },
-          { headers: { Authorization: `Bearer ${token}` }, timeout: 5000 }
-        )
+      await axios.post(
+        `${BASE_URL}/social/${action}`,
+        { targetId: authorId },
+        { headers: { Authorization: `Bearer ${token}` }, timeout: 5000 }
       );
-      socket.emit('postUpdate', {
-        ...post,
-        comments: [...post.comments, data],
+      if (action === 'block') {
+        setPosts((prev) => {
+          const newPosts = prev.filter((p) => p.userId.toString() !== authorId);
+          saveToCache(newPosts, page);
+          return newPosts;
+        });
+        setStories((prev) => prev.filter((group) => group.userId !== authorId));
+        setFollowing((prev) => prev.filter((id) => id !== authorId));
+      }
+    } catch (error) {
+      console.error(`${action} user error:`, error.message);
+      setError(error.response?.data?.error || `Failed to ${action} user.`);
+    }
+  };
+
+  const setBookmarked = (postId, bookmarked) =>
+    setPosts((prev) => prev.map((p) => (p._id.toString() === postId ? { ...p, bookmarked } : p)));
+
+  // Saved posts are removed straight away; unsaved ones open the dialog to pick a collection
+  const toggleBookmark = async (post) => {
+    if (!token) return;
+    const postId = post._id.toString();
+    if (!post.bookmarked) {
+      setPostDialog({ type: 'bookmark', post, text: '' });
+      axios
+        .get(`${BASE_URL}/feed/bookmarks/collections`, { headers: { Authorization: `Bearer ${token}` }, timeout: 5000 })
+        .then(({ data }) => setBookmarkCollections(Array.isArray(data.collections) ? data.collections : []))
+        .catch((err) => console.error('Fetch collections error:', err.message));
+      return;
+    }
+    setBookmarked(postId, false);
+    try {
+      await axios.delete(`${BASE_URL}/feed/${postId}/bookmark`, {
+        headers: { Authorization: `Bearer ${token}` },
+        timeout: 5000,
       });
-      setComment('');
-      setShowComments(null);
     } catch (error) {
-      console.error('Comment error:', error.message);
-      setError(error.message === 'Offline' ? 'You are offline. Please check your connection.' : 'Failed to comment.');
-      setPosts((prev) => prev.map((p) => (p._id.toString() === postId ? post : p)));
+      console.error('Remove bookmark error:', error.message);
+      setBookmarked(postId, true);
+      setError(error.response?.data?.error || 'Failed to remove from saved.');
+    }
+  };
+
+  // Saves the caption edit, creates the repost (a quote when text was entered) or saves the bookmark
+  const submitPostDialog = async (collection) => {
+    if (!postDialog || !token) return;
+    const { type, post, text } = postDialog;
+    try {
+      if (type === 'bookmark') {
+        await axios.post(
+          `${BASE_URL}/feed/${post._id}/bookmark`,
+          { collection: (typeof collection === 'string' ? collection : text).trim() || undefined },
+          { headers: { Authorization: `Bearer ${token}` }, timeout: 5000 }
+        );
+        setBookmarked(post._id.toString(), true);
+      } else if (type === 'edit') {
+        const { data } = await axios.patch(
+          `${BASE_URL}/feed/${post._id}`,
+          { caption: text },
+          { headers: { Authorization: `Bearer ${token}` }, timeout: 5000 }
+        );
+        setPosts((prev) => prev.map((p) => (p._id.toString() === data._id ? { ...p, ...data } : p)));
+      } else {
+        const { data } = await axios.post(
+          `${BASE_URL}/feed/${post._id}/repost`,
+          { caption: text.trim() },
+          { headers: { Authorization: `Bearer ${token}` }, timeout: 5000 }
+        );
+        setPosts((prev) => [data, ...prev.filter((p) => p._id.toString() !== data._id)]);
+        setCurrentIndex(0);
+      }
+      setPostDialog(null);
+      setError('');
+    } catch (error) {
+      console.error(`Post ${type} error:`, error.message);
+      setError(error.response?.data?.error || { edit: 'Failed to edit post.', repost: 'Failed to repost.', bookmark: 'Failed to save post.' }[type]);
     }
   };
 
@@ -502,13 +763,16 @@ const FeedScreen = ({ token, userId, socket, onLogout, theme }) => {
   }, []);
 
   const handleRefresh = useCallback(() => {
+    nextCursorRef.current = null;
     setPage(1);
     setCurrentIndex(0);
     setHasMore(true);
     fetchFeed(1, true);
-  }, [fetchFeed]);
+    fetchStories();
+  }, [fetchFeed, fetchStories]);
 
   const handleToggleUserPosts = useCallback(() => {
+    nextCursorRef.current = null;
     setShowUserPosts((prev) => !prev);
     setPage(1);
     setCurrentIndex(0);
@@ -517,6 +781,48 @@ const FeedScreen = ({ token, userId, socket, onLogout, theme }) => {
     fetchFeed(1, true);
   }, [fetchFeed]);
 
+  // The feed effect refetches once fetchFeed picks up the new source
+  const handleTabChange = useCallback((tab) => {
+    if (tab === feedTab) return;
+    nextCursorRef.current = null;
+    setFeedTab(tab);
+    setPage(1);
+    setCurrentIndex(0);
+    setHasMore(true);
+    setPosts([]);
+  }, [feedTab]);
+
+  // Switches the feed to posts matching a hashtag, author or search text; null returns to the tabs
+  const applyFeedFilter = useCallback((filter) => {
+    nextCursorRef.current = null;
+    setFeedFilter(filter);
+    setShowSearch(false);
+    setShowComments(null);
+    setPage(1);
+    setCurrentIndex(0);
+    setHasMore(true);
+    setPosts([]);
+  }, []);
+
+  const showHashtag = useCallback((tag) => applyFeedFilter({ type: 'hashtag', value: tag }), [applyFeedFilter]);
+  const showAuthor = useCallback((username) => applyFeedFilter({ type: 'author', value: username }), [applyFeedFilter]);
+
+  const submitSearch = () => {
+    const value = searchInput.trim();
+    if (!value) return;
+    if (value.startsWith('#')) showHashtag(value.slice(1).toLowerCase());
+    else if (value.startsWith('@')) showAuthor(value.slice(1));
+    else applyFeedFilter({ type: 'q', value });
+  };
+
+  useEffect(() => {
+    if (!showSearch) return;
+    axios
+      .get(`${BASE_URL}/feed/hashtags/trending`, { params: { limit: 10 }, timeout: 5000 })
+      .then(({ data }) => setTrendingTags(Array.isArray(data.hashtags) ? data.hashtags : []))
+      .catch((err) => console.error('Fetch trending hashtags error:', err.message));
+  }, [showSearch]);
+
   const handlePdfPageChange = (postId, index) => {
     setPdfPageIndices((prev) => ({ ...prev, [postId]: index }));
   };
@@ -549,6 +855,11 @@ const FeedScreen = ({ token, userId, socket, onLogout, theme }) => {
     likePost(postId);
   }, [likePost]);
 
+  // Stories expire server-side via TTL; hide ones that lapsed since the last fetch
+  const activeStories = stories
+    .map((group) => ({ ...group, stories: group.stories.filter((story) => new Date(story.expiresAt) > new Date()) }))
+    .filter((group) => group.stories.length > 0);
+
   const LoadingSkeleton = () => (
     <div className="h-[calc(100vh-80px)] w-full bg-gray-200 dark:bg-gray-700 animate-pulse relative snap-start md:max-w-[600px] md:h-[800px] md:rounded-lg">
       <div className="absolute top-4 left-4 flex items-center">
@@ -570,6 +881,9 @@ const FeedScreen = ({ token, userId, socket, onLogout, theme }) => {
   const PostRow = ({ index, style }) => {
     const post = posts[index];
     if (!post) return null;
+    // Reposts show the shared post's media; null once that post is deleted
+    const shown = post.contentType === 'repost' ? post.original : post;
+    const isOwnPost = token && post.userId.toString() === userId;
 
     return (
       <motion.div
@@ -594,11 +908,117 @@ const FeedScreen = ({ token, userId, socket, onLogout, theme }) => {
             <span id={`post-${post._id}`} className="font-bold text-gray-900 dark:text-gray-100">{post.username || 'Guest'}</span>
             <span className="text-xs ml-1 text-gray-500 dark:text-gray-400">{timeAgo(post.createdAt)}</span>
           </div>
+          {token && post.userId.toString() !== userId && (
+            <button
+              type="button"
+              onClick={() => toggleFollow(post.userId.toString())}
+              className={`ml-3 px-3 py-1 text-xs font-semibold rounded-full focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+                following.includes(post.userId.toString())
+                  ? 'bg-gray-200 dark:bg-gray-700 text-gray-900 dark:text-gray-100'
+                  : 'bg-blue-500 text-white'
+              }`}
+              aria-label={`${following.includes(post.userId.toString()) ? 'Unfollow' : 'Follow'} ${post.username || 'user'}`}
+            >
+              {following.includes(post.userId.toString()) ? 'Following' : 'Follow'}
+            </button>
+          )}
+          {token && (
+            <div className="relative ml-3">
+              <button
+                type="button"
+                onClick={() => setPostMenu(postMenu === post._id.toString() ? null : post._id.toString())}
+                className="p-1 text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500 rounded"
+                aria-label="Post options"
+                aria-expanded={postMenu === post._id.toString()}
+              >
+                <FaEllipsisH />
+              </button>
+              {postMenu === post._id.toString() && (
+                <div className="absolute left-0 mt-1 w-32 bg-white dark:bg-gray-800 rounded-lg shadow-lg py-1 text-sm z-20" role="menu">
+                  {isOwnPost && post.contentType !== 'text' && (
+                    <button
+                      type="button"
+                      role="menuitem"
+                      onClick={() => {
+                        setPostMenu(null);
+                        setPostDialog({ type: 'edit', post, text: post.caption || '' });
+                      }}
+                      className="block w-full text-left px-3 py-2 hover:bg-gray-100 dark:hover:bg-gray-700"
+                    >
+                      Edit caption
+                    </button>
+                  )}
+                  {isOwnPost ? (
+                    <button
+                      type="button"
+                      role="menuitem"
+                      onClick={() => deletePost(post._id.toString())}
+                      className="block w-full text-left px-3 py-2 text-red-500 hover:bg-gray-100 dark:hover:bg-gray-700"
+                    >
+                      Delete
+                    </button>
+                  ) : (
+                    <>
+                      <button
+                        type="button"
+                        role="menuitem"
+                        onClick={() => {
+                          setPostMenu(null);
+                          setReportTarget({ targetType: 'post', targetId: post._id.toString(), label: 'post' });
+                        }}
+                        className="block w-full text-left px-3 py-2 text-red-500 hover:bg-gray-100 dark:hover:bg-gray-700"
+                      >
+                        Report post
+                      </button>
+                      <button
+                        type="button"
+                        role="menuitem"
+                        onClick={() => {
+                          setPostMenu(null);
+                          setReportTarget({ targetType: 'user', targetId: post.userId.toString(), label: post.username || 'user' });
+                        }}
+                        className="block w-full text-left px-3 py-2 text-red-500 hover:bg-gray-100 dark:hover:bg-gray-700"
+                      >
+                        Report user
+                      </button>
+                      <button
+                        type="button"
+                        role="menuitem"
+                        onClick={() => blockOrMuteAuthor(post, 'mute')}
+                        className="block w-full text-left px-3 py-2 hover:bg-gray-100 dark:hover:bg-gray-700"
+                      >
+                        Mute user
+                      </button>
+                      <button
+                        type="button"
+                        role="menuitem"
+                        onClick={() => blockOrMuteAuthor(post, 'block')}
+                        className="block w-full text-left px-3 py-2 text-red-500 hover:bg-gray-100 dark:hover:bg-gray-700"
+                      >
+                        Block user
+                      </button>
+                    </>
+                  )}
+                </div>
+              )}
+            </div>
+          )}
         </div>
 
-        {post.contentType === 'text' && (
+        {post.contentType === 'repost' && (
+          <p className="w-full max-w-[600px] mb-2 flex items-center text-xs text-gray-500 dark:text-gray-400">
+            <FaRetweet className="mr-1" />
+            {shown ? `Reposted from ${shown.username || 'Guest'}` : 'Reposted'}
+          </p>
+        )}
+        {!shown && (
+          <div className="w-full max-w-[600px] aspect-square flex items-center justify-center rounded-md bg-gray-200 dark:bg-gray-700 text-gray-500 dark:text-gray-400">
+            This post was deleted
+          </div>
+        )}
+        {shown?.contentType === 'text' && (
           <img
-            src={post.content[0]}
+            src={shown.content[0]}
             alt="Text post"
             className="w-full max-w-[600px] aspect-square object-contain rounded-md"
             data-post-id={post._id.toString()}
@@ -607,9 +1027,10 @@ const FeedScreen = ({ token, userId, socket, onLogout, theme }) => {
             loading={index > currentIndex + 1 || index < currentIndex - 1 ? 'lazy' : 'eager'}
           />
         )}
-        {post.contentType === 'image' && (
-          <img
-            src={post.content[0]}
+        {shown?.contentType === 'image' && (
+          <ProgressiveImage
+            src={shown.content[0]}
+            media={shown.media?.[0]}
             alt="Post image"
             className="w-full max-w-[600px] aspect-square object-contain rounded-md"
             data-post-id={post._id.toString()}
@@ -618,7 +1039,7 @@ const FeedScreen = ({ token, userId, socket, onLogout, theme }) => {
             loading={index > currentIndex + 1 || index < currentIndex - 1 ? 'lazy' : 'eager'}
           />
         )}
-        {post.contentType === 'video' && (
+        {shown?.contentType === 'video' && (
           <div className="relative w-full max-w-[600px] aspect-[9/16]">
             <video
               ref={(el) => (mediaRefs.current[post._id.toString()] = el)}
@@ -626,14 +1047,14 @@ const FeedScreen = ({ token, userId, socket, onLogout, theme }) => {
               playsInline
               muted={muted}
               loop
-              src={post.content[0]}
+              src={shown.content[0]}
               className="w-full h-full object-contain rounded-md"
               preload={index === currentIndex ? 'auto' : 'none'}
-              poster="https://placehold.co/600x1066?text=Video+Loading"
+              poster={shown.media?.[0]?.posterUrl || previewSource(shown.media?.[0]) || 'https://placehold.co/600x1066?text=Video+Loading'}
               onError={() => console.warn('Video load error')}
               aria-label="Video post"
             />
-            {post.audioContent && (
+            {shown.audioContent && (
               <motion.div
                 animate={{ opacity: [0.5, 1, 0.5] }}
                 transition={{ repeat: Infinity, duration: 1.5 }}
@@ -645,7 +1066,7 @@ const FeedScreen = ({ token, userId, socket, onLogout, theme }) => {
             )}
           </div>
         )}
-        {post.contentType === 'video+audio' && (
+        {shown?.contentType === 'video+audio' && (
           <div className="relative w-full max-w-[600px] aspect-[9/16]">
             <video
               ref={(el) => (mediaRefs.current[post._id.toString()] = el)}
@@ -653,17 +1074,17 @@ const FeedScreen = ({ token, userId, socket, onLogout, theme }) => {
               playsInline
               muted={muted}
               loop
-              src={post.content[0]}
+              src={shown.content[0]}
               className="w-full h-full object-contain rounded-md"
               preload={index === currentIndex ? 'auto' : 'none'}
-              poster="https://placehold.co/600x1066?text=Video+Loading"
+              poster={shown.media?.[0]?.posterUrl || previewSource(shown.media?.[0]) || 'https://placehold.co/600x1066?text=Video+Loading'}
               onError={() => console.warn('Video load error')}
               aria-label="Video with audio post"
             />
             <audio
               ref={(el) => (mediaRefs.current[`audio-${post._id.toString()}`] = el)}
               data-post-id={post._id.toString()}
-              src={post.audioContent}
+              src={shown.audioContent}
               loop
               muted={muted}
               preload={index === currentIndex ? 'auto' : 'none'}
@@ -680,7 +1101,7 @@ const FeedScreen = ({ token, userId, socket, onLogout, theme }) => {
             </motion.div>
           </div>
         )}
-        {post.contentType === 'audio' && (
+        {shown?.contentType === 'audio' && (
           <div className="relative w-full max-w-[600px] aspect-square flex items-center justify-center">
             <motion.div
               animate={{
@@ -693,7 +1114,7 @@ const FeedScreen = ({ token, userId, socket, onLogout, theme }) => {
               ref={(el) => (mediaRefs.current[post._id.toString()] = el)}
               data-post-id={post._id.toString()}
               controls
-              src={post.content[0]}
+              src={shown.content[0]}
               className="w-full max-w-[80%] mt-2 bg-gray-300 dark:bg-gray-700 rounded-full p-2 z-10"
               preload={index === currentIndex ? 'auto' : 'none'}
               onError={() => console.warn('Audio load error')}
@@ -709,14 +1130,14 @@ const FeedScreen = ({ token, userId, socket, onLogout, theme }) => {
             </motion.div>
           </div>
         )}
-        {post.contentType === 'raw' && (
+        {shown?.contentType === 'raw' && (
           <div className="relative w-full max-w-[600px] aspect-square overflow-x-auto snap-x snap-mandatory flex">
             <Document
-              file={post.content[0]}
+              file={shown.content[0]}
               onLoadError={() => console.warn('PDF load error')}
               loading={<div className="w-full h-full bg-gray-300 dark:bg-gray-600 flex items-center justify-center">Loading PDF...</div>}
             >
-              {post.content.map((_, idx) => (
+              {shown.content.map((_, idx) => (
                 <Page
                   key={`${post._id}-${idx}`}
                   pageNumber={idx + 1}
@@ -730,9 +1151,9 @@ const FeedScreen = ({ token, userId, socket, onLogout, theme }) => {
                 />
               ))}
             </Document>
-            {post.content.length > 1 && (
+            {shown.content.length > 1 && (
               <div className="absolute bottom-4 left-1/2 transform -translate-x-1/2 flex space-x-2">
-                {post.content.map((_, idx) => (
+                {shown.content.map((_, idx) => (
                   <button
                     key={idx}
                     onClick={() => handlePdfPageChange(post._id.toString(), idx)}
@@ -779,9 +1200,36 @@ const FeedScreen = ({ token, userId, socket, onLogout, theme }) => {
               aria-label="View comments"
             >
               <FaComment className="text-3xl text-gray-900 dark:text-gray-100 hover:text-blue-500" />
-              <span className="text-sm text-gray-900 dark:text-gray-100">{post.comments?.length || 0}</span>
+              <span className="text-sm text-gray-900 dark:text-gray-100">{post.commentCount || 0}</span>
             </button>
           </div>
+          {token && shown && (
+            <div className="motion-button">
+              <button
+                onClick={() => setPostDialog({ type: 'repost', post: shown, text: '' })}
+                className="flex flex-col items-center focus:outline-none focus:ring-2 focus:ring-blue-400"
+                aria-label="Repost"
+              >
+                <FaRetweet className="text-3xl text-gray-900 dark:text-gray-100 hover:text-green-500" />
+                <span className="text-sm text-gray-900 dark:text-gray-100">{shown.repostCount || 0}</span>
+              </button>
+            </div>
+          )}
+          {token && (
+            <div className="motion-button">
+              <button
+                onClick={() => toggleBookmark(post)}
+                className="flex flex-col items-center focus:outline-none focus:ring-2 focus:ring-blue-400"
+                aria-label={post.bookmarked ? 'Remove from saved' : 'Save post'}
+              >
+                {post.bookmarked ? (
+                  <FaBookmark className="text-3xl text-yellow-500" />
+                ) : (
+                  <FaRegBookmark className="text-3xl text-gray-900 dark:text-gray-100 hover:text-yellow-500" />
+                )}
+              </button>
+            </div>
+          )}
           <div className="motion-button">
             <button
               onClick={() =>
@@ -796,7 +1244,7 @@ const FeedScreen = ({ token, userId, socket, onLogout, theme }) => {
               <FaShare className="text-3xl text-gray-900 dark:text-gray-100 hover:text-blue-500" />
             </button>
           </div>
-          {(post.contentType === 'video' || post.contentType === 'video+audio' || post.contentType === 'audio') && (
+          {['video', 'video+audio', 'audio'].includes(shown?.contentType) && (
             <div className="motion-button">
               <button
                 onClick={() => setMuted((prev) => !prev)}
@@ -813,69 +1261,26 @@ const FeedScreen = ({ token, userId, socket, onLogout, theme }) => {
           )}
         </div>
 
-        {post.caption && (
+        {(post.caption || shown?.caption) && (
           <motion.div
             initial={{ opacity: 0, y: 20 }}
             animate={{ opacity: 1, y: 0 }}
             className="absolute bottom-4 left-4 right-4 text-sm bg-white dark:bg-gray-800 bg-opacity-50 p-3 rounded-lg max-w-[70%] md:max-w-[80%]"
           >
-            <span className="font-bold text-gray-900 dark:text-gray-100">{post.username || 'Guest'}</span>
-            <span className="ml-1 text-gray-700 dark:text-gray-300">{post.caption}</span>
+            <span className="font-bold text-gray-900 dark:text-gray-100">
+              {(post.caption ? post.username : shown.username) || 'Guest'}
+            </span>
+            <RichText
+              text={post.caption || shown.caption}
+              onHashtag={showHashtag}
+              onMention={showAuthor}
+              className="ml-1 text-gray-700 dark:text-gray-300"
+            />
+            {(post.caption ? post.edited : shown.edited) && (
+              <span className="ml-1 text-xs text-gray-500 dark:text-gray-400">(edited)</span>
+            )}
           </motion.div>
         )}
-
-        <AnimatePresence>
-          {showComments === post._id.toString() && (
-            <motion.div
-              initial={{ opacity: 0, y: 100 }}
-              animate={{ opacity: 1, y: 0 }}
-              exit={{ opacity: 0, y: 100 }}
-              className="fixed bottom-0 left-0 right-0 bg-white dark:bg-gray-800 p-4 rounded-t-lg shadow-lg max-h-[calc(50vh-80px)] overflow-y-auto z-10 md:max-w-[600px] md:mx-auto"
-              role="dialog"
-              aria-modal="true"
-              aria-labelledby={`comments-${post._id}`}
-            >
-              <h3 id={`comments-${post._id}`} className="text-lg font-bold text-blue-600 dark:text-blue-400 mb-2">Comments</h3>
-              {post.comments?.length === 0 ? (
-                <p className="text-gray-500 dark:text-gray-400">No comments yet</p>
-              ) : (
-                post.comments.map((c, i) => (
-                  <div key={`${c.createdAt}-${i}`} className="flex items-center mb-2">
-                    <img
-                      src={c.photo || 'https://placehold.co/30x30'}
-                      alt={`${c.username || 'Guest'}'s profile picture`}
-                      className="w-8 h-8 rounded-full mr-2 border border-gray-300 dark:border-gray-600"
-                      onError={(e) => (e.target.src = 'https://placehold.co/30x30')}
-                    />
-                    <p className="text-sm text-gray-700 dark:text-gray-300">
-                      <span className="font-semibold text-gray-900 dark:text-gray-100">{c.username || 'Guest'}</span>
-                      <span className="ml-2">{c.comment}</span>
-                    </p>
-                  </div>
-                ))
-              )}
-              <div className="flex items-center mt-3">
-                <input
-                  type="text"
-                  value={comment}
-                  onChange={(e) => setComment(e.target.value.slice(0, 255))}
-                  className="flex-1 p-2 bg-gray-100 dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-full text-gray-900 dark:text-gray-100 focus:ring-2 focus:ring-blue-500 focus:outline-none"
-                  placeholder="Add a comment... (max 255 chars)"
-                  aria-label="Add comment"
-                />
-                <motion.button
-                  whileHover={{ scale: 1.1 }}
-                  whileTap={{ scale: 0.9 }}
-                  onClick={() => commentPost(post._id.toString())}
-                  className="ml-2 p-3 bg-blue-500 rounded-full focus:outline-none focus:ring-2 focus:ring-blue-500"
-                  aria-label="Submit comment"
-                >
-                  <FaPaperPlane className="text-xl text-white" />
-                </motion.button>
-              </div>
-            </motion.div>
-          )}
-        </AnimatePresence>
       </motion.div>
     );
   };
@@ -1053,6 +1458,18 @@ const FeedScreen = ({ token, userId, socket, onLogout, theme }) => {
                       aria-label="Post caption"
                     />
                   )}
+                  {STORY_CONTENT_TYPES.includes(contentType) && (
+                    <label className="flex items-center space-x-2 text-sm text-gray-700 dark:text-gray-300">
+                      <input
+                        type="checkbox"
+                        checked={isStory}
+                        onChange={(e) => setIsStory(e.target.checked)}
+                        className="rounded focus:ring-2 focus:ring-blue-500"
+                        aria-label="Share as story"
+                      />
+                      <span>Share as story (disappears after 24 hours)</span>
+                    </label>
+                  )}
                   <motion.button
                     whileHover={{ scale: 1.1 }}
                     whileTap={{ scale: 0.9 }}
@@ -1072,6 +1489,7 @@ const FeedScreen = ({ token, userId, socket, onLogout, theme }) => {
                   setCaption('');
                   setFile(null);
                   setAudioFile(null);
+                  setIsStory(false);
                   setError('');
                 }}
                 className="mt-4 w-full bg-gray-300 dark:bg-gray-600 text-gray-900 dark:text-gray-100 p-3 rounded-lg hover:bg-gray-400 dark:hover:bg-gray-500 transition duration-200 focus:outline-none focus:ring-2 focus:ring-gray-500"
@@ -1096,9 +1514,137 @@ const FeedScreen = ({ token, userId, socket, onLogout, theme }) => {
         </div>
       )}
 
+      {mentionNotice && (
+        <button
+          type="button"
+          onClick={() => {
+            if (mentionNotice.commentId) setShowComments(mentionNotice.postId);
+            setMentionNotice(null);
+          }}
+          className="fixed top-4 left-4 right-4 md:left-auto md:w-96 z-40 p-3 bg-blue-500 text-white text-sm text-left rounded-lg shadow-lg"
+          role="status"
+        >
+          <span className="font-semibold">{mentionNotice.fromUsername || 'Someone'}</span> mentioned you
+          {mentionNotice.commentId ? ' in a comment' : ' in a post'}: {mentionNotice.excerpt}
+        </button>
+      )}
+
+      {feedFilter && (
+        <div className="flex items-center justify-between px-4 py-2 bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100">
+          <span className="font-semibold truncate">
+            {feedFilter.type === 'hashtag' ? `#${feedFilter.value}` : feedFilter.type === 'author' ? `@${feedFilter.value}` : `"${feedFilter.value}"`}
+          </span>
+          <button
+            type="button"
+            onClick={() => applyFeedFilter(null)}
+            className="p-1 text-gray-500 dark:text-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500 rounded"
+            aria-label="Clear filter"
+          >
+            <FaTimes />
+          </button>
+        </div>
+      )}
+
+      {showSearch && !feedFilter && (
+        <div className="px-4 py-2 bg-white dark:bg-gray-800">
+          <div className="flex items-center">
+            <input
+              type="search"
+              value={searchInput}
+              onChange={(e) => setSearchInput(e.target.value.slice(0, 100))}
+              onKeyDown={(e) => e.key === 'Enter' && submitSearch()}
+              className="flex-1 p-2 bg-gray-100 dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-full text-gray-900 dark:text-gray-100 focus:ring-2 focus:ring-blue-500 focus:outline-none"
+              placeholder="Search captions, #tags or @people"
+              aria-label="Search posts"
+              autoFocus
+            />
+            <button type="button" onClick={submitSearch} className="ml-2 p-2 bg-blue-500 text-white rounded-full focus:outline-none" aria-label="Search">
+              <FaSearch />
+            </button>
+          </div>
+          {trendingTags.length > 0 && (
+            <div className="flex flex-wrap gap-2 mt-2" aria-label="Trending hashtags">
+              {trendingTags.map(({ tag, count }) => (
+                <button
+                  key={tag}
+                  type="button"
+                  onClick={() => showHashtag(tag)}
+                  className="px-3 py-1 text-xs bg-gray-200 dark:bg-gray-700 text-blue-600 dark:text-blue-400 rounded-full"
+                >
+                  #{tag} <span className="text-gray-500 dark:text-gray-400">{count}</span>
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      {!showUserPosts && !feedFilter && (
+        <div className="flex justify-center items-center space-x-6 py-2 bg-white dark:bg-gray-800" role="tablist" aria-label="Feed">
+          {token && FEED_TABS.map((tab) => (
+            <button
+              key={tab.id}
+              type="button"
+              role="tab"
+              aria-selected={feedTab === tab.id}
+              onClick={() => handleTabChange(tab.id)}
+              className={`pb-1 text-sm font-semibold focus:outline-none border-b-2 ${
+                feedTab === tab.id ? 'border-blue-500 text-gray-900 dark:text-gray-100' : 'border-transparent text-gray-500 dark:text-gray-400'
+              }`}
+            >
+              {tab.label}
+            </button>
+          ))}
+          <button
+            type="button"
+            onClick={() => setShowSearch((prev) => !prev)}
+            className="p-1 text-gray-500 dark:text-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500 rounded"
+            aria-label={showSearch ? 'Close search' : 'Search posts'}
+            aria-expanded={showSearch}
+          >
+            <FaSearch />
+          </button>
+        </div>
+      )}
+
+      {!showUserPosts && token && (
+        <StoryBar
+          groups={activeStories}
+          userId={userId}
+          userPhoto={localStorage.getItem('photo')}
+          onOpen={setStoryViewerGroup}
+          onCreate={() => {
+            setIsStory(true);
+            setContentType('image');
+            setShowPostModal(true);
+          }}
+        />
+      )}
+
+      <AnimatePresence>
+        {storyViewerGroup !== null && (
+          <StoryViewer
+            groups={activeStories}
+            startGroup={storyViewerGroup}
+            userId={userId}
+            onClose={closeStoryViewer}
+            onView={markStoryViewed}
+            onFetchViewers={fetchStoryViewers}
+          />
+        )}
+      </AnimatePresence>
+
       {posts.length === 0 && !loading && !refreshing ? (
         <div className="h-[calc(100vh-80px)] flex items-center justify-center text-center text-gray-700 dark:text-gray-300" role="status">
-          <p className="text-lg">{showUserPosts ? 'You have no posts yet' : 'No posts available'}</p>
+          <p className="text-lg">
+            {feedFilter
+              ? 'No posts match'
+              : showUserPosts
+              ? 'You have no posts yet'
+              : feedSource === 'following'
+              ? 'Posts from people you follow will appear here'
+              : 'No posts available'}
+          </p>
         </div>
       ) : posts.length === 0 && loading ? (
         [...Array(3)].map((_, i) => <LoadingSkeleton key={i} />)
@@ -1110,7 +1656,12 @@ const FeedScreen = ({ token, userId, socket, onLogout, theme }) => {
               width={width}
               itemCount={posts.length}
               itemSize={window.innerHeight - 80}
-              onItemsRendered={({ visibleStartIndex }) => setCurrentIndex(visibleStartIndex)}
+              onItemsRendered={({ visibleStartIndex, visibleStopIndex }) => {
+                setCurrentIndex(visibleStartIndex);
+                if (visibleStopIndex >= posts.length - 2 && hasMore && !loading && nextCursorRef.current) {
+                  fetchFeed(page + 1);
+                }
+              }}
             >
               {PostRow}
             </FixedSizeList>
@@ -1125,6 +1676,108 @@ const FeedScreen = ({ token, userId, socket, onLogout, theme }) => {
           aria-hidden="true"
         />
       )}
+      <AnimatePresence>
+        {postDialog && (
+          <motion.div
+            initial={{ opacity: 0, y: 50 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: 50 }}
+            className="fixed inset-0 bg-black bg-opacity-80 flex items-center justify-center z-30 px-4"
+            role="dialog"
+            aria-modal="true"
+            aria-labelledby="post-dialog-title"
+          >
+            <div className="bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100 p-6 rounded-2xl shadow-2xl w-full max-w-md border border-gray-200 dark:border-gray-700">
+              <h2 id="post-dialog-title" className="text-lg font-bold mb-1">
+                {postDialog.type === 'edit'
+                  ? 'Edit caption'
+                  : postDialog.type === 'bookmark'
+                  ? 'Save to collection'
+                  : `Repost ${postDialog.post.username || 'Guest'}'s post`}
+              </h2>
+              {postDialog.type === 'bookmark' && bookmarkCollections.length > 0 && (
+                <div className="flex flex-wrap gap-2 mb-3" aria-label="Your collections">
+                  {bookmarkCollections.map((collection) => (
+                    <button
+                      key={collection.name}
+                      type="button"
+                      onClick={() => submitPostDialog(collection.name)}
+                      className="px-3 py-1 text-sm bg-gray-200 dark:bg-gray-700 rounded-full hover:bg-gray-300 dark:hover:bg-gray-600"
+                    >
+                      {collection.name} <span className="text-gray-500 dark:text-gray-400">{collection.count}</span>
+                    </button>
+                  ))}
+                </div>
+              )}
+              {postDialog.type === 'repost' && (
+                <p className="text-sm text-gray-500 dark:text-gray-400 mb-3">Add a comment to quote it, or leave it empty to repost as is.</p>
+              )}
+              {postDialog.type === 'bookmark' ? (
+                <input
+                  type="text"
+                  value={postDialog.text}
+                  onChange={(e) => setPostDialog({ ...postDialog, text: e.target.value.slice(0, 50) })}
+                  onKeyDown={(e) => e.key === 'Enter' && submitPostDialog()}
+                  className="w-full p-3 bg-gray-100 dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-lg text-gray-900 dark:text-gray-100 focus:ring-2 focus:ring-blue-500 focus:outline-none"
+                  placeholder="New collection (leave empty for Saved)"
+                  aria-label="Collection name"
+                />
+              ) : (
+                <textarea
+                  value={postDialog.text}
+                  onChange={(e) => setPostDialog({ ...postDialog, text: e.target.value.slice(0, 500) })}
+                  rows={3}
+                  className="w-full p-3 bg-gray-100 dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-lg text-gray-900 dark:text-gray-100 focus:ring-2 focus:ring-blue-500 focus:outline-none"
+                  placeholder={postDialog.type === 'edit' ? 'Caption (max 500 chars)' : 'Say something about this... (optional)'}
+                  aria-label={postDialog.type === 'edit' ? 'Caption' : 'Quote'}
+                />
+              )}
+              <div className="flex justify-end space-x-3 mt-4">
+                <button
+                  type="button"
+                  onClick={() => setPostDialog(null)}
+                  className="px-4 py-2 bg-gray-300 dark:bg-gray-600 rounded-lg hover:bg-gray-400 dark:hover:bg-gray-500 focus:outline-none focus:ring-2 focus:ring-gray-500"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="button"
+                  onClick={() => submitPostDialog()}
+                  className="px-4 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  {postDialog.type === 'repost' ? (postDialog.text.trim() ? 'Quote' : 'Repost') : 'Save'}
+                </button>
+              </div>
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+      <AnimatePresence>
+        {showComments && (
+          <CommentsSheet
+            key={showComments}
+            postId={showComments}
+            postOwnerId={posts.find((p) => p._id.toString() === showComments)?.userId?.toString()}
+            userId={userId}
+            token={token}
+            socket={socket}
+            onClose={() => setShowComments(null)}
+            onHashtag={showHashtag}
+            onMention={showAuthor}
+            onReport={setReportTarget}
+          />
+        )}
+      </AnimatePresence>
+      <AnimatePresence>
+        {reportTarget && (
+          <ReportDialog
+            key={`${reportTarget.targetType}:${reportTarget.targetId}`}
+            {...reportTarget}
+            token={token}
+            onClose={() => setReportTarget(null)}
+          />
+        )}
+      </AnimatePresence>
     </motion.div>
   );
 };
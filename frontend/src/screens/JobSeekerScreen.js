@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import axios from 'axios';
 import { motion, AnimatePresence } from 'framer-motion';
 import { FaSearch, FaSort, FaFilter, FaFileUpload, FaExternalLinkAlt, FaComment } from 'react-icons/fa';
@@ -20,27 +20,44 @@ const JobSeekerScreen = ({ token, userId, onToggleRole }) => {
   const [isUploading, setIsUploading] = useState(false);
   const [page, setPage] = useState(1);
   const [hasMore, setHasMore] = useState(true);
+  // Internal jobs and job posts page by cursor; external jobs still use page numbers
+  const cursorsRef = useRef({ jobs: null, posts: null, externalHasMore: true });
 
   const fetchJobsAndPosts = useCallback(async (pageNum = 1, append = false) => {
     setLoading(true);
     try {
+      const filters = { userId, limit: 20, search: searchTerm, location: filterLocation, category: filterCategory };
+      const cursors = append ? cursorsRef.current : { jobs: null, posts: null, externalHasMore: true };
+      const empty = { jobs: [], posts: [], nextCursor: null, hasMore: false };
+
       // Fetch internal jobs
-      const { data: internalData } = await axios.get(`${BASE_URL}/jobseeker/jobs`, {
-        headers: { Authorization: `Bearer ${token}` },
-        params: { userId, page: pageNum, limit: 20, search: searchTerm, location: filterLocation, category: filterCategory },
-      });
+      const { data: internalData } = !append || cursors.jobs
+        ? await axios.get(`${BASE_URL}/jobseeker/jobs`, {
+            headers: { Authorization: `Bearer ${token}` },
+            params: { ...filters, ...(cursors.jobs ? { cursor: cursors.jobs } : {}) },
+          })
+        : { data: empty };
 
       // Fetch external jobs
-      const { data: externalData } = await axios.get(`${BASE_URL}/jobseeker/external_jobs`, {
-        headers: { Authorization: `Bearer ${token}` },
-        params: { userId, page: pageNum, limit: 20, search: searchTerm, location: filterLocation, category: filterCategory },
-      });
+      const { data: externalData } = !append || cursors.externalHasMore
+        ? await axios.get(`${BASE_URL}/jobseeker/external_jobs`, {
+            headers: { Authorization: `Bearer ${token}` },
+            params: { ...filters, page: pageNum },
+          })
+        : { data: empty };
 
       // Fetch job-related posts
-      const { data: postData } = await axios.get(`${BASE_URL}/jobseeker/job_posts`, {
-        headers: { Authorization: `Bearer ${token}` },
-        params: { userId, page: pageNum, limit: 20, search: searchTerm, location: filterLocation, category: filterCategory },
-      });
+      const { data: postData } = !append || cursors.posts
+        ? await axios.get(`${BASE_URL}/jobseeker/job_posts`, {
+            headers: { Authorization: `Bearer ${token}` },
+            params: { ...filters, ...(cursors.posts ? { cursor: cursors.posts } : {}) },
+          })
+        : { data: empty };
+      cursorsRef.current = {
+        jobs: internalData.nextCursor || null,
+        posts: postData.nextCursor || null,
+        externalHasMore: !!externalData.hasMore,
+      };
 
       // Combine and deduplicate jobs and posts
       const allJobs = [
@@ -57,14 +74,14 @@ const JobSeekerScreen = ({ token, userId, onToggleRole }) => {
           applyLink: post.applyLink || null,
           postedAt: post.createdAt,
           source: 'post',
-          comments: post.comments,
+          commentCount: post.commentCount || 0,
         })),
       ].reduce((unique, job) => {
         return unique.some(u => u._id === job._id) ? unique : [...unique, job];
       }, []);
 
       setJobs(prev => append ? [...prev, ...allJobs] : allJobs);
-      setHasMore(allJobs.length === 20); // Assume 20 is the page limit
+      setHasMore(!!(internalData.hasMore || postData.hasMore || externalData.hasMore));
       setError('');
     } catch (error) {
       console.error('Failed to fetch jobs/posts:', error);
@@ -285,10 +302,10 @@ const JobSeekerScreen = ({ token, userId, onToggleRole }) => {
                   {job.matchScore && (
                     <p className="text-green-600 mt-2">Match Score: {Math.round(job.matchScore)}%</p>
                   )}
-                  {job.source === 'post' && job.comments?.length > 0 && (
+                  {job.source === 'post' && job.commentCount > 0 && (
                     <p className="text-blue-600 mt-2 flex items-center">
                       <FaComment className="mr-2" />
-                      {job.comments.length} Comment{job.comments.length !== 1 ? 's' : ''}
+                      {job.commentCount} Comment{job.commentCount !== 1 ? 's' : ''}
                     </p>
                   )}
                   <button
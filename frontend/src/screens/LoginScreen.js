@@ -5,6 +5,9 @@ import { getCountries } from 'libphonenumber-js';
 import { FaEye, FaEyeSlash } from 'react-icons/fa';
 import { useDispatch } from 'react-redux';
 import { setAuth } from '../store';
+import { generateKeyPair, generateDeviceId, getDeviceName, ensureDevice } from '../keys';
+import { saveKeyPair } from '../db';
+import { refreshSession } from '../session';
 import { useNavigate } from 'react-router-dom'; // Changed: Add navigation
 
 const LoginScreen = () => {
@@ -20,6 +23,15 @@ const LoginScreen = () => {
   const [showPassword, setShowPassword] = useState(false);
   const [showConfirmPassword, setShowConfirmPassword] = useState(false);
   const [isCountryInputFocused, setIsCountryInputFocused] = useState(false);
+  const [isForgotPassword, setIsForgotPassword] = useState(false);
+  const [resetNotice, setResetNotice] = useState('');
+  // Set when the password was right but the account also needs an authenticator or recovery code
+  const [twoFactorChallenge, setTwoFactorChallenge] = useState(null);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [oidcProviders, setOidcProviders] = useState([]);
+  // First sign-in with a provider: { token, provider, email } while the user picks a username and country
+  const [oidcSignup, setOidcSignup] = useState(null);
   const countryInputRef = useRef(null);
   const dispatch = useDispatch();
   const navigate = useNavigate(); // Changed: Initialize navigation
@@ -48,11 +60,11 @@ const LoginScreen = () => {
   );
 
   const validateForm = useCallback(() => {
-    if (!email || !/^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/.test(email)) {
+    if (!oidcSignup && (!email || !/^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/.test(email))) {
       setError('Please enter a valid email');
       return false;
     }
-    if (!password || password.length < 8) {
+    if (!oidcSignup && (!password || password.length < 8)) {
       setError('Password must be at least 8 characters');
       return false;
     }
@@ -65,13 +77,13 @@ const LoginScreen = () => {
         setError('Please select a country');
         return false;
       }
-      if (password !== confirmPassword) {
+      if (!oidcSignup && password !== confirmPassword) {
         setError('Passwords do not match');
         return false;
       }
     }
     return true;
-  }, [email, password, username, selectedCountry, confirmPassword, isLogin]);
+  }, [email, password, username, selectedCountry, confirmPassword, isLogin, oidcSignup]);
 
   const checkLocation = useCallback(async (selectedCountry) => {
     if (isLogin) return true;
@@ -106,7 +118,8 @@ const LoginScreen = () => {
         const response = await axios.post(
           `https://gapp-6yc3.onrender.com/auth/${isLogin ? 'login' : 'register'}`,
           data,
-          { ...config, timeout: 10000 }
+          // withCredentials so the browser stores the refresh cookie from the API origin
+          { ...config, withCredentials: true, timeout: 10000 }
         );
         return response.data;
       } catch (err) {
@@ -142,7 +155,112 @@ const LoginScreen = () => {
 
 
 
-  // In LoginScreen.js, modify handleSubmit (lines ~100–150):
+  // Sets up this device's keys and stores the session from a login or register response
+  const finishLogin = useCallback(async (response, keyPair) => {
+    let privateKey;
+    let { token } = response;
+    if (keyPair) {
+      await saveKeyPair(response.userId, keyPair);
+      privateKey = keyPair.privateKey;
+    } else {
+      const device = await ensureDevice({ userId: response.userId, token: response.token, serverDevices: response.devices });
+      privateKey = device.keyRing.privateKey;
+      token = device.token || token;
+    }
+
+    // Persist auth data to localStorage
+    localStorage.setItem('token', token);
+    localStorage.setItem('userId', response.userId);
+    localStorage.setItem('role', response.role || '0');
+    localStorage.setItem('photo', response.photo || 'https://placehold.co/40x40');
+    localStorage.setItem('virtualNumber', response.virtualNumber || '');
+    localStorage.setItem('username', response.username || '');
+
+    await dispatch(setAuth({
+      token,
+      userId: response.userId,
+      role: response.role,
+      photo: response.photo || 'https://placehold.co/40x40',
+      virtualNumber: response.virtualNumber || '',
+      username: response.username,
+      privateKey,
+    }));
+
+    navigate('/feed');
+  }, [dispatch, navigate]);
+
+  useEffect(() => {
+    axios
+      .get('https://gapp-6yc3.onrender.com/auth/oidc/providers', { timeout: 10000 })
+      .then(({ data }) => setOidcProviders(data.providers || []))
+      .catch((err) => console.error('Failed to load sign-in providers:', err.message));
+  }, []);
+
+  // Provider sign-in lands back here with its outcome in the URL fragment
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    const outcome = params.get('oidc');
+    if (!outcome) return;
+    window.history.replaceState(null, '', window.location.pathname);
+    if (outcome === 'success') {
+      // The callback set the refresh cookie; trade it for an access token
+      setLoading(true);
+      refreshSession()
+        .then((data) => finishLogin(data, null))
+        .catch((err) => {
+          console.error('Provider sign-in error:', err.response?.data || err.message);
+          setError(err.response?.data?.error || 'Sign-in failed. Please try again.');
+        })
+        .finally(() => setLoading(false));
+    } else if (outcome === '2fa') {
+      setTwoFactorChallenge(params.get('challenge'));
+    } else if (outcome === 'signup') {
+      setOidcSignup({ token: params.get('token'), provider: params.get('provider'), email: params.get('email') });
+      setUsername(params.get('username') || '');
+      setIsLogin(false);
+    } else {
+      setError(params.get('message') || 'Sign-in failed. Please try again.');
+    }
+  }, [finishLogin]);
+
+  const handleTwoFactorSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    if (!twoFactorCode.trim()) {
+      setError(useRecoveryCode ? 'Enter one of your recovery codes' : 'Enter the code from your authenticator app');
+      return;
+    }
+    setLoading(true);
+    try {
+      const { data } = await axios.post(
+        'https://gapp-6yc3.onrender.com/auth/login/2fa',
+        { challengeToken: twoFactorChallenge, code: twoFactorCode.trim() },
+        // withCredentials so the browser stores the refresh cookie from the API origin
+        { withCredentials: true, timeout: 10000 }
+      );
+      await finishLogin(data, null);
+    } catch (error) {
+      console.error('Two-factor login error:', error.response?.data || error.message);
+      if (error.response?.data?.error === 'Login expired') {
+        // The challenge is gone; start again from the password
+        setTwoFactorChallenge(null);
+        setPassword('');
+        setError(error.response.data.details || 'Please log in again');
+      } else {
+        setTwoFactorCode('');
+        setError(
+          error.response?.status === 429
+            ? 'Too many requests, please try again later'
+            : error.response?.data?.attemptsLeft
+            ? `Invalid code. ${error.response.data.attemptsLeft} attempt(s) left.`
+            : error.response?.data?.error || error.message || 'Login failed'
+        );
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
 
 const handleSubmit = async (e) => {
   e.preventDefault();
@@ -156,6 +274,24 @@ const handleSubmit = async (e) => {
 
   setLoading(true);
   try {
+    // Register sends only the public half; the private key never leaves this device
+    const keyPair = isLogin ? null : { deviceId: generateDeviceId(), ...(await generateKeyPair()) };
+    if (oidcSignup) {
+      const { data: response } = await axios.post(
+        'https://gapp-6yc3.onrender.com/auth/oidc/signup',
+        {
+          signupToken: oidcSignup.token,
+          username,
+          country: selectedCountry,
+          publicKey: keyPair.publicKey,
+          deviceId: keyPair.deviceId,
+          deviceName: getDeviceName(),
+        },
+        { withCredentials: true, timeout: 10000 }
+      );
+      await finishLogin(response, keyPair);
+      return;
+    }
     const data = isLogin
       ? { email, password }
       : (() => {
@@ -165,6 +301,9 @@ const handleSubmit = async (e) => {
           formData.append('username', username);
           formData.append('country', selectedCountry);
           formData.append('role', '0');
+          formData.append('publicKey', keyPair.publicKey);
+          formData.append('deviceId', keyPair.deviceId);
+          formData.append('deviceName', getDeviceName());
           return formData;
         })();
 
@@ -173,27 +312,18 @@ const handleSubmit = async (e) => {
       : { headers: { 'Content-Type': 'multipart/form-data' } };
 
     const response = await retryRequest(data, config);
-
-    // Persist auth data to localStorage
-    localStorage.setItem('token', response.token);
-    localStorage.setItem('userId', response.userId);
-    localStorage.setItem('role', response.role || '0');
-    localStorage.setItem('photo', response.photo || 'https://placehold.co/40x40');
-    localStorage.setItem('virtualNumber', response.virtualNumber || '');
-    localStorage.setItem('username', response.username || '');
-
-    await dispatch(setAuth({
-      token: response.token,
-      userId: response.userId,
-      role: response.role,
-      photo: response.photo || 'https://placehold.co/40x40',
-      virtualNumber: response.virtualNumber || '',
-      username: response.username,
-      privateKey: response.privateKey || '',
-    }));
-
-    navigate('/feed');
+    if (response.twoFactorRequired) {
+      setTwoFactorChallenge(response.challengeToken);
+      setTwoFactorCode('');
+      setUseRecoveryCode(false);
+      return;
+    }
+    await finishLogin(response, keyPair);
   } catch (error) {
+    if (oidcSignup && error.response?.data?.error === 'Sign-up expired') {
+      setOidcSignup(null);
+      setIsLogin(true);
+    }
     console.error(`${isLogin ? 'Login' : 'Register'} error:`, {
       status: error.response?.status,
       data: error.response?.data,
@@ -217,6 +347,35 @@ const handleSubmit = async (e) => {
 
 
 
+  // The server answers the same way for unknown addresses, so the notice never reveals whether
+  // an account exists
+  const handleForgotPassword = async (e) => {
+    e.preventDefault();
+    setError('');
+    if (!email || !/^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/.test(email)) {
+      setError('Please enter a valid email');
+      return;
+    }
+    setLoading(true);
+    try {
+      const { data } = await axios.post(
+        'https://gapp-6yc3.onrender.com/auth/password-reset/request',
+        { email },
+        { timeout: 10000 }
+      );
+      setResetNotice(data.message);
+    } catch (error) {
+      console.error('Password reset request error:', error.response?.data || error.message);
+      setError(
+        error.response?.status === 429
+          ? 'Too many requests, please try again later'
+          : error.response?.data?.error || 'Failed to request password reset'
+      );
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const resetInputs = useCallback(() => {
     setEmail('');
     setPassword('');
@@ -228,6 +387,8 @@ const handleSubmit = async (e) => {
     setShowPassword(false);
     setShowConfirmPassword(false);
     setIsCountryInputFocused(false);
+    setResetNotice('');
+    setOidcSignup(null);
   }, []);
 
   const handleCountrySelect = useCallback((country) => {
@@ -278,6 +439,134 @@ const handleSubmit = async (e) => {
     return '';
   }, [countries, search, selectedCountry]);
 
+  if (twoFactorChallenge) {
+    return (
+      <motion.div
+        initial={{ opacity: 0, y: -50 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.5 }}
+        className="min-h-screen flex items-center justify-center bg-gray-100 dark:bg-gray-900"
+      >
+        <div className="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-lg w-full max-w-md">
+          <h2 className="text-2xl font-bold mb-4 text-primary dark:text-white">Two-factor authentication</h2>
+          {error && <p className="text-red-500 mb-4 text-center">{error}</p>}
+          <form onSubmit={handleTwoFactorSubmit} className="space-y-4">
+            <p className="text-sm text-gray-600 dark:text-gray-300">
+              {useRecoveryCode
+                ? 'Enter one of the recovery codes you saved when you turned on two-factor authentication. Each code works once.'
+                : 'Enter the 6-digit code from your authenticator app.'}
+            </p>
+            <input
+              type="text"
+              value={twoFactorCode}
+              onChange={(e) => setTwoFactorCode(e.target.value)}
+              className="w-full p-2 border rounded-md dark:bg-gray-700 dark:text-white dark:border-gray-600 focus:outline-none focus:ring-2 focus:ring-primary font-mono tracking-widest text-center"
+              placeholder={useRecoveryCode ? 'XXXXX-XXXXX' : '123456'}
+              inputMode={useRecoveryCode ? 'text' : 'numeric'}
+              autoComplete="one-time-code"
+              maxLength={useRecoveryCode ? 11 : 6}
+              autoFocus
+              disabled={loading}
+              aria-label={useRecoveryCode ? 'Recovery code' : 'Authentication code'}
+            />
+            <button
+              type="submit"
+              className={`w-full bg-primary text-white p-2 rounded-lg hover:bg-secondary focus:outline-none focus:ring-2 focus:ring-primary ${
+                loading ? 'opacity-50 cursor-not-allowed' : ''
+              }`}
+              disabled={loading}
+            >
+              {loading ? 'Processing...' : 'Verify'}
+            </button>
+          </form>
+          <p className="mt-4 text-center space-x-4">
+            <button
+              type="button"
+              onClick={() => {
+                setUseRecoveryCode(!useRecoveryCode);
+                setTwoFactorCode('');
+                setError('');
+              }}
+              className="text-sm text-primary hover:underline focus:outline-none"
+              disabled={loading}
+            >
+              {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+            </button>
+            <button
+              type="button"
+              onClick={() => {
+                setTwoFactorChallenge(null);
+                setPassword('');
+                setError('');
+              }}
+              className="text-sm text-primary hover:underline focus:outline-none"
+              disabled={loading}
+            >
+              Back to login
+            </button>
+          </p>
+        </div>
+      </motion.div>
+    );
+  }
+
+  if (isForgotPassword) {
+    return (
+      <motion.div
+        initial={{ opacity: 0, y: -50 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.5 }}
+        className="min-h-screen flex items-center justify-center bg-gray-100 dark:bg-gray-900"
+      >
+        <div className="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-lg w-full max-w-md">
+          <h2 className="text-2xl font-bold mb-4 text-primary dark:text-white">Reset password</h2>
+          {error && <p className="text-red-500 mb-4 text-center">{error}</p>}
+          {resetNotice ? (
+            <p className="text-gray-700 dark:text-gray-300 mb-4 text-center">{resetNotice}</p>
+          ) : (
+            <form onSubmit={handleForgotPassword} className="space-y-4">
+              <p className="text-sm text-gray-600 dark:text-gray-300">
+                Enter the email you registered with and we will send you a link to choose a new password.
+              </p>
+              <input
+                type="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                className="w-full p-2 border rounded-md dark:bg-gray-700 dark:text-white dark:border-gray-600 focus:outline-none focus:ring-2 focus:ring-primary"
+                placeholder="Email"
+                required
+                disabled={loading}
+                aria-label="Email"
+              />
+              <button
+                type="submit"
+                className={`w-full bg-primary text-white p-2 rounded-lg hover:bg-secondary focus:outline-none focus:ring-2 focus:ring-primary ${
+                  loading ? 'opacity-50 cursor-not-allowed' : ''
+                }`}
+                disabled={loading}
+              >
+                {loading ? 'Processing...' : 'Send reset link'}
+              </button>
+            </form>
+          )}
+          <p className="mt-4 text-center">
+            <button
+              type="button"
+              onClick={() => {
+                setIsForgotPassword(false);
+                resetInputs();
+              }}
+              className="text-primary hover:underline focus:outline-none"
+              disabled={loading}
+            >
+              Back to login
+            </button>
+          </p>
+        </div>
+      </motion.div>
+    );
+  }
+
   return (
     <motion.div
       initial={{ opacity: 0, y: -50 }}
@@ -287,8 +576,14 @@ const handleSubmit = async (e) => {
     >
       <div className="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-lg w-full max-w-md">
         <h2 className="text-2xl font-bold mb-4 text-primary dark:text-white">
-          {isLogin ? 'Login' : 'Register'}
+          {oidcSignup ? 'Finish signing up' : isLogin ? 'Login' : 'Register'}
         </h2>
+        {oidcSignup && (
+          <p className="text-sm text-gray-600 dark:text-gray-300 mb-4">
+            Signing up with {oidcSignup.provider} as <span className="font-semibold">{oidcSignup.email}</span>. Choose a username and
+            your country to get your number.
+          </p>
+        )}
         {error && <p className="text-red-500 mb-4 text-center">{error}</p>}
         <form onSubmit={handleSubmit} className="space-y-4">
           {!isLogin && (
@@ -340,59 +635,63 @@ const handleSubmit = async (e) => {
               </div>
             </>
           )}
-          <input
-            type="email"
-            value={email}
-            onChange={(e) => setEmail(e.target.value)}
-            className="w-full p-2 border rounded-md dark:bg-gray-700 dark:text-white dark:border-gray-600 focus:outline-none focus:ring-2 focus:ring-primary"
-            placeholder="Email"
-            required
-            disabled={loading}
-            aria-label="Email"
-          />
-          <div className="relative">
-            <input
-              type={showPassword ? 'text' : 'password'}
-              value={password}
-              onChange={(e) => setPassword(e.target.value)}
-              className="w-full p-2 border rounded-md dark:bg-gray-700 dark:text-white dark:border-gray-600 focus:outline-none focus:ring-2 focus:ring-primary"
-              placeholder="Password (min 8 characters)"
-              required
-              disabled={loading}
-              aria-label="Password"
-            />
-            <button
-              type="button"
-              onClick={() => setShowPassword(!showPassword)}
-              className="absolute right-2 top-1/2 transform -translate-y-1/2 text-gray-500 dark:text-gray-300 focus:outline-none"
-              disabled={loading}
-              aria-label={showPassword ? 'Hide password' : 'Show password'}
-            >
-              {showPassword ? <FaEyeSlash size={20} /> : <FaEye size={20} />}
-            </button>
-          </div>
-          {!isLogin && (
-            <div className="relative">
+          {!oidcSignup && (
+            <>
               <input
-                type={showConfirmPassword ? 'text' : 'password'}
-                value={confirmPassword}
-                onChange={(e) => setConfirmPassword(e.target.value)}
+                type="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
                 className="w-full p-2 border rounded-md dark:bg-gray-700 dark:text-white dark:border-gray-600 focus:outline-none focus:ring-2 focus:ring-primary"
-                placeholder="Confirm Password"
+                placeholder="Email"
                 required
                 disabled={loading}
-                aria-label="Confirm Password"
+                aria-label="Email"
               />
-              <button
-                type="button"
-                onClick={() => setShowConfirmPassword(!showConfirmPassword)}
-                className="absolute right-2 top-1/2 transform -translate-y-1/2 text-gray-500 dark:text-gray-300 focus:outline-none"
-                disabled={loading}
-                aria-label={showConfirmPassword ? 'Hide confirm password' : 'Show confirm password'}
-              >
-                {showConfirmPassword ? <FaEyeSlash size={20} /> : <FaEye size={20} />}
-              </button>
-            </div>
+              <div className="relative">
+                <input
+                  type={showPassword ? 'text' : 'password'}
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  className="w-full p-2 border rounded-md dark:bg-gray-700 dark:text-white dark:border-gray-600 focus:outline-none focus:ring-2 focus:ring-primary"
+                  placeholder="Password (min 8 characters)"
+                  required
+                  disabled={loading}
+                  aria-label="Password"
+                />
+                <button
+                  type="button"
+                  onClick={() => setShowPassword(!showPassword)}
+                  className="absolute right-2 top-1/2 transform -translate-y-1/2 text-gray-500 dark:text-gray-300 focus:outline-none"
+                  disabled={loading}
+                  aria-label={showPassword ? 'Hide password' : 'Show password'}
+                >
+                  {showPassword ? <FaEyeSlash size={20} /> : <FaEye size={20} />}
+                </button>
+              </div>
+              {!isLogin && (
+                <div className="relative">
+                  <input
+                    type={showConfirmPassword ? 'text' : 'password'}
+                    value={confirmPassword}
+                    onChange={(e) => setConfirmPassword(e.target.value)}
+                    className="w-full p-2 border rounded-md dark:bg-gray-700 dark:text-white dark:border-gray-600 focus:outline-none focus:ring-2 focus:ring-primary"
+                    placeholder="Confirm Password"
+                    required
+                    disabled={loading}
+                    aria-label="Confirm Password"
+                  />
+                  <button
+                    type="button"
+                    onClick={() => setShowConfirmPassword(!showConfirmPassword)}
+                    className="absolute right-2 top-1/2 transform -translate-y-1/2 text-gray-500 dark:text-gray-300 focus:outline-none"
+                    disabled={loading}
+                    aria-label={showConfirmPassword ? 'Hide confirm password' : 'Show confirm password'}
+                  >
+                    {showConfirmPassword ? <FaEyeSlash size={20} /> : <FaEye size={20} />}
+                  </button>
+                </div>
+              )}
+            </>
           )}
           <button
             type="submit"
@@ -405,6 +704,38 @@ const handleSubmit = async (e) => {
             {loading ? 'Processing...' : isLogin ? 'Login' : 'Register'}
           </button>
         </form>
+        {!oidcSignup && oidcProviders.length > 0 && (
+          <div className="mt-4 space-y-2">
+            <p className="text-center text-sm text-gray-500 dark:text-gray-400">or</p>
+            {oidcProviders.map((provider) => (
+              <button
+                key={provider.id}
+                type="button"
+                onClick={() => window.location.assign(`https://gapp-6yc3.onrender.com/auth/oidc/${provider.id}/start`)}
+                className="w-full p-2 border rounded-lg text-gray-700 dark:text-gray-200 dark:border-gray-600 hover:bg-gray-100 dark:hover:bg-gray-700 focus:outline-none focus:ring-2 focus:ring-primary disabled:opacity-50"
+                disabled={loading}
+              >
+                Continue with {provider.name}
+              </button>
+            ))}
+          </div>
+        )}
+        {isLogin && (
+          <p className="mt-3 text-center">
+            <button
+              type="button"
+              onClick={() => {
+                setIsForgotPassword(true);
+                setPassword('');
+                setError('');
+              }}
+              className="text-sm text-primary hover:underline focus:outline-none"
+              disabled={loading}
+            >
+              Forgot password?
+            </button>
+          </p>
+        )}
         <p className="mt-4 text-center text-gray-600 dark:text-gray-300">
           {isLogin ? "Don't have an account?" : 'Already have an account?'}{' '}
           <span
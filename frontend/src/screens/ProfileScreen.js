@@ -4,7 +4,10 @@ import { motion, AnimatePresence } from 'framer-motion';
 import { FaEdit, FaSignOutAlt, FaTrash, FaEllipsisH } from 'react-icons/fa';
 import { useDispatch } from 'react-redux';
 import { setAuth } from '../store';
+import { getKeyFingerprint, loadKeyRing, exportKeysForDevice, importLinkedKeys } from '../keys';
 import PropTypes from 'prop-types';
+import { QRCodeSVG } from 'qrcode.react';
+import PostCard from '../components/PostCard';
 
 const ProfileScreen = ({ token, userId, socket, username: initialUsername, virtualNumber: initialVirtualNumber, photo: initialPhoto, onLogout }) => {
   const dispatch = useDispatch();
@@ -20,7 +23,31 @@ const ProfileScreen = ({ token, userId, socket, username: initialUsername, virtu
   const [showPosts, setShowPosts] = useState(false);
   const [selectedPost, setSelectedPost] = useState(null);
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(null);
+  const [showSaved, setShowSaved] = useState(false);
+  const [savedPosts, setSavedPosts] = useState([]);
+  const [savedCollections, setSavedCollections] = useState([]);
+  const [savedCollection, setSavedCollection] = useState(null); // null shows every collection
+  const [savedCursor, setSavedCursor] = useState(null);
   const [loading, setLoading] = useState(false);
+  const [showBlocked, setShowBlocked] = useState(false);
+  const [blockedAccounts, setBlockedAccounts] = useState({ blocked: [], muted: [] });
+  const [showDevices, setShowDevices] = useState(false);
+  const [devices, setDevices] = useState([]);
+  const [sessions, setSessions] = useState([]);
+  const [linkRequest, setLinkRequest] = useState(null);
+  const [approveCode, setApproveCode] = useState('');
+  const [pendingLink, setPendingLink] = useState(null);
+  const [showAccount, setShowAccount] = useState(false);
+  const [account, setAccount] = useState(null);
+  const [accountNotice, setAccountNotice] = useState('');
+  const [currentPassword, setCurrentPassword] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [twoFactorSetup, setTwoFactorSetup] = useState(null); // { secret, otpauthUrl } while enrolling
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState(null); // shown once after enabling or regenerating
+  const [twoFactorAction, setTwoFactorAction] = useState(null); // 'disable' | 'recovery-codes'
+  const [reauthPassword, setReauthPassword] = useState('');
+  const [reauthCode, setReauthCode] = useState('');
 
   const retryRequest = async (method, url, data, config, retries = 3, delay = 1000) => {
     for (let i = 0; i < retries; i++) {
@@ -54,10 +81,10 @@ useEffect(() => {
   const fetchMyPosts = async () => {
     setLoading(true);
     try {
-      const data = await retryRequest('get', `https://gapp-6yc3.onrender.com/social/my-posts/${userId}`, null, {
+      const data = await retryRequest('get', `https://gapp-6yc3.onrender.com/feed/user/${userId}`, null, {
         headers: { Authorization: `Bearer ${token}` },
       });
-      setMyPosts(data || []);
+      setMyPosts(data?.posts || []);
       setError('');
     } catch (error) {
       setError(`Failed to load posts: ${error.response?.data?.error || error.message}`);
@@ -68,8 +95,8 @@ useEffect(() => {
 
   fetchMyPosts();
 
-  const handlePostDeleted = (postId) => {
-    setMyPosts((prev) => prev.filter((p) => p._id !== postId));
+  const handlePostDeleted = ({ _id } = {}) => {
+    setMyPosts((prev) => prev.filter((p) => p._id !== _id));
   };
 
   const handleOnlineStatus = ({ userId: updatedUserId, status, lastSeen }) => {
@@ -85,6 +112,7 @@ useEffect(() => {
 
   if (socket) {
     socket.on('postDeleted', handlePostDeleted);
+    socket.on('postHidden', handlePostDeleted);
     socket.on('onlineStatus', handleOnlineStatus);
     socket.on('connect_error', handleConnectError);
   }
@@ -92,6 +120,7 @@ useEffect(() => {
   return () => {
     if (socket) {
       socket.off('postDeleted', handlePostDeleted);
+      socket.off('postHidden', handlePostDeleted);
       socket.off('onlineStatus', handleOnlineStatus);
       socket.off('connect_error', handleConnectError);
       socket.emit('leave', userId);
@@ -99,8 +128,139 @@ useEffect(() => {
   };
 }, [token, userId, socket, onLogout]);
 
+  // Completes a link this device requested once another device has approved it
+  useEffect(() => {
+    if (!socket || !linkRequest) return;
 
-  
+    const handleDeviceLinkApproved = async ({ code }) => {
+      if (code !== linkRequest.code) return;
+      try {
+        const data = await retryRequest('get', `https://gapp-6yc3.onrender.com/auth/devices/link/${code}/result`, null, {
+          headers: { Authorization: `Bearer ${token}` },
+        });
+        if (data.status !== 'approved') return;
+        await importLinkedKeys(userId, data.payload);
+        setLinkRequest(null);
+        setError('');
+        alert('Device linked. Your message history can now be decrypted here.');
+      } catch (error) {
+        setError(error.response?.data?.error || 'Failed to complete device linking');
+      }
+    };
+
+    socket.on('deviceLinkApproved', handleDeviceLinkApproved);
+    return () => {
+      socket.off('deviceLinkApproved', handleDeviceLinkApproved);
+    };
+  }, [socket, linkRequest, token, userId]);
+
+  const fetchDevices = async () => {
+    setLoading(true);
+    try {
+      const [data, sessionData] = await Promise.all([
+        retryRequest('get', 'https://gapp-6yc3.onrender.com/auth/devices', null, {
+          headers: { Authorization: `Bearer ${token}` },
+        }),
+        retryRequest('get', 'https://gapp-6yc3.onrender.com/auth/sessions', null, {
+          headers: { Authorization: `Bearer ${token}` },
+        }),
+      ]);
+      setDevices(data.devices || []);
+      setSessions(sessionData.sessions || []);
+      setError('');
+    } catch (error) {
+      setError(error.response?.data?.error || 'Failed to load devices');
+      if (error.response?.status === 401) {
+        onLogout();
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleDevices = () => {
+    if (!showDevices) fetchDevices();
+    setShowDevices(!showDevices);
+  };
+
+  const removeDevice = async (deviceId) => {
+    setLoading(true);
+    try {
+      const response = await axios.delete(`https://gapp-6yc3.onrender.com/auth/devices/${deviceId}`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      setDevices(response.data.devices || []);
+      setError('');
+    } catch (error) {
+      setError(error.response?.data?.error || 'Failed to remove device');
+      if (error.response?.status === 401) {
+        onLogout();
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const requestLink = async () => {
+    setLoading(true);
+    try {
+      const [data, keyRing] = await Promise.all([
+        retryRequest('post', 'https://gapp-6yc3.onrender.com/auth/devices/link', {}, {
+          headers: { Authorization: `Bearer ${token}` },
+        }),
+        loadKeyRing(userId),
+      ]);
+      setLinkRequest({ code: data.code, fingerprint: getKeyFingerprint(keyRing.publicKey) });
+      setError('');
+    } catch (error) {
+      setError(error.response?.data?.error || 'Failed to start device linking');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const lookupLinkCode = async () => {
+    const code = approveCode.trim().toUpperCase();
+    if (!/^[A-Z0-9]{4}-[A-Z0-9]{4}$/.test(code)) {
+      setError('Enter the code shown on the new device (XXXX-XXXX)');
+      return;
+    }
+    setLoading(true);
+    try {
+      const data = await retryRequest('get', `https://gapp-6yc3.onrender.com/auth/devices/link/${code}`, null, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      setPendingLink({ ...data, code, fingerprint: getKeyFingerprint(data.publicKey) });
+      setError('');
+    } catch (error) {
+      setError(error.response?.data?.error || 'Link code not found or expired');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const approveLink = async () => {
+    if (!pendingLink) return;
+    setLoading(true);
+    try {
+      const keyRing = await loadKeyRing(userId);
+      if (!keyRing?.deviceId) {
+        throw new Error('This device has no keys to share');
+      }
+      const payload = exportKeysForDevice(keyRing, { deviceId: pendingLink.deviceId, publicKey: pendingLink.publicKey });
+      await retryRequest('post', `https://gapp-6yc3.onrender.com/auth/devices/link/${pendingLink.code}/approve`, { payload }, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      setPendingLink(null);
+      setApproveCode('');
+      setError('');
+      fetchDevices();
+    } catch (error) {
+      setError(error.response?.data?.error || error.message || 'Failed to approve device');
+    } finally {
+      setLoading(false);
+    }
+  };
 
   const handlePhotoChange = (e) => {
     const file = e.target.files[0];
@@ -195,11 +355,10 @@ useEffect(() => {
   const deletePost = async (postId) => {
     setLoading(true);
     try {
-      const response = await axios.delete(`https://gapp-6yc3.onrender.com/social/post/${postId}`, {
+      const response = await axios.delete(`https://gapp-6yc3.onrender.com/feed/${postId}`, {
         headers: { Authorization: `Bearer ${token}` },
       });
       if (response.data.success) {
-        socket.emit('postDeleted', postId);
         setMyPosts((prev) => prev.filter((post) => post._id !== postId));
         setShowDeleteConfirm(null);
         setSelectedPost(null);
@@ -215,6 +374,270 @@ useEffect(() => {
     }
   };
 
+  // Without `sessionId`, signs out every session except this one
+  const revokeSession = async (sessionId) => {
+    if (!window.confirm(sessionId ? 'Sign out this session?' : 'Sign out of every other session?')) return;
+    setLoading(true);
+    try {
+      const response = await axios.delete(
+        `https://gapp-6yc3.onrender.com/auth/sessions${sessionId ? `/${sessionId}` : ''}`,
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      setSessions(response.data.sessions || []);
+      setError('');
+    } catch (error) {
+      setError(error.response?.data?.error || 'Failed to sign out session');
+      if (error.response?.status === 401) {
+        onLogout();
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchAccount = async () => {
+    setLoading(true);
+    try {
+      const data = await retryRequest('get', 'https://gapp-6yc3.onrender.com/auth/account', null, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      setAccount(data);
+      setError('');
+    } catch (error) {
+      setError(error.response?.data?.error || 'Failed to load account');
+      if (error.response?.status === 401) {
+        onLogout();
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleAccount = () => {
+    if (!showAccount) fetchAccount();
+    setShowAccount(!showAccount);
+    setAccountNotice('');
+    setTwoFactorSetup(null);
+    setTwoFactorAction(null);
+    setRecoveryCodes(null);
+  };
+
+  const resendVerification = async () => {
+    setLoading(true);
+    try {
+      const response = await axios.post('https://gapp-6yc3.onrender.com/auth/verify-email/request', {}, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      setAccountNotice(response.data.message);
+      setError('');
+    } catch (error) {
+      setError(error.response?.data?.error || 'Failed to send verification email');
+      if (error.response?.status === 401) {
+        onLogout();
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Other sessions are signed out by the server; this one stays signed in
+  const changePassword = async () => {
+    if (newPassword.length < 8) {
+      setError('New password must be at least 8 characters');
+      return;
+    }
+    setLoading(true);
+    try {
+      const response = await axios.post(
+        'https://gapp-6yc3.onrender.com/auth/change-password',
+        { currentPassword, newPassword },
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      setCurrentPassword('');
+      setNewPassword('');
+      setAccountNotice(
+        response.data.revoked
+          ? `Password changed. ${response.data.revoked} other session(s) were signed out.`
+          : 'Password changed.'
+      );
+      setError('');
+      fetchAccount();
+      if (showDevices) fetchDevices();
+    } catch (error) {
+      setError(error.response?.data?.error || 'Failed to change password');
+      if (error.response?.status === 401) {
+        onLogout();
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const startTwoFactorSetup = async () => {
+    setLoading(true);
+    try {
+      const response = await axios.post('https://gapp-6yc3.onrender.com/auth/2fa/setup', {}, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      setTwoFactorSetup(response.data);
+      setTwoFactorCode('');
+      setRecoveryCodes(null);
+      setError('');
+    } catch (error) {
+      setError(error.response?.data?.error || 'Failed to start two-factor setup');
+      if (error.response?.status === 401) {
+        onLogout();
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const confirmTwoFactorSetup = async () => {
+    setLoading(true);
+    try {
+      const response = await axios.post(
+        'https://gapp-6yc3.onrender.com/auth/2fa/enable',
+        { code: twoFactorCode.trim() },
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      setTwoFactorSetup(null);
+      setTwoFactorCode('');
+      setRecoveryCodes(response.data.recoveryCodes);
+      setError('');
+      fetchAccount();
+    } catch (error) {
+      setError(error.response?.data?.error || 'Failed to enable two-factor authentication');
+      if (error.response?.status === 401) {
+        onLogout();
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Both actions need the password and a current code or recovery code again
+  const submitTwoFactorAction = async () => {
+    setLoading(true);
+    try {
+      const response = await axios.post(
+        `https://gapp-6yc3.onrender.com/auth/2fa/${twoFactorAction}`,
+        { password: reauthPassword, code: reauthCode.trim() },
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      if (twoFactorAction === 'recovery-codes') {
+        setRecoveryCodes(response.data.recoveryCodes);
+      } else {
+        setAccountNotice(response.data.message);
+      }
+      setTwoFactorAction(null);
+      setReauthPassword('');
+      setReauthCode('');
+      setError('');
+      fetchAccount();
+    } catch (error) {
+      setError(error.response?.data?.error || 'Failed to update two-factor authentication');
+      if (error.response?.status === 401) {
+        onLogout();
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Saved posts, most recently saved first; `cursor` appends the next page
+  const fetchSaved = async (collection = savedCollection, cursor = null) => {
+    setLoading(true);
+    try {
+      const [data, collectionsData] = await Promise.all([
+        retryRequest('get', 'https://gapp-6yc3.onrender.com/feed/bookmarks', null, {
+          headers: { Authorization: `Bearer ${token}` },
+          params: { ...(collection ? { collection } : {}), ...(cursor ? { cursor } : {}) },
+        }),
+        cursor
+          ? null
+          : retryRequest('get', 'https://gapp-6yc3.onrender.com/feed/bookmarks/collections', null, {
+              headers: { Authorization: `Bearer ${token}` },
+            }),
+      ]);
+      setSavedPosts((prev) => (cursor ? [...prev, ...(data?.posts || [])] : data?.posts || []));
+      setSavedCursor(data?.nextCursor || null);
+      if (collectionsData) setSavedCollections(collectionsData.collections || []);
+      setError('');
+    } catch (error) {
+      setError(`Failed to load saved posts: ${error.response?.data?.error || error.message}`);
+      if (error.response?.status === 401) {
+        onLogout();
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const selectSavedCollection = (collection) => {
+    setSavedCollection(collection);
+    fetchSaved(collection);
+  };
+
+  const unsavePost = async (post) => {
+    try {
+      await axios.delete(`https://gapp-6yc3.onrender.com/feed/${post._id}/bookmark`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      setSavedPosts((prev) => prev.filter((item) => item._id !== post._id));
+      setSavedCollections((prev) =>
+        prev
+          .map((item) => (item.name === post.collection ? { ...item, count: item.count - 1 } : item))
+          .filter((item) => item.count > 0)
+      );
+    } catch (error) {
+      setError(error.response?.data?.error || 'Failed to remove saved post');
+      if (error.response?.status === 401) {
+        onLogout();
+      }
+    }
+  };
+
+  const fetchBlocked = async () => {
+    setLoading(true);
+    try {
+      const data = await retryRequest('get', 'https://gapp-6yc3.onrender.com/social/blocked', null, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      setBlockedAccounts({ blocked: data.blocked || [], muted: data.muted || [] });
+      setError('');
+    } catch (error) {
+      setError(error.response?.data?.error || 'Failed to load blocked accounts');
+      if (error.response?.status === 401) {
+        onLogout();
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // `action` is 'unblock' or 'unmute'; the account drops out of the matching list
+  const liftRestriction = async (action, targetId) => {
+    setLoading(true);
+    try {
+      await axios.post(
+        `https://gapp-6yc3.onrender.com/social/${action}`,
+        { targetId },
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      const list = action === 'unblock' ? 'blocked' : 'muted';
+      setBlockedAccounts((prev) => ({ ...prev, [list]: prev[list].filter((account) => account.id !== targetId) }));
+      setError('');
+    } catch (error) {
+      setError(error.response?.data?.error || `Failed to ${action} user`);
+      if (error.response?.status === 401) {
+        onLogout();
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
   return (
     <motion.div
       initial={{ y: 50, opacity: 0 }}
@@ -314,6 +737,349 @@ useEffect(() => {
           </button>
         </div>
 
+        <button
+          onClick={toggleAccount}
+          className="bg-primary text-white p-2 rounded-lg w-full hover:bg-secondary disabled:opacity-50 mb-4"
+          disabled={loading}
+        >
+          {showAccount ? 'Hide Account Security' : 'Account Security'}
+        </button>
+
+        {showAccount && account && (
+          <div className="mb-4">
+            <div className="flex items-center justify-between border-b py-2">
+              <div>
+                <p className="text-gray-700 font-semibold">{account.email}</p>
+                <p className={`text-xs ${account.emailVerified ? 'text-green-600' : 'text-yellow-600'}`}>
+                  {account.emailVerified ? 'Verified' : 'Not verified'}
+                </p>
+              </div>
+              {!account.emailVerified && (
+                <button
+                  onClick={resendVerification}
+                  className="text-sm text-primary hover:underline disabled:opacity-50"
+                  disabled={loading}
+                >
+                  Resend link
+                </button>
+              )}
+            </div>
+            {account.linkedProviders?.length > 0 && (
+              <p className="text-xs text-gray-500 mt-2">
+                Also signs in with {account.linkedProviders.map((identity) => identity.name).join(', ')}
+              </p>
+            )}
+            {accountNotice && <p className="text-sm text-green-600 mt-2">{accountNotice}</p>}
+            <div className="mt-4">
+              <h3 className="text-gray-700 font-semibold mb-1">Change password</h3>
+              {account.passwordChangedAt && (
+                <p className="text-xs text-gray-500 mb-2">Last changed {new Date(account.passwordChangedAt).toLocaleString()}</p>
+              )}
+              <input
+                type="password"
+                value={currentPassword}
+                onChange={(e) => setCurrentPassword(e.target.value)}
+                className="w-full p-2 border rounded-lg focus:ring-2 focus:ring-primary mb-2"
+                placeholder="Current password"
+                autoComplete="current-password"
+                disabled={loading}
+              />
+              <input
+                type="password"
+                value={newPassword}
+                onChange={(e) => setNewPassword(e.target.value)}
+                className="w-full p-2 border rounded-lg focus:ring-2 focus:ring-primary mb-2"
+                placeholder="New password (min 8 characters)"
+                autoComplete="new-password"
+                disabled={loading}
+              />
+              <button
+                onClick={changePassword}
+                className="bg-primary text-white p-2 rounded-lg w-full hover:bg-secondary disabled:opacity-50"
+                disabled={!currentPassword || !newPassword || loading}
+              >
+                Change Password
+              </button>
+            </div>
+
+            <div className="mt-4">
+              <h3 className="text-gray-700 font-semibold mb-1">Two-factor authentication</h3>
+              {recoveryCodes && (
+                <div className="p-3 bg-gray-100 rounded-lg mb-2">
+                  <p className="text-sm text-gray-700 mb-2">
+                    Save these recovery codes somewhere safe. Each one logs you in once if you lose your phone, and they won't be shown again.
+                  </p>
+                  <ul className="grid grid-cols-2 gap-1 font-mono text-sm">
+                    {recoveryCodes.map((code) => (
+                      <li key={code}>{code}</li>
+                    ))}
+                  </ul>
+                  <button
+                    onClick={() => setRecoveryCodes(null)}
+                    className="mt-2 bg-primary text-white p-2 rounded-lg w-full hover:bg-secondary"
+                  >
+                    I've Saved Them
+                  </button>
+                </div>
+              )}
+              {account.twoFactorEnabled ? (
+                <>
+                  <p className="text-xs text-green-600">
+                    On since {new Date(account.twoFactorEnabledAt).toLocaleDateString()} · {account.recoveryCodesRemaining} recovery code(s) left
+                  </p>
+                  {twoFactorAction ? (
+                    <div className="mt-2">
+                      <p className="text-sm text-gray-700 mb-2">
+                        {twoFactorAction === 'disable'
+                          ? 'Confirm it is you to turn off two-factor authentication.'
+                          : 'Confirm it is you to replace your recovery codes. The old ones stop working.'}
+                      </p>
+                      <input
+                        type="password"
+                        value={reauthPassword}
+                        onChange={(e) => setReauthPassword(e.target.value)}
+                        className="w-full p-2 border rounded-lg focus:ring-2 focus:ring-primary mb-2"
+                        placeholder="Password"
+                        autoComplete="current-password"
+                        disabled={loading}
+                      />
+                      <input
+                        type="text"
+                        value={reauthCode}
+                        onChange={(e) => setReauthCode(e.target.value)}
+                        className="w-full p-2 border rounded-lg focus:ring-2 focus:ring-primary mb-2 font-mono"
+                        placeholder="Authenticator code or recovery code"
+                        autoComplete="one-time-code"
+                        disabled={loading}
+                      />
+                      <div className="flex space-x-2">
+                        <button
+                          onClick={submitTwoFactorAction}
+                          className={`flex-1 text-white p-2 rounded-lg disabled:opacity-50 ${
+                            twoFactorAction === 'disable' ? 'bg-red-500 hover:bg-red-700' : 'bg-primary hover:bg-secondary'
+                          }`}
+                          disabled={!reauthPassword || !reauthCode.trim() || loading}
+                        >
+                          {twoFactorAction === 'disable' ? 'Turn Off' : 'Replace Codes'}
+                        </button>
+                        <button
+                          onClick={() => {
+                            setTwoFactorAction(null);
+                            setReauthPassword('');
+                            setReauthCode('');
+                          }}
+                          className="flex-1 bg-gray-300 text-gray-700 p-2 rounded-lg hover:bg-gray-400"
+                          disabled={loading}
+                        >
+                          Cancel
+                        </button>
+                      </div>
+                    </div>
+                  ) : (
+                    <div className="flex space-x-2 mt-2">
+                      <button
+                        onClick={() => setTwoFactorAction('recovery-codes')}
+                        className="flex-1 bg-primary text-white p-2 rounded-lg hover:bg-secondary disabled:opacity-50"
+                        disabled={loading}
+                      >
+                        New Recovery Codes
+                      </button>
+                      <button
+                        onClick={() => setTwoFactorAction('disable')}
+                        className="flex-1 bg-red-500 text-white p-2 rounded-lg hover:bg-red-700 disabled:opacity-50"
+                        disabled={loading}
+                      >
+                        Turn Off
+                      </button>
+                    </div>
+                  )}
+                </>
+              ) : twoFactorSetup ? (
+                <div className="mt-2">
+                  <p className="text-sm text-gray-700 mb-2">
+                    Scan this code with an authenticator app, then enter the 6-digit code it shows.
+                  </p>
+                  <div className="flex justify-center bg-white p-3 rounded-lg mb-2">
+                    <QRCodeSVG value={twoFactorSetup.otpauthUrl} size={180} />
+                  </div>
+                  <p className="text-xs text-gray-500">Can't scan it? Enter this key instead:</p>
+                  <p className="text-xs font-mono break-all mb-2">{twoFactorSetup.secret.replace(/(.{4})/g, '$1 ').trim()}</p>
+                  <div className="flex">
+                    <input
+                      type="text"
+                      value={twoFactorCode}
+                      onChange={(e) => setTwoFactorCode(e.target.value)}
+                      className="flex-1 p-2 border rounded-lg focus:ring-2 focus:ring-primary font-mono tracking-widest"
+                      placeholder="123456"
+                      inputMode="numeric"
+                      autoComplete="one-time-code"
+                      maxLength={6}
+                      disabled={loading}
+                    />
+                    <button
+                      onClick={confirmTwoFactorSetup}
+                      className="ml-2 bg-primary text-white p-2 rounded-lg hover:bg-secondary disabled:opacity-50"
+                      disabled={twoFactorCode.trim().length !== 6 || loading}
+                    >
+                      Turn On
+                    </button>
+                  </div>
+                </div>
+              ) : (
+                <>
+                  <p className="text-xs text-gray-500 mb-2">
+                    Ask for a code from an authenticator app as well as your password when you log in.
+                  </p>
+                  <button
+                    onClick={startTwoFactorSetup}
+                    className="bg-primary text-white p-2 rounded-lg w-full hover:bg-secondary disabled:opacity-50"
+                    disabled={loading}
+                  >
+                    Set Up Two-Factor Authentication
+                  </button>
+                </>
+              )}
+            </div>
+          </div>
+        )}
+
+        <button
+          onClick={toggleDevices}
+          className="bg-primary text-white p-2 rounded-lg w-full hover:bg-secondary disabled:opacity-50 mb-4"
+          disabled={loading}
+        >
+          {showDevices ? 'Hide Devices & Sessions' : 'Devices & Sessions'}
+        </button>
+
+        {showDevices && (
+          <div className="mb-4">
+            {devices.map((device) => (
+              <div key={device.deviceId} className="flex items-center justify-between border-b py-2">
+                <div>
+                  <p className="text-gray-700 font-semibold">
+                    {device.name}
+                    {device.current && <span className="ml-2 text-sm text-green-600">This device</span>}
+                  </p>
+                  <p className="text-xs text-gray-500">Last active {new Date(device.lastSeen).toLocaleString()}</p>
+                </div>
+                {!device.current && (
+                  <FaTrash
+                    onClick={() => removeDevice(device.deviceId)}
+                    className="text-red-500 cursor-pointer hover:text-red-700"
+                  />
+                )}
+              </div>
+            ))}
+
+            <div className="mt-4">
+              <h3 className="text-gray-700 font-semibold mb-1">Active sessions</h3>
+              {sessions.map((session) => (
+                <div key={session.sessionId} className="flex items-center justify-between border-b py-2">
+                  <div>
+                    <p className="text-gray-700 font-semibold">
+                      {session.name}
+                      {session.current && <span className="ml-2 text-sm text-green-600">This session</span>}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      {[session.client !== session.name && session.client, session.ip].filter(Boolean).join(' · ')}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      Signed in {new Date(session.createdAt).toLocaleString()} · last used {new Date(session.lastUsedAt).toLocaleString()}
+                    </p>
+                  </div>
+                  {session.current ? (
+                    <FaSignOutAlt
+                      onClick={onLogout}
+                      className="text-red-500 cursor-pointer hover:text-red-700"
+                      title="Sign out"
+                    />
+                  ) : (
+                    <FaTrash
+                      onClick={() => revokeSession(session.sessionId)}
+                      className="text-red-500 cursor-pointer hover:text-red-700"
+                      title="Sign out this session"
+                    />
+                  )}
+                </div>
+              ))}
+              {sessions.some((session) => !session.current) && (
+                <button
+                  onClick={() => revokeSession(null)}
+                  className="mt-2 bg-red-500 text-white p-2 rounded-lg w-full hover:bg-red-700 disabled:opacity-50"
+                  disabled={loading}
+                >
+                  Sign Out All Other Sessions
+                </button>
+              )}
+            </div>
+
+            <div className="mt-4">
+              <p className="text-gray-700 mb-2">New device? Show a pairing code and enter it on a device that is already set up.</p>
+              {linkRequest ? (
+                <div className="p-3 bg-gray-100 rounded-lg text-center">
+                  <p className="text-2xl font-mono font-bold tracking-widest">{linkRequest.code}</p>
+                  <p className="text-xs text-gray-500 mt-2">Check the other device shows this key code:</p>
+                  <p className="text-xs font-mono break-all">{linkRequest.fingerprint}</p>
+                </div>
+              ) : (
+                <button
+                  onClick={requestLink}
+                  className="bg-primary text-white p-2 rounded-lg w-full hover:bg-secondary disabled:opacity-50"
+                  disabled={loading}
+                >
+                  Show Pairing Code
+                </button>
+              )}
+            </div>
+
+            <div className="mt-4">
+              <p className="text-gray-700 mb-2">Link another device by entering the code it shows.</p>
+              {pendingLink ? (
+                <div className="p-3 bg-gray-100 rounded-lg">
+                  <p className="text-gray-700">{`Share your message keys with ${pendingLink.name}?`}</p>
+                  <p className="text-xs text-gray-500 mt-2">Only approve if the new device shows this key code:</p>
+                  <p className="text-xs font-mono break-all mb-2">{pendingLink.fingerprint}</p>
+                  <div className="flex space-x-2">
+                    <button
+                      onClick={approveLink}
+                      className="flex-1 bg-primary text-white p-2 rounded-lg hover:bg-secondary disabled:opacity-50"
+                      disabled={loading}
+                    >
+                      Approve
+                    </button>
+                    <button
+                      onClick={() => setPendingLink(null)}
+                      className="flex-1 bg-gray-300 text-gray-700 p-2 rounded-lg hover:bg-gray-400"
+                      disabled={loading}
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                </div>
+              ) : (
+                <div className="flex">
+                  <input
+                    type="text"
+                    value={approveCode}
+                    onChange={(e) => setApproveCode(e.target.value)}
+                    className="flex-1 p-2 border rounded-lg focus:ring-2 focus:ring-primary font-mono uppercase"
+                    placeholder="XXXX-XXXX"
+                    maxLength={9}
+                    disabled={loading}
+                  />
+                  <button
+                    onClick={lookupLinkCode}
+                    className="ml-2 bg-primary text-white p-2 rounded-lg hover:bg-secondary disabled:opacity-50"
+                    disabled={!approveCode.trim() || loading}
+                  >
+                    Continue
+                  </button>
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+
         <button
           onClick={() => setShowPosts(!showPosts)}
           className="bg-primary text-white p-2 rounded-lg w-full hover:bg-secondary disabled:opacity-50"
@@ -369,6 +1135,119 @@ useEffect(() => {
           )}
         </AnimatePresence>
 
+        <button
+          onClick={() => {
+            if (!showSaved) fetchSaved();
+            setShowSaved(!showSaved);
+          }}
+          className="bg-primary text-white p-2 rounded-lg w-full mt-4 hover:bg-secondary disabled:opacity-50"
+          disabled={loading}
+        >
+          {showSaved ? 'Hide Saved' : 'Show Saved'}
+        </button>
+
+        <AnimatePresence>
+          {showSaved && (
+            <motion.div
+              initial={{ opacity: 0, height: 0 }}
+              animate={{ opacity: 1, height: 'auto' }}
+              exit={{ opacity: 0, height: 0 }}
+              className="mt-4 overflow-y-auto max-h-96"
+            >
+              {savedCollections.length > 0 && (
+                <div className="flex flex-wrap gap-2 mb-3">
+                  {[{ name: null, count: savedCollections.reduce((sum, item) => sum + item.count, 0) }, ...savedCollections].map((collection) => (
+                    <button
+                      key={collection.name || 'all'}
+                      onClick={() => selectSavedCollection(collection.name)}
+                      className={`px-3 py-1 text-sm rounded-full ${
+                        savedCollection === collection.name ? 'bg-primary text-white' : 'bg-gray-200 text-black hover:bg-gray-300'
+                      }`}
+                      disabled={loading}
+                    >
+                      {collection.name || 'All'} ({collection.count})
+                    </button>
+                  ))}
+                </div>
+              )}
+              {savedPosts.length === 0 ? (
+                <p className="text-gray-500 text-center">{loading ? 'Loading...' : 'No saved posts yet'}</p>
+              ) : (
+                <div className="space-y-3">
+                  {savedPosts.map((post) => (
+                    <div key={post._id}>
+                      <p className="text-xs text-gray-500 mb-1">
+                        {post.username} · saved to {post.collection}
+                      </p>
+                      <PostCard post={{ ...post, bookmarked: true }} onBookmark={unsavePost} />
+                    </div>
+                  ))}
+                  {savedCursor && (
+                    <button
+                      onClick={() => fetchSaved(savedCollection, savedCursor)}
+                      className="w-full text-primary p-2 hover:underline disabled:opacity-50"
+                      disabled={loading}
+                    >
+                      Load more
+                    </button>
+                  )}
+                </div>
+              )}
+            </motion.div>
+          )}
+        </AnimatePresence>
+
+        <button
+          onClick={() => {
+            if (!showBlocked) fetchBlocked();
+            setShowBlocked(!showBlocked);
+          }}
+          className="bg-primary text-white p-2 rounded-lg w-full mt-4 hover:bg-secondary disabled:opacity-50"
+          disabled={loading}
+        >
+          {showBlocked ? 'Hide Blocked & Muted' : 'Blocked & Muted'}
+        </button>
+
+        <AnimatePresence>
+          {showBlocked && (
+            <motion.div
+              initial={{ opacity: 0, height: 0 }}
+              animate={{ opacity: 1, height: 'auto' }}
+              exit={{ opacity: 0, height: 0 }}
+              className="mt-4 overflow-y-auto max-h-96"
+            >
+              {[
+                { list: 'blocked', title: 'Blocked', action: 'unblock', label: 'Unblock' },
+                { list: 'muted', title: 'Muted', action: 'unmute', label: 'Unmute' },
+              ].map(({ list, title, action, label }) => (
+                <div key={list} className="mb-3">
+                  <h3 className="text-sm font-semibold text-gray-700 mb-1">{title}</h3>
+                  {blockedAccounts[list].length === 0 ? (
+                    <p className="text-gray-500 text-sm">{loading ? 'Loading...' : `No ${title.toLowerCase()} accounts`}</p>
+                  ) : (
+                    blockedAccounts[list].map((account) => (
+                      <div key={account.id} className="flex items-center py-1">
+                        <img src={account.photo || 'https://placehold.co/40x40'} alt="" className="w-8 h-8 rounded-full mr-2" />
+                        <div className="flex-1">
+                          <p className="text-sm text-black">{account.username}</p>
+                          <p className="text-xs text-gray-500">{account.virtualNumber}</p>
+                        </div>
+                        <button
+                          onClick={() => liftRestriction(action, account.id)}
+                          className="text-sm text-primary hover:underline disabled:opacity-50"
+                          disabled={loading}
+                        >
+                          {label}
+                        </button>
+                      </div>
+                    ))
+                  )}
+                </div>
+              ))}
+            </motion.div>
+          )}
+        </AnimatePresence>
+
         {showDeleteConfirm && (
           <motion.div
             initial={{ opacity: 0 }}
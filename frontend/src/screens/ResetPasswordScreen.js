@@ -0,0 +1,121 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import { motion } from 'framer-motion';
+import { FaEye, FaEyeSlash } from 'react-icons/fa';
+import { Link, useSearchParams } from 'react-router-dom';
+
+const BASE_URL = 'https://gapp-6yc3.onrender.com';
+
+// Landing page for the link in the password reset email (/reset-password?token=...)
+const ResetPasswordScreen = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [showPassword, setShowPassword] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [done, setDone] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    if (password.length < 8) {
+      setError('Password must be at least 8 characters');
+      return;
+    }
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+    setLoading(true);
+    try {
+      const { data } = await axios.post(
+        `${BASE_URL}/auth/password-reset/confirm`,
+        { token, password },
+        { withCredentials: true, timeout: 10000 }
+      );
+      setDone(data.message || 'Password updated.');
+    } catch (err) {
+      console.error('Password reset error:', err.response?.data || err.message);
+      setError(
+        err.response?.status === 429
+          ? 'Too many requests, please try again later'
+          : err.response?.data?.error || 'Failed to reset password'
+      );
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: -50 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.5 }}
+      className="min-h-screen flex items-center justify-center bg-gray-100 dark:bg-gray-900"
+    >
+      <div className="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-lg w-full max-w-md">
+        <h2 className="text-2xl font-bold mb-4 text-primary dark:text-white">Choose a new password</h2>
+        {!token ? (
+          <p className="text-red-500 mb-4 text-center">This reset link is incomplete. Request a new one from the login page.</p>
+        ) : done ? (
+          <p className="text-gray-700 dark:text-gray-300 mb-4 text-center">{done}</p>
+        ) : (
+          <>
+            {error && <p className="text-red-500 mb-4 text-center">{error}</p>}
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <div className="relative">
+                <input
+                  type={showPassword ? 'text' : 'password'}
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  className="w-full p-2 border rounded-md dark:bg-gray-700 dark:text-white dark:border-gray-600 focus:outline-none focus:ring-2 focus:ring-primary"
+                  placeholder="New password (min 8 characters)"
+                  required
+                  disabled={loading}
+                  aria-label="New password"
+                />
+                <button
+                  type="button"
+                  onClick={() => setShowPassword(!showPassword)}
+                  className="absolute right-2 top-1/2 transform -translate-y-1/2 text-gray-500 dark:text-gray-300 focus:outline-none"
+                  disabled={loading}
+                  aria-label={showPassword ? 'Hide password' : 'Show password'}
+                >
+                  {showPassword ? <FaEyeSlash size={20} /> : <FaEye size={20} />}
+                </button>
+              </div>
+              <input
+                type={showPassword ? 'text' : 'password'}
+                value={confirmPassword}
+                onChange={(e) => setConfirmPassword(e.target.value)}
+                className="w-full p-2 border rounded-md dark:bg-gray-700 dark:text-white dark:border-gray-600 focus:outline-none focus:ring-2 focus:ring-primary"
+                placeholder="Confirm new password"
+                required
+                disabled={loading}
+                aria-label="Confirm new password"
+              />
+              <button
+                type="submit"
+                className={`w-full bg-primary text-white p-2 rounded-lg hover:bg-secondary focus:outline-none focus:ring-2 focus:ring-primary ${
+                  loading ? 'opacity-50 cursor-not-allowed' : ''
+                }`}
+                disabled={loading}
+              >
+                {loading ? 'Processing...' : 'Update password'}
+              </button>
+            </form>
+          </>
+        )}
+        <p className="mt-4 text-center">
+          <Link to="/login" className="text-primary hover:underline">
+            Back to login
+          </Link>
+        </p>
+      </div>
+    </motion.div>
+  );
+};
+
+export default ResetPasswordScreen;
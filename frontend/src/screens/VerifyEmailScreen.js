@@ -0,0 +1,58 @@
+import React, { useEffect, useRef, useState } from 'react';
+import axios from 'axios';
+import { motion } from 'framer-motion';
+import { Link, useSearchParams } from 'react-router-dom';
+
+const BASE_URL = 'https://gapp-6yc3.onrender.com';
+
+// Landing page for the link in the verification email (/verify-email?token=...). Works whether or
+// not the reader is logged in on this browser.
+const VerifyEmailScreen = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+  const [status, setStatus] = useState(token ? 'pending' : 'error');
+  const [message, setMessage] = useState(token ? '' : 'This verification link is incomplete');
+  // Tokens are single-use, so never send the same one twice
+  const submittedRef = useRef(false);
+
+  useEffect(() => {
+    if (!token || submittedRef.current) return;
+    submittedRef.current = true;
+    axios
+      .post(`${BASE_URL}/auth/verify-email/confirm`, { token }, { timeout: 10000 })
+      .then(({ data }) => {
+        setStatus('done');
+        setMessage(data.message || 'Email verified');
+      })
+      .catch((err) => {
+        console.error('Email verification error:', err.response?.data || err.message);
+        setStatus('error');
+        setMessage(err.response?.data?.error || 'Failed to verify email');
+      });
+  }, [token]);
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: -50 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.5 }}
+      className="min-h-screen flex items-center justify-center bg-gray-100 dark:bg-gray-900"
+    >
+      <div className="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-lg w-full max-w-md text-center">
+        <h2 className="text-2xl font-bold mb-4 text-primary dark:text-white">Email verification</h2>
+        {status === 'pending' && <p className="text-gray-700 dark:text-gray-300">Verifying...</p>}
+        {status === 'done' && <p className="text-gray-700 dark:text-gray-300">{message}. You can close this page.</p>}
+        {status === 'error' && (
+          <p className="text-red-500">{message}. You can request a new link from your profile.</p>
+        )}
+        <p className="mt-4">
+          <Link to="/feed" className="text-primary hover:underline">
+            Continue to GaPP
+          </Link>
+        </p>
+      </div>
+    </motion.div>
+  );
+};
+
+export default VerifyEmailScreen;
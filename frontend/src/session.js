@@ -0,0 +1,28 @@
+import axios from 'axios';
+
+const BASE_URL = 'https://gapp-6yc3.onrender.com';
+
+let pendingRefresh = null;
+
+// Exchanges the httpOnly refresh cookie for a new access token and stores the result. Callers
+// share one in-flight request: the cookie rotates on every use, and sending the old one a second
+// time looks like a stolen token to the server, which then ends the session.
+export const refreshSession = (userId) => {
+  if (!pendingRefresh) {
+    pendingRefresh = axios
+      .post(`${BASE_URL}/auth/refresh`, userId ? { userId } : {}, { withCredentials: true, timeout: 10000 })
+      .then(({ data }) => {
+        localStorage.setItem('token', data.token);
+        localStorage.setItem('userId', data.userId);
+        localStorage.setItem('role', data.role || '0');
+        localStorage.setItem('photo', data.photo || 'https://via.placeholder.com/64');
+        localStorage.setItem('virtualNumber', data.virtualNumber || '');
+        localStorage.setItem('username', data.username || '');
+        return data;
+      })
+      .finally(() => {
+        pendingRefresh = null;
+      });
+  }
+  return pendingRefresh;
+};
@@ -6,8 +6,7 @@ import axios from 'axios';
 const DB_NAME = 'chatApp';
 const STORE_NAME = 'reduxState';
 const VERSION = 3;
-const MAX_MESSAGES_PER_CHAT = 100;
-const MESSAGE_TTL = 30 * 24 * 60 * 60 * 1000; // 30 days
+const MAX_MESSAGES_PER_CHAT = 500; // Room for several pages of history loaded with "Load earlier messages"
 const PERSISTENCE_DEBOUNCE_MS = 100; // Reduced for faster chat list updates
 const CACHE_TIMEOUT = 5 * 60 * 1000; // 5 minutes
 const BASE_URL = 'https://gapp-6yc3.onrender.com';
@@ -15,6 +14,23 @@ const BASE_URL = 'https://gapp-6yc3.onrender.com';
 // ObjectId validation
 const isValidObjectId = (id) => /^[0-9a-fA-F]{24}$/.test(id);
 
+// Group messages carry a groupId instead of a recipientId
+const isValidChatMessage = (msg, userId) =>
+  isValidObjectId(msg.senderId) &&
+  (isValidObjectId(msg.groupId) ||
+    (isValidObjectId(msg.recipientId) && (msg.senderId === userId || msg.recipientId === userId)));
+
+// One entry per user; userIds are kept as strings so the bubble can spot the viewer's own reaction
+const normalizeReactions = (reactions) =>
+  Array.isArray(reactions)
+    ? reactions
+        .filter((r) => r && r.userId && typeof r.emoji === 'string')
+        .map((r) => ({ userId: r.userId.toString(), emoji: r.emoji, createdAt: r.createdAt }))
+    : [];
+
+// Messages carry their own expiry, set from the conversation's retention when they were sent
+const isExpired = (msg, now = Date.now()) => !!msg.expiresAt && new Date(msg.expiresAt).getTime() <= now;
+
 // Check IndexedDB support
 const isIndexedDBSupported = () => {
   if (!window.indexedDB) {
@@ -190,11 +206,9 @@ const loadPersistedState = async () => {
         acc[recipientId] = messages.chats[recipientId]
           .filter(
             (msg) =>
-              isValidObjectId(msg.senderId) &&
-              isValidObjectId(msg.recipientId) &&
-              (msg.senderId === auth.userId || msg.recipientId === auth.userId) &&
+              isValidChatMessage(msg, auth.userId) &&
               ['sent', 'delivered', 'read', 'pending', 'failed'].includes(msg.status) &&
-              now - new Date(msg.createdAt).getTime() <= MESSAGE_TTL
+              !isExpired(msg, now)
           )
           .map((msg) => ({
             _id: msg._id || msg.clientMessageId,
@@ -204,10 +218,16 @@ const loadPersistedState = async () => {
             plaintextContent: msg.plaintextContent || '[Message not decrypted]',
             status: msg.status || 'pending',
             senderId: msg.senderId,
-            recipientId: msg.recipientId,
+            recipientId: msg.recipientId || null,
+            groupId: msg.groupId || null,
             caption: msg.caption || undefined,
             replyTo: msg.replyTo && isValidObjectId(msg.replyTo) ? msg.replyTo : null,
+            reactions: normalizeReactions(msg.reactions),
+            expiresAt: msg.expiresAt ? new Date(msg.expiresAt).toISOString() : null,
             originalFilename: msg.originalFilename || undefined,
+            duration: msg.duration ?? undefined,
+            waveform: Array.isArray(msg.waveform) ? msg.waveform : undefined,
+            media: msg.media || undefined,
             senderVirtualNumber: msg.senderVirtualNumber || undefined,
             senderUsername: msg.senderUsername || undefined,
             senderPhoto: msg.senderPhoto || undefined,
@@ -229,11 +249,14 @@ const loadPersistedState = async () => {
           .filter(
             (contact) =>
               isValidObjectId(contact.id) &&
-              contact.virtualNumber &&
+              (contact.virtualNumber || contact.isGroup) &&
               contact.ownerId === auth.userId
           )
           .map((contact) => ({
             id: contact.id,
+            isGroup: !!contact.isGroup,
+            members: contact.isGroup && Array.isArray(contact.members) ? contact.members : undefined,
+            admins: contact.isGroup && Array.isArray(contact.admins) ? contact.admins : undefined,
             username: contact.username || 'Unknown',
             virtualNumber: contact.virtualNumber || '',
             photo: contact.photo || 'https://placehold.co/40x40',
@@ -305,12 +328,8 @@ const messageSlice = createSlice({
       const now = Date.now();
       messages.forEach((msg) => {
         const key = msg._id || msg.clientMessageId;
-        if (!key || (msg.createdAt && now - new Date(msg.createdAt).getTime() > MESSAGE_TTL)) return;
-        if (
-          !isValidObjectId(msg.senderId) ||
-          !isValidObjectId(msg.recipientId) ||
-          (msg.senderId !== state.auth?.userId && msg.recipientId !== state.auth?.userId)
-        ) {
+        if (!key || isExpired(msg, now)) return;
+        if (!isValidChatMessage(msg, state.auth?.userId)) {
           console.warn('setMessages: Invalid or unauthorized message', msg);
           return;
         }
@@ -320,12 +339,18 @@ const messageSlice = createSlice({
           content: msg.content || '',
           status: ['sent', 'delivered', 'read', 'pending', 'failed'].includes(msg.status) ? msg.status : 'sent',
           senderId: msg.senderId,
-          recipientId: msg.recipientId,
+          recipientId: msg.recipientId || null,
+          groupId: msg.groupId || null,
           contentType: msg.contentType || 'text',
           plaintextContent: msg.plaintextContent || '[Message not decrypted]',
           caption: msg.caption || undefined,
           replyTo: msg.replyTo && isValidObjectId(msg.replyTo) ? msg.replyTo : null,
+          reactions: normalizeReactions(msg.reactions),
+          expiresAt: msg.expiresAt ? new Date(msg.expiresAt).toISOString() : null,
           originalFilename: msg.originalFilename || undefined,
+          duration: msg.duration ?? undefined,
+          waveform: Array.isArray(msg.waveform) ? msg.waveform : undefined,
+          media: msg.media || undefined,
           senderVirtualNumber: msg.senderVirtualNumber || undefined,
           senderUsername: msg.senderUsername || undefined,
           senderPhoto: msg.senderPhoto || undefined,
@@ -335,7 +360,7 @@ const messageSlice = createSlice({
         messageMap.set(key, normalizedMsg);
       });
       state.chats[recipientId] = Array.from(messageMap.values())
-        .filter((msg) => now - new Date(msg.createdAt).getTime() <= MESSAGE_TTL)
+        .filter((msg) => !isExpired(msg, now))
         .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
         .slice(-MAX_MESSAGES_PER_CHAT);
       state.chatMessageCount[recipientId] = state.chats[recipientId].length;
@@ -362,24 +387,26 @@ const messageSlice = createSlice({
         clientMessageId: message.clientMessageId || message._id,
         status: ['pending', 'sent', 'delivered', 'read', 'failed'].includes(message.status) ? message.status : 'pending',
         senderId: message.senderId,
-        recipientId: message.recipientId,
+        recipientId: message.recipientId || null,
+        groupId: message.groupId || null,
         content: message.content || '',
         contentType: message.contentType || 'text',
         plaintextContent: message.plaintextContent || '',
         caption: message.caption || undefined,
         replyTo: message.replyTo && isValidObjectId(message.replyTo) ? message.replyTo : null,
+        reactions: normalizeReactions(message.reactions),
+        expiresAt: message.expiresAt ? new Date(message.expiresAt).toISOString() : null,
         originalFilename: message.originalFilename || undefined,
+        duration: message.duration ?? undefined,
+        waveform: Array.isArray(message.waveform) ? message.waveform : undefined,
+        media: message.media || undefined,
         senderVirtualNumber: message.senderVirtualNumber || undefined,
         senderUsername: message.senderUsername || undefined,
         senderPhoto: message.senderPhoto || undefined,
         createdAt: message.createdAt ? new Date(message.createdAt).toISOString() : new Date().toISOString(),
         updatedAt: message.updatedAt ? new Date(message.updatedAt).toISOString() : undefined,
       };
-      if (
-        isValidObjectId(normalizedMsg.senderId) &&
-        isValidObjectId(normalizedMsg.recipientId) &&
-        (normalizedMsg.senderId === state.auth?.userId || normalizedMsg.recipientId === state.auth?.userId)
-      ) {
+      if (isValidChatMessage(normalizedMsg, state.auth?.userId)) {
         state.chats[recipientId].push(normalizedMsg);
         state.chats[recipientId] = state.chats[recipientId].slice(-MAX_MESSAGES_PER_CHAT);
         state.chatMessageCount[recipientId] = (state.chatMessageCount[recipientId] || 0) + 1;
@@ -407,24 +434,26 @@ const messageSlice = createSlice({
         clientMessageId: message.clientMessageId || message._id,
         status: ['sent', 'delivered', 'read'].includes(message.status) ? message.status : 'sent',
         senderId: message.senderId,
-        recipientId: message.recipientId,
+        recipientId: message.recipientId || null,
+        groupId: message.groupId || null,
         content: message.content || '',
         contentType: message.contentType || 'text',
         plaintextContent: message.plaintextContent || '',
         caption: message.caption || undefined,
         replyTo: message.replyTo && isValidObjectId(message.replyTo) ? message.replyTo : null,
+        reactions: normalizeReactions(message.reactions),
+        expiresAt: message.expiresAt ? new Date(message.expiresAt).toISOString() : null,
         originalFilename: message.originalFilename || undefined,
+        duration: message.duration ?? undefined,
+        waveform: Array.isArray(message.waveform) ? message.waveform : undefined,
+        media: message.media || undefined,
         senderVirtualNumber: message.senderVirtualNumber || undefined,
         senderUsername: message.senderUsername || undefined,
         senderPhoto: message.senderPhoto || undefined,
         createdAt: message.createdAt ? new Date(message.createdAt).toISOString() : new Date().toISOString(),
         updatedAt: message.updatedAt ? new Date(message.updatedAt).toISOString() : undefined,
       };
-      if (
-        isValidObjectId(normalizedMsg.senderId) &&
-        isValidObjectId(normalizedMsg.recipientId) &&
-        (normalizedMsg.senderId === state.auth?.userId || normalizedMsg.recipientId === state.auth?.userId)
-      ) {
+      if (isValidChatMessage(normalizedMsg, state.auth?.userId)) {
         if (index !== -1) {
           if (!state.chats[recipientId][index]._id || state.chats[recipientId][index]._id === replaceId) {
             state.chats[recipientId][index] = normalizedMsg;
@@ -473,6 +502,19 @@ const messageSlice = createSlice({
       );
       state.messagesTimestamp[recipientId] = Date.now();
     },
+    updateMessageReactions: (state, action) => {
+      const { recipientId, messageId, reactions } = action.payload;
+      if (!recipientId || !isValidObjectId(recipientId) || !messageId || !state.chats[recipientId]) {
+        console.warn('updateMessageReactions: Invalid payload', { recipientId, messageId });
+        return;
+      }
+      state.chats[recipientId] = state.chats[recipientId].map((msg) =>
+        (msg._id === messageId || msg.clientMessageId === messageId)
+          ? { ...msg, reactions: normalizeReactions(reactions) }
+          : msg
+      );
+      state.messagesTimestamp[recipientId] = Date.now();
+    },
     deleteMessage: (state, action) => {
       const { recipientId, messageId } = action.payload;
       if (!recipientId || !isValidObjectId(recipientId) || !messageId || !state.chats[recipientId]) {
@@ -485,6 +527,20 @@ const messageSlice = createSlice({
       state.chatMessageCount[recipientId] = (state.chatMessageCount[recipientId] || 1) - 1;
       state.messagesTimestamp[recipientId] = Date.now();
     },
+    removeChat: (state, action) => {
+      const chatId = action.payload;
+      if (!isValidObjectId(chatId)) {
+        console.warn('removeChat: Invalid chatId', chatId);
+        return;
+      }
+      state.chatList = state.chatList.filter((chat) => chat.id !== chatId);
+      delete state.chats[chatId];
+      delete state.chatMessageCount[chatId];
+      delete state.messagesTimestamp[chatId];
+      if (state.selectedChat === chatId) {
+        state.selectedChat = null;
+      }
+    },
     setSelectedChat: (state, action) => {
       const recipientId = action.payload;
       if (recipientId === null) {
@@ -502,7 +558,7 @@ const messageSlice = createSlice({
       const validContacts = payload.filter(
         (contact) =>
           isValidObjectId(contact.id) &&
-          contact.virtualNumber &&
+          (contact.virtualNumber || contact.isGroup) &&
           contact.ownerId === state.auth?.userId
       );
       if (validContacts.length > 0) {
@@ -510,11 +566,16 @@ const messageSlice = createSlice({
         validContacts.forEach((contact) => {
           existingChatMap.set(contact.id, {
             id: contact.id,
+            isGroup: !!contact.isGroup,
+            members: contact.isGroup ? contact.members || existingChatMap.get(contact.id)?.members || [] : undefined,
+            admins: contact.isGroup ? contact.admins || existingChatMap.get(contact.id)?.admins || [] : undefined,
             username: contact.username || existingChatMap.get(contact.id)?.username || 'Unknown',
             virtualNumber: contact.virtualNumber || existingChatMap.get(contact.id)?.virtualNumber || '',
             photo: contact.photo || existingChatMap.get(contact.id)?.photo || 'https://placehold.co/40x40',
             status: contact.status || existingChatMap.get(contact.id)?.status || 'offline',
             lastSeen: contact.lastSeen ? new Date(contact.lastSeen).toISOString() : existingChatMap.get(contact.id)?.lastSeen || null,
+            retention: contact.retention || existingChatMap.get(contact.id)?.retention || 'forever',
+            muted: contact.muted ?? existingChatMap.get(contact.id)?.muted ?? false,
             latestMessage: contact.latestMessage
               ? {
                   ...contact.latestMessage,
@@ -558,8 +619,8 @@ const messageSlice = createSlice({
         }
         state.chats[recipientId] = state.chats[recipientId].filter(
           (msg) =>
-            now - new Date(msg.createdAt).getTime() <= MESSAGE_TTL &&
-            (msg.senderId === state.auth?.userId || msg.recipientId === state.auth?.userId)
+            !isExpired(msg, now) &&
+            (msg.groupId === recipientId || msg.senderId === state.auth?.userId || msg.recipientId === state.auth?.userId)
         );
         state.chatMessageCount[recipientId] = state.chats[recipientId].length;
         if (!state.chats[recipientId].length) {
@@ -577,7 +638,9 @@ export const {
   addMessage,
   replaceMessage,
   updateMessageStatus,
+  updateMessageReactions,
   deleteMessage,
+  removeChat,
   setSelectedChat,
   setChatList,
   forceUpdateChatList,
@@ -611,24 +674,25 @@ const persistenceMiddleware = (store) => {
           chats: Object.keys(state.messages.chats).reduce((acc, recipientId) => {
             if (isValidObjectId(recipientId) && state.messages.chatList.some((chat) => chat.id === recipientId)) {
               acc[recipientId] = state.messages.chats[recipientId]
-                .filter(
-                  (msg) =>
-                    isValidObjectId(msg.senderId) &&
-                    isValidObjectId(msg.recipientId) &&
-                    (msg.senderId === state.auth.userId || msg.recipientId === state.auth.userId)
-                )
+                .filter((msg) => isValidChatMessage(msg, state.auth.userId))
                 .map((msg) => ({
                   _id: msg._id,
                   clientMessageId: msg.clientMessageId,
                   senderId: msg.senderId,
                   recipientId: msg.recipientId,
+                  groupId: msg.groupId,
                   content: msg.content,
                   contentType: msg.contentType,
                   plaintextContent: msg.plaintextContent,
                   status: msg.status,
                   caption: msg.caption,
                   replyTo: msg.replyTo,
+                  reactions: msg.reactions || [],
+                  expiresAt: msg.expiresAt || null,
                   originalFilename: msg.originalFilename,
+                  duration: msg.duration,
+                  waveform: msg.waveform,
+                  media: msg.media,
                   senderVirtualNumber: msg.senderVirtualNumber,
                   senderUsername: msg.senderUsername,
                   senderPhoto: msg.senderPhoto,
@@ -642,11 +706,15 @@ const persistenceMiddleware = (store) => {
             .filter((contact) => isValidObjectId(contact.id) && contact.ownerId === state.auth.userId)
             .map((contact) => ({
               id: contact.id,
+              isGroup: contact.isGroup,
+              members: contact.members,
+              admins: contact.admins,
               username: contact.username,
               virtualNumber: contact.virtualNumber,
               photo: contact.photo,
               status: contact.status,
               lastSeen: contact.lastSeen ? contact.lastSeen : null,
+              retention: contact.retention,
               latestMessage: contact.latestMessage
                 ? {
                     ...contact.latestMessage,
@@ -689,7 +757,9 @@ const persistenceMiddleware = (store) => {
       addMessage.type,
       replaceMessage.type,
       updateMessageStatus.type,
+      updateMessageReactions.type,
       deleteMessage.type,
+      removeChat.type,
       setChatList.type,
       cleanupMessages.type,
       forceUpdateChatList.type,
@@ -738,7 +808,9 @@ export const store = configureStore({
           addMessage.type,
           replaceMessage.type,
           updateMessageStatus.type,
+          updateMessageReactions.type,
           deleteMessage.type,
+          removeChat.type,
           setSelectedChat.type,
           setChatList.type,
           forceUpdateChatList.type,